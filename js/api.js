@@ -1,6 +1,6 @@
 /**
  * Mackinaw Intel - API Module
- * Handles SerpAPI (Google Hotels) integration via Render proxy
+ * Handles hotel rate fetches via the Render proxy (provider chosen on the server)
  */
 
 const API = {
@@ -9,26 +9,17 @@ const API = {
     lastKnownRemaining: null,
 
     /**
-     * Build the API URL for SerpAPI proxy
+     * Build the API URL for the rate proxy
+     * The server works out checkout and occupancy from the stay profile
      */
-    buildUrl(checkinDate, checkoutDate) {
+    buildUrl(checkinDate) {
         const params = new URLSearchParams({
             checkin: checkinDate,
-            checkout: checkoutDate,
-            adults: CONFIG.api.params.adults
+            ...getRateScope()
         });
         return `${CONFIG.api.proxyUrl}?${params.toString()}`;
     },
 
-    /**
-     * Calculate checkout date (next day)
-     */
-    getCheckoutDate(checkinDate) {
-        const date = new Date(checkinDate + 'T00:00:00');
-        date.setDate(date.getDate() + 1);
-        return formatDateForAPI(date);
-    },
-
     /**
      * Parse price string like "$215" to number
      */
@@ -42,34 +33,34 @@ const API = {
     },
 
     /**
-     * Extract hotel data from SerpAPI property
+     * Extract hotel data from a normalized hotel returned by /api/hotels
+     * (same shape for every provider - see server/providers/index.js)
      * Returns ALL hotels from the API (no filtering)
      */
     extractHotelData(property) {
         if (!property || !property.name) return null;
 
-        // Get price from SerpAPI format
-        const price = property.rate_per_night?.extracted_lowest || 
-                      (property.rate_per_night?.lowest ? this.parsePrice(property.rate_per_night.lowest) : null) ||
-                      property.total_rate?.extracted_lowest ||
-                      null;
+        // price is the before-tax rate when the provider has one
+        const price = this.parsePrice(property.price);
 
         if (!price) return null;
 
         // Check if this is one of YOUR hotels
-        const isYourHotel = isTrackedHotel(property.name, true); // true = only check yourHotels
+        const isYourHotel = isTrackedHotel(property, true); // true = only check yourHotels
 
         return {
-            name: property.name,
+            hotelId: property.hotelId || null,     // Registry id (property_token)
+            name: property.name,                    // Canonical name from the registry
+            listedName: property.listedName || property.name,
             price: price,
-            vendor: property.rate_per_night?.source || 'Google Hotels',
-            rating: property.rating || property.overall_rating || null,  // SearchAPI uses 'rating'
+            vendor: 'Google Hotels',
+            rating: property.rating || null,
             reviewCount: property.reviews || null,
             category: isYourHotel ? 'yours' : 'competitor',
-            hotelClass: property.hotel_class || property.extracted_hotel_class || null,
-            type: property.type || 'hotel',
+            hotelClass: property.hotel_class || null,
+            type: 'hotel',
             isYourHotel: isYourHotel,
-            deal: property.deal || null,  // Deal info from SearchAPI
+            deal: property.deal || null,
             dealDescription: property.dealDescription || null,
             priceBeforeTax: property.priceBeforeTax || null,
             priceWithTax: property.priceWithTax || null
@@ -81,29 +72,26 @@ const API = {
      */
     async checkAccount() {
         try {
-            const response = await fetch(CONFIG.api.accountUrl);
+            const response = await Auth.fetch(CONFIG.api.accountUrl);
             const data = await response.json();
 
             if (data.error) {
                 return { success: false, error: data.error };
             }
 
-            this.lastKnownRemaining = data.searchesRemaining;
-
-            // Log the check
-            Storage.logApiCall({
-                action: 'Check Credits',
-                details: `Remaining: ${data.searchesRemaining} / ${data.searchesPerMonth}`,
-                success: true,
-                creditsUsed: 0 // SerpAPI account check doesn't use credits!
-            });
+            this.lastKnownRemaining = data.available;
 
             return {
                 success: true,
                 plan: data.plan,
                 requestLimit: data.searchesPerMonth,
                 requestUsed: data.searchesUsed,
-                remainingLimit: data.searchesRemaining
+                remainingLimit: data.searchesRemaining,
+                available: data.available,      // After daily/monthly budgets
+                budget: data.budget,
+                today: data.today,
+                byDay: data.byDay,
+                bySource: data.bySource
             };
         } catch (error) {
             return { success: false, error: error.message };
@@ -114,12 +102,11 @@ const API = {
      * Fetch hotel data for a specific date
      */
     async fetchDateData(checkinDate) {
-        const checkoutDate = this.getCheckoutDate(checkinDate);
-        const url = this.buildUrl(checkinDate, checkoutDate);
+        const url = this.buildUrl(checkinDate);
 
         try {
             console.log(`📡 Fetching ${checkinDate}...`);
-            const response = await fetch(url);
+            const response = await Auth.fetch(url);
             this.callsThisSession++;
 
             if (!response.ok) {
@@ -137,7 +124,7 @@ const API = {
             }
 
             const properties = data.properties || [];
-            console.log(`📥 SerpAPI returned ${properties.length} hotels for ${checkinDate}`);
+            console.log(`📥 ${data.provider || 'Provider'} returned ${properties.length} hotels for ${checkinDate}`);
 
             // Extract and filter hotels
             const hotels = [];
@@ -156,6 +143,7 @@ const API = {
             return {
                 timestamp: new Date().toISOString(),
                 date: checkinDate,
+                stayProfile: data.stayProfile,
                 hotels: hotels,
                 isPartial: false,
                 isDemo: false
@@ -173,6 +161,9 @@ const API = {
     async fetchDateRange(dates, progressCallback = null, options = {}) {
         const { stopOnLimit = true } = options;
         
+        // Don't spend credits on arrival days the stay profile skips
+        dates = filterArrivalDates(dates);
+        
         const results = {};
         const errors = [];
         let completed = 0;
@@ -255,6 +246,7 @@ const API = {
      * Fetch multiple dates in parallel (faster!)
      */
     async fetchDatesParallel(dates, batchSize = 3, progressCallback = null) {
+        dates = filterArrivalDates(dates);
         const results = {};
         const errors = [];
         let completed = 0;
@@ -327,17 +319,177 @@ const API = {
     // ============================================
 
     /**
-     * Load all rates from database
+     * Load the markets from the server into CONFIG.markets
+     * Keeps the built-in default if the server can't be reached
+     */
+    async loadMarkets() {
+        try {
+            const response = await Auth.fetch(CONFIG.api.marketsUrl);
+            const data = await response.json();
+
+            if (data.success && data.markets?.length) {
+                CONFIG.markets = data.markets;
+                CONFIG.defaultMarket = data.defaultMarket;
+                CONFIG.map.center = getMarketCenter();
+                return CONFIG.markets;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load markets, using defaults:', error.message);
+        }
+        return null;
+    },
+
+    /**
+     * Create a market (admin only) - from the console, e.g.
+     * API.createMarket({ id: 'cheboygan', name: 'Cheboygan', area: { center: [45.6469, -84.4745], radiusKm: 5 },
+     *                    timezone: 'America/Detroit', season: { startDate: '2026-05-01', endDate: '2026-10-31' } })
      */
-    async loadFromDatabase() {
+    async createMarket(market) {
+        const result = await this.requestJson(CONFIG.api.marketsUrl, {
+            method: 'POST',
+            body: JSON.stringify(market)
+        });
+        await this.loadMarkets();
+        return result.market;
+    },
+
+    /**
+     * Load the selected market's season from the server into CONFIG.season
+     * Keeps the built-in defaults if the server can't be reached
+     */
+    async loadSeason() {
+        try {
+            const response = await Auth.fetch(`${CONFIG.api.seasonUrl}?market=${getCurrentMarket().id}`);
+            const data = await response.json();
+
+            if (data.success && data.season) {
+                CONFIG.season = {
+                    startDate: data.season.startDate,
+                    endDate: data.season.endDate,
+                    rollingDays: data.season.rollingDays || null
+                };
+                console.log(`📅 Season: ${CONFIG.season.startDate} to ${CONFIG.season.endDate}`);
+                return CONFIG.season;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load season, using defaults:', error.message);
+        }
+        return null;
+    },
+
+    /**
+     * Load the stay profiles from the server into CONFIG.stayProfiles
+     * Keeps the built-in defaults if the server can't be reached
+     */
+    async loadStayProfiles() {
         try {
-            console.log('📥 Loading data from database...');
+            const response = await Auth.fetch(CONFIG.api.stayProfilesUrl);
+            const data = await response.json();
+
+            if (data.success && data.profiles?.length) {
+                CONFIG.stayProfiles = data.profiles;
+                CONFIG.defaultStayProfile = data.defaultProfile;
+                return CONFIG.stayProfiles;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load stay profiles, using defaults:', error.message);
+        }
+        return null;
+    },
+
+    /**
+     * Load the hotel registry so hotels are classified by id, not by name
+     */
+    async loadHotelRegistry() {
+        try {
+            const response = await Auth.fetch(`${CONFIG.api.hotelRegistryUrl}?market=${getCurrentMarket().id}`);
+            const data = await response.json();
+
+            if (data.success) {
+                const registry = { byId: {}, byName: {} };
+                data.hotels.forEach(hotel => {
+                    registry.byId[hotel.id] = hotel;
+                    [hotel.name, ...hotel.aliases].forEach(name => {
+                        registry.byName[normalizeHotelName(name)] = hotel;
+                    });
+                });
+                CONFIG.hotelRegistry = registry;
+                return data.hotels;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not load hotel registry, matching by name:', error.message);
+        }
+        return null;
+    },
+
+    /**
+     * Add a hotel the provider hasn't listed yet (admin only)
+     * e.g. { id: '<property_token>', name: 'New Motel', classification: 'tracked' }
+     */
+    async addRegistryHotel(hotel) {
+        const result = await this.requestJson(CONFIG.api.hotelRegistryUrl, {
+            method: 'POST',
+            body: JSON.stringify({ ...hotel, market: getCurrentMarket().id })
+        });
+        await this.loadHotelRegistry();
+        return result;
+    },
+
+    /**
+     * Edit a hotel's name, aliases, classification or map pin (admin only)
+     */
+    async updateRegistryHotel(hotelId, changes) {
+        const result = await this.requestJson(`${CONFIG.api.hotelRegistryUrl}/${encodeURIComponent(hotelId)}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+        await this.loadHotelRegistry();
+        return result;
+    },
+
+    /**
+     * Remove a hotel from the registry and from every competitor set (admin only)
+     */
+    async deleteRegistryHotel(hotelId) {
+        const result = await this.requestJson(`${CONFIG.api.hotelRegistryUrl}/${encodeURIComponent(hotelId)}`, {
+            method: 'DELETE'
+        });
+        await this.loadHotelRegistry();
+        return result;
+    },
+
+    /**
+     * Save the season definition (admin only)
+     */
+    async saveSeason(season) {
+        const response = await Auth.fetch(`${CONFIG.api.seasonUrl}?market=${getCurrentMarket().id}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(season)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.problems?.join(', ') || result.error || `Server error: ${response.status}`);
+        }
+        CONFIG.season = { ...result.season };
+        return result.season;
+    },
+
+    /**
+     * Load rates from database: every date, or with since only the dates saved since then
+     * Returns { dates, timestamps, serverTime }, where timestamps covers every stored date
+     */
+    async loadFromDatabase(since = null) {
+        try {
+            const scope = getRateScope();
+            console.log(`📥 Loading ${scope.market} ${scope.profile} data from database${since ? ` changed since ${since}` : ''}...`);
             
             // Add timeout to prevent hanging if server is cold-starting
             const controller = new AbortController();
             const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout
             
-            const response = await fetch(CONFIG.api.ratesUrl, {
+            const params = new URLSearchParams(since ? { ...scope, since } : scope);
+            const response = await Auth.fetch(`${CONFIG.api.ratesUrl}?${params}`, {
                 signal: controller.signal
             });
             clearTimeout(timeoutId);
@@ -346,7 +498,7 @@ const API = {
 
             if (data.success && data.dates) {
                 console.log(`✅ Loaded ${data.count} dates from database`);
-                return data.dates;
+                return { dates: data.dates, timestamps: data.timestamps || {}, serverTime: data.serverTime };
             }
             return null;
         } catch (error) {
@@ -364,14 +516,16 @@ const API = {
      */
     async saveToDatabase(dateData) {
         try {
-            const response = await fetch(CONFIG.api.ratesUrl, {
+            const response = await Auth.fetch(CONFIG.api.ratesUrl, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify(dateData)
+                body: JSON.stringify({ ...dateData, stayProfile: getCurrentStayProfile().id, market: getCurrentMarket().id })
             });
             const result = await response.json();
             if (result.success) {
                 console.log(`💾 Saved ${dateData.date} to database`);
+            } else if (result.problems) {
+                console.warn(`⚠️ ${dateData.date} rejected by the database: ${result.problems.join('; ')}`);
             }
             return result.success;
         } catch (error) {
@@ -382,17 +536,17 @@ const API = {
 
     /**
      * Save multiple dates to database
-     * Falls back to individual saves if bulk fails
+     * Falls back to individual saves if bulk fails. Returns the dates the database accepted
      */
     async saveBulkToDatabase(dates) {
         const dateKeys = Object.keys(dates);
-        if (dateKeys.length === 0) return true;
+        if (dateKeys.length === 0) return [];
         
         try {
-            const response = await fetch(`${CONFIG.api.ratesUrl}/bulk`, {
+            const response = await Auth.fetch(`${CONFIG.api.ratesUrl}/bulk`, {
                 method: 'POST',
                 headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ dates })
+                body: JSON.stringify({ dates, stayProfile: getCurrentStayProfile().id, market: getCurrentMarket().id })
             });
             
             // Check for payload too large error
@@ -403,9 +557,10 @@ const API = {
             
             const result = await response.json();
             if (result.success) {
-                console.log(`💾 Bulk saved ${result.datesUpdated} dates to database`);
+                console.log(`💾 Bulk saved ${result.accepted} dates to database`);
             }
-            return result.success;
+            this.logRejectedDates(result.results);
+            return this.savedDates(result.results);
         } catch (error) {
             console.error('❌ Database bulk save error:', error.message);
             // Fallback to chunked saving
@@ -414,12 +569,31 @@ const API = {
         }
     },
 
+    /**
+     * Log the dates a bulk save rejected or failed to write, with the server's reasons
+     */
+    logRejectedDates(results) {
+        Object.entries(results || {})
+            .filter(([, result]) => result.status === 'rejected' || result.status === 'failed')
+            .forEach(([date, result]) => {
+                console.warn(`⚠️ ${date} ${result.status === 'failed' ? 'could not be saved' : 'rejected by the database'}: ${result.problems?.join('; ') || result.error}`);
+            });
+    },
+
+    /**
+     * List the dates a bulk save stored
+     */
+    savedDates(results) {
+        return Object.keys(results || {}).filter(date => results[date].status === 'saved');
+    },
+
     /**
      * Save dates in smaller chunks
+     * Returns the dates the database accepted
      */
     async saveInChunks(dates, chunkSize = 5) {
         const dateKeys = Object.keys(dates);
-        let successCount = 0;
+        const saved = [];
         
         for (let i = 0; i < dateKeys.length; i += chunkSize) {
             const chunk = {};
@@ -428,19 +602,18 @@ const API = {
             });
             
             try {
-                const response = await fetch(`${CONFIG.api.ratesUrl}/bulk`, {
+                const response = await Auth.fetch(`${CONFIG.api.ratesUrl}/bulk`, {
                     method: 'POST',
                     headers: { 'Content-Type': 'application/json' },
-                    body: JSON.stringify({ dates: chunk })
+                    body: JSON.stringify({ dates: chunk, stayProfile: getCurrentStayProfile().id, market: getCurrentMarket().id })
                 });
                 
-                if (response.ok) {
-                    const result = await response.json();
-                    if (result.success) {
-                        successCount += Object.keys(chunk).length;
-                        console.log(`💾 Saved chunk: ${Object.keys(chunk).length} dates`);
-                    }
+                const result = await response.json();
+                if (response.ok && result.success) {
+                    saved.push(...this.savedDates(result.results));
+                    console.log(`💾 Saved chunk: ${result.accepted} dates`);
                 }
+                this.logRejectedDates(result.results);
             } catch (error) {
                 console.error(`❌ Chunk save error:`, error.message);
             }
@@ -449,30 +622,474 @@ const API = {
             await this.delay(100);
         }
         
-        console.log(`💾 Chunked save complete: ${successCount}/${dateKeys.length} dates`);
-        return successCount > 0;
+        console.log(`💾 Chunked save complete: ${saved.length}/${dateKeys.length} dates`);
+        return saved;
+    },
+
+    /**
+     * Delete every stored date in the selected market from the database (admin only)
+     * confirmName must be the market's name as typed by the user. The dates go to the trash
+     */
+    async clearDatabase(confirmName) {
+        const params = new URLSearchParams({ market: getCurrentMarket().id, confirm: confirmName });
+        const response = await Auth.fetch(`${CONFIG.api.ratesUrl}?${params}`, { method: 'DELETE' });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Server error: ${response.status}`);
+        }
+        console.log(`🗑️ Cleared ${result.deleted} dates from database`);
+        return result;
+    },
+
+    /**
+     * Start a full-season refresh job on the server (admin only)
+     * for the selected market and stay profile
+     * Uses one provider credit per arrival date in the season
+     * Returns right away with { jobId } - poll getJob() for progress
+     */
+    async startAutoRefresh() {
+        const params = new URLSearchParams({ profiles: getCurrentStayProfile().id, market: getCurrentMarket().id });
+        const response = await Auth.fetch(`${CONFIG.api.autoRefreshUrl}?${params}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || result.msg || `Server error: ${response.status}`);
+        }
+        return result;
+    },
+
+    /**
+     * Get a server job's progress
+     */
+    async getJob(jobId) {
+        const response = await Auth.fetch(`${CONFIG.api.jobsUrl}/${jobId}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Server error: ${response.status}`);
+        }
+        return result.job;
+    },
+
+    /**
+     * Get the most recent server job for the selected market and stay profile (or null)
+     */
+    async getLatestJob() {
+        const params = new URLSearchParams({ limit: 1, market: getCurrentMarket().id, stayProfile: getCurrentStayProfile().id });
+        const response = await Auth.fetch(`${CONFIG.api.jobsUrl}?${params}`);
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.error || `Server error: ${response.status}`);
+        }
+        return result.jobs[0] || null;
+    },
+
+    /**
+     * Save the credit quota and budgets (admin only)
+     */
+    async saveCreditBudget(budget) {
+        const result = await this.requestJson(CONFIG.api.budgetUrl, {
+            method: 'PUT',
+            body: JSON.stringify(budget)
+        });
+        return result.budget;
+    },
+
+    // ============================================
+    // BACKUP AND RESTORE
+    // ============================================
+
+    /**
+     * Download a backup of the whole server database (admin only)
+     */
+    async downloadBackup() {
+        const response = await Auth.fetch(CONFIG.api.backupUrl);
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.error || `Server error: ${response.status}`);
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `mackinaw-intel-backup-${formatDateForAPI(new Date())}.json`;
+        a.click();
+        URL.revokeObjectURL(url);
     },
 
     /**
-     * Sync local storage with database
+     * Send a backup file to the server (admin only)
+     * mode: 'merge' adds what's missing, 'replace' empties each collection in the backup first
+     * dryRun only validates it and returns { counts } per collection
+     */
+    async importBackup(file, { mode = 'merge', dryRun = false } = {}) {
+        const params = new URLSearchParams({ mode });
+        if (dryRun) params.set('dryRun', 'true');
+        if (mode === 'replace') params.set('confirm', 'replace');
+
+        return await this.requestJson(`${CONFIG.api.backupUrl}/import?${params}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: file
+        });
+    },
+
+    // ============================================
+    // AUDIT LOG
+    // ============================================
+
+    /**
+     * Read the server audit log, newest first (admin only)
+     * filters: { username, action, success: 'true' | 'false', from, to, before, limit } - blanks are ignored
+     * Returns { entries, hasMore, usernames, actions }
+     */
+    async getAuditLog(filters = {}) {
+        const params = new URLSearchParams(Object.entries(filters).filter(([, value]) => value));
+        return await this.requestJson(`${CONFIG.api.auditUrl}?${params}`);
+    },
+
+    // ============================================
+    // TRASH
+    // ============================================
+
+    /**
+     * Recently deleted batches in the selected market, newest first
+     * Returns { retentionDays, batches: [{ batchId, reason, deletedAt, deletedBy, expiresAt, count, from, to }] }
+     */
+    async getTrash() {
+        return await this.requestJson(`${CONFIG.api.ratesUrl}/trash?market=${getCurrentMarket().id}`);
+    },
+
+    /**
+     * Put a deleted batch back. Returns { restored, skipped: [dates saved again since] }
+     */
+    async restoreTrash(batchId) {
+        return await this.requestJson(`${CONFIG.api.ratesUrl}/trash/${batchId}/restore`, { method: 'POST' });
+    },
+
+    // ============================================
+    // DATA RETENTION
+    // ============================================
+
+    /**
+     * Retention rules, what applying them would remove, kept dates and collection sizes (admin only)
+     * Returns { retention, preview: { history, rates }, keepers, collections }
+     */
+    async getRetention() {
+        return await this.requestJson(CONFIG.api.retentionUrl);
+    },
+
+    /**
+     * Save the retention rules (admin only) - null keeps that data forever
+     * e.g. { historyMonths: 18, pastRatesDays: 365 }
+     */
+    async saveRetention(retention) {
+        return await this.requestJson(CONFIG.api.retentionUrl, {
+            method: 'PUT',
+            body: JSON.stringify(retention)
+        });
+    },
+
+    /**
+     * Apply the saved retention rules now (admin only)
+     * Returns { ratesRemoved, eventsRolledUp, collections }
+     */
+    async applyRetention() {
+        return await this.requestJson(`${CONFIG.api.retentionUrl}/apply`, { method: 'POST' });
+    },
+
+    /**
+     * Mark a date (selected market and profile) as a keeper that retention never drops (admin only)
+     */
+    async setKeeper(date, keep) {
+        const params = new URLSearchParams(getRateScope());
+        return await this.requestJson(`${CONFIG.api.ratesUrl}/${date}/keep?${params}`, {
+            method: 'PUT',
+            body: JSON.stringify({ keep })
+        });
+    },
+
+    // ============================================
+    // ALERT RULES
+    // ============================================
+
+    /**
+     * Alert rules of the selected market (admin only)
+     * Returns { rules, emailConfigured }
+     */
+    async getAlertRules() {
+        return await this.requestJson(`${CONFIG.api.alertsUrl}/rules?market=${getCurrentMarket().id}`);
+    },
+
+    /**
+     * Create an alert rule in the selected market (admin only)
+     * e.g. { name, type: 'competitor_below', days: 21, threshold: 0, emails: [...], webhookUrl }
+     */
+    async createAlertRule(rule) {
+        return await this.requestJson(`${CONFIG.api.alertsUrl}/rules`, {
+            method: 'POST',
+            body: JSON.stringify({ ...rule, market: getCurrentMarket().id })
+        });
+    },
+
+    /**
+     * Pause/resume or snooze an alert rule (admin only)
+     * changes: { paused } or { snoozeHours } (0 ends a snooze)
+     */
+    async updateAlertRule(ruleId, changes) {
+        return await this.requestJson(`${CONFIG.api.alertsUrl}/rules/${ruleId}`, {
+            method: 'PATCH',
+            body: JSON.stringify(changes)
+        });
+    },
+
+    /**
+     * Delete an alert rule (admin only)
+     */
+    async deleteAlertRule(ruleId) {
+        return await this.requestJson(`${CONFIG.api.alertsUrl}/rules/${ruleId}`, { method: 'DELETE' });
+    },
+
+    /**
+     * Send a test message through a rule's email and webhook (admin only)
+     * Returns { delivery: { email, webhook } }
+     */
+    async testAlertRule(ruleId) {
+        return await this.requestJson(`${CONFIG.api.alertsUrl}/rules/${ruleId}/test`, { method: 'POST' });
+    },
+
+    /**
+     * Alerts fired in the selected market, newest first
+     * Returns { alerts, hasMore } - pass the last alert's id as before for the next page
+     */
+    async getAlerts(before = null) {
+        const params = new URLSearchParams({ market: getCurrentMarket().id });
+        if (before) params.set('before', before);
+        return await this.requestJson(`${CONFIG.api.alertsUrl}?${params}`);
+    },
+
+    // ============================================
+    // DAILY DIGEST
+    // ============================================
+
+    /**
+     * Digest settings of the selected market (admin only)
+     * Returns { digest: { enabled, recipients, time, days, stayProfile, nextSendAt, lastSentAt, lastError },
+     * emailConfigured, schedulerRunning }
+     */
+    async getDigest() {
+        return await this.requestJson(`${CONFIG.api.digestUrl}?market=${getCurrentMarket().id}`);
+    },
+
+    /**
+     * Save the selected market's digest settings (admin only)
+     * e.g. { enabled: true, recipients: ['owner@example.com'], time: '07:00', days: 14, stayProfile: '2a0c1n' }
+     */
+    async saveDigest(digest) {
+        return await this.requestJson(`${CONFIG.api.digestUrl}?market=${getCurrentMarket().id}`, {
+            method: 'PUT',
+            body: JSON.stringify(digest)
+        });
+    },
+
+    /**
+     * Build the selected market's digest without sending it
+     * options: { days, profile } - default to the saved settings. Returns { subject, text, html, data }
+     */
+    async previewDigest(options = {}) {
+        const params = new URLSearchParams({ market: getCurrentMarket().id, ...options });
+        return await this.requestJson(`${CONFIG.api.digestUrl}/preview?${params}`);
+    },
+
+    /**
+     * Email the selected market's digest to its recipients now (admin only)
+     */
+    async sendDigest() {
+        return await this.requestJson(`${CONFIG.api.digestUrl}/send?market=${getCurrentMarket().id}`, { method: 'POST' });
+    },
+
+    // ============================================
+    // SERVER SCHEDULES
+    // ============================================
+
+    /**
+     * Send a JSON request and throw on error responses
+     */
+    async requestJson(url, options = {}) {
+        const response = await Auth.fetch(url, {
+            ...options,
+            headers: { 'Content-Type': 'application/json', ...(options.headers || {}) }
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.problems?.join(', ') || result.error || `Server error: ${response.status}`);
+        }
+        return result;
+    },
+
+    /**
+     * Each hotel's price for one stay date by days before arrival (selected market and profile)
+     * Returns { date, days, snapshotCount, hotels: [{ hotelId, name, points: [{ leadDays, shoppedAt, price }] }] }
+     */
+    async getPickup(date, days = 60) {
+        const params = new URLSearchParams({ ...getRateScope(), days });
+        return await this.requestJson(`${CONFIG.api.pickupUrl}/${date}?${params}`);
+    },
+
+    /**
+     * Price changes as the server detected them, newest first (selected market and profile)
+     * options: { minPercent, from, to, listings, limit, before } - before is the last change's id
+     * Returns { changes: [{ _id, date, hotelId, name, oldPrice, newPrice, changePercent, observedAt }], hasMore }
+     */
+    async getRateChanges(options = {}) {
+        const filters = Object.entries(options).filter(([, value]) => value !== null && value !== undefined && value !== '');
+        const params = new URLSearchParams({ ...getRateScope(), ...Object.fromEntries(filters) });
+        return await this.requestJson(`${CONFIG.api.ratesUrl}/changes?${params}`);
+    },
+
+    /**
+     * Download rates from the server as CSV or Excel (selected market and profile)
+     * options: { from, to, layout: 'long' | 'pivot', format: 'csv' | 'xlsx', tiers: [...], value, history }
+     * history adds a row for every past observation (long layout, needs history:read)
+     */
+    async downloadRatesExport({ tiers, ...options }) {
+        const scope = getRateScope();
+        const params = new URLSearchParams({ ...scope, ...options, tiers: tiers.join(',') });
+        const response = await Auth.fetch(`${CONFIG.api.ratesUrl}/export?${params}`);
+        if (!response.ok) {
+            const result = await response.json();
+            throw new Error(result.problems?.join(', ') || result.error || `Server error: ${response.status}`);
+        }
+
+        const suffix = options.history ? '-history' : '';
+        Storage.downloadFile(await response.blob(),
+            `mackinaw-intel-rates-${scope.market}-${scope.profile}-${options.layout}${suffix}-${options.from}-to-${options.to}.${options.format}`);
+    },
+
+    /**
+     * List refresh schedules
+     */
+    async getSchedules() {
+        return await this.requestJson(`${CONFIG.api.schedulesUrl}?market=${getCurrentMarket().id}`);
+    },
+
+    /**
+     * Create a refresh schedule in the selected market (admin only)
+     * e.g. { name, window: { type: 'next_days', days: 14 }, cadence: { type: 'interval', hours: 6 } }
+     */
+    async createSchedule(schedule) {
+        return await this.requestJson(CONFIG.api.schedulesUrl, {
+            method: 'POST',
+            body: JSON.stringify({ ...schedule, market: getCurrentMarket().id })
+        });
+    },
+
+    /**
+     * Pause or resume a schedule (admin only)
+     */
+    async setSchedulePaused(scheduleId, paused) {
+        return await this.requestJson(`${CONFIG.api.schedulesUrl}/${scheduleId}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ paused })
+        });
+    },
+
+    /**
+     * Delete a schedule (admin only)
+     */
+    async deleteSchedule(scheduleId) {
+        return await this.requestJson(`${CONFIG.api.schedulesUrl}/${scheduleId}`, {
+            method: 'DELETE'
+        });
+    },
+
+    /**
+     * Merge the server's dates into local dates (changed in place), date by date: the newer shop wins
+     * server: { dates, timestamps } from loadFromDatabase(). previouslySynced: date -> timestamp
+     * of the last sync, so dates deleted on the server since are removed here.
+     * Returns { synced, toPush, counts: { pulled, removed, unchanged } }
+     */
+    mergeSyncDates(dates, server, previouslySynced = {}) {
+        const isNewer = (a, b) => (Date.parse(a) || 0) > (Date.parse(b) || 0);
+        const synced = {};
+        const toPush = {};
+        const counts = { pulled: 0, removed: 0, unchanged: 0 };
+        
+        Object.entries(server.timestamps).forEach(([date, serverTimestamp]) => {
+            const local = dates[date];
+            const pulled = server.dates[date];
+            if (pulled && (!local || isNewer(pulled.timestamp, local.timestamp))) {
+                dates[date] = pulled;
+                synced[date] = pulled.timestamp;
+                counts.pulled++;
+            } else if (local && isNewer(local.timestamp, serverTimestamp)) {
+                toPush[date] = local;
+            } else {
+                synced[date] = serverTimestamp;
+                counts.unchanged++;
+            }
+        });
+        
+        Object.entries(dates)
+            .filter(([date]) => !(date in server.timestamps))
+            .forEach(([date, local]) => {
+                // Synced before and not reshopped here since: it was deleted on the server
+                if (date in previouslySynced && !isNewer(local.timestamp, previouslySynced[date])) {
+                    delete dates[date];
+                    counts.removed++;
+                } else {
+                    toPush[date] = local;
+                }
+            });
+        
+        return { synced, toPush, counts };
+    },
+
+    /**
+     * Sync local storage with database, date by date: the newer shop wins
+     * 
+     * Only dates saved since the last sync are downloaded. Local dates the database
+     * lacks or has an older shop for are pushed up; dates deleted from the database
+     * since the last sync are removed locally. Returns the sync report, or false
+     * if the database couldn't be reached or has nothing to sync with demo data
      */
     async syncWithDatabase() {
-        // Load from database
-        const dbData = await this.loadFromDatabase();
+        const localData = Storage.loadData() || { dates: {} };
+        const sync = localData.sync || { lastSyncAt: null, synced: {} };
         
-        if (dbData && Object.keys(dbData).length > 0) {
-            // Merge with local data (database takes priority for same dates)
-            const localData = Storage.loadData() || { dates: {} };
-            const mergedDates = { ...localData.dates, ...dbData };
-            
-            localData.dates = mergedDates;
-            localData.isDemo = false;
-            localData.dataVersion = '2.0';
-            Storage.saveData(localData);
-            
-            console.log(`🔄 Synced: ${Object.keys(mergedDates).length} total dates`);
-            return true;
+        let server = await this.loadFromDatabase(sync.lastSyncAt);
+        if (!server) return false;
+        
+        // Demo data is never pushed, and gives way to real data
+        const serverDateKeys = Object.keys(server.timestamps);
+        if (localData.isDemo && serverDateKeys.length === 0) return false;
+        const dates = localData.isDemo ? {} : { ...localData.dates };
+        
+        // Dates missing here that didn't change on the server need a full download
+        const missing = serverDateKeys.filter(date => !dates[date] && !server.dates[date]);
+        if (sync.lastSyncAt && missing.length > 0) {
+            const full = await this.loadFromDatabase();
+            if (!full) return false;
+            server = full;
         }
-        return false;
+        
+        const { synced, toPush, counts } = this.mergeSyncDates(dates, server, sync.synced);
+        const report = {
+            at: new Date().toISOString(),
+            incremental: !!sync.lastSyncAt && missing.length === 0,
+            ...counts, pushed: 0, rejected: 0
+        };
+        
+        const saved = await this.saveBulkToDatabase(toPush);
+        saved.forEach(date => { synced[date] = toPush[date].timestamp; });
+        report.pushed = saved.length;
+        report.rejected = Object.keys(toPush).length - saved.length;
+        
+        localData.dates = dates;
+        localData.isDemo = false;
+        localData.dataVersion = '2.0';
+        localData.sync = { lastSyncAt: server.serverTime, synced, lastReport: report };
+        Storage.saveData(localData);
+        
+        console.log(`🔄 Synced: ${report.pulled} pulled, ${report.pushed} pushed, ${report.removed} removed, ${report.rejected} rejected, ${report.unchanged} unchanged`);
+        return report;
     }
 };
@@ -16,8 +16,23 @@ const App = {
         console.log('🏨 Mackinaw Intel - Initializing...');
 
         try {
+            // Load the user's current role before showing any controls
+            await Auth.refreshUser();
+            
+            // Load the markets, then the selected market's season so month
+            // navigation matches the server
+            await API.loadMarkets();
+            await API.loadSeason();
+
+            // Load the stay profiles the server shops
+            await API.loadStayProfiles();
+
+            // Load the hotel registry (our hotels and competitor sets)
+            await API.loadHotelRegistry();
+
             // Initialize UI first
             UI.init();
+            UI.applyPermissions();
             Charts.init();
 
             // Check for existing data and validate it
@@ -96,8 +111,9 @@ const App = {
             // Update header stats
             UI.updateHeaderStats();
 
-            // Always start on May 2026
-            UI.selectMonth(2026, 5);
+            // Start on the current (or next) season month
+            const { year, month } = getDefaultSeasonMonth();
+            UI.selectMonth(year, month);
 
             // Update activity feed
             UI.updateActivityFeed();
@@ -106,7 +122,8 @@ const App = {
             console.log('📭 No rate data yet. User needs to load rates.');
             
             // Set default month view
-            UI.selectMonth(2026, 5);
+            const { year, month } = getDefaultSeasonMonth();
+            UI.selectMonth(year, month);
             
             // Update header with defaults
             if (UI.elements.totalHotels) UI.elements.totalHotels.textContent = '15';
@@ -121,6 +138,43 @@ const App = {
         UI.updateMonthDataBanner();
     },
 
+    /**
+     * Switch every page to another market: its season, hotels and rates
+     */
+    async switchMarket(marketId) {
+        Storage.setMarketId(marketId);
+        const market = getCurrentMarket();
+        UI.showToast(`Showing ${market.name}`, 'info');
+
+        await API.loadSeason();
+        await API.loadHotelRegistry();
+        UI.applyMarket();
+        UI.applyPermissions();
+
+        await API.syncWithDatabase();
+        this.loadExistingData();
+
+        if (UI.currentPage === 'settings') {
+            UI.navigateTo('settings');
+        }
+    },
+
+    /**
+     * Switch the dashboard to another stay profile and reload its rates
+     */
+    async switchStayProfile(profileId) {
+        Storage.setStayProfileId(profileId);
+        const profile = getCurrentStayProfile();
+        UI.showToast(`Showing rates for ${profile.label}`, 'info');
+
+        await API.syncWithDatabase();
+        this.loadExistingData();
+
+        if (UI.currentPage === 'settings') {
+            UI.checkServerJobs();
+        }
+    },
+
     /**
      * Initialize empty data structure (no demo data)
      */
@@ -174,11 +228,21 @@ const App = {
     },
 
     /**
-     * Export current view as PDF (simplified version)
+     * Download a PDF report
+     * options: { type: 'dashboard' | 'month' | 'competitors' | 'myhotels', from, to }
+     * Returns true once the file is saved
      */
-    exportPDF() {
-        // This would typically use a library like jsPDF or html2pdf
-        UI.showToast('PDF export coming soon!', 'info');
+    exportPDF(options) {
+        try {
+            const doc = Reports.build(options);
+            doc.save(Reports.fileName(options));
+            UI.showToast('PDF report downloaded', 'success');
+            return true;
+        } catch (error) {
+            console.error('PDF export failed:', error);
+            UI.showToast('Could not build the PDF: ' + error.message, 'error');
+            return false;
+        }
     },
 
     /**
@@ -336,16 +400,18 @@ const App = {
     }
 };
 
-// Initialize when DOM is ready
-document.addEventListener('DOMContentLoaded', () => {
-    App.init();
-});
+// App.init() is started by Auth.showApp() once the user has a valid session
 
 // Handle visibility change (refresh data when tab becomes visible)
 document.addEventListener('visibilitychange', () => {
     if (!document.hidden && App.isInitialized) {
-        // Optionally refresh stats when user returns to tab
-        UI.updateHeaderStats();
+        // Pick up hotel registry changes made on another device
+        const registryState = () => JSON.stringify(Object.values(CONFIG.hotelRegistry?.byId || {})
+            .map(hotel => [hotel.id, hotel.name, hotel.classification, hotel.aliases]));
+        const before = registryState();
+        API.loadHotelRegistry().then(() => {
+            if (registryState() !== before) App.loadExistingData();
+        });
     }
 });
 
@@ -1,24 +1,16 @@
 /**
  * Mackinaw Intel - Authentication Module
- * Simple client-side authentication
+ * Logs in against the Render server and keeps the session token
  * 
- * NOTE: For production, use server-side authentication!
- * This is a basic protection layer for casual access prevention.
+ * Accounts live in MongoDB (see server/server.js). The token returned
+ * by /api/auth/login is sent as a Bearer header with every API call.
  */
 
 const Auth = {
-    // Authorized users (username: password hash)
-    // To add users: Auth.hashPassword('yourpassword') in console, then add here
-    users: {
-        'admin': '8c6976e5b5410415bde908bd4dee15dfb167a9c873fc4bb8a81f6f2ab448a918', // admin
-        'kevin': '1c8bfe8f801d79745c4631d09fff36c82aa37fc4cce4fc946683d7b336b63032'  // kevin123
-    },
-
     // Session storage key
     SESSION_KEY: 'mackinawIntelSession',
-    
-    // Session duration (24 hours in milliseconds)
-    SESSION_DURATION: 24 * 60 * 60 * 1000,
+    // Identifies this browser in the server's audit log
+    DEVICE_KEY: 'mackinawIntelDeviceId',
 
     /**
      * Initialize authentication
@@ -66,84 +58,175 @@ const Auth = {
             return;
         }
 
-        // Hash password and check
-        const hashedPassword = await this.hashPassword(password);
-        
-        if (this.users[username] && this.users[username] === hashedPassword) {
-            // Success - create session
-            this.createSession(username);
-            this.showApp();
-        } else {
-            // Failed
-            errorEl.textContent = 'Invalid username or password';
-            document.getElementById('login-password').value = '';
-        }
-    },
+        try {
+            const response = await fetch(`${CONFIG.api.authUrl}/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json', 'X-Device-Id': this.getDeviceId() },
+                body: JSON.stringify({ username, password })
+            });
+            const result = await response.json();
 
-    /**
-     * Hash password using SHA-256
-     */
-    async hashPassword(password) {
-        const encoder = new TextEncoder();
-        const data = encoder.encode(password);
-        const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-        const hashArray = Array.from(new Uint8Array(hashBuffer));
-        return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
+            if (response.ok && result.success) {
+                // Success - create session
+                this.createSession(result);
+                this.showApp();
+            } else if (response.status === 401) {
+                // Failed
+                errorEl.textContent = 'Invalid username or password';
+                document.getElementById('login-password').value = '';
+            } else {
+                errorEl.textContent = result.error || 'Login failed. Please try again.';
+            }
+        } catch (error) {
+            console.error('Login error:', error.message);
+            errorEl.textContent = 'Could not reach the server. It may be waking up - try again in a minute.';
+        }
     },
 
     /**
-     * Create login session
+     * Create login session from the server's login response
      */
-    createSession(username) {
+    createSession(loginResult) {
         const session = {
-            username: username,
+            username: loginResult.user.username,
+            role: loginResult.user.role,
+            permissions: loginResult.user.permissions || [],
+            token: loginResult.token,
             loginTime: Date.now(),
-            expiresAt: Date.now() + this.SESSION_DURATION
+            expiresAt: new Date(loginResult.expiresAt).getTime()
         };
         localStorage.setItem(this.SESSION_KEY, JSON.stringify(session));
     },
 
     /**
-     * Check if user is logged in with valid session
+     * Get the stored session (or null)
      */
-    isLoggedIn() {
+    getSession() {
         const sessionData = localStorage.getItem(this.SESSION_KEY);
-        if (!sessionData) return false;
+        if (!sessionData) return null;
 
         try {
-            const session = JSON.parse(sessionData);
-            
-            // Check if session expired
-            if (Date.now() > session.expiresAt) {
-                this.logout();
-                return false;
-            }
-            
-            return true;
+            return JSON.parse(sessionData);
         } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Get the session token for API calls
+     */
+    getToken() {
+        return this.getSession()?.token || null;
+    },
+
+    /**
+     * This browser's id for the audit log (created on first use, kept across logins)
+     */
+    getDeviceId() {
+        let deviceId = localStorage.getItem(this.DEVICE_KEY);
+        if (!deviceId) {
+            deviceId = crypto.randomUUID ? crypto.randomUUID() : `device-${Date.now()}-${Math.random().toString(36).slice(2)}`;
+            localStorage.setItem(this.DEVICE_KEY, deviceId);
+        }
+        return deviceId;
+    },
+
+    /**
+     * Check whether the current user's role allows an action
+     * e.g. Auth.can('rates:clear')
+     */
+    can(permission) {
+        return (this.getSession()?.permissions || []).includes(permission);
+    },
+
+    /**
+     * Reload role and permissions from the server
+     * (an admin may have changed them since login)
+     */
+    async refreshUser() {
+        try {
+            const response = await this.fetch(`${CONFIG.api.authUrl}/me`);
+            const result = await response.json();
+            const session = this.getSession();
+
+            if (result.success && session) {
+                session.role = result.user.role;
+                session.permissions = result.user.permissions;
+                localStorage.setItem(this.SESSION_KEY, JSON.stringify(session));
+            }
+        } catch (error) {
+            console.warn('Could not refresh user permissions:', error.message);
+        }
+    },
+
+    /**
+     * fetch() wrapper that sends the session token
+     * An expired/invalid session sends the user back to the login screen
+     */
+    async fetch(url, options = {}) {
+        const token = this.getToken();
+        const headers = { 'X-Device-Id': this.getDeviceId(), ...(options.headers || {}) };
+        if (token) {
+            headers['Authorization'] = `Bearer ${token}`;
+        }
+
+        const response = await fetch(url, { ...options, headers });
+
+        if (response.status === 401) {
+            console.warn('🔒 Session expired - please log in again');
+            this.endSession();
+        }
+
+        return response;
+    },
+
+    /**
+     * Check if user is logged in with valid session
+     */
+    isLoggedIn() {
+        const session = this.getSession();
+        
+        // Sessions from the old client-side login have no token
+        if (!session || !session.token) return false;
+        
+        // Check if session expired
+        if (Date.now() > session.expiresAt) {
+            localStorage.removeItem(this.SESSION_KEY);
             return false;
         }
+        
+        return true;
     },
 
     /**
      * Get current user
      */
     getCurrentUser() {
-        const sessionData = localStorage.getItem(this.SESSION_KEY);
-        if (!sessionData) return null;
-        
-        try {
-            const session = JSON.parse(sessionData);
-            return session.username;
-        } catch {
-            return null;
+        return this.getSession()?.username || null;
+    },
+
+    /**
+     * Logout user (also ends the session on the server)
+     */
+    async logout() {
+        const token = this.getToken();
+        if (token) {
+            try {
+                await fetch(`${CONFIG.api.authUrl}/logout`, {
+                    method: 'POST',
+                    headers: { 'Authorization': `Bearer ${token}` }
+                });
+            } catch (error) {
+                console.warn('Logout request failed:', error.message);
+            }
         }
+        this.endSession();
     },
 
     /**
-     * Logout user
+     * Drop the local session and return to the login screen
      */
-    logout() {
+    endSession() {
         localStorage.removeItem(this.SESSION_KEY);
         this.showLogin();
         window.location.reload();
@@ -194,14 +277,19 @@ const Auth = {
     },
 
     /**
-     * Add a new user (for admin use in console)
-     * Usage: Auth.addUser('username', 'password')
+     * Add a new user account on the server (for admin use in console)
+     * Usage: Auth.addUser('username', 'password', 'revenue_manager')
+     * Roles: 'viewer' (default), 'revenue_manager', 'admin'
      */
-    async addUser(username, password) {
-        const hash = await this.hashPassword(password);
-        console.log(`Add this to Auth.users:`);
-        console.log(`'${username.toLowerCase()}': '${hash}'`);
-        return hash;
+    async addUser(username, password, role = 'viewer') {
+        const response = await this.fetch(CONFIG.api.usersUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ username, password, role })
+        });
+        const result = await response.json();
+        console.log(result.success ? `👤 Created user: ${result.user.username}` : `❌ ${result.error}`);
+        return result;
     }
 };
 
@@ -51,16 +51,17 @@ const Charts = {
 
     /**
      * Create the main rate trend chart
+     * key: slot in Charts.instances (reports render into their own)
      */
-    createRateTrendChart(ctx, data) {
-        if (this.instances.rateTrend) {
-            this.instances.rateTrend.destroy();
+    createRateTrendChart(ctx, data, key = 'rateTrend') {
+        if (this.instances[key]) {
+            this.instances[key].destroy();
         }
 
         const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary').trim();
         const gridColor = getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim();
 
-        this.instances.rateTrend = new Chart(ctx, {
+        this.instances[key] = new Chart(ctx, {
             type: 'line',
             data: {
                 labels: data.labels,
@@ -143,21 +144,22 @@ const Charts = {
             }
         });
 
-        return this.instances.rateTrend;
+        return this.instances[key];
     },
 
     /**
      * Create price distribution histogram
+     * key: slot in Charts.instances (reports render into their own)
      */
-    createPriceDistributionChart(ctx, data) {
-        if (this.instances.priceDistribution) {
-            this.instances.priceDistribution.destroy();
+    createPriceDistributionChart(ctx, data, key = 'priceDistribution') {
+        if (this.instances[key]) {
+            this.instances[key].destroy();
         }
 
         const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary').trim();
         const gridColor = getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim();
 
-        this.instances.priceDistribution = new Chart(ctx, {
+        this.instances[key] = new Chart(ctx, {
             type: 'bar',
             data: {
                 labels: data.labels,
@@ -226,21 +228,22 @@ const Charts = {
             }
         });
 
-        return this.instances.priceDistribution;
+        return this.instances[key];
     },
 
     /**
      * Create comparison chart (your hotels vs market)
+     * key: slot in Charts.instances (reports render into their own)
      */
-    createComparisonChart(ctx, data) {
-        if (this.instances.comparison) {
-            this.instances.comparison.destroy();
+    createComparisonChart(ctx, data, key = 'comparison') {
+        if (this.instances[key]) {
+            this.instances[key].destroy();
         }
 
         const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary').trim();
         const gridColor = getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim();
 
-        this.instances.comparison = new Chart(ctx, {
+        this.instances[key] = new Chart(ctx, {
             type: 'bar',
             data: {
                 labels: data.labels,
@@ -318,46 +321,35 @@ const Charts = {
             }
         });
 
-        return this.instances.comparison;
+        return this.instances[key];
     },
 
     /**
      * Create market position chart (line chart showing rank over time)
+     * key: slot in Charts.instances (reports render into their own)
      */
-    createPositionChart(ctx, data) {
-        if (this.instances.position) {
-            this.instances.position.destroy();
+    createPositionChart(ctx, data, key = 'position') {
+        if (this.instances[key]) {
+            this.instances[key].destroy();
         }
 
         const textColor = getComputedStyle(document.documentElement).getPropertyValue('--text-secondary').trim();
         const gridColor = getComputedStyle(document.documentElement).getPropertyValue('--border-color').trim();
 
-        this.instances.position = new Chart(ctx, {
+        this.instances[key] = new Chart(ctx, {
             type: 'line',
             data: {
                 labels: data.labels,
-                datasets: [
-                    {
-                        label: 'Riviera Motel',
-                        data: data.riviera,
-                        borderColor: CONFIG.chartColors.primary,
-                        backgroundColor: 'transparent',
-                        borderWidth: 2,
-                        tension: 0.3,
-                        pointRadius: 3,
-                        pointHoverRadius: 5
-                    },
-                    {
-                        label: 'American Boutique Inn',
-                        data: data.american,
-                        borderColor: CONFIG.chartColors.success,
-                        backgroundColor: 'transparent',
-                        borderWidth: 2,
-                        tension: 0.3,
-                        pointRadius: 3,
-                        pointHoverRadius: 5
-                    }
-                ]
+                datasets: data.properties.map((property, index) => ({
+                    label: property.name,
+                    data: property.ranks,
+                    borderColor: CONFIG.chartColors.properties[index % CONFIG.chartColors.properties.length],
+                    backgroundColor: 'transparent',
+                    borderWidth: 2,
+                    tension: 0.3,
+                    pointRadius: 3,
+                    pointHoverRadius: 5
+                }))
             },
             options: {
                 responsive: true,
@@ -412,7 +404,7 @@ const Charts = {
             }
         });
 
-        return this.instances.position;
+        return this.instances[key];
     },
 
     /**
@@ -442,7 +434,7 @@ const Charts = {
             labels.push(`${monthNames[d.getMonth()]} ${d.getDate()}`);
 
             // Calculate your hotels average
-            const yourHotelData = dateData.hotels.filter(h => isYourHotel(h.name));
+            const yourHotelData = dateData.hotels.filter(h => isYourHotel(h));
             const yourPrices = yourHotelData.map(h => h.price).filter(p => p > 0);
             const yourAvg = yourPrices.length > 0 
                 ? Math.round(yourPrices.reduce((a, b) => a + b, 0) / yourPrices.length) 
@@ -492,7 +484,7 @@ const Charts = {
 
         // Find bins containing your hotels
         const yourHotelPrices = dateData.hotels
-            .filter(h => isYourHotel(h.name))
+            .filter(h => isYourHotel(h))
             .map(h => h.price);
         
         const yourHotelBins = [];
@@ -530,7 +522,7 @@ const Charts = {
             labels.push(`${MONTH_NAMES_SHORT[d.getMonth()]} ${d.getDate()}`);
 
             // Your hotels average
-            const yourHotelData = dateData.hotels.filter(h => isYourHotel(h.name));
+            const yourHotelData = dateData.hotels.filter(h => isYourHotel(h));
             const yourPrices = yourHotelData.map(h => h.price).filter(p => p > 0);
             yourHotels.push(yourPrices.length > 0 
                 ? Math.round(yourPrices.reduce((a, b) => a + b, 0) / yourPrices.length) 
@@ -555,8 +547,7 @@ const Charts = {
         const recentDates = limit ? dates.slice(-limit) : dates;
 
         const labels = [];
-        const riviera = [];
-        const american = [];
+        const properties = getOurProperties().map(property => ({ name: property.name, property, ranks: [] }));
 
         recentDates.forEach(date => {
             const dateData = datesData[date];
@@ -570,17 +561,14 @@ const Charts = {
                 .filter(h => h.price && h.price > 0)
                 .sort((a, b) => a.price - b.price);
 
-            // Find rank of each hotel
-            const rivieraHotel = sortedHotels.findIndex(h => 
-                h.name && h.name.toLowerCase().includes('riviera'));
-            const americanHotel = sortedHotels.findIndex(h => 
-                h.name && h.name.toLowerCase().includes('american boutique'));
-
-            riviera.push(rivieraHotel !== -1 ? rivieraHotel + 1 : null);
-            american.push(americanHotel !== -1 ? americanHotel + 1 : null);
+            // Find rank of each of your properties
+            properties.forEach(p => {
+                const rank = sortedHotels.findIndex(h => isProperty(h, p.property));
+                p.ranks.push(rank !== -1 ? rank + 1 : null);
+            });
         });
 
-        return { labels, riviera, american };
+        return { labels, properties };
     },
 
     /**
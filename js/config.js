@@ -14,12 +14,30 @@ const CONFIG = {
         // Render Proxy URL (secure - API key stored on server)
         proxyUrl: 'https://hotel-intel-api-awb4.onrender.com/api/hotels',
         accountUrl: 'https://hotel-intel-api-awb4.onrender.com/api/account',
+        budgetUrl: 'https://hotel-intel-api-awb4.onrender.com/api/account/budget',
         
         // Database endpoints
         ratesUrl: 'https://hotel-intel-api-awb4.onrender.com/api/rates',
         summaryUrl: 'https://hotel-intel-api-awb4.onrender.com/api/rates/summary',
+        pickupUrl: 'https://hotel-intel-api-awb4.onrender.com/api/rates/pickup',
+        autoRefreshUrl: 'https://hotel-intel-api-awb4.onrender.com/api/auto-refresh',
+        seasonUrl: 'https://hotel-intel-api-awb4.onrender.com/api/season',
+        stayProfilesUrl: 'https://hotel-intel-api-awb4.onrender.com/api/stay-profiles',
+        marketsUrl: 'https://hotel-intel-api-awb4.onrender.com/api/markets',
+        hotelRegistryUrl: 'https://hotel-intel-api-awb4.onrender.com/api/hotel-registry',
+        jobsUrl: 'https://hotel-intel-api-awb4.onrender.com/api/jobs',
+        schedulesUrl: 'https://hotel-intel-api-awb4.onrender.com/api/schedules',
+        backupUrl: 'https://hotel-intel-api-awb4.onrender.com/api/backup',
+        auditUrl: 'https://hotel-intel-api-awb4.onrender.com/api/audit',
+        retentionUrl: 'https://hotel-intel-api-awb4.onrender.com/api/maintenance/retention',
+        alertsUrl: 'https://hotel-intel-api-awb4.onrender.com/api/alerts',
+        digestUrl: 'https://hotel-intel-api-awb4.onrender.com/api/digest',
         
-        // API provider
+        // Account endpoints
+        authUrl: 'https://hotel-intel-api-awb4.onrender.com/api/auth',
+        usersUrl: 'https://hotel-intel-api-awb4.onrender.com/api/users',
+        
+        // API provider (for reference - the server's RATE_PROVIDER decides)
         provider: 'searchapi',
         
         // Default search params
@@ -29,7 +47,7 @@ const CONFIG = {
         }
     },
 
-    // Map settings - Mackinaw City center
+    // Map settings - Mackinaw City center (moved to the selected market's center on startup)
     map: {
         center: [45.7833, -84.7278],
         zoom: 15
@@ -38,6 +56,7 @@ const CONFIG = {
     // ===========================================
     // HOTEL COORDINATES (GPS locations in Mackinaw City)
     // Based on actual addresses on North/South Huron Ave
+    // Fallback only - registry pins (Settings → Hotels) win
     // ===========================================
     hotelCoordinates: {
         // Your Hotels
@@ -89,6 +108,8 @@ const CONFIG = {
 
     // ===========================================
     // YOUR HOTELS (2)
+    // The lists below are only used when the hotel registry
+    // can't be loaded - manage hotels in Settings → Hotels
     // ===========================================
     yourHotels: {
         'Riviera Motel': {
@@ -134,22 +155,52 @@ const CONFIG = {
         intervalDays: 15,
         storageKey: 'mackinawIntelData',
         lastUpdateKey: 'mackinawIntelLastUpdate',
-        settingsKey: 'mackinawIntelSettings'
+        settingsKey: 'mackinawIntelSettings',
+        stayProfileKey: 'mackinawIntelStayProfile',
+        marketKey: 'mackinawIntelMarket'
     },
 
-    // Date Range for Data Collection (May - October 2026)
-    dateRange: {
-        startMonth: 5,
-        startYear: 2026,
-        monthsToCollect: 6 // May, June, July, August, September, October
+    // Season for Data Collection
+    // Defaults only - replaced by the server's season on startup (API.loadSeason)
+    season: {
+        startDate: '2026-05-01',
+        endDate: '2026-10-31',
+        rollingDays: null
     },
 
+    // Occupancy / length-of-stay combinations rates are shopped for
+    // Defaults only - replaced by the server's list on startup (API.loadStayProfiles)
+    // arrivalDays: weekdays (0 = Sunday) a multi-night profile is fetched for
+    stayProfiles: [
+        { id: '2a0c1n', label: '2 adults, 1 night', adults: 2, children: 0, nights: 1 },
+        { id: '1a0c1n', label: '1 adult, 1 night', adults: 1, children: 0, nights: 1 },
+        { id: '2a2c1n', label: 'Family (2+2), 1 night', adults: 2, children: 2, nights: 1 },
+        { id: '2a0c2n', label: '2 adults, 2-night weekend', adults: 2, children: 0, nights: 2, arrivalDays: [5] },
+        { id: '2a0c3n', label: '2 adults, 3-night weekend', adults: 2, children: 0, nights: 3, arrivalDays: [4, 5] }
+    ],
+    defaultStayProfile: '2a0c1n',
+
+    // Areas rates are shopped in - rates, hotels, schedules and the season are per market
+    // Defaults only - replaced by the server's list on startup (API.loadMarkets)
+    // boundingBox is [min_lng, min_lat, max_lng, max_lat]
+    markets: [
+        { id: 'mackinaw-city', name: 'Mackinaw City', boundingBox: [-84.78, 45.77, -84.71, 45.80], timezone: 'America/New_York' }
+    ],
+    defaultMarket: 'mackinaw-city',
+
+    // Server's hotel registry, keyed by property_token (API.loadHotelRegistry)
+    // { byId: { token: entry }, byName: { 'lowercase name or alias': entry } }
+    // While it's null, hotels are classified by the name lists below
+    hotelRegistry: null,
+
     // UI Settings
     ui: {
         defaultTheme: 'dark',
         animationsEnabled: true,
         toastDuration: 4000,
-        defaultLanguage: 'en'
+        defaultLanguage: 'en',
+        // Price Alerts list rate changes of at least this many percent
+        priceAlertPercent: 15
     },
 
     // Chart Colors
@@ -161,6 +212,7 @@ const CONFIG = {
         danger: '#ef4444',            // Red - Negative changes
         competitor: '#8b5cf6',        // Purple - Tracked competitors
         directCompetitor: '#f97316',  // Orange - Direct competitors
+        properties: ['#fbbf24', '#10b981', '#38bdf8', '#f472b6'], // One per property of ours
         grid: 'rgba(148, 163, 184, 0.2)'
     },
 
@@ -414,10 +466,44 @@ function getLanguage() {
 // HELPER FUNCTIONS
 // ===========================================
 
+/**
+ * Lowercase, trimmed, single-spaced name (matches the server's alias lookups)
+ */
+function normalizeHotelName(name) {
+    return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Find a hotel's registry entry by hotelId, or by its exact name or alias
+ * Accepts a hotel record or a name
+ */
+function findRegisteredHotel(hotelOrName) {
+    const registry = CONFIG.hotelRegistry;
+    if (!registry || !hotelOrName) return null;
+    
+    if (typeof hotelOrName === 'object' && hotelOrName.hotelId) {
+        return registry.byId[hotelOrName.hotelId] || null;
+    }
+    const name = typeof hotelOrName === 'object' ? hotelOrName.name : hotelOrName;
+    return registry.byName[normalizeHotelName(name)] || null;
+}
+
+/**
+ * Name used by the fallback name lists
+ */
+function hotelNameOf(hotelOrName) {
+    return typeof hotelOrName === 'object' && hotelOrName ? hotelOrName.name : hotelOrName;
+}
+
 /**
  * Check if a hotel is one of YOUR properties
+ * Accepts a hotel record or a name
  */
-function isYourHotel(hotelName) {
+function isYourHotel(hotelOrName) {
+    const entry = findRegisteredHotel(hotelOrName);
+    if (entry) return entry.classification === 'yours';
+    
+    const hotelName = hotelNameOf(hotelOrName);
     if (!hotelName) return false;
     const normalized = hotelName.toLowerCase().trim();
     
@@ -431,7 +517,11 @@ function isYourHotel(hotelName) {
 /**
  * Check if a hotel is a DIRECT competitor (closest competition)
  */
-function isDirectCompetitor(hotelName) {
+function isDirectCompetitor(hotelOrName) {
+    const entry = findRegisteredHotel(hotelOrName);
+    if (entry) return entry.classification === 'direct';
+    
+    const hotelName = hotelNameOf(hotelOrName);
     if (!hotelName) return false;
     const normalized = hotelName.toLowerCase().trim();
     
@@ -441,9 +531,13 @@ function isDirectCompetitor(hotelName) {
 }
 
 /**
- * Check if a hotel is a tracked competitor
+ * Check if a hotel is a tracked competitor (direct competitors included)
  */
-function isTrackedCompetitor(hotelName) {
+function isTrackedCompetitor(hotelOrName) {
+    const entry = findRegisteredHotel(hotelOrName);
+    if (entry) return entry.classification === 'direct' || entry.classification === 'tracked';
+    
+    const hotelName = hotelNameOf(hotelOrName);
     if (!hotelName) return false;
     const normalized = hotelName.toLowerCase().trim();
     
@@ -455,36 +549,101 @@ function isTrackedCompetitor(hotelName) {
 /**
  * Check if hotel should be highlighted (your hotel OR tracked competitor)
  */
-function isTrackedHotel(hotelName, onlyYours = false) {
+function isTrackedHotel(hotelOrName, onlyYours = false) {
     if (onlyYours) {
-        return isYourHotel(hotelName);
+        return isYourHotel(hotelOrName);
     }
-    return isYourHotel(hotelName) || isTrackedCompetitor(hotelName);
+    return isYourHotel(hotelOrName) || isTrackedCompetitor(hotelOrName);
 }
 
 /**
  * Get hotel category for styling
  * Returns: 'yours', 'direct', 'competitor', or 'market'
  */
-function getHotelCategory(hotelName) {
-    if (isYourHotel(hotelName)) return 'yours';
-    if (isDirectCompetitor(hotelName)) return 'direct';
-    if (isTrackedCompetitor(hotelName)) return 'competitor';
+function getHotelCategory(hotelOrName) {
+    if (isYourHotel(hotelOrName)) return 'yours';
+    if (isDirectCompetitor(hotelOrName)) return 'direct';
+    if (isTrackedCompetitor(hotelOrName)) return 'competitor';
     return 'market';
 }
 
 /**
- * Get hotel ID by name
+ * Registry tier of a hotel: 'yours', 'direct', 'tracked' or 'market'
+ * (the server's classification names, as used by exports)
  */
-function getHotelId(hotelName) {
-    if (!hotelName) return null;
-    const normalized = hotelName.toLowerCase().trim();
-    
-    for (const [name, data] of Object.entries(CONFIG.yourHotels)) {
-        if (normalized === name.toLowerCase()) return data.id;
-        if (data.aliases.some(alias => normalized.includes(alias))) return data.id;
+function getHotelTier(hotelOrName) {
+    const category = getHotelCategory(hotelOrName);
+    return category === 'competitor' ? 'tracked' : category;
+}
+
+/**
+ * Our properties in the current market, each analysed on its own
+ * Returns [{ id, name, aliases, competitorSet }] from the registry,
+ * or from CONFIG.yourHotels (id: null) when the registry isn't loaded
+ */
+function getOurProperties() {
+    const registry = CONFIG.hotelRegistry;
+    if (registry) {
+        return Object.values(registry.byId)
+            .filter(hotel => hotel.classification === 'yours')
+            .map(hotel => ({ id: hotel.id, name: hotel.name, aliases: hotel.aliases, competitorSet: hotel.competitorSet || [] }))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+    return Object.entries(CONFIG.yourHotels).map(([name, data]) => ({ 
+        id: null, name, aliases: data.aliases, competitorSet: [] 
+    }));
+}
+
+/**
+ * Check if a hotel record (or name) is the given property
+ */
+function isProperty(hotelOrName, property) {
+    if (property.id) {
+        return findRegisteredHotel(hotelOrName)?.id === property.id;
+    }
+    const normalized = normalizeHotelName(hotelNameOf(hotelOrName));
+    if (!normalized) return false;
+    return normalized === normalizeHotelName(property.name) || 
+        property.aliases.some(alias => normalized.includes(alias));
+}
+
+/**
+ * A property's priced hotel record in a list of hotels, or null
+ */
+function findPropertyRate(hotels, property) {
+    return (hotels || []).find(h => h.price > 0 && isProperty(h, property)) || null;
+}
+
+/**
+ * Check if a hotel is in a property's competitor set
+ * (the registry's competitorSet, or every direct competitor when it has none)
+ */
+function isInCompetitorSet(hotelOrName, property) {
+    if (property.competitorSet.length > 0) {
+        const entry = findRegisteredHotel(hotelOrName);
+        return !!entry && property.competitorSet.includes(entry.id);
     }
-    return null;
+    return isDirectCompetitor(hotelOrName);
+}
+
+/**
+ * Get a hotel's registry id (property_token) by name or alias
+ */
+function getHotelId(hotelName) {
+    return findRegisteredHotel(hotelName)?.id || null;
+}
+
+/**
+ * Escape text for use in innerHTML, including attribute values
+ * (server data such as hotel names, usernames and audit details)
+ */
+function escapeHtml(value) {
+    return String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
 }
 
 /**
@@ -550,6 +709,90 @@ function getDatesInMonth(year, month) {
     return dates;
 }
 
+/**
+ * Get the months in the season as [{ year, month }, ...]
+ */
+function getSeasonMonths() {
+    const [startYear, startMonth] = CONFIG.season.startDate.split('-').map(Number);
+    const [endYear, endMonth] = CONFIG.season.endDate.split('-').map(Number);
+    
+    const months = [];
+    let year = startYear;
+    let month = startMonth;
+    while (year < endYear || (year === endYear && month <= endMonth)) {
+        months.push({ year, month });
+        month++;
+        if (month > 12) { month = 1; year++; }
+    }
+    return months;
+}
+
+/**
+ * Get every date in the season (YYYY-MM-DD)
+ */
+function getSeasonDates() {
+    return getSeasonMonths()
+        .flatMap(({ year, month }) => getDatesInMonth(year, month))
+        .filter(date => date >= CONFIG.season.startDate && date <= CONFIG.season.endDate);
+}
+
+/**
+ * The stay profile the dashboards are showing (falls back to the default)
+ */
+function getCurrentStayProfile() {
+    const selected = Storage.getStayProfileId();
+    return CONFIG.stayProfiles.find(profile => profile.id === selected) ||
+           CONFIG.stayProfiles.find(profile => profile.id === CONFIG.defaultStayProfile);
+}
+
+/**
+ * The market the dashboards are showing (falls back to the default)
+ */
+function getCurrentMarket() {
+    const selected = Storage.getMarketId();
+    return CONFIG.markets.find(market => market.id === selected) ||
+           CONFIG.markets.find(market => market.id === CONFIG.defaultMarket);
+}
+
+/**
+ * Center of a market's search area as [lat, lng] (for the maps)
+ */
+function getMarketCenter(market = getCurrentMarket()) {
+    const [minLng, minLat, maxLng, maxLat] = market.boundingBox;
+    return [(minLat + maxLat) / 2, (minLng + maxLng) / 2];
+}
+
+/**
+ * Query params that scope rate requests to the selected market and stay profile
+ */
+function getRateScope() {
+    return { market: getCurrentMarket().id, profile: getCurrentStayProfile().id };
+}
+
+/**
+ * Keep only the arrival dates a stay profile is shopped for
+ * (multi-night weekend profiles skip weekdays)
+ */
+function filterArrivalDates(dates, profile = getCurrentStayProfile()) {
+    if (!profile.arrivalDays) return dates;
+    return dates.filter(date => profile.arrivalDays.includes(new Date(date + 'T00:00:00').getDay()));
+}
+
+/**
+ * Month the dashboard opens on: the current month if it's in the season,
+ * otherwise the next season month (or the last one once the season is over)
+ */
+function getDefaultSeasonMonth() {
+    const months = getSeasonMonths();
+    const today = formatDateForAPI(new Date());
+    const current = today.substring(0, 7);
+    
+    const next = months.find(({ year, month }) => 
+        `${year}-${String(month).padStart(2, '0')}` >= current
+    );
+    return next || months[months.length - 1];
+}
+
 /**
  * Calculate percentage change
  */
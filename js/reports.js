@@ -0,0 +1,404 @@
+/**
+ * Mackinaw Intel - Reports Module
+ * Builds PDF reports (jsPDF + AutoTable) from the stored rates and the Chart.js charts
+ */
+
+const Reports = {
+    // Report types, named after the page each one mirrors
+    TYPES: {
+        dashboard: 'Dashboard',
+        month: 'Month View',
+        competitors: 'Competitor Rates',
+        myhotels: 'My Hotels Battle'
+    },
+
+    // US Letter in points
+    PAGE: { width: 612, height: 792, margin: 40, top: 88 },
+
+    COLORS: {
+        text: [15, 23, 42],
+        muted: [100, 116, 139],
+        header: [30, 41, 59],
+        yours: [254, 243, 199],
+        direct: [254, 226, 226]
+    },
+
+    // Chart text and grid on the white page, whatever the dashboard's theme (light theme values)
+    CHART_THEME: {
+        '--text-secondary': '#475569',
+        '--border-color': '#e2e8f0'
+    },
+
+    /**
+     * Build a report as a jsPDF document
+     * options: { type, from, to } - arrival dates, both inclusive (YYYY-MM-DD)
+     */
+    build({ type, from, to }) {
+        if (!window.jspdf?.jsPDF) {
+            throw new Error('The PDF library did not load - check your connection and reload');
+        }
+        if (!this.TYPES[type]) {
+            throw new Error(`Unknown report: ${type}`);
+        }
+        if (!from || !to || from > to) {
+            throw new Error('Pick a date range with the start before the end');
+        }
+
+        const datesData = {};
+        Object.entries(Storage.getDateRangeData(from, to)).forEach(([date, dateData]) => {
+            if (dateData?.hotels?.some(h => h.price > 0)) datesData[date] = dateData;
+        });
+        const dates = Object.keys(datesData).sort();
+        if (dates.length === 0) {
+            throw new Error(`No rates loaded between ${formatDateShort(from)} and ${formatDateShort(to)}`);
+        }
+
+        const doc = new window.jspdf.jsPDF({ unit: 'pt', format: 'letter' });
+        const sections = {
+            dashboard: () => this.addDashboard(doc, datesData, dates),
+            month: () => this.addMonths(doc, datesData, dates),
+            competitors: () => this.addCompetitorTables(doc, datesData, dates),
+            myhotels: () => this.addBattles(doc, datesData, dates)
+        };
+        sections[type]();
+
+        this.addPageHeaders(doc, this.TYPES[type], from, to);
+        return doc;
+    },
+
+    /**
+     * File name for a report, e.g. mackinaw-intel-dashboard-mackinaw-city-2026-07-01-to-2026-07-31.pdf
+     */
+    fileName({ type, from, to }) {
+        return `mackinaw-intel-${type}-${getCurrentMarket().id}-${from}-to-${to}.pdf`;
+    },
+
+    // ============================================
+    // SECTIONS
+    // ============================================
+
+    /**
+     * Dashboard: headline numbers, our properties over the range, and the
+     * trend, comparison and position charts
+     */
+    addDashboard(doc, datesData, dates) {
+        const stats = dates.map(date => Storage.getDateStats(date)).filter(Boolean);
+        const portfolios = dates.map(date => Storage.getPortfolioData(date));
+        const average = values => {
+            const known = values.filter(value => value !== null && value !== undefined);
+            return known.length > 0 ? Math.round(known.reduce((a, b) => a + b, 0) / known.length) : null;
+        };
+
+        let y = this.addHeading(doc, 'Summary', this.PAGE.top);
+        y = this.addTable(doc, y, {
+            head: [['Nights with rates', 'Market average', 'Portfolio average', 'Lowest rate', 'Highest rate']],
+            body: [[
+                dates.length,
+                this.money(average(stats.map(s => s.average))),
+                this.money(average(portfolios.map(p => p.portfolioAvg))),
+                this.money(Math.min(...stats.map(s => s.lowest))),
+                this.money(Math.max(...stats.map(s => s.highest)))
+            ]]
+        });
+
+        y = this.addHeading(doc, 'Your Properties', y + 20);
+        y = this.addTable(doc, y, {
+            head: [['Property', 'Average rate', 'Average market rank', 'Comp set average', 'Average gap', 'Nights below comp set']],
+            body: getOurProperties().map((property, index) => {
+                const rows = portfolios.map(p => p.properties[index]);
+                const ranks = rows.map(row => row.marketRank);
+                return [
+                    property.name,
+                    this.money(average(rows.map(row => row.price))),
+                    average(ranks) === null ? '--' : `#${average(ranks)}`,
+                    this.money(average(rows.map(row => row.compSetAvg))),
+                    this.signedMoney(average(rows.map(row => row.gapToCompSet))),
+                    rows.filter(row => row.gapToCompSet !== null && row.gapToCompSet < 0).length
+                ];
+            })
+        });
+
+        y = this.addChart(doc, 'Rate Trend', y + 20,
+            Charts.createRateTrendChart, Charts.prepareTrendData(datesData, dates.length));
+        y = this.addChart(doc, 'Your Rate vs Market', y + 20,
+            Charts.createComparisonChart, Charts.prepareComparisonData(datesData, 0));
+        this.addChart(doc, 'Market Position (1 = cheapest)', y + 20,
+            Charts.createPositionChart, Charts.preparePositionData(datesData, 0));
+    },
+
+    /**
+     * Month view: one calendar of market averages and our rates per month,
+     * with the month's comparison chart
+     */
+    addMonths(doc, datesData, dates) {
+        const months = [...new Set(dates.map(date => date.slice(0, 7)))];
+
+        months.forEach((monthKey, index) => {
+            if (index > 0) doc.addPage();
+            const [year, month] = monthKey.split('-').map(Number);
+            const monthData = {};
+            dates.filter(date => date.startsWith(monthKey)).forEach(date => { monthData[date] = datesData[date]; });
+
+            let y = this.addHeading(doc, `${MONTH_NAMES[month - 1]} ${year}`, this.PAGE.top);
+            y = this.addTable(doc, y, {
+                head: [DAY_NAMES_SHORT],
+                body: this.calendarWeeks(year, month, monthData),
+                styles: { fontSize: 8, minCellHeight: 52, valign: 'top' },
+                columnStyles: Object.fromEntries(DAY_NAMES_SHORT.map((day, i) => [i, { cellWidth: (this.PAGE.width - 2 * this.PAGE.margin) / 7 }]))
+            });
+            this.addChart(doc, 'Your Rate vs Market', y + 20,
+                Charts.createComparisonChart, Charts.prepareComparisonData(monthData, 0));
+        });
+    },
+
+    /**
+     * Calendar rows for a month: day number, market average and our rates
+     */
+    calendarWeeks(year, month, monthData) {
+        const firstDay = new Date(year, month - 1, 1).getDay();
+        const totalDays = new Date(year, month, 0).getDate();
+        const cells = Array(firstDay).fill('');
+
+        for (let day = 1; day <= totalDays; day++) {
+            const dateStr = `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+            const stats = monthData[dateStr] ? Storage.getDateStats(dateStr) : null;
+            if (!stats) {
+                cells.push(`${day}`);
+                continue;
+            }
+            const ours = Storage.getYourHotelsData(dateStr)
+                .filter(hotel => hotel.price > 0)
+                .map(hotel => `${hotel.name.split(' ')[0]} $${hotel.price}`);
+            cells.push([`${day}`, `Avg $${stats.average}`, `$${stats.lowest}-$${stats.highest}`, ...ours].join('\n'));
+        }
+
+        while (cells.length % 7 !== 0) cells.push('');
+        const weeks = [];
+        for (let i = 0; i < cells.length; i += 7) {
+            weeks.push(cells.slice(i, i + 7));
+        }
+        return weeks;
+    },
+
+    /**
+     * Competitor table for every date in the range, cheapest first
+     */
+    addCompetitorTables(doc, datesData, dates) {
+        let y = this.PAGE.top;
+
+        dates.forEach(date => {
+            const hotels = datesData[date].hotels
+                .filter(h => h.price > 0)
+                .sort((a, b) => a.price - b.price);
+            const categories = { yours: 'Yours', direct: 'Direct', competitor: 'Tracked', market: 'Market' };
+
+            y = this.addHeading(doc, formatDate(date), y);
+            y = this.addTable(doc, y, {
+                head: [['#', 'Hotel', 'Tier', 'Rate', 'With tax', 'Deal', 'Rating', 'Reviews']],
+                body: hotels.map((hotel, index) => [
+                    index + 1,
+                    hotel.name,
+                    categories[getHotelCategory(hotel)],
+                    `$${hotel.price}`,
+                    this.money(hotel.priceWithTax),
+                    hotel.deal || '--',
+                    hotel.rating ? hotel.rating.toFixed(1) : '--',
+                    hotel.reviewCount || '--'
+                ]),
+                rowFills: hotels.map(hotel => this.rowFill(hotel))
+            }) + 24;
+        });
+    },
+
+    /**
+     * My Hotels battle view for every date in the range: the portfolio side by
+     * side, then each property against its competitor set
+     */
+    addBattles(doc, datesData, dates) {
+        const properties = getOurProperties();
+        let y = this.PAGE.top;
+
+        dates.forEach((date, index) => {
+            if (index > 0) {
+                doc.addPage();
+                y = this.PAGE.top;
+            }
+            const portfolio = Storage.getPortfolioData(date);
+
+            y = this.addHeading(doc, formatDate(date), y);
+            y = this.addTable(doc, y, {
+                head: [['Property', 'Rate', 'Market rank', 'Comp set rank', 'Comp set average', 'vs comp set']],
+                body: portfolio.properties.map(p => [
+                    p.property.name,
+                    this.money(p.price),
+                    p.marketRank ? `#${p.marketRank} of ${portfolio.marketCount}` : '--',
+                    p.compSetRank ? `#${p.compSetRank} of ${p.compSet.length + 1}` : '--',
+                    this.money(p.compSetAvg),
+                    this.signedMoney(p.gapToCompSet)
+                ])
+            });
+
+            properties.forEach(property => {
+                const sortedHotels = datesData[date].hotels
+                    .filter(h => h.price > 0)
+                    .sort((a, b) => a.price - b.price);
+                const yourHotel = findPropertyRate(sortedHotels, property);
+                const rows = sortedHotels.filter(h => h === yourHotel || isInCompetitorSet(h, property));
+                if (rows.length === 0) return;
+
+                y = this.addHeading(doc, `${property.name} vs its competitor set`, y + 16, 11);
+                y = this.addTable(doc, y, {
+                    head: [['Hotel', 'Rate', 'vs You', 'Position']],
+                    body: rows.map(hotel => [
+                        hotel === yourHotel ? `${hotel.name} (you)` : hotel.name,
+                        `$${hotel.price}`,
+                        hotel === yourHotel || !yourHotel ? '--' : this.signedMoney(hotel.price - yourHotel.price),
+                        `#${sortedHotels.indexOf(hotel) + 1} of ${sortedHotels.length}`
+                    ]),
+                    rowFills: rows.map(hotel => hotel === yourHotel ? this.COLORS.yours : null)
+                });
+            });
+        });
+    },
+
+    // ============================================
+    // DRAWING HELPERS
+    // ============================================
+
+    /**
+     * Market, stay profile, range and generation time on every page, page numbers at the foot
+     */
+    addPageHeaders(doc, title, from, to) {
+        const { width, height, margin } = this.PAGE;
+        const generated = new Date().toLocaleString('en-US', {
+            month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit'
+        });
+        const pages = doc.getNumberOfPages();
+
+        for (let page = 1; page <= pages; page++) {
+            doc.setPage(page);
+            doc.setTextColor(...this.COLORS.text);
+            doc.setFont('helvetica', 'bold');
+            doc.setFontSize(16);
+            doc.text(`${getCurrentMarket().name} - ${title}`, margin, margin + 6);
+
+            doc.setFont('helvetica', 'normal');
+            doc.setFontSize(9);
+            doc.setTextColor(...this.COLORS.muted);
+            doc.text(`${formatDate(from)} to ${formatDate(to)} · ${getCurrentStayProfile().label}`, margin, margin + 22);
+            doc.text(`Generated ${generated}`, width - margin, margin + 22, { align: 'right' });
+            doc.setDrawColor(226, 232, 240);
+            doc.line(margin, margin + 32, width - margin, margin + 32);
+
+            doc.text('Mackinaw Intel', margin, height - 24);
+            doc.text(`Page ${page} of ${pages}`, width - margin, height - 24, { align: 'right' });
+        }
+    },
+
+    /**
+     * Section heading; starts a new page when it would sit at the foot of this one
+     * Returns the y to continue from
+     */
+    addHeading(doc, text, y, fontSize = 13) {
+        if (y > this.PAGE.height - 140) {
+            doc.addPage();
+            y = this.PAGE.top;
+        }
+        doc.setFont('helvetica', 'bold');
+        doc.setFontSize(fontSize);
+        doc.setTextColor(...this.COLORS.text);
+        doc.text(text, this.PAGE.margin, y);
+        return y + 8;
+    },
+
+    /**
+     * Table via AutoTable; rowFills highlights rows (one fill color or null per body row)
+     * Returns the y below the table
+     */
+    addTable(doc, y, { rowFills = [], styles = {}, ...options }) {
+        doc.autoTable({
+            startY: y,
+            margin: { top: this.PAGE.top, left: this.PAGE.margin, right: this.PAGE.margin, bottom: 48 },
+            theme: 'grid',
+            styles: { font: 'helvetica', fontSize: 9, cellPadding: 4, textColor: this.COLORS.text, ...styles },
+            headStyles: { fillColor: this.COLORS.header, textColor: 255, fontStyle: 'bold' },
+            didParseCell: (hook) => {
+                const fill = hook.section === 'body' && rowFills[hook.row.index];
+                if (fill) hook.cell.styles.fillColor = fill;
+            },
+            ...options
+        });
+        return doc.lastAutoTable.finalY;
+    },
+
+    /**
+     * Draw one of the Charts module's charts offscreen and place it as an image
+     * Returns the y below the chart
+     */
+    addChart(doc, title, y, createChart, data) {
+        const { width, margin } = this.PAGE;
+        const imageWidth = width - 2 * margin;
+        const imageHeight = imageWidth * 0.4;
+
+        if (y + imageHeight + 20 > this.PAGE.height - 48) {
+            doc.addPage();
+            y = this.PAGE.top;
+        }
+        y = this.addHeading(doc, title, y, 11);
+        doc.addImage(this.chartImage(createChart, data), 'PNG', margin, y, imageWidth, imageHeight);
+        return y + imageHeight;
+    },
+
+    /**
+     * Render a chart into a hidden canvas, without animation and with its legend,
+     * and return it as a PNG data URL
+     * The charts read their colors from the page's CSS variables, so those are set to
+     * CHART_THEME while rendering and put back afterwards
+     */
+    chartImage(createChart, data) {
+        const container = document.createElement('div');
+        container.style.cssText = 'position: fixed; left: -10000px; top: 0; width: 1000px; height: 400px;';
+        const canvas = document.createElement('canvas');
+        container.appendChild(canvas);
+        document.body.appendChild(container);
+
+        const rootStyle = document.documentElement.style;
+        const pageTheme = Object.keys(this.CHART_THEME).map(name => [name, rootStyle.getPropertyValue(name)]);
+        const pageTextColor = Chart.defaults.color;
+        Object.entries(this.CHART_THEME).forEach(([name, value]) => rootStyle.setProperty(name, value));
+        Chart.defaults.color = this.CHART_THEME['--text-secondary'];
+
+        try {
+            const chart = createChart.call(Charts, canvas, data, 'report');
+            chart.options.animation = false;
+            chart.options.devicePixelRatio = 2;
+            chart.options.plugins.legend.display = true;
+            chart.resize();
+            chart.update('none');
+            return canvas.toDataURL('image/png');
+        } finally {
+            Charts.instances.report?.destroy();
+            delete Charts.instances.report;
+            container.remove();
+            pageTheme.forEach(([name, value]) => value ? rootStyle.setProperty(name, value) : rootStyle.removeProperty(name));
+            Chart.defaults.color = pageTextColor;
+        }
+    },
+
+    /**
+     * Row highlight for our hotels and direct competitors
+     */
+    rowFill(hotel) {
+        if (isYourHotel(hotel)) return this.COLORS.yours;
+        if (isDirectCompetitor(hotel)) return this.COLORS.direct;
+        return null;
+    },
+
+    money(value) {
+        return value === null || value === undefined || !isFinite(value) ? '--' : `$${value}`;
+    },
+
+    signedMoney(value) {
+        return value === null || value === undefined ? '--' : `${value >= 0 ? '+' : '-'}$${Math.abs(value)}`;
+    }
+};
@@ -4,13 +4,57 @@
  */
 
 const Storage = {
+    // Hotel tiers in export order (the registry's classifications)
+    EXPORT_TIERS: ['yours', 'direct', 'tracked', 'market'],
+
+    /**
+     * localStorage key for the selected market and stay profile's rates
+     * (the default market keeps the keys used before markets existed)
+     */
+    dataKey(profileId = this.getStayProfileId(), marketId = this.getMarketId()) {
+        if (marketId !== CONFIG.defaultMarket) {
+            return `${CONFIG.updates.storageKey}:${marketId}:${profileId}`;
+        }
+        return profileId === CONFIG.defaultStayProfile 
+            ? CONFIG.updates.storageKey 
+            : `${CONFIG.updates.storageKey}:${profileId}`;
+    },
+
+    /**
+     * Get the selected market id
+     */
+    getMarketId() {
+        return localStorage.getItem(CONFIG.updates.marketKey) || CONFIG.defaultMarket;
+    },
+
+    /**
+     * Select the market the dashboards show
+     */
+    setMarketId(marketId) {
+        localStorage.setItem(CONFIG.updates.marketKey, marketId);
+    },
+
+    /**
+     * Get the selected stay profile id
+     */
+    getStayProfileId() {
+        return localStorage.getItem(CONFIG.updates.stayProfileKey) || CONFIG.defaultStayProfile;
+    },
+
+    /**
+     * Select the stay profile the dashboards show
+     */
+    setStayProfileId(profileId) {
+        localStorage.setItem(CONFIG.updates.stayProfileKey, profileId);
+    },
+
     /**
      * Save all hotel data to localStorage
      */
     saveData(data) {
         try {
             const serialized = JSON.stringify(data);
-            localStorage.setItem(CONFIG.updates.storageKey, serialized);
+            localStorage.setItem(this.dataKey(), serialized);
             return true;
         } catch (error) {
             console.error('Error saving data:', error);
@@ -23,7 +67,7 @@ const Storage = {
      */
     loadData() {
         try {
-            const serialized = localStorage.getItem(CONFIG.updates.storageKey);
+            const serialized = localStorage.getItem(this.dataKey());
             if (!serialized) return null;
             return JSON.parse(serialized);
         } catch (error) {
@@ -141,7 +185,9 @@ const Storage = {
      * Clear all stored data
      */
     clearAll() {
-        localStorage.removeItem(CONFIG.updates.storageKey);
+        CONFIG.markets.forEach(market => {
+            CONFIG.stayProfiles.forEach(profile => localStorage.removeItem(this.dataKey(profile.id, market.id)));
+        });
         localStorage.removeItem(CONFIG.updates.lastUpdateKey);
         localStorage.removeItem(CONFIG.updates.settingsKey);
     },
@@ -162,57 +208,100 @@ const Storage = {
         };
 
         const blob = new Blob([JSON.stringify(exportObj, null, 2)], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        
-        const a = document.createElement('a');
-        a.href = url;
-        a.download = `mackinaw-intel-export-${formatDateForAPI(new Date())}.json`;
-        a.click();
-        
-        URL.revokeObjectURL(url);
+        this.downloadFile(blob, `mackinaw-intel-export-${formatDateForAPI(new Date())}.json`);
     },
 
     /**
-     * Export data for a specific date as CSV
+     * Loaded rates for a range of arrival dates as a table, laid out like the
+     * server's /api/rates/export (which can add past observations)
+     * options: { from, to, layout: 'long' | 'pivot', tiers: ['yours', 'direct', ...], value: 'price' | 'priceWithTax' }
+     * long: one row per hotel per date; pivot: hotels down, dates across (value in the cells)
+     * Returns { headers, rows } with numbers left as numbers and blanks as null
      */
-    exportDateAsCSV(dateStr) {
-        const data = this.loadData();
-        if (!data || !data.dates || !data.dates[dateStr]) {
-            console.error('No data available for export');
-            return;
+    buildRatesExport({ from, to, layout = 'long', tiers = this.EXPORT_TIERS, value = 'price' }) {
+        const datesData = this.getDateRangeData(from, to);
+        const dates = Object.keys(datesData).sort();
+        const kept = hotels => (hotels || []).filter(hotel => hotel.name && hotel.price > 0 && tiers.includes(getHotelTier(hotel)));
+
+        if (layout === 'pivot') {
+            const byHotel = new Map();
+            dates.forEach(date => kept(datesData[date].hotels).forEach(hotel => {
+                const key = hotel.hotelId || normalizeHotelName(hotel.name);
+                if (!byHotel.has(key)) byHotel.set(key, { name: hotel.name, tier: getHotelTier(hotel), cells: {} });
+                byHotel.get(key).cells[date] = hotel[value] || null;
+            }));
+            const rows = [...byHotel.values()]
+                .sort((a, b) => this.EXPORT_TIERS.indexOf(a.tier) - this.EXPORT_TIERS.indexOf(b.tier) || a.name.localeCompare(b.name))
+                .map(hotel => [hotel.name, hotel.tier, ...dates.map(date => hotel.cells[date] ?? null)]);
+            return { headers: ['Hotel', 'Tier', ...dates], rows };
         }
 
-        const hotels = data.dates[dateStr].hotels;
-        if (!hotels || hotels.length === 0) {
-            console.error('No hotels data for this date');
-            return;
+        const headers = ['Date', 'Day', 'Hotel', 'Hotel ID', 'Tier', 'Rate', 'Rate with tax',
+            'Rate before tax', 'Deal', 'Hotel class', 'Rating', 'Reviews', 'Observed at'];
+        const rows = dates.flatMap(date => {
+            const day = DAY_NAMES_SHORT[new Date(date + 'T00:00:00').getDay()];
+            return kept(datesData[date].hotels)
+                .sort((a, b) => a.price - b.price)
+                .map(hotel => [
+                    date, day, hotel.name, hotel.hotelId || null, getHotelTier(hotel), hotel.price,
+                    hotel.priceWithTax || null, hotel.priceBeforeTax || null, hotel.deal || null,
+                    hotel.hotelClass || null, hotel.rating || null, hotel.reviewCount || null,
+                    datesData[date].timestamp || null
+                ]);
+        });
+        return { headers, rows };
+    },
+
+    /**
+     * Download loaded rates as CSV or Excel (see buildRatesExport for the options)
+     * options.format: 'csv' | 'xlsx'. Returns the number of rows written
+     */
+    async exportRates(options) {
+        const { from, to, layout = 'long', format = 'csv' } = options;
+        const table = this.buildRatesExport(options);
+        if (table.rows.length === 0) {
+            throw new Error(`No rates loaded between ${formatDateShort(from)} and ${formatDateShort(to)} for those tiers`);
         }
 
-        // Create CSV content
-        const headers = ['Rank', 'Hotel Name', 'Hotel ID', 'Price', 'Vendor', 'Rating', 'Review Count'];
-        const rows = hotels.map((hotel, index) => [
-            index + 1,
-            `"${hotel.name || ''}"`,
-            hotel.hotelId || '',
-            hotel.price || '',
-            `"${hotel.vendor || ''}"`,
-            hotel.rating || '',
-            hotel.reviewCount || ''
-        ]);
-
-        const csvContent = [
-            headers.join(','),
-            ...rows.map(row => row.join(','))
-        ].join('\n');
-
-        const blob = new Blob([csvContent], { type: 'text/csv' });
+        const { market, profile } = getRateScope();
+        const fileName = `mackinaw-intel-rates-${market}-${profile}-${layout}-${from}-to-${to}.${format}`;
+
+        if (format === 'csv') {
+            const field = value => {
+                if (value === null || value === undefined) return '';
+                const text = String(value);
+                return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+            };
+            const csv = [table.headers, ...table.rows].map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+            this.downloadFile(new Blob([csv], { type: 'text/csv' }), fileName);
+            return table.rows.length;
+        }
+
+        if (!window.ExcelJS) {
+            throw new Error('The Excel library did not load - check your connection and reload');
+        }
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet(layout === 'pivot' ? `Rates (${options.value || 'price'})` : 'Rates', {
+            views: [{ state: 'frozen', xSplit: layout === 'pivot' ? 2 : 0, ySplit: 1 }]
+        });
+        sheet.addRow(table.headers).font = { bold: true };
+        sheet.addRows(table.rows);
+        sheet.columns.forEach((column, index) => { column.width = index === (layout === 'pivot' ? 0 : 2) ? 36 : 14; });
+
+        const buffer = await workbook.xlsx.writeBuffer();
+        this.downloadFile(new Blob([buffer], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' }), fileName);
+        return table.rows.length;
+    },
+
+    /**
+     * Save a Blob through the browser's download
+     */
+    downloadFile(blob, fileName) {
         const url = URL.createObjectURL(blob);
-        
         const a = document.createElement('a');
         a.href = url;
-        a.download = `mackinaw-hotels-${dateStr}.csv`;
+        a.download = fileName;
         a.click();
-        
         URL.revokeObjectURL(url);
     },
 
@@ -289,7 +378,7 @@ const Storage = {
         const dateData = this.getDateData(dateStr);
         if (!dateData || !dateData.hotels) return [];
 
-        const yourHotels = dateData.hotels.filter(hotel => isYourHotel(hotel.name));
+        const yourHotels = dateData.hotels.filter(hotel => isYourHotel(hotel));
         
         // Add market position (rank) - sort by price lowest to highest
         const sortedHotels = [...dateData.hotels]
@@ -297,9 +386,10 @@ const Storage = {
             .sort((a, b) => a.price - b.price);
 
         yourHotels.forEach(hotel => {
-            // Find position by matching name (more reliable than hotelId)
-            const position = sortedHotels.findIndex(h => 
-                h.name?.toLowerCase().trim() === hotel.name?.toLowerCase().trim()
+            // Find position by registry id (name for rates saved before the registry)
+            const position = sortedHotels.findIndex(h => hotel.hotelId
+                ? h.hotelId === hotel.hotelId
+                : h.name?.toLowerCase().trim() === hotel.name?.toLowerCase().trim()
             );
             hotel.marketPosition = position !== -1 ? position + 1 : null;
         });
@@ -307,6 +397,96 @@ const Storage = {
         return yourHotels;
     },
 
+    /**
+     * Our properties side by side for a date, each against its own competitor set
+     * Ranks count from the cheapest (1); averages are rounded
+     */
+    getPortfolioData(dateStr) {
+        const dateData = this.getDateData(dateStr);
+        const priced = (dateData?.hotels || [])
+            .filter(h => h.price && h.price > 0)
+            .sort((a, b) => a.price - b.price);
+        const average = prices => prices.length > 0 
+            ? Math.round(prices.reduce((a, b) => a + b, 0) / prices.length) : null;
+
+        const properties = getOurProperties().map(property => {
+            const hotel = findPropertyRate(priced, property);
+            const compSet = priced.filter(h => !isProperty(h, property) && isInCompetitorSet(h, property));
+            const compSetAvg = average(compSet.map(h => h.price));
+
+            return {
+                property,
+                hotel,
+                price: hotel?.price || null,
+                marketRank: hotel ? priced.indexOf(hotel) + 1 : null,
+                compSet,
+                compSetRank: hotel ? compSet.filter(h => h.price < hotel.price).length + 1 : null,
+                compSetAvg,
+                gapToCompSet: hotel && compSetAvg ? hotel.price - compSetAvg : null
+            };
+        });
+
+        // Hotels shared by several competitor sets count once in the combined average
+        const combinedCompSet = [...new Set(properties.flatMap(p => p.compSet))];
+
+        return {
+            date: dateStr,
+            properties,
+            marketCount: priced.length,
+            portfolioAvg: average(properties.map(p => p.price).filter(Boolean)),
+            compSetAvg: average(combinedCompSet.map(h => h.price)),
+            marketAvg: average(priced.map(h => h.price))
+        };
+    },
+
+    /**
+     * Dates where one of our properties is priced below another of ours that
+     * it normally sits above (normal order = average gap over all loaded dates)
+     * Returns [{ date, property, other, price, otherPrice, gap, usualGap }], oldest first
+     */
+    getPortfolioUndercuts() {
+        const data = this.loadData();
+        const properties = getOurProperties();
+        if (!data?.dates || properties.length < 2) return [];
+
+        const dates = Object.keys(data.dates).sort();
+        const undercuts = [];
+
+        properties.forEach((first, index) => properties.slice(index + 1).forEach(second => {
+            const pairs = dates.map(date => ({
+                date,
+                first: findPropertyRate(data.dates[date].hotels, first),
+                second: findPropertyRate(data.dates[date].hotels, second)
+            })).filter(pair => pair.first && pair.second);
+            if (pairs.length === 0) return;
+
+            const usualGap = Math.round(
+                pairs.reduce((sum, pair) => sum + pair.first.price - pair.second.price, 0) / pairs.length
+            );
+            if (usualGap === 0) return; // No normal order to break
+
+            const [upper, lower] = usualGap > 0 ? ['first', 'second'] : ['second', 'first'];
+            const names = { first: first.name, second: second.name };
+
+            pairs.forEach(pair => {
+                const gap = pair[lower].price - pair[upper].price;
+                if (gap > 0) {
+                    undercuts.push({
+                        date: pair.date,
+                        property: names[upper],
+                        other: names[lower],
+                        price: pair[upper].price,
+                        otherPrice: pair[lower].price,
+                        gap,
+                        usualGap: Math.abs(usualGap)
+                    });
+                }
+            });
+        }));
+
+        return undercuts.sort((a, b) => a.date.localeCompare(b.date));
+    },
+
     /**
      * Calculate rate changes between two dates
      */
@@ -319,9 +499,11 @@ const Storage = {
         }
 
         const changes = [];
+        // Registry id, falling back to the name for hotels the registry doesn't know
+        const hotelKey = hotel => hotel.hotelId || normalizeHotelName(hotel.name);
 
         data2.hotels.forEach(hotel2 => {
-            const hotel1 = data1.hotels.find(h => h.hotelId === hotel2.hotelId);
+            const hotel1 = data1.hotels.find(h => hotelKey(h) === hotelKey(hotel2));
             if (hotel1 && hotel1.price && hotel2.price) {
                 const change = calculatePercentChange(hotel1.price, hotel2.price);
                 if (change && Math.abs(parseFloat(change)) > 0) {
@@ -331,7 +513,7 @@ const Storage = {
                         oldPrice: hotel1.price,
                         newPrice: hotel2.price,
                         change: parseFloat(change),
-                        isYourHotel: isYourHotel(hotel2.name)
+                        isYourHotel: isYourHotel(hotel2)
                     });
                 }
             }
@@ -343,58 +525,6 @@ const Storage = {
         return changes;
     },
 
-    // ============================================
-    // API CALL HISTORY
-    // ============================================
-
-    /**
-     * Log an API call to history
-     */
-    logApiCall(entry) {
-        const history = this.getApiHistory();
-        
-        const logEntry = {
-            timestamp: new Date().toISOString(),
-            action: entry.action || 'API Call',
-            details: entry.details || '',
-            success: entry.success !== false,
-            creditsUsed: entry.creditsUsed || 0,
-            hotelsFound: entry.hotelsFound || 0,
-            datesProcessed: entry.datesProcessed || 0,
-            error: entry.error || null
-        };
-
-        // Add to beginning of array
-        history.unshift(logEntry);
-
-        // Keep only last 20 entries
-        if (history.length > 20) {
-            history.length = 20;
-        }
-
-        localStorage.setItem('mackinawIntelApiHistory', JSON.stringify(history));
-        return logEntry;
-    },
-
-    /**
-     * Get API call history
-     */
-    getApiHistory() {
-        try {
-            const history = localStorage.getItem('mackinawIntelApiHistory');
-            return history ? JSON.parse(history) : [];
-        } catch (error) {
-            return [];
-        }
-    },
-
-    /**
-     * Clear API history
-     */
-    clearApiHistory() {
-        localStorage.removeItem('mackinawIntelApiHistory');
-    },
-
     /**
      * Get data coverage statistics
      */
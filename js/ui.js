@@ -13,12 +13,23 @@ const UI = {
     competitorChart: null,
     map: null,
     hotelMarkers: [],
+    registryMap: null,
+    registryMarkers: [],
+    registryPinTarget: null,
+    retentionPreview: null,
+    auditEntries: [],
+    alertFeed: [],
+    priceAlertFeed: [],
 
     /**
      * Initialize UI elements and event listeners
      */
     init() {
+        this.currentMonth = getDefaultSeasonMonth();
+        this.renderSeasonMonths();
         this.cacheElements();
+        this.renderMarkets();
+        this.renderStayProfiles();
         this.bindEvents();
         this.initTheme();
         this.initCalendar();
@@ -42,6 +53,11 @@ const UI = {
             // Theme
             themeToggle: document.getElementById('theme-toggle'),
             
+            // Market and stay profile (occupancy + length of stay) selectors
+            marketSelect: document.getElementById('market-select'),
+            marketNames: document.querySelectorAll('[data-market-name]'),
+            stayProfileSelect: document.getElementById('stay-profile-select'),
+            
             // Dashboard elements
             totalHotels: document.getElementById('total-hotels'),
             portfolioAvg: document.getElementById('portfolio-avg'),
@@ -52,16 +68,9 @@ const UI = {
             currentDateRange: document.getElementById('current-date-range'),
             
             // Your hotels cards
-            rivieraRate: document.getElementById('riviera-rate'),
-            rivieraChange: document.getElementById('riviera-change'),
-            rivieraVendor: document.getElementById('riviera-vendor'),
-            rivieraRank: document.getElementById('riviera-rank'),
-            rivieraRating: document.getElementById('riviera-rating'),
-            americanRate: document.getElementById('american-rate'),
-            americanChange: document.getElementById('american-change'),
-            americanVendor: document.getElementById('american-vendor'),
-            americanRank: document.getElementById('american-rank'),
-            americanRating: document.getElementById('american-rating'),
+            yourHotelsGrid: document.getElementById('your-hotels-grid'),
+            portfolioNames: document.getElementById('portfolio-names'),
+            propertyTags: document.getElementById('property-tags'),
             
             // Market metrics
             lowestRate: document.getElementById('lowest-rate'),
@@ -105,13 +114,14 @@ const UI = {
             positionDate: document.getElementById('position-date'),
             yourPositionRank: document.getElementById('your-position-rank'),
             positionTotal: document.getElementById('position-total'),
-            positionMarker: document.getElementById('position-marker'),
+            positionBar: document.getElementById('position-bar'),
             positionTier: document.getElementById('position-tier'),
             gapVsAvg: document.getElementById('gap-vs-avg'),
             gapVsLow: document.getElementById('gap-vs-low'),
             gapVsHigh: document.getElementById('gap-vs-high'),
             alertCount: document.getElementById('alert-count'),
             priceAlerts: document.getElementById('price-alerts'),
+            priceAlertsMoreBtn: document.getElementById('price-alerts-more-btn'),
             highDemandDates: document.getElementById('high-demand-dates'),
             competitorSelect: document.getElementById('competitor-select'),
             
@@ -137,15 +147,113 @@ const UI = {
             exportAllBtn: document.getElementById('export-all-btn'),
             forceUpdateBtn: document.getElementById('force-update-btn'),
             
+            // Admin controls
+            currentUserRole: document.getElementById('current-user-role'),
+            seasonRefreshBtn: document.getElementById('season-refresh-btn'),
+            clearDatabaseBtn: document.getElementById('clear-database-btn'),
+            seasonStartInput: document.getElementById('season-start-input'),
+            seasonEndInput: document.getElementById('season-end-input'),
+            seasonRollingInput: document.getElementById('season-rolling-input'),
+            saveSeasonBtn: document.getElementById('save-season-btn'),
+            
+            // Server refresh jobs
+            serverJobProgress: document.getElementById('server-job-progress'),
+            serverJobStatus: document.getElementById('server-job-status'),
+            serverJobDetails: document.getElementById('server-job-details'),
+            
+            // Schedules
+            schedulesList: document.getElementById('schedules-list'),
+            scheduleNameInput: document.getElementById('schedule-name-input'),
+            scheduleWindowSelect: document.getElementById('schedule-window-select'),
+            scheduleDaysInput: document.getElementById('schedule-days-input'),
+            scheduleCadenceSelect: document.getElementById('schedule-cadence-select'),
+            scheduleHoursInput: document.getElementById('schedule-hours-input'),
+            scheduleTimeInput: document.getElementById('schedule-time-input'),
+            scheduleProfileSelect: document.getElementById('schedule-profile-select'),
+            addScheduleBtn: document.getElementById('add-schedule-btn'),
+            
+            // Alerts
+            alertRulesList: document.getElementById('alert-rules-list'),
+            alertRuleNameInput: document.getElementById('alert-rule-name-input'),
+            alertRuleTypeSelect: document.getElementById('alert-rule-type-select'),
+            alertRulePropertySelect: document.getElementById('alert-rule-property-select'),
+            alertRuleScopeSelect: document.getElementById('alert-rule-scope-select'),
+            alertRuleDirectionSelect: document.getElementById('alert-rule-direction-select'),
+            alertRuleThresholdInput: document.getElementById('alert-rule-threshold-input'),
+            alertRuleDaysInput: document.getElementById('alert-rule-days-input'),
+            alertRuleProfileSelect: document.getElementById('alert-rule-profile-select'),
+            alertRuleCooldownInput: document.getElementById('alert-rule-cooldown-input'),
+            alertRuleEmailsInput: document.getElementById('alert-rule-emails-input'),
+            alertRuleWebhookInput: document.getElementById('alert-rule-webhook-input'),
+            addAlertRuleBtn: document.getElementById('add-alert-rule-btn'),
+            alertFeedList: document.getElementById('alert-feed-list'),
+            alertFeedMoreBtn: document.getElementById('alert-feed-more-btn'),
+            
+            // Daily digest
+            digestStatus: document.getElementById('digest-status'),
+            digestEnabledSelect: document.getElementById('digest-enabled-select'),
+            digestTimeInput: document.getElementById('digest-time-input'),
+            digestDaysInput: document.getElementById('digest-days-input'),
+            digestProfileSelect: document.getElementById('digest-profile-select'),
+            digestRecipientsInput: document.getElementById('digest-recipients-input'),
+            saveDigestBtn: document.getElementById('save-digest-btn'),
+            sendDigestBtn: document.getElementById('send-digest-btn'),
+            previewDigestBtn: document.getElementById('preview-digest-btn'),
+            digestPreview: document.getElementById('digest-preview'),
+            
+            // Hotel registry
+            registryList: document.getElementById('registry-list'),
+            registryMap: document.getElementById('registry-map'),
+            registryMapHint: document.getElementById('registry-map-hint'),
+            registryTokenInput: document.getElementById('registry-token-input'),
+            registryNameInput: document.getElementById('registry-name-input'),
+            registryClassSelect: document.getElementById('registry-class-select'),
+            addRegistryHotelBtn: document.getElementById('add-registry-hotel-btn'),
+            
+            // Backup
+            downloadBackupBtn: document.getElementById('download-backup-btn'),
+            backupFileInput: document.getElementById('backup-file-input'),
+            backupModeSelect: document.getElementById('backup-mode-select'),
+            importBackupBtn: document.getElementById('import-backup-btn'),
+            
+            // Trash
+            trashDesc: document.getElementById('trash-desc'),
+            trashList: document.getElementById('trash-list'),
+            
+            // Data retention
+            retentionCollections: document.getElementById('retention-collections'),
+            retentionHistoryInput: document.getElementById('retention-history-input'),
+            retentionRatesInput: document.getElementById('retention-rates-input'),
+            saveRetentionBtn: document.getElementById('save-retention-btn'),
+            retentionPreview: document.getElementById('retention-preview'),
+            keeperDateInput: document.getElementById('keeper-date-input'),
+            keepDateBtn: document.getElementById('keep-date-btn'),
+            unkeepDateBtn: document.getElementById('unkeep-date-btn'),
+            retentionKeepers: document.getElementById('retention-keepers'),
+            applyRetentionBtn: document.getElementById('apply-retention-btn'),
+            
             // API Credits
             checkCreditsBtn: document.getElementById('check-credits-btn'),
             creditsRemaining: document.getElementById('credits-remaining'),
             creditsUsed: document.getElementById('credits-used'),
             creditsLimit: document.getElementById('credits-limit'),
+            creditsToday: document.getElementById('credits-today'),
+            creditsBySource: document.getElementById('credits-by-source'),
+            creditsByDay: document.getElementById('credits-by-day'),
+            creditQuotaInput: document.getElementById('credit-quota-input'),
+            creditMonthlyInput: document.getElementById('credit-monthly-input'),
+            creditDailyInput: document.getElementById('credit-daily-input'),
+            saveBudgetBtn: document.getElementById('save-budget-btn'),
             
-            // API History
-            apiHistoryList: document.getElementById('api-history-list'),
-            clearHistoryBtn: document.getElementById('clear-history-btn'),
+            // Audit log
+            auditList: document.getElementById('audit-list'),
+            auditUserSelect: document.getElementById('audit-user-select'),
+            auditActionSelect: document.getElementById('audit-action-select'),
+            auditResultSelect: document.getElementById('audit-result-select'),
+            auditFromInput: document.getElementById('audit-from-input'),
+            auditToInput: document.getElementById('audit-to-input'),
+            auditRefreshBtn: document.getElementById('audit-refresh-btn'),
+            auditMoreBtn: document.getElementById('audit-more-btn'),
             
             // Data Coverage
             dataTypeDisplay: document.getElementById('data-type-display'),
@@ -197,6 +305,31 @@ const UI = {
             closeResults: document.getElementById('close-results'),
             closeResultsBtn: document.getElementById('close-results-btn'),
             
+            // PDF Report Modal
+            exportPdfBtn: document.getElementById('export-pdf-btn'),
+            pdfExportModal: document.getElementById('pdf-export-modal'),
+            closePdfExport: document.getElementById('close-pdf-export'),
+            cancelPdfExport: document.getElementById('cancel-pdf-export'),
+            confirmPdfExport: document.getElementById('confirm-pdf-export'),
+            pdfReportType: document.getElementById('pdf-report-type'),
+            pdfFromDate: document.getElementById('pdf-from-date'),
+            pdfToDate: document.getElementById('pdf-to-date'),
+            
+            // Rates Export Modal
+            ratesExportModal: document.getElementById('rates-export-modal'),
+            closeRatesExport: document.getElementById('close-rates-export'),
+            cancelRatesExport: document.getElementById('cancel-rates-export'),
+            confirmRatesExport: document.getElementById('confirm-rates-export'),
+            ratesExportFrom: document.getElementById('rates-export-from'),
+            ratesExportTo: document.getElementById('rates-export-to'),
+            ratesExportLayout: document.getElementById('rates-export-layout'),
+            ratesExportFormat: document.getElementById('rates-export-format'),
+            ratesExportValue: document.getElementById('rates-export-value'),
+            ratesExportValueGroup: document.getElementById('rates-export-value-group'),
+            ratesExportHistory: document.getElementById('rates-export-history'),
+            ratesExportHistoryGroup: document.getElementById('rates-export-history-group'),
+            ratesExportTiers: document.getElementById('rates-export-tiers'),
+            
             // Map View
             hotelMap: document.getElementById('hotel-map'),
             mapDateSelector: document.getElementById('map-date-selector'),
@@ -215,7 +348,12 @@ const UI = {
             dbMonthsGrid: document.getElementById('db-months-grid'),
             
             // My Hotels Page
+            myhotelsPropertySelector: document.getElementById('myhotels-property-selector'),
             myhotelsDateSelector: document.getElementById('myhotels-date-selector'),
+            portfolioDate: document.getElementById('portfolio-date'),
+            portfolioGrid: document.getElementById('portfolio-grid'),
+            portfolioSummary: document.getElementById('portfolio-summary'),
+            portfolioUndercuts: document.getElementById('portfolio-undercuts'),
             battleDate: document.getElementById('battle-date'),
             battleTableBody: document.getElementById('battle-table-body'),
             weeklyTableHeader: document.getElementById('weekly-table-header'),
@@ -390,11 +528,7 @@ const UI = {
         
         // Export button
         this.elements.exportBtn?.addEventListener('click', () => {
-            const date = this.elements.compDate?.value;
-            if (date) {
-                Storage.exportDateAsCSV(date);
-                this.showToast('CSV exported successfully', 'success');
-            }
+            this.openRatesExportModal();
         });
 
         // Settings buttons
@@ -415,6 +549,85 @@ const UI = {
             App.performUpdate();
         });
 
+        this.elements.marketSelect?.addEventListener('change', (e) => {
+            App.switchMarket(e.target.value);
+        });
+
+        this.elements.stayProfileSelect?.addEventListener('change', (e) => {
+            App.switchStayProfile(e.target.value);
+        });
+
+        this.elements.seasonRefreshBtn?.addEventListener('click', async () => {
+            const profile = getCurrentStayProfile();
+            if (!confirm(`Start a full-season refresh on the server for ${getCurrentMarket().name}, "${profile.label}"?\n\nThis uses one API credit per arrival date in the season.`)) {
+                return;
+            }
+            try {
+                const result = await API.startAutoRefresh();
+                this.showToast(`Season refresh started: ${result.total} dates (${profile.label})`, 'info');
+                this.trackServerJob(result.jobId);
+            } catch (error) {
+                this.showToast('Could not start season refresh: ' + error.message, 'error');
+            }
+        });
+
+        // Schedule form: only show the inputs the chosen options use
+        this.elements.scheduleWindowSelect?.addEventListener('change', () => this.updateScheduleForm());
+        this.elements.scheduleCadenceSelect?.addEventListener('change', () => this.updateScheduleForm());
+        this.elements.addScheduleBtn?.addEventListener('click', () => this.addSchedule());
+        this.elements.alertRuleTypeSelect?.addEventListener('change', () => this.updateAlertRuleForm());
+        this.elements.addAlertRuleBtn?.addEventListener('click', () => this.addAlertRule());
+        this.elements.alertFeedMoreBtn?.addEventListener('click', () => this.loadAlertFeed(true));
+        this.elements.priceAlertsMoreBtn?.addEventListener('click', () => this.updatePriceAlerts(true));
+        this.elements.saveDigestBtn?.addEventListener('click', () => this.saveDigest());
+        this.elements.sendDigestBtn?.addEventListener('click', () => this.sendDigest());
+        this.elements.previewDigestBtn?.addEventListener('click', () => this.previewDigest());
+        this.elements.addRegistryHotelBtn?.addEventListener('click', () => this.addRegistryHotel());
+        this.elements.downloadBackupBtn?.addEventListener('click', () => this.downloadBackup());
+        this.elements.importBackupBtn?.addEventListener('click', () => this.importBackup());
+        this.elements.saveRetentionBtn?.addEventListener('click', () => this.saveRetention());
+        this.elements.applyRetentionBtn?.addEventListener('click', () => this.applyRetention());
+        this.elements.keepDateBtn?.addEventListener('click', () => this.setKeeper(true));
+        this.elements.unkeepDateBtn?.addEventListener('click', () => this.setKeeper(false));
+
+        // My Hotels: the per-property sections follow the chosen property
+        this.elements.myhotelsPropertySelector?.addEventListener('change', () => {
+            this.updateMyHotelsPage(this.elements.myhotelsDateSelector.value);
+        });
+
+        this.elements.saveSeasonBtn?.addEventListener('click', async () => {
+            const rolling = parseInt(this.elements.seasonRollingInput?.value, 10);
+            try {
+                await API.saveSeason({
+                    startDate: this.elements.seasonStartInput.value,
+                    endDate: this.elements.seasonEndInput.value,
+                    rollingDays: Number.isInteger(rolling) ? rolling : null
+                });
+                this.showToast('Season saved - reloading...', 'success');
+                setTimeout(() => location.reload(), 1000);
+            } catch (error) {
+                this.showToast('Could not save season: ' + error.message, 'error');
+            }
+        });
+
+        this.elements.clearDatabaseBtn?.addEventListener('click', async () => {
+            const marketName = getCurrentMarket().name;
+            const typed = prompt(`Delete ALL ${marketName} rates from the cloud database?\n\nThis affects every device. The dates can be restored from Recently Deleted for a while.\n\nType "${marketName}" to confirm:`);
+            if (typed === null) return;
+            if (typed.trim().toLowerCase() !== marketName.toLowerCase()) {
+                this.showToast('The name did not match - nothing was deleted', 'error');
+                return;
+            }
+            try {
+                const result = await API.clearDatabase(typed);
+                this.showToast(`Database cleared (${result.deleted} dates moved to Recently Deleted)`, 'info');
+                this.checkDatabaseStatus();
+                this.loadTrash();
+            } catch (error) {
+                this.showToast('Could not clear database: ' + error.message, 'error');
+            }
+        });
+
         // Map date selector
         this.elements.mapDateSelector?.addEventListener('change', (e) => {
             if (e.target.value) {
@@ -428,11 +641,15 @@ const UI = {
         });
 
         this.elements.syncFromDbBtn?.addEventListener('click', async () => {
-            this.showToast('Syncing from database...', 'info');
-            await API.syncWithDatabase();
+            this.showToast('Syncing with database...', 'info');
+            const report = await API.syncWithDatabase();
             this.checkDatabaseStatus();
             App.loadExistingData();
-            this.showToast('Sync complete!', 'success');
+            if (report) {
+                this.showToast(`Sync complete: ${this.describeSyncReport(report)}`, report.rejected > 0 ? 'info' : 'success');
+            } else {
+                this.showToast('Nothing synced - the database may be offline', 'error');
+            }
         });
 
         // Check API Credits button
@@ -444,22 +661,9 @@ const UI = {
             try {
                 const result = await API.checkAccount();
                 if (result.success) {
-                    this.elements.creditsRemaining.textContent = result.remainingLimit;
-                    this.elements.creditsUsed.textContent = result.requestUsed;
-                    this.elements.creditsLimit.textContent = result.requestLimit;
-                    
-                    // Color code based on usage
-                    const usagePercent = (result.requestUsed / result.requestLimit) * 100;
-                    if (usagePercent > 90) {
-                        this.elements.creditsRemaining.classList.add('danger');
-                    } else if (usagePercent > 70) {
-                        this.elements.creditsRemaining.classList.add('warning');
-                    }
+                    this.renderCredits(result);
                     
                     this.showToast(`API Credits: ${result.remainingLimit} remaining`, 'success');
-                    
-                    // Refresh the history display
-                    this.updateApiHistory();
                 } else {
                     this.showToast('Failed to check credits: ' + result.error, 'error');
                 }
@@ -471,15 +675,32 @@ const UI = {
             }
         });
 
-        // Clear API History button
-        this.elements.clearHistoryBtn?.addEventListener('click', () => {
-            if (confirm('Clear all API call history?')) {
-                Storage.clearApiHistory();
-                this.updateApiHistory();
-                this.showToast('API history cleared', 'info');
+        this.elements.saveBudgetBtn?.addEventListener('click', async () => {
+            const readCount = (input) => {
+                const value = parseInt(input?.value, 10);
+                return Number.isInteger(value) ? value : null;
+            };
+            try {
+                await API.saveCreditBudget({
+                    monthlyQuota: readCount(this.elements.creditQuotaInput),
+                    monthlyBudget: readCount(this.elements.creditMonthlyInput),
+                    dailyBudget: readCount(this.elements.creditDailyInput)
+                });
+                this.showToast('Credit budget saved', 'success');
+                this.elements.checkCreditsBtn?.click();
+            } catch (error) {
+                this.showToast('Could not save budget: ' + error.message, 'error');
             }
         });
 
+        // Audit log filters
+        [this.elements.auditUserSelect, this.elements.auditActionSelect, this.elements.auditResultSelect,
+            this.elements.auditFromInput, this.elements.auditToInput].forEach(input => {
+            input?.addEventListener('change', () => this.loadAuditLog());
+        });
+        this.elements.auditRefreshBtn?.addEventListener('click', () => this.loadAuditLog());
+        this.elements.auditMoreBtn?.addEventListener('click', () => this.loadAuditLog(true));
+
         // Load Month Rates button
         this.elements.loadMonthRatesBtn?.addEventListener('click', async () => {
             const year = this.currentMonth.year;
@@ -564,6 +785,49 @@ const UI = {
             this.closeFetchResultsModal();
         });
 
+        // PDF Report Modal events
+        this.elements.exportPdfBtn?.addEventListener('click', () => {
+            this.openPdfExportModal();
+        });
+
+        this.elements.closePdfExport?.addEventListener('click', () => {
+            this.closePdfExportModal();
+        });
+
+        this.elements.cancelPdfExport?.addEventListener('click', () => {
+            this.closePdfExportModal();
+        });
+
+        this.elements.pdfReportType?.addEventListener('change', () => {
+            this.setPdfExportRange();
+        });
+
+        this.elements.confirmPdfExport?.addEventListener('click', () => {
+            const options = {
+                type: this.elements.pdfReportType.value,
+                from: this.elements.pdfFromDate.value,
+                to: this.elements.pdfToDate.value
+            };
+            if (App.exportPDF(options)) this.closePdfExportModal();
+        });
+
+        // Rates Export Modal events
+        this.elements.closeRatesExport?.addEventListener('click', () => {
+            this.closeRatesExportModal();
+        });
+
+        this.elements.cancelRatesExport?.addEventListener('click', () => {
+            this.closeRatesExportModal();
+        });
+
+        this.elements.ratesExportLayout?.addEventListener('change', () => {
+            this.updateRatesExportForm();
+        });
+
+        this.elements.confirmRatesExport?.addEventListener('click', () => {
+            this.exportRates();
+        });
+
         // Close sidebar on outside click (mobile)
         document.addEventListener('click', (e) => {
             if (window.innerWidth <= 768 && 
@@ -620,6 +884,15 @@ const UI = {
             this.initHistoryPricingPage();
         } else if (pageName === 'settings') {
             this.checkDatabaseStatus();
+            this.checkServerJobs();
+            this.loadSchedules();
+            this.loadAlertRules();
+            this.loadAlertFeed();
+            this.loadDigest();
+            this.loadRegistryEditor();
+            this.loadTrash();
+            this.loadRetention();
+            this.loadAuditLog();
             this.initLanguageSelector();
         }
 
@@ -627,6 +900,110 @@ const UI = {
         this.elements.sidebar.classList.remove('open');
     },
 
+    /**
+     * Fill the market switcher in the header
+     */
+    renderMarkets() {
+        if (this.elements.marketSelect) {
+            this.elements.marketSelect.innerHTML = CONFIG.markets.map(market => 
+                `<option value="${market.id}">${market.name}</option>`
+            ).join('');
+            this.elements.marketSelect.value = getCurrentMarket().id;
+            // Nothing to switch between until a second market exists
+            this.elements.marketSelect.style.display = CONFIG.markets.length > 1 ? '' : 'none';
+        }
+        this.applyMarket();
+    },
+
+    /**
+     * Show the selected market's name and move the maps to it
+     */
+    applyMarket() {
+        const market = getCurrentMarket();
+        CONFIG.map.center = getMarketCenter(market);
+
+        this.elements.marketNames?.forEach(el => {
+            el.textContent = market.name;
+        });
+        this.map?.setView(CONFIG.map.center, CONFIG.map.zoom);
+        this.registryMap?.setView(CONFIG.map.center, CONFIG.map.zoom);
+    },
+
+    /**
+     * Fill the stay profile selectors (header view switcher, schedule, alert rule and digest forms)
+     */
+    renderStayProfiles() {
+        const options = CONFIG.stayProfiles.map(profile => 
+            `<option value="${profile.id}">${profile.label}</option>`
+        ).join('');
+
+        if (this.elements.stayProfileSelect) {
+            this.elements.stayProfileSelect.innerHTML = options;
+            this.elements.stayProfileSelect.value = getCurrentStayProfile().id;
+        }
+        if (this.elements.scheduleProfileSelect) {
+            this.elements.scheduleProfileSelect.innerHTML = options;
+            this.elements.scheduleProfileSelect.value = CONFIG.defaultStayProfile;
+        }
+        if (this.elements.alertRuleProfileSelect) {
+            this.elements.alertRuleProfileSelect.innerHTML = '<option value="">All stay profiles</option>' + options;
+        }
+        if (this.elements.digestProfileSelect) {
+            this.elements.digestProfileSelect.innerHTML = options;
+            this.elements.digestProfileSelect.value = CONFIG.defaultStayProfile;
+        }
+    },
+
+    /**
+     * Build the month buttons and analytics month list from the season
+     * (runs before cacheElements so the new buttons get cached)
+     */
+    renderSeasonMonths() {
+        const months = getSeasonMonths();
+        const monthKey = ({ year, month }) => `${year}-${String(month).padStart(2, '0')}`;
+
+        const buttons = document.getElementById('month-buttons');
+        if (buttons) {
+            buttons.innerHTML = months.map(m => `
+                <button class="month-btn" data-month="${monthKey(m)}">
+                    <span class="month-name">${MONTH_NAMES[m.month - 1]}</span>
+                    <span class="month-year">${m.year}</span>
+                </button>
+            `).join('');
+        }
+
+        const analyticsSelect = document.getElementById('analytics-month-select');
+        if (analyticsSelect) {
+            analyticsSelect.innerHTML = months.map(m => 
+                `<option value="${monthKey(m)}">${MONTH_NAMES[m.month - 1]} ${m.year}</option>`
+            ).join('');
+        }
+        this.analyticsMonth = monthKey(this.currentMonth);
+    },
+
+    /**
+     * Hide controls the current user's role doesn't allow
+     * Elements declare what they need with data-permission="rates:fetch"
+     */
+    applyPermissions() {
+        document.querySelectorAll('[data-permission]').forEach(el => {
+            el.classList.toggle('permission-hidden', !Auth.can(el.dataset.permission));
+        });
+
+        if (this.elements.seasonStartInput) {
+            this.elements.seasonStartInput.value = CONFIG.season.startDate;
+            this.elements.seasonEndInput.value = CONFIG.season.endDate;
+            this.elements.seasonRollingInput.value = CONFIG.season.rollingDays || '';
+        }
+
+        if (this.elements.currentUserRole) {
+            const roleLabels = { viewer: 'Viewer', revenue_manager: 'Revenue Manager', admin: 'Admin' };
+            const session = Auth.getSession();
+            this.elements.currentUserRole.textContent = 
+                `${session?.username || '--'} (${roleLabels[session?.role] || 'Viewer'})`;
+        }
+    },
+
     /**
      * Initialize theme
      */
@@ -685,7 +1062,7 @@ const UI = {
 
         toast.innerHTML = `
             <span class="toast-icon">${icons[type] || icons.info}</span>
-            <span class="toast-message">${message}</span>
+            <span class="toast-message">${escapeHtml(message)}</span>
         `;
 
         this.elements.toastContainer.appendChild(toast);
@@ -919,21 +1296,21 @@ const UI = {
             year++;
         }
 
-        // Season limits: May 2026 to October 2026
-        const minMonth = 5;  // May
-        const maxMonth = 10; // October
-        const seasonYear = 2026;
+        // Season limits
+        const seasonMonths = getSeasonMonths();
+        const first = seasonMonths[0];
+        const last = seasonMonths[seasonMonths.length - 1];
         
-        // Don't go before May 2026
-        if (year < seasonYear || (year === seasonYear && month < minMonth)) {
-            year = seasonYear;
-            month = minMonth;
+        // Don't go before the first season month
+        if (year < first.year || (year === first.year && month < first.month)) {
+            year = first.year;
+            month = first.month;
         }
         
-        // Don't go after October 2026
-        if (year > seasonYear || (year === seasonYear && month > maxMonth)) {
-            year = seasonYear;
-            month = maxMonth;
+        // Don't go after the last season month
+        if (year > last.year || (year === last.year && month > last.month)) {
+            year = last.year;
+            month = last.month;
         }
 
         this.currentMonth = { year, month };
@@ -987,10 +1364,10 @@ const UI = {
                 : '';
             
             // Direct competitor badge
-            const isCompetitor = isDirectCompetitor(hotel.name);
+            const isCompetitor = isDirectCompetitor(hotel);
             const competitorBadge = isCompetitor ? '<span class="direct-comp-icon">⚔️</span>' : '';
             
-            const isYours = isYourHotel(hotel.name);
+            const isYours = isYourHotel(hotel);
             const yourBadge = isYours ? '<span class="your-badge">YOU</span>' : '';
             
             // Only show meta row if there's content
@@ -1082,29 +1459,11 @@ const UI = {
             this.elements.priceSpread.textContent = formatCurrency(stats.spread);
         }
 
-        // Update your hotels
-        const riviera = yourHotels.find(h => h.name?.toLowerCase().includes('riviera'));
-        const american = yourHotels.find(h => h.name?.toLowerCase().includes('american'));
-
-        if (riviera) {
-            this.elements.rivieraRate.textContent = formatCurrency(riviera.price);
-            this.elements.rivieraVendor.textContent = riviera.vendor || '--';
-            this.elements.rivieraRank.textContent = `#${riviera.marketPosition || '--'}`;
-            this.elements.rivieraRating.textContent = riviera.rating ? `${riviera.rating.toFixed(1)}★` : '--';
-        }
-
-        if (american) {
-            this.elements.americanRate.textContent = formatCurrency(american.price);
-            this.elements.americanVendor.textContent = american.vendor || '--';
-            this.elements.americanRank.textContent = `#${american.marketPosition || '--'}`;
-            this.elements.americanRating.textContent = american.rating ? `${american.rating.toFixed(1)}★` : '--';
-        }
+        // Update your hotels - one card per property
+        const portfolio = Storage.getPortfolioData(targetDate);
+        this.renderSpotlightCards(portfolio);
 
-        // Calculate portfolio average
-        const portfolioPrices = yourHotels.map(h => h.price).filter(p => p > 0);
-        const portfolioAvg = portfolioPrices.length > 0 
-            ? Math.round(portfolioPrices.reduce((a, b) => a + b, 0) / portfolioPrices.length)
-            : null;
+        const portfolioAvg = portfolio.portfolioAvg;
         this.elements.portfolioAvg.textContent = formatCurrency(portfolioAvg);
 
         // Calculate average market position
@@ -1126,7 +1485,78 @@ const UI = {
         }
 
         // Update Price Intelligence
-        this.updatePriceIntelligence(targetDate, stats, yourHotels, portfolioAvg);
+        this.updatePriceIntelligence(targetDate, stats, portfolio);
+    },
+
+    /**
+     * Render a spotlight card for each of our properties
+     * The change badge shows its rate against its own competitor set
+     */
+    renderSpotlightCards(portfolio) {
+        if (this.elements.portfolioNames) {
+            this.elements.portfolioNames.textContent = 
+                portfolio.properties.map(p => p.property.name).join(' & ') || '--';
+        }
+        if (!this.elements.yourHotelsGrid) return;
+
+        this.elements.yourHotelsGrid.innerHTML = portfolio.properties.map(({ property, hotel, marketRank, compSet, compSetRank, gapToCompSet }) => {
+            const gapText = gapToCompSet === null ? '--' 
+                : `${gapToCompSet >= 0 ? '+' : '-'}$${Math.abs(gapToCompSet)} vs comp set`;
+
+            return `
+                <div class="hotel-spotlight-card">
+                    <div class="spotlight-header">
+                        <div class="hotel-name-badge">
+                            <span class="badge-icon">🏨</span>
+                            <span>${property.name}</span>
+                        </div>
+                        <span class="hotel-id">Comp set #${compSetRank || '--'} of ${compSet.length + 1}</span>
+                    </div>
+                    <div class="spotlight-body">
+                        <div class="rate-display">
+                            <span class="rate-currency">$</span>
+                            <span class="rate-value">${formatCurrency(hotel?.price)}</span>
+                            <span class="rate-period">/night</span>
+                        </div>
+                        <div class="rate-meta">
+                            <div class="rate-change ${gapToCompSet < 0 ? 'negative' : 'positive'}" title="Against the average of its competitor set">
+                                <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                                    <polyline points="18 15 12 9 6 15"/>
+                                </svg>
+                                <span>${gapText}</span>
+                            </div>
+                            <div class="vendor-badge">${hotel?.vendor || '--'}</div>
+                        </div>
+                    </div>
+                    <div class="spotlight-footer">
+                        <div class="metric">
+                            <span class="metric-label">Market Rank</span>
+                            <span class="metric-value">#${marketRank || '--'}</span>
+                        </div>
+                        <div class="metric">
+                            <span class="metric-label">Rating</span>
+                            <span class="metric-value">${hotel?.rating ? `${hotel.rating.toFixed(1)}★` : '--'}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    /**
+     * List our properties and their competitor sets in Settings
+     */
+    renderPropertyTags() {
+        if (!this.elements.propertyTags) return;
+
+        this.elements.propertyTags.innerHTML = getOurProperties().map(property => `
+            <div class="property-tag yours">
+                <span>${property.name}</span>
+                <span class="tag-id">${property.competitorSet.length > 0 
+                    ? `Comp set: ${property.competitorSet.length} hotels` 
+                    : 'Comp set: direct competitors'}</span>
+            </div>
+        `).join('');
     },
 
     /**
@@ -1145,7 +1575,7 @@ const UI = {
         tbody.innerHTML = sortedHotels.map((hotel, index) => `
             <tr>
                 <td class="rank">#${index + 1}</td>
-                <td class="hotel-name ${isYourHotel(hotel.name) ? 'highlight' : ''}">${hotel.name}</td>
+                <td class="hotel-name ${isYourHotel(hotel) ? 'highlight' : ''}">${hotel.name}</td>
                 <td class="rate">$${hotel.price}</td>
                 <td class="rating">${hotel.rating ? hotel.rating.toFixed(1) + '★' : '--'}</td>
             </tr>
@@ -1404,10 +1834,10 @@ const UI = {
                 const bucket = getBucket(price);
                 dayBuckets[bucket]++;
                 
-                if (isYourHotel(hotel.name)) {
+                if (isYourHotel(hotel)) {
                     buckets[bucket].hasYourHotel = true;
                 }
-                if (isDirectCompetitor(hotel.name)) {
+                if (isDirectCompetitor(hotel)) {
                     buckets[bucket].hasDirectComp = true;
                 }
             });
@@ -1523,8 +1953,8 @@ const UI = {
         // Render table with highlighting for your hotels and direct competitors
         const tbody = this.elements.competitorTable.querySelector('tbody');
         tbody.innerHTML = hotels.map((hotel, index) => {
-            const isYours = isYourHotel(hotel.name);
-            const isDirect = isDirectCompetitor(hotel.name);
+            const isYours = isYourHotel(hotel);
+            const isDirect = isDirectCompetitor(hotel);
             const rowClass = isYours ? 'your-hotel-row' : (isDirect ? 'direct-competitor-row' : '');
             const badge = isYours ? '<span class="table-badge yours">YOU</span>' : 
                          (isDirect ? '<span class="table-badge direct">⚔️</span>' : '');
@@ -1662,7 +2092,7 @@ const UI = {
 
         // Count days with data
         const loadedDates = data?.dates ? Object.keys(data.dates).length : 0;
-        const totalDays = 184; // May-October = 184 days
+        const totalDays = getSeasonDates().length;
         const remaining = totalDays - loadedDates;
 
         if (daysLoaded) daysLoaded.textContent = loadedDates;
@@ -1682,7 +2112,7 @@ const UI = {
         } else {
             banner.className = 'data-status-banner has-data';
             if (title) title.textContent = 'All Rate Data Loaded';
-            if (details) details.textContent = 'Complete data for May through October 2026';
+            if (details) details.textContent = `Complete data for ${formatDate(CONFIG.season.startDate)} through ${formatDate(CONFIG.season.endDate)}`;
         }
     },
 
@@ -1746,40 +2176,92 @@ const UI = {
     },
 
     /**
-     * Update API call history display
+     * Load the server audit log with the chosen filters (admins only)
+     * more = append the next page below the entries already shown
      */
-    updateApiHistory() {
-        const container = this.elements.apiHistoryList;
-        if (!container) return;
+    async loadAuditLog(more = false) {
+        const container = this.elements.auditList;
+        if (!container || !Auth.can('audit:read')) return;
+
+        const filters = {
+            username: this.elements.auditUserSelect?.value,
+            action: this.elements.auditActionSelect?.value,
+            success: this.elements.auditResultSelect?.value,
+            from: this.elements.auditFromInput?.value,
+            to: this.elements.auditToInput?.value
+        };
+        if (more && this.auditEntries.length > 0) {
+            filters.before = this.auditEntries[this.auditEntries.length - 1].at;
+        }
 
-        const history = Storage.getApiHistory();
+        try {
+            const result = await API.getAuditLog(filters);
+            this.auditEntries = more ? [...this.auditEntries, ...result.entries] : result.entries;
+            this.renderAuditFilters(result.usernames, result.actions);
+            this.renderAuditLog(this.auditEntries);
+            if (this.elements.auditMoreBtn) {
+                this.elements.auditMoreBtn.style.display = result.hasMore ? '' : 'none';
+            }
+        } catch (error) {
+            container.innerHTML = `<div class="api-history-empty">Could not load the audit log: ${escapeHtml(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Fill the user and action filters, keeping the current choices
+     */
+    renderAuditFilters(usernames, actions) {
+        const fill = (select, values, allLabel) => {
+            if (!select) return;
+            const current = select.value;
+            select.innerHTML = `<option value="">${allLabel}</option>` +
+                values.map(value => `<option value="${value}">${value}</option>`).join('');
+            select.value = values.includes(current) ? current : '';
+        };
+        fill(this.elements.auditUserSelect, usernames, 'All users');
+        fill(this.elements.auditActionSelect, actions, 'All actions');
+    },
+
+    /**
+     * Render audit entries: who did what, with which parameters, and how it went
+     */
+    renderAuditLog(entries) {
+        const container = this.elements.auditList;
 
-        if (history.length === 0) {
-            container.innerHTML = '<div class="api-history-empty">No API calls recorded yet</div>';
+        if (entries.length === 0) {
+            container.innerHTML = '<div class="api-history-empty">No matching activity</div>';
             return;
         }
 
-        container.innerHTML = history.map(entry => {
-            const date = new Date(entry.timestamp);
-            const timeStr = date.toLocaleString('en-US', { 
+        const describe = (values) => Object.entries(values || {})
+            .filter(([, value]) => value !== null && value !== undefined && value !== '')
+            .map(([field, value]) => `${field}: ${Array.isArray(value) ? value.join(', ') : value}`)
+            .join(' · ');
+
+        // Everything below comes from requests, including failed logins by anyone
+        container.innerHTML = entries.map(entry => {
+            const timeStr = new Date(entry.at).toLocaleString('en-US', { 
                 month: 'short', 
                 day: 'numeric', 
                 hour: 'numeric', 
                 minute: '2-digit',
                 hour12: true 
             });
-
-            const statusClass = entry.success ? 'success' : (entry.error ? 'error' : 'warning');
+            const details = [describe(entry.params), describe(entry.body)].filter(Boolean).join(' · ');
+            const outcome = entry.success ? describe(entry.result) : entry.error;
+            const device = entry.device?.id ? ` · device ${entry.device.id.slice(0, 8)}` : '';
 
             return `
-                <div class="api-history-item ${statusClass}">
+                <div class="api-history-item ${entry.success ? 'success' : 'error'}">
                     <div class="api-history-main">
-                        <div class="api-history-action">${entry.action}</div>
-                        <div class="api-history-details">${entry.details || ''}</div>
+                        <div class="api-history-action">${escapeHtml(entry.action)} · ${escapeHtml(entry.username || 'unknown')}</div>
+                        ${details ? `<div class="api-history-details">${escapeHtml(details)}</div>` : ''}
+                        ${outcome ? `<div class="api-history-details">${entry.success ? '' : '❌ '}${escapeHtml(outcome)}</div>` : ''}
                     </div>
                     <div class="api-history-meta">
                         <div class="api-history-time">${timeStr}</div>
-                        ${entry.creditsUsed ? `<div class="api-history-credits">${entry.creditsUsed} call${entry.creditsUsed > 1 ? 's' : ''}</div>` : ''}
+                        ${entry.credits ? `<div class="api-history-credits">${escapeHtml(entry.credits)} credit${entry.credits > 1 ? 's' : ''}</div>` : ''}
+                        <div class="api-history-time">${escapeHtml(entry.status || '')}${escapeHtml(device)}</div>
                     </div>
                 </div>
             `;
@@ -1841,13 +2323,85 @@ const UI = {
             }
         }
 
-        // Update API history
-        this.updateApiHistory();
+        // Update the audit log
+        this.loadAuditLog();
 
         // Update data coverage
         this.updateDataCoverage();
     },
 
+    // ============================================
+    // API CREDITS
+    // ============================================
+
+    /**
+     * Show credit usage: monthly totals, today's budget, spend by source and by day
+     */
+    renderCredits(result) {
+        this.elements.creditsRemaining.textContent = result.remainingLimit;
+        this.elements.creditsUsed.textContent = result.requestUsed;
+        this.elements.creditsLimit.textContent = result.requestLimit;
+        
+        // Color code based on usage
+        const usagePercent = result.requestLimit > 0 ? (result.requestUsed / result.requestLimit) * 100 : 100;
+        this.elements.creditsRemaining.classList.toggle('danger', usagePercent > 90);
+        this.elements.creditsRemaining.classList.toggle('warning', usagePercent > 70 && usagePercent <= 90);
+
+        const { budget, today } = result;
+
+        if (this.elements.creditsToday) {
+            const dailyText = budget.dailyBudget !== null 
+                ? `${today.used} / ${budget.dailyBudget} today` 
+                : `${today.used} today`;
+            const monthlyText = budget.monthlyBudget !== null ? ` · monthly budget ${budget.monthlyBudget}` : '';
+            this.elements.creditsToday.textContent = `${dailyText}${monthlyText} · ${result.available} available now`;
+        }
+
+        const sourceLabels = {
+            manual: 'Manual fetches',
+            auto_refresh: 'Server refresh',
+            schedule: 'Schedules'
+        };
+
+        if (this.elements.creditsBySource) {
+            this.elements.creditsBySource.innerHTML = Object.entries(result.bySource).map(([source, count]) => `
+                <div class="credits-source-row">
+                    <span>${sourceLabels[source] || source}</span>
+                    <span class="credits-source-count">${count}</span>
+                </div>
+            `).join('');
+        }
+
+        if (this.elements.creditsByDay) {
+            if (result.byDay.length === 0) {
+                this.elements.creditsByDay.innerHTML = '<div class="api-history-empty">No credits used this month</div>';
+            } else {
+                const maxDay = Math.max(...result.byDay.map(day => day.total), budget.dailyBudget || 0);
+                this.elements.creditsByDay.innerHTML = result.byDay.map(day => {
+                    const d = new Date(day.date + 'T00:00:00');
+                    const label = d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+                    const tooltip = Object.entries(day.sources)
+                        .map(([source, count]) => `${sourceLabels[source] || source}: ${count}`)
+                        .join(', ');
+                    return `
+                        <div class="credits-day-row" title="${tooltip}">
+                            <span class="credits-day-label">${label}</span>
+                            <div class="credits-day-bar">
+                                <div class="credits-day-fill" style="width: ${Math.round((day.total / maxDay) * 100)}%"></div>
+                            </div>
+                            <span class="credits-day-count">${day.total}</span>
+                        </div>
+                    `;
+                }).join('');
+            }
+        }
+
+        // Pre-fill the admin budget form
+        if (this.elements.creditQuotaInput) this.elements.creditQuotaInput.value = budget.monthlyQuota;
+        if (this.elements.creditMonthlyInput) this.elements.creditMonthlyInput.value = budget.monthlyBudget ?? '';
+        if (this.elements.creditDailyInput) this.elements.creditDailyInput.value = budget.dailyBudget ?? '';
+    },
+
     // ============================================
     // DATE PICKER MODAL FUNCTIONS
     // ============================================
@@ -1894,6 +2448,147 @@ const UI = {
         if (modal) modal.classList.remove('active');
     },
 
+    /**
+     * Open the PDF report modal on the report for the current page
+     */
+    openPdfExportModal() {
+        const modal = this.elements.pdfExportModal;
+        if (!modal) return;
+
+        const dates = Storage.getAvailableDates();
+        if (dates.length === 0) {
+            this.showToast('Load some rates before exporting a report', 'info');
+            return;
+        }
+
+        const options = dates.map(date => `<option value="${date}">${formatDate(date)}</option>`).join('');
+        this.elements.pdfFromDate.innerHTML = options;
+        this.elements.pdfToDate.innerHTML = options;
+
+        const reports = { dashboard: 'dashboard', monthly: 'month', competitors: 'competitors', myhotels: 'myhotels' };
+        this.elements.pdfReportType.value = reports[this.currentPage] || 'dashboard';
+        this.setPdfExportRange();
+
+        modal.classList.add('active');
+    },
+
+    /**
+     * Default the PDF date range to what the report's page is showing:
+     * the calendar month, the competitor or My Hotels date, or every loaded date
+     */
+    setPdfExportRange() {
+        const dates = Storage.getAvailableDates();
+        let from = dates[0];
+        let to = dates[dates.length - 1];
+
+        const type = this.elements.pdfReportType.value;
+        if (type === 'month') {
+            const monthKey = `${this.currentMonth.year}-${String(this.currentMonth.month).padStart(2, '0')}`;
+            const monthDates = dates.filter(date => date.startsWith(monthKey));
+            if (monthDates.length > 0) {
+                from = monthDates[0];
+                to = monthDates[monthDates.length - 1];
+            }
+        } else {
+            const pageDates = { competitors: this.elements.compDate?.value, myhotels: this.elements.myhotelsDateSelector?.value };
+            if (dates.includes(pageDates[type])) {
+                from = to = pageDates[type];
+            }
+        }
+
+        this.elements.pdfFromDate.value = from;
+        this.elements.pdfToDate.value = to;
+    },
+
+    /**
+     * Close the PDF report modal
+     */
+    closePdfExportModal() {
+        const modal = this.elements.pdfExportModal;
+        if (modal) modal.classList.remove('active');
+    },
+
+    /**
+     * Open the rates export modal, on every loaded date
+     */
+    openRatesExportModal() {
+        const modal = this.elements.ratesExportModal;
+        if (!modal) return;
+
+        const dates = Storage.getAvailableDates();
+        if (dates.length === 0) {
+            this.showToast('Load some rates before exporting', 'info');
+            return;
+        }
+
+        const options = dates.map(date => `<option value="${date}">${formatDate(date)}</option>`).join('');
+        this.elements.ratesExportFrom.innerHTML = options;
+        this.elements.ratesExportTo.innerHTML = options;
+        this.elements.ratesExportFrom.value = dates[0];
+        this.elements.ratesExportTo.value = dates[dates.length - 1];
+        this.updateRatesExportForm();
+
+        modal.classList.add('active');
+    },
+
+    /**
+     * Cells only apply to the pivot, past observations only to the long layout
+     */
+    updateRatesExportForm() {
+        const pivot = this.elements.ratesExportLayout.value === 'pivot';
+        this.elements.ratesExportValueGroup.style.display = pivot ? '' : 'none';
+        this.elements.ratesExportHistoryGroup.style.display = pivot ? 'none' : '';
+        if (pivot) this.elements.ratesExportHistory.value = 'false';
+    },
+
+    /**
+     * Download the export chosen in the modal: built here from the loaded rates,
+     * or by the server when every observation is asked for
+     */
+    async exportRates() {
+        const options = {
+            from: this.elements.ratesExportFrom.value,
+            to: this.elements.ratesExportTo.value,
+            layout: this.elements.ratesExportLayout.value,
+            format: this.elements.ratesExportFormat.value,
+            value: this.elements.ratesExportValue.value,
+            tiers: [...this.elements.ratesExportTiers.querySelectorAll('input:checked')].map(input => input.value)
+        };
+        if (options.from > options.to) {
+            this.showToast('Pick a date range with the start before the end', 'error');
+            return;
+        }
+        if (options.tiers.length === 0) {
+            this.showToast('Pick at least one group of hotels', 'error');
+            return;
+        }
+
+        const button = this.elements.confirmRatesExport;
+        button.disabled = true;
+        try {
+            if (this.elements.ratesExportHistory.value === 'true') {
+                await API.downloadRatesExport({ ...options, history: true });
+                this.showToast('Rate history exported', 'success');
+            } else {
+                const rows = await Storage.exportRates(options);
+                this.showToast(`Exported ${rows} rows`, 'success');
+            }
+            this.closeRatesExportModal();
+        } catch (error) {
+            this.showToast('Export failed: ' + error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    },
+
+    /**
+     * Close the rates export modal
+     */
+    closeRatesExportModal() {
+        const modal = this.elements.ratesExportModal;
+        if (modal) modal.classList.remove('active');
+    },
+
     /**
      * Populate the date dropdown selectors
      */
@@ -1902,16 +2597,8 @@ const UI = {
         const toSelect = this.elements.fetchToDate;
         if (!fromSelect || !toSelect) return;
 
-        // Generate all dates from May to October 2026
-        const dates = [];
-        const { startMonth, startYear, monthsToCollect } = CONFIG.dateRange;
-
-        for (let i = 0; i < monthsToCollect; i++) {
-            let month = startMonth + i;
-            let year = startYear;
-            if (month > 12) { month -= 12; year++; }
-            dates.push(...getDatesInMonth(year, month));
-        }
+        // Generate all dates in the season
+        const dates = getSeasonDates();
 
         // Create options
         const createOptions = (selectedIndex = 0) => {
@@ -1939,17 +2626,13 @@ const UI = {
         if (!container) return;
 
         const data = Storage.loadData();
-        const { startMonth, startYear, monthsToCollect } = CONFIG.dateRange;
 
         let html = '';
 
-        for (let i = 0; i < monthsToCollect; i++) {
-            let month = startMonth + i;
-            let year = startYear;
-            if (month > 12) { month -= 12; year++; }
-
+        for (const { year, month } of getSeasonMonths()) {
             const monthName = MONTH_NAMES_SHORT[month - 1];
-            const datesInMonth = getDatesInMonth(year, month);
+            // Only the arrival dates the selected stay profile is shopped for
+            const datesInMonth = filterArrivalDates(getDatesInMonth(year, month));
             const totalDays = datesInMonth.length;
 
             // Check how many days have data
@@ -2013,12 +2696,13 @@ const UI = {
         try {
             const result = await API.checkAccount();
             if (result.success) {
-                this.currentCredits = result.remainingLimit;
+                // What the server will actually allow, after budgets
+                this.currentCredits = result.available;
                 if (this.elements.modalCreditsRemaining) {
-                    this.elements.modalCreditsRemaining.textContent = result.remainingLimit;
+                    this.elements.modalCreditsRemaining.textContent = result.available;
                 }
                 if (this.elements.estCreditsAvailable) {
-                    this.elements.estCreditsAvailable.textContent = result.remainingLimit;
+                    this.elements.estCreditsAvailable.textContent = result.available;
                 }
                 // Refresh month buttons with new credit info
                 this.populateQuickMonthButtons();
@@ -2054,7 +2738,10 @@ const UI = {
         const days = Math.round((to - from) / (1000 * 60 * 60 * 24)) + 1;
 
         const validDays = Math.max(0, days);
-        const apiCalls = validDays; // 1 call per day in quick mode
+        // 1 call per arrival date (weekend stay profiles skip weekdays)
+        const apiCalls = validDays > 0 
+            ? filterArrivalDates(getNextDates(fromDate, validDays)).length 
+            : 0;
 
         // Update display
         if (this.elements.estDaysCount) {
@@ -2095,12 +2782,12 @@ const UI = {
             // Enough credits
             if (warning) warning.style.display = 'none';
             if (confirmBtn) {
-                confirmBtn.disabled = validDays === 0;
+                confirmBtn.disabled = apiCalls === 0;
                 confirmBtn.innerHTML = `
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" style="width:16px;height:16px;">
                         <polyline points="23 4 23 10 17 10"/><path d="M20.49 15a9 9 0 1 1-2.12-9.36L23 10"/>
                     </svg>
-                    Fetch ${validDays} Days
+                    Fetch ${apiCalls} Days
                 `;
             }
         }
@@ -2115,21 +2802,15 @@ const UI = {
 
         if (!fromDate || !toDate) return;
 
-        // Generate dates array
-        const dates = [];
+        // Generate dates array (only arrival days the stay profile is shopped for)
         const from = new Date(fromDate + 'T00:00:00');
         const to = new Date(toDate + 'T00:00:00');
+        const totalDays = Math.round((to - from) / (1000 * 60 * 60 * 24)) + 1;
+        const dates = filterArrivalDates(getNextDates(fromDate, totalDays));
 
         // Limit to available credits if necessary
-        let maxDates = Math.round((to - from) / (1000 * 60 * 60 * 24)) + 1;
-        if (this.currentCredits !== null && maxDates > this.currentCredits) {
-            maxDates = this.currentCredits;
-        }
-
-        for (let i = 0; i < maxDates; i++) {
-            const date = new Date(from);
-            date.setDate(from.getDate() + i);
-            dates.push(formatDateForAPI(date));
+        if (this.currentCredits !== null && dates.length > this.currentCredits) {
+            dates.length = this.currentCredits;
         }
 
         if (dates.length === 0) {
@@ -2191,17 +2872,6 @@ const UI = {
             }
         }
 
-        // Log the fetch
-        Storage.logApiCall({
-            action: 'Custom Date Range Fetch',
-            details: `${dates[0]} to ${dates[dates.length - 1]} (${result.datesCompleted} days)`,
-            success: !result.limitReached,
-            creditsUsed: result.callsUsed,
-            datesProcessed: result.datesCompleted,
-            hotelsFound: Object.values(result.results)[0]?.hotels?.length || 0,
-            error: result.limitReached ? 'API limit reached' : null
-        });
-
         this.hideUpdateModal();
 
         // Show results
@@ -2215,7 +2885,7 @@ const UI = {
      * Fetch a specific month
      */
     async fetchMonth(year, month) {
-        const dates = getDatesInMonth(year, month);
+        const dates = filterArrivalDates(getDatesInMonth(year, month));
         const monthName = MONTH_NAMES[month - 1];
 
         // Check credits
@@ -2280,17 +2950,6 @@ const UI = {
             }
         }
 
-        // Log
-        Storage.logApiCall({
-            action: `Fetch ${monthName} ${year}`,
-            details: `${result.datesCompleted} of ${dates.length} days fetched`,
-            success: !result.limitReached,
-            creditsUsed: result.callsUsed,
-            datesProcessed: result.datesCompleted,
-            hotelsFound: Object.values(result.results)[0]?.hotels?.length || 0,
-            error: result.limitReached ? 'API limit reached' : null
-        });
-
         this.hideUpdateModal();
         this.showFetchResults(result, dates);
         App.loadExistingData();
@@ -2382,24 +3041,22 @@ const UI = {
     /**
      * Update all price intelligence sections
      */
-    updatePriceIntelligence(dateStr, stats, yourHotels, portfolioAvg) {
-        this.updatePricePosition(dateStr, stats, yourHotels, portfolioAvg);
-        this.updatePriceGap(stats, portfolioAvg);
+    updatePriceIntelligence(dateStr, stats, portfolio) {
+        this.updatePricePosition(dateStr, portfolio);
+        this.updatePriceGap(stats, portfolio.portfolioAvg);
         this.updatePriceAlerts();
         this.updateHighDemandDates();
         this.populateCompetitorSelect();
     },
 
     /**
-     * Update price position display
+     * Update price position display - one marker per property
      */
-    updatePricePosition(dateStr, stats, yourHotels, portfolioAvg) {
+    updatePricePosition(dateStr, portfolio) {
         if (!this.elements.yourPositionRank) return;
         
-        // Get your hotel's position (using American Boutique as primary)
-        const american = yourHotels.find(h => h.name?.toLowerCase().includes('american'));
-        const position = american?.marketPosition;
-        const total = stats?.count || 0;
+        const ranked = portfolio.properties.filter(p => p.marketRank);
+        const total = portfolio.marketCount;
         
         // Update date
         if (this.elements.positionDate) {
@@ -2409,33 +3066,39 @@ const UI = {
             });
         }
         
-        // Update rank
-        this.elements.yourPositionRank.textContent = position ? `#${position}` : '#--';
+        // Update rank, e.g. "#3 · #9" for two properties
+        this.elements.yourPositionRank.textContent = ranked.length > 0 
+            ? ranked.map(p => `#${p.marketRank}`).join(' · ') : '#--';
         if (this.elements.positionTotal) {
             this.elements.positionTotal.textContent = total || '--';
         }
         
-        // Update position marker (0% = cheapest, 100% = most expensive)
-        if (this.elements.positionMarker && position && total) {
-            const percentage = ((position - 1) / (total - 1)) * 100;
-            this.elements.positionMarker.style.left = `${Math.min(100, Math.max(0, percentage))}%`;
+        // One marker per property (0% = cheapest, 100% = most expensive)
+        if (this.elements.positionBar) {
+            this.elements.positionBar.querySelectorAll('.position-marker').forEach(marker => marker.remove());
+            portfolio.properties.forEach((p, index) => {
+                if (!p.marketRank || !total) return;
+                const percentage = total > 1 ? ((p.marketRank - 1) / (total - 1)) * 100 : 50;
+                const marker = document.createElement('div');
+                marker.className = 'position-marker';
+                marker.title = `${p.property.name}: #${p.marketRank}`;
+                marker.style.left = `${Math.min(100, Math.max(0, percentage))}%`;
+                marker.style.background = CONFIG.chartColors.properties[index % CONFIG.chartColors.properties.length];
+                this.elements.positionBar.prepend(marker);
+            });
         }
         
-        // Update tier
-        if (this.elements.positionTier && position && total) {
-            const percentage = position / total;
-            let tier, tierClass;
-            if (percentage <= 0.33) {
-                tier = '💚 Budget-Friendly';
-                tierClass = 'budget';
-            } else if (percentage <= 0.66) {
-                tier = '💛 Mid-Range';
-                tierClass = 'mid';
-            } else {
-                tier = '💎 Premium';
-                tierClass = 'premium';
-            }
-            this.elements.positionTier.textContent = tier;
+        // Update tier for each property
+        if (this.elements.positionTier && ranked.length > 0 && total) {
+            const tierOf = (position) => {
+                const percentage = position / total;
+                if (percentage <= 0.33) return '💚 Budget-Friendly';
+                if (percentage <= 0.66) return '💛 Mid-Range';
+                return '💎 Premium';
+            };
+            this.elements.positionTier.textContent = ranked.length === 1 
+                ? tierOf(ranked[0].marketRank)
+                : ranked.map(p => `${p.property.name}: ${tierOf(p.marketRank)}`).join(' · ');
         }
     },
 
@@ -2466,95 +3129,69 @@ const UI = {
     },
 
     /**
-     * Update price alerts - detect significant competitor price changes
+     * Update price alerts - significant rate changes the server saw between shops
+     * of the same stay date, newest first (more adds the next page)
      */
-    updatePriceAlerts() {
+    async updatePriceAlerts(more = false) {
         if (!this.elements.priceAlerts) return;
         
-        const data = Storage.loadData();
-        if (!data?.dates) {
-            this.elements.priceAlerts.innerHTML = '<div class="no-alerts">No data to analyze</div>';
-            if (this.elements.alertCount) {
-                this.elements.alertCount.textContent = '0';
-                this.elements.alertCount.classList.add('none');
+        const before = more && this.priceAlertFeed.length > 0 
+            ? this.priceAlertFeed[this.priceAlertFeed.length - 1]._id 
+            : null;
+        let result;
+        try {
+            result = await API.getRateChanges({ minPercent: CONFIG.ui.priceAlertPercent, limit: 20, before });
+        } catch (error) {
+            if (!more) {
+                this.elements.priceAlerts.innerHTML = `<div class="no-alerts">Could not load price changes: ${escapeHtml(error.message)}</div>`;
             }
             return;
         }
         
-        const dates = Object.keys(data.dates).sort();
-        if (dates.length < 2) {
-            this.elements.priceAlerts.innerHTML = '<div class="no-alerts">Need more data to detect changes</div>';
-            return;
-        }
-        
-        // Compare recent dates to find significant changes
-        const alerts = [];
-        const recentDates = dates.slice(-14); // Last 14 days of data
-        const today = new Date().toISOString().split('T')[0];
-        
-        for (let i = 1; i < recentDates.length; i++) {
-            const prevDate = recentDates[i - 1];
-            const currDate = recentDates[i];
-            const prevData = data.dates[prevDate]?.hotels || [];
-            const currData = data.dates[currDate]?.hotels || [];
-            
-            currData.forEach(hotel => {
-                const prevHotel = prevData.find(h => h.name === hotel.name);
-                if (prevHotel && hotel.price && prevHotel.price) {
-                    const change = hotel.price - prevHotel.price;
-                    const changePercent = (change / prevHotel.price) * 100;
-                    
-                    // Alert if >15% change
-                    if (Math.abs(changePercent) >= 15) {
-                        alerts.push({
-                            hotel: hotel.name,
-                            change,
-                            changePercent,
-                            forDate: currDate,  // The date the rate is FOR
-                            changedOn: today,   // When we detected the change
-                            isDrop: change < 0,
-                            isYours: isYourHotel(hotel.name),
-                            isDirect: isDirectCompetitor(hotel.name)
-                        });
-                    }
-                }
-            });
-        }
+        this.priceAlertFeed = more ? [...this.priceAlertFeed, ...result.changes] : result.changes;
+        const alerts = this.priceAlertFeed;
         
         // Update alert count
         if (this.elements.alertCount) {
-            this.elements.alertCount.textContent = alerts.length;
+            this.elements.alertCount.textContent = `${alerts.length}${result.hasMore ? '+' : ''}`;
             this.elements.alertCount.classList.toggle('none', alerts.length === 0);
         }
+        if (this.elements.priceAlertsMoreBtn) {
+            this.elements.priceAlertsMoreBtn.style.display = result.hasMore ? '' : 'none';
+        }
         
         // Display alerts
         if (alerts.length === 0) {
             this.elements.priceAlerts.innerHTML = '<div class="no-alerts">No significant price changes detected</div>';
-        } else {
-            this.elements.priceAlerts.innerHTML = alerts.slice(0, 6).map(alert => {
-                const highlightClass = alert.isYours ? 'alert-yours' : (alert.isDirect ? 'alert-direct' : '');
-                const badge = alert.isYours ? '<span class="alert-badge yours">YOU</span>' : 
-                             (alert.isDirect ? '<span class="alert-badge direct">⚔️</span>' : '');
-                
-                // Format dates nicely
-                const forDateObj = new Date(alert.forDate + 'T00:00:00');
-                const forDateStr = forDateObj.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
-                
-                return `
-                    <div class="alert-item ${alert.isDrop ? 'price-drop' : ''} ${highlightClass}">
-                        <span class="alert-icon">${alert.isDrop ? '📉' : '📈'}</span>
-                        <div class="alert-content">
-                            <div class="alert-hotel">${alert.hotel} ${badge}</div>
-                            <div class="alert-detail">
-                                ${alert.isDrop ? 'Dropped' : 'Increased'} ${Math.abs(alert.changePercent).toFixed(0)}% 
-                                (${alert.isDrop ? '-' : '+'}$${Math.abs(alert.change)})
-                            </div>
-                            <div class="alert-context">For ${forDateStr}</div>
+            return;
+        }
+        
+        this.elements.priceAlerts.innerHTML = alerts.map(alert => {
+            const hotel = { hotelId: alert.hotelId, name: alert.name };
+            const isYours = isYourHotel(hotel);
+            const isDirect = isDirectCompetitor(hotel);
+            const isDrop = alert.newPrice < alert.oldPrice;
+            const highlightClass = isYours ? 'alert-yours' : (isDirect ? 'alert-direct' : '');
+            const badge = isYours ? '<span class="alert-badge yours">YOU</span>' : 
+                         (isDirect ? '<span class="alert-badge direct">⚔️</span>' : '');
+            const detectedAt = new Date(alert.observedAt).toLocaleString('en-US', { 
+                month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' 
+            });
+            
+            return `
+                <div class="alert-item ${isDrop ? 'price-drop' : ''} ${highlightClass}">
+                    <span class="alert-icon">${isDrop ? '📉' : '📈'}</span>
+                    <div class="alert-content">
+                        <div class="alert-hotel">${escapeHtml(alert.name)} ${badge}</div>
+                        <div class="alert-detail">
+                            ${formatDateShort(alert.date)} rate: $${alert.oldPrice} → $${alert.newPrice} 
+                            (${alert.changePercent > 0 ? '+' : ''}${alert.changePercent.toFixed(0)}%)
                         </div>
+                        <div class="alert-context">Detected ${detectedAt}</div>
                     </div>
-                `;
-            }).join('');
-        }
+                </div>
+            `;
+        }).join('');
     },
 
     /**
@@ -2630,7 +3267,7 @@ const UI = {
         const hotels = new Set();
         Object.values(data.dates).forEach(dateData => {
             dateData.hotels?.forEach(h => {
-                if (h.name && !isYourHotel(h.name)) {
+                if (h.name && !isYourHotel(h)) {
                     hotels.add(h.name);
                 }
             });
@@ -2663,26 +3300,19 @@ const UI = {
         const dates = Object.keys(data.dates).sort();
         const competitorPrices = [];
         const marketAvgs = [];
-        const rivieraPrices = [];
-        const americanPrices = [];
+        const properties = getOurProperties().map(property => ({ property, prices: [] }));
         const labels = [];
         
         dates.forEach(date => {
             const dateData = data.dates[date];
             const hotel = dateData.hotels?.find(h => h.name === hotelName);
             
-            // Find your hotels
-            const riviera = dateData.hotels?.find(h => 
-                h.name?.toLowerCase().includes('riviera'));
-            const american = dateData.hotels?.find(h => 
-                h.name?.toLowerCase().includes('american boutique'));
-            
             const d = new Date(date + 'T00:00:00');
             labels.push(d.toLocaleDateString('en-US', { month: 'short', day: 'numeric' }));
             
             competitorPrices.push(hotel?.price || null);
-            rivieraPrices.push(riviera?.price || null);
-            americanPrices.push(american?.price || null);
+            // Your hotels
+            properties.forEach(p => p.prices.push(findPropertyRate(dateData.hotels, p.property)?.price || null));
             
             // Calculate market average for that date
             const prices = dateData.hotels?.map(h => h.price).filter(p => p > 0) || [];
@@ -2713,33 +3343,20 @@ const UI = {
             }
         ];
         
-        // Add Riviera if it has data and isn't the selected hotel
-        if (rivieraPrices.some(p => p !== null) && !hotelName.toLowerCase().includes('riviera')) {
-            datasets.push({
-                label: 'Riviera Motel (YOU)',
-                data: rivieraPrices,
-                borderColor: CONFIG.chartColors.primary,
-                backgroundColor: 'transparent',
-                tension: 0.3,
-                fill: false,
-                borderWidth: 3,
-                pointRadius: 2
-            });
-        }
-        
-        // Add American Boutique if it has data and isn't the selected hotel
-        if (americanPrices.some(p => p !== null) && !hotelName.toLowerCase().includes('american boutique')) {
+        // Add each of your properties that has data
+        properties.forEach((p, index) => {
+            if (!p.prices.some(price => price !== null)) return;
             datasets.push({
-                label: 'American Boutique (YOU)',
-                data: americanPrices,
-                borderColor: '#22c55e',
+                label: `${p.property.name} (YOU)`,
+                data: p.prices,
+                borderColor: CONFIG.chartColors.properties[index % CONFIG.chartColors.properties.length],
                 backgroundColor: 'transparent',
                 tension: 0.3,
                 fill: false,
                 borderWidth: 3,
                 pointRadius: 2
             });
-        }
+        });
         
         this.competitorChart = new Chart(ctx, {
             type: 'line',
@@ -2960,7 +3577,7 @@ const UI = {
             const coords = this.getHotelCoordinates(hotel.name);
             if (!coords) return;
             
-            const isYours = isYourHotel(hotel.name);
+            const isYours = isYourHotel(hotel);
             
             // Create custom icon
             const markerColor = isYours ? '#fbbf24' : '#3d5a80';
@@ -3024,6 +3641,13 @@ const UI = {
      * Get coordinates for a hotel
      */
     getHotelCoordinates(hotelName) {
+        // Registry pin (set in Settings) or the provider's coordinates
+        const entry = findRegisteredHotel(hotelName);
+        const registered = entry?.pinnedCoordinates || entry?.gps_coordinates;
+        if (registered) {
+            return [registered.latitude, registered.longitude];
+        }
+        
         // Try exact match first
         if (CONFIG.hotelCoordinates[hotelName]) {
             return CONFIG.hotelCoordinates[hotelName];
@@ -3072,8 +3696,8 @@ const UI = {
         const sortedHotels = [...hotels].sort((a, b) => a.price - b.price);
         
         this.elements.mapHotelGrid.innerHTML = sortedHotels.map((hotel, index) => {
-            const isYours = isYourHotel(hotel.name);
-            const isDirect = isDirectCompetitor(hotel.name);
+            const isYours = isYourHotel(hotel);
+            const isDirect = isDirectCompetitor(hotel);
             const cardClass = isYours ? 'your-hotel' : (isDirect ? 'direct-competitor' : '');
             const diff = hotel.price - marketAvg;
             const diffText = diff >= 0 ? `+$${diff.toFixed(0)} vs avg` : `-$${Math.abs(diff).toFixed(0)} vs avg`;
@@ -3110,7 +3734,7 @@ const UI = {
         this.elements.dbStatusText.textContent = 'Checking...';
         
         try {
-            const response = await fetch(CONFIG.api.summaryUrl);
+            const response = await Auth.fetch(`${CONFIG.api.summaryUrl}?${new URLSearchParams(getRateScope())}`);
             
             if (!response.ok) {
                 throw new Error('Database unavailable');
@@ -3151,7 +3775,13 @@ const UI = {
     updateDatabaseSummary(result) {
         if (!this.elements.dbSummary) return;
         
-        const { totalDates, byMonth, allDates } = result;
+        const { totalDates, byMonth, allDates, byProfile = {} } = result;
+        
+        // Dates stored per stay profile
+        const profileCounts = CONFIG.stayProfiles
+            .filter(profile => byProfile[profile.id])
+            .map(profile => `${profile.label}: ${byProfile[profile.id]}`)
+            .join(' · ');
         
         // Summary stats
         this.elements.dbSummary.innerHTML = `
@@ -3169,23 +3799,21 @@ const UI = {
                     <div class="db-summary-label">Latest Date</div>
                 </div>
             </div>
+            ${profileCounts ? `<div class="db-profile-counts">${profileCounts}</div>` : ''}
+            ${this.renderSyncReport()}
         `;
         
         // Month cards
         if (this.elements.dbMonthsGrid) {
-            const months = ['2026-05', '2026-06', '2026-07', '2026-08', '2026-09', '2026-10'];
-            const monthNames = ['May', 'June', 'July', 'August', 'September', 'October'];
-            const daysInMonth = [31, 30, 31, 31, 30, 31];
-            
-            this.elements.dbMonthsGrid.innerHTML = months.map((month, idx) => {
-                const monthData = byMonth[month];
+            this.elements.dbMonthsGrid.innerHTML = getSeasonMonths().map(({ year, month }) => {
+                const monthData = byMonth[`${year}-${String(month).padStart(2, '0')}`];
                 const count = monthData?.dates?.length || 0;
-                const total = daysInMonth[idx];
+                const total = filterArrivalDates(getDatesInMonth(year, month)).length;
                 const status = count === 0 ? 'empty' : count === total ? 'complete' : 'partial';
                 
                 return `
                     <div class="db-month-card ${status}">
-                        <div class="db-month-name">${monthNames[idx]} 2026</div>
+                        <div class="db-month-name">${MONTH_NAMES[month - 1]} ${year}</div>
                         <div class="db-month-count">${count}/${total}</div>
                         <div class="db-month-label">days stored</div>
                     </div>
@@ -3194,176 +3822,1408 @@ const UI = {
         }
     },
 
+    /**
+     * Summarize a sync report in one line
+     */
+    describeSyncReport(report) {
+        const parts = [
+            `${report.pulled} pulled`,
+            `${report.pushed} pushed`,
+            report.removed > 0 ? `${report.removed} removed` : null,
+            report.rejected > 0 ? `${report.rejected} rejected` : null,
+            `${report.unchanged} unchanged`
+        ];
+        return parts.filter(Boolean).join(', ');
+    },
+
+    /**
+     * Show the last sync of the selected market and stay profile
+     */
+    renderSyncReport() {
+        const report = Storage.loadData()?.sync?.lastReport;
+        if (!report) return '';
+        
+        const when = new Date(report.at).toLocaleString();
+        return `
+            <div class="db-profile-counts">
+                Last sync ${when} (${report.incremental ? 'changes only' : 'full'}): ${this.describeSyncReport(report)}
+            </div>
+        `;
+    },
+
     // ============================================
-    // MY HOTELS PAGE FUNCTIONS
+    // SERVER REFRESH JOBS
     // ============================================
 
-    initMyHotelsPage() {
-        const dates = Storage.getAvailableDates();
-        if (this.elements.myhotelsDateSelector) {
-            this.elements.myhotelsDateSelector.innerHTML = dates.map(date => 
-                `<option value="${date}">${formatDateShort(date)}</option>`
-            ).join('');
-            
-            if (dates.length > 0) {
-                this.elements.myhotelsDateSelector.value = dates[dates.length - 1];
+    serverJobTimer: null,
+
+    /**
+     * Show the latest server job, and follow it if it's still running
+     */
+    async checkServerJobs() {
+        try {
+            const latest = await API.getLatestJob();
+            if (!latest) {
+                if (this.elements.serverJobStatus) {
+                    this.elements.serverJobStatus.textContent = 'No server refreshes yet';
+                }
+                return;
             }
-            
-            this.elements.myhotelsDateSelector.addEventListener('change', (e) => {
-                this.updateMyHotelsPage(e.target.value);
-            });
-        }
-        
-        if (dates.length > 0) {
-            this.updateMyHotelsPage(dates[dates.length - 1]);
+            if (latest.status === 'running' || latest.status === 'queued') {
+                this.trackServerJob(latest._id);
+            } else {
+                this.updateServerJobProgress(latest);
+            }
+        } catch (error) {
+            console.warn('Could not load server jobs:', error.message);
         }
     },
 
-    updateMyHotelsPage(dateStr) {
-        this.updateBattleTable(dateStr);
-        this.updatePriceRecommendation(dateStr);
-        this.updateWeeklyTable(dateStr);
-        this.updateGapConsistency();
-        this.updateCompetitiveAlerts();
-        this.updateMyHotelsTrendChart();
-        
-        if (this.elements.battleDate) {
-            this.elements.battleDate.textContent = formatDateShort(dateStr);
-        }
-    },
+    /**
+     * Poll a server job every few seconds until it finishes
+     */
+    trackServerJob(jobId) {
+        clearTimeout(this.serverJobTimer);
+        if (this.elements.seasonRefreshBtn) this.elements.seasonRefreshBtn.disabled = true;
 
-    updateBattleTable(dateStr) {
-        const data = Storage.loadData();
-        if (!data?.dates?.[dateStr] || !this.elements.battleTableBody) return;
-        
-        const hotels = data.dates[dateStr].hotels || [];
-        const sortedHotels = [...hotels].filter(h => h.price > 0).sort((a, b) => a.price - b.price);
-        
-        const yourHotels = sortedHotels.filter(h => isYourHotel(h.name));
-        const yourAvgPrice = yourHotels.length > 0 
-            ? yourHotels.reduce((sum, h) => sum + h.price, 0) / yourHotels.length : 0;
-        
-        const relevantHotels = sortedHotels.filter(h => isYourHotel(h.name) || isDirectCompetitor(h.name));
-        
-        this.elements.battleTableBody.innerHTML = relevantHotels.map(hotel => {
-            const isYours = isYourHotel(hotel.name);
-            const position = sortedHotels.findIndex(h => h.name === hotel.name) + 1;
-            const vsYou = isYours ? '--' : (hotel.price - yourAvgPrice);
-            const vsYouText = vsYou === '--' ? '--' : (vsYou < 0 ? `-$${Math.abs(vsYou).toFixed(0)}` : `+$${vsYou.toFixed(0)}`);
-            const vsYouClass = vsYou === '--' ? '' : (vsYou < 0 ? 'negative' : 'positive');
-            
-            let gapIcon = '';
-            if (!isYours && vsYou !== '--') {
-                if (vsYou < -10) gapIcon = '🔴';
-                else if (vsYou < 0) gapIcon = '⚠️';
-                else if (vsYou > 10) gapIcon = '✅';
-                else gapIcon = '➖';
+        const poll = async () => {
+            try {
+                const job = await API.getJob(jobId);
+                this.updateServerJobProgress(job);
+
+                if (job.status === 'running' || job.status === 'queued') {
+                    this.serverJobTimer = setTimeout(poll, 3000);
+                    return;
+                }
+
+                if (job.status === 'completed') {
+                    this.showToast(`Server refresh complete: ${job.progress.succeeded}/${job.progress.total} dates`, 'success');
+                    this.checkDatabaseStatus();
+                } else {
+                    this.showToast(`Server refresh ${job.status.replace('_', ' ')}: ${job.error || ''}`, 'error');
+                }
+            } catch (error) {
+                console.warn('Job poll error:', error.message);
+                this.serverJobTimer = setTimeout(poll, 10000);
+                return;
             }
-            
-            const rowClass = isYours ? 'hotel-yours' : 'hotel-direct';
-            const badge = isYours ? '<span class="hotel-badge badge-yours">YOU</span>' : '<span class="hotel-badge badge-direct">⚔️</span>';
-            
-            return `<tr class="${rowClass}">
-                <td class="hotel-name">${hotel.name} ${badge}</td>
-                <td><strong>$${hotel.price}</strong></td>
-                <td class="vs-you ${vsYouClass}">${vsYouText}</td>
-                <td>#${position} of ${sortedHotels.length}</td>
-                <td class="gap-indicator">${gapIcon}</td>
-            </tr>`;
-        }).join('');
+            if (this.elements.seasonRefreshBtn) this.elements.seasonRefreshBtn.disabled = false;
+        };
+
+        poll();
     },
 
-    updatePriceRecommendation(dateStr) {
-        const data = Storage.loadData();
-        if (!data?.dates?.[dateStr]) return;
-        
-        const hotels = data.dates[dateStr].hotels || [];
-        const directCompPrices = hotels.filter(h => isDirectCompetitor(h.name) && h.price > 0).map(h => h.price);
-        const yourHotels = hotels.filter(h => isYourHotel(h.name) && h.price > 0);
-        const yourPrice = yourHotels.length > 0 ? yourHotels[0].price : 0;
-        const allPrices = hotels.filter(h => h.price > 0).map(h => h.price);
-        const marketAvg = allPrices.length > 0 ? Math.round(allPrices.reduce((a, b) => a + b, 0) / allPrices.length) : 0;
-        
-        if (directCompPrices.length > 0) {
-            const compMin = Math.min(...directCompPrices);
-            const compMax = Math.max(...directCompPrices);
-            const compAvg = Math.round(directCompPrices.reduce((a, b) => a + b, 0) / directCompPrices.length);
-            
-            if (this.elements.recCompRange) this.elements.recCompRange.textContent = `$${compMin} - $${compMax}`;
-            if (this.elements.recMarketAvg) this.elements.recMarketAvg.textContent = `$${marketAvg}`;
-            if (this.elements.recYourRate) this.elements.recYourRate.textContent = yourPrice > 0 ? `$${yourPrice}` : 'N/A';
-            if (this.elements.recAggressivePrice) this.elements.recAggressivePrice.textContent = `$${compMax - 1}`;
-            if (this.elements.recCompetitivePrice) this.elements.recCompetitivePrice.textContent = `$${compAvg}`;
-            if (this.elements.recPremiumPrice) this.elements.recPremiumPrice.textContent = `$${Math.round((compMax + marketAvg) / 2)}`;
+    /**
+     * Render a server job's progress bar and details
+     */
+    updateServerJobProgress(job) {
+        const progress = job.progress || {};
+        const statusLabels = {
+            queued: 'Queued',
+            running: 'Running',
+            completed: 'Completed',
+            failed: 'Failed',
+            timed_out: 'Timed out'
+        };
+
+        if (this.elements.serverJobProgress) {
+            this.elements.serverJobProgress.style.width = `${progress.percentage || 0}%`;
+        }
+
+        if (this.elements.serverJobStatus) {
+            const current = job.status === 'running' && job.currentDate ? ` - fetching ${job.currentDate}` : '';
+            this.elements.serverJobStatus.textContent = 
+                `${statusLabels[job.status] || job.status}: ${progress.completed || 0}/${progress.total || 0} dates${current}`;
+        }
+
+        if (this.elements.serverJobDetails) {
+            const started = new Date(job.startedAt || job.createdAt).toLocaleString('en-US', {
+                month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+            });
+            const failures = job.failures || [];
+            this.elements.serverJobDetails.innerHTML = `
+                <span>${escapeHtml(job.from)} → ${escapeHtml(job.to)}</span>
+                <span>${job.creditsUsed || 0} credits used</span>
+                <span>${progress.failed || 0} failed</span>
+                <span>Started ${started} by ${escapeHtml(job.requestedBy)}</span>
+                ${failures.length > 0 ? `
+                    <div class="server-job-failures">
+                        ${failures.slice(0, 10).map(f => `<div>❌ ${escapeHtml(f.date)}: ${escapeHtml(f.error)}</div>`).join('')}
+                        ${failures.length > 10 ? `<div>…and ${failures.length - 10} more</div>` : ''}
+                    </div>
+                ` : ''}
+            `;
         }
     },
 
-    updateWeeklyTable(dateStr) {
-        const data = Storage.loadData();
-        if (!data?.dates || !this.elements.weeklyTableHeader || !this.elements.weeklyTableBody) return;
-        
-        const dates = getNextDates(dateStr, 7).filter(d => data.dates[d]);
-        if (dates.length === 0) return;
-        
-        let yourPrices = {};
-        dates.forEach(d => {
-            const h = (data.dates[d]?.hotels || []).find(h => isYourHotel(h.name) && h.price > 0);
-            yourPrices[d] = h?.price || 0;
-        });
-        
-        this.elements.weeklyTableHeader.innerHTML = `<th>Hotel</th>${dates.map(d => {
-            const date = new Date(d + 'T00:00:00');
-            return `<th>${DAY_NAMES_SHORT[date.getDay()]}<br>${date.getDate()}</th>`;
-        }).join('')}`;
-        
-        const hotelNames = [];
-        (data.dates[dates[0]]?.hotels || []).forEach(h => {
-            if (isYourHotel(h.name) || isDirectCompetitor(h.name)) hotelNames.push(h.name);
-        });
-        
-        this.elements.weeklyTableBody.innerHTML = hotelNames.map(name => {
-            const isYours = isYourHotel(name);
-            const cells = dates.map(d => {
-                const hotel = (data.dates[d]?.hotels || []).find(h => h.name === name);
-                const price = hotel?.price || 0;
-                let cellClass = '';
-                if (!isYours && price > 0 && yourPrices[d] > 0) {
-                    cellClass = price < yourPrices[d] ? 'cell-lower' : (price > yourPrices[d] ? 'cell-higher' : 'cell-equal');
-                }
-                return `<td class="${cellClass}">${price > 0 ? '$' + price : '--'}</td>`;
-            }).join('');
-            
-            return `<tr class="${isYours ? 'row-yours' : 'row-direct'}">
-                <td>${name.substring(0, 25)}${isYours ? ' ★' : ' ⚔️'}</td>${cells}
-            </tr>`;
-        }).join('');
+    // ============================================
+    // SERVER SCHEDULES
+    // ============================================
+
+    /**
+     * Load and render the refresh schedules
+     */
+    async loadSchedules() {
+        const container = this.elements.schedulesList;
+        if (!container) return;
+
+        this.updateScheduleForm();
+
+        try {
+            const result = await API.getSchedules();
+            this.renderSchedules(result.schedules, result.schedulerRunning);
+        } catch (error) {
+            container.innerHTML = `<div class="api-history-empty">Could not load schedules: ${escapeHtml(error.message)}</div>`;
+        }
     },
 
-    updateGapConsistency() {
-        const data = Storage.loadData();
-        if (!data?.dates || !this.elements.gapConsistencyGrid) return;
-        
-        const dates = Object.keys(data.dates).sort();
-        if (dates.length < 5) {
-            this.elements.gapConsistencyGrid.innerHTML = '<p class="placeholder-text">Need 5+ days for gap analysis</p>';
+    /**
+     * Describe a schedule in plain words
+     */
+    describeSchedule(schedule) {
+        const windows = {
+            next_days: `Next ${schedule.window.days} days`,
+            rest_of_season: 'Rest of the season',
+            season: 'Whole season'
+        };
+        const cadence = schedule.cadence.type === 'interval'
+            ? `every ${schedule.cadence.hours} hour${schedule.cadence.hours > 1 ? 's' : ''}`
+            : `daily at ${schedule.cadence.time} (${schedule.timezone})`;
+        const profiles = (schedule.stayProfiles || [CONFIG.defaultStayProfile])
+            .map(id => CONFIG.stayProfiles.find(profile => profile.id === id)?.label || id)
+            .join(' + ');
+        return `${windows[schedule.window.type] || schedule.window.type}, ${cadence} (${profiles})`;
+    },
+
+    /**
+     * Render the schedules list
+     */
+    renderSchedules(schedules, schedulerRunning) {
+        const container = this.elements.schedulesList;
+        if (!container) return;
+
+        if (schedules.length === 0) {
+            container.innerHTML = '<div class="api-history-empty">No schedules yet</div>';
             return;
         }
-        
-        const gapData = {};
-        dates.forEach(d => {
-            const hotels = data.dates[d]?.hotels || [];
-            const yourHotel = hotels.find(h => isYourHotel(h.name) && h.price > 0);
-            if (!yourHotel) return;
-            
-            hotels.filter(h => isDirectCompetitor(h.name) && h.price > 0).forEach(h => {
-                const key = h.name.substring(0, 20);
-                if (!gapData[key]) gapData[key] = { name: h.name, gaps: [] };
-                gapData[key].gaps.push(yourHotel.price - h.price);
+
+        const formatTime = (value) => value 
+            ? new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' })
+            : 'Never';
+        const canManage = Auth.can('schedules:manage');
+
+        container.innerHTML = (schedulerRunning ? '' : '<div class="api-history-empty">⚠️ Scheduler is not running on the server</div>') +
+            schedules.map(schedule => {
+                const statusClass = schedule.paused ? 'warning' 
+                    : schedule.lastRunStatus === 'failed' ? 'error' : 'success';
+                const lastRun = schedule.lastRunStatus 
+                    ? `${formatTime(schedule.lastRunAt)} (${schedule.lastRunStatus})` 
+                    : 'Never';
+
+                return `
+                    <div class="api-history-item ${statusClass}">
+                        <div class="api-history-main">
+                            <div class="api-history-action">${escapeHtml(schedule.name)}${schedule.paused ? ' (paused)' : ''}</div>
+                            <div class="api-history-details">${escapeHtml(this.describeSchedule(schedule))}</div>
+                            <div class="api-history-details">
+                                Last run: ${escapeHtml(lastRun)}${schedule.lastError ? ` - ${escapeHtml(schedule.lastError)}` : ''}
+                                · Next: ${schedule.paused ? '--' : formatTime(schedule.nextRunAt)}
+                            </div>
+                        </div>
+                        ${canManage ? `
+                            <div class="schedule-actions">
+                                <button class="btn btn-small btn-secondary" data-schedule-toggle="${escapeHtml(schedule._id)}" data-paused="${schedule.paused}">
+                                    ${schedule.paused ? 'Resume' : 'Pause'}
+                                </button>
+                                <button class="btn btn-small btn-secondary" data-schedule-delete="${escapeHtml(schedule._id)}">Delete</button>
+                            </div>
+                        ` : ''}
+                    </div>
+                `;
+            }).join('');
+
+        container.querySelectorAll('[data-schedule-toggle]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                try {
+                    await API.setSchedulePaused(btn.dataset.scheduleToggle, btn.dataset.paused !== 'true');
+                    this.loadSchedules();
+                } catch (error) {
+                    this.showToast('Could not update schedule: ' + error.message, 'error');
+                }
             });
         });
-        
-        const cards = Object.values(gapData).slice(0, 4).map(comp => {
-            const avg = comp.gaps.reduce((a, b) => a + b, 0) / comp.gaps.length;
+
+        container.querySelectorAll('[data-schedule-delete]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                if (!confirm('Delete this schedule?')) return;
+                try {
+                    await API.deleteSchedule(btn.dataset.scheduleDelete);
+                    this.showToast('Schedule deleted', 'info');
+                    this.loadSchedules();
+                } catch (error) {
+                    this.showToast('Could not delete schedule: ' + error.message, 'error');
+                }
+            });
+        });
+    },
+
+    /**
+     * Show the day-count / hours / time inputs that match the form choices
+     */
+    updateScheduleForm() {
+        if (this.elements.scheduleDaysInput) {
+            this.elements.scheduleDaysInput.style.display = 
+                this.elements.scheduleWindowSelect?.value === 'next_days' ? '' : 'none';
+        }
+        const isInterval = this.elements.scheduleCadenceSelect?.value === 'interval';
+        if (this.elements.scheduleHoursInput) this.elements.scheduleHoursInput.style.display = isInterval ? '' : 'none';
+        if (this.elements.scheduleTimeInput) this.elements.scheduleTimeInput.style.display = isInterval ? 'none' : '';
+    },
+
+    /**
+     * Create a schedule from the form
+     */
+    async addSchedule() {
+        const windowType = this.elements.scheduleWindowSelect.value;
+        const cadenceType = this.elements.scheduleCadenceSelect.value;
+
+        const schedule = {
+            name: this.elements.scheduleNameInput.value.trim(),
+            window: windowType === 'next_days'
+                ? { type: windowType, days: parseInt(this.elements.scheduleDaysInput.value, 10) }
+                : { type: windowType },
+            cadence: cadenceType === 'interval'
+                ? { type: cadenceType, hours: parseInt(this.elements.scheduleHoursInput.value, 10) }
+                : { type: cadenceType, time: this.elements.scheduleTimeInput.value },
+            stayProfiles: [this.elements.scheduleProfileSelect?.value || CONFIG.defaultStayProfile]
+        };
+
+        if (!schedule.name) {
+            schedule.name = this.describeSchedule(schedule);
+        }
+
+        try {
+            await API.createSchedule(schedule);
+            this.showToast(`Schedule "${schedule.name}" created`, 'success');
+            this.elements.scheduleNameInput.value = '';
+            this.loadSchedules();
+        } catch (error) {
+            this.showToast('Could not create schedule: ' + error.message, 'error');
+        }
+    },
+
+    // ============================================
+    // ALERT RULES
+    // ============================================
+
+    /**
+     * Load and render the alert rules (admin only)
+     */
+    async loadAlertRules() {
+        const container = this.elements.alertRulesList;
+        if (!container || !Auth.can('alerts:manage')) return;
+
+        this.updateAlertRuleForm();
+
+        try {
+            const result = await API.getAlertRules();
+            this.renderAlertRules(result.rules, result.emailConfigured);
+        } catch (error) {
+            container.innerHTML = `<div class="api-history-empty">Could not load alert rules: ${escapeHtml(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Describe an alert rule in plain words
+     */
+    describeAlertRule(rule) {
+        const directions = { up: 'up', down: 'down', any: 'up or down' };
+        const scopes = { yours: 'One of our properties', direct: 'A direct competitor', tracked: 'A tracked competitor', all: 'Any hotel' };
+        const property = rule.propertyId ? CONFIG.hotelRegistry?.byId[rule.propertyId]?.name || rule.propertyId : 'us';
+        const conditions = {
+            competitor_below: `A competitor is more than $${rule.threshold} below ${property}`,
+            price_change: `${scopes[rule.scope] || rule.scope} moves ${directions[rule.direction]} ${rule.threshold}% or more`,
+            market_average: `Market average moves ${directions[rule.direction]} ${rule.threshold}% or more`
+        };
+        const profile = rule.stayProfile 
+            ? CONFIG.stayProfiles.find(item => item.id === rule.stayProfile)?.label || rule.stayProfile
+            : 'all stay profiles';
+        return `${conditions[rule.type] || rule.type}, next ${rule.days} days (${profile})`;
+    },
+
+    /**
+     * Render the alert rules list
+     */
+    renderAlertRules(rules, emailConfigured) {
+        const container = this.elements.alertRulesList;
+
+        const warning = emailConfigured ? '' : '<div class="api-history-empty">⚠️ Email is not set up on the server - only webhooks will be sent</div>';
+        if (rules.length === 0) {
+            container.innerHTML = warning + '<div class="api-history-empty">No alert rules yet</div>';
+            return;
+        }
+
+        const formatTime = (value) => new Date(value).toLocaleString('en-US', { 
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' 
+        });
+
+        container.innerHTML = warning + rules.map(rule => {
+            const snoozed = rule.snoozedUntil && new Date(rule.snoozedUntil) > new Date();
+            const failed = Object.values(rule.lastDelivery || {}).some(status => status?.startsWith('failed'));
+            const statusClass = rule.paused || snoozed ? 'warning' : failed ? 'error' : 'success';
+            const state = rule.paused ? ' (paused)' : snoozed ? ` (snoozed until ${formatTime(rule.snoozedUntil)})` : '';
+            const channels = [
+                rule.emails.length > 0 ? `📧 ${rule.emails.join(', ')}` : null,
+                rule.webhookUrl ? '🔗 Webhook' : null
+            ].filter(Boolean).join(' · ') || 'No delivery - alerts are only listed below';
+            const delivery = Object.entries(rule.lastDelivery || {})
+                .filter(([, status]) => status)
+                .map(([channel, status]) => `${channel} ${status}`)
+                .join(', ');
+
+            return `
+                <div class="api-history-item ${statusClass}">
+                    <div class="api-history-main">
+                        <div class="api-history-action">${escapeHtml(rule.name)}${state}</div>
+                        <div class="api-history-details">${escapeHtml(this.describeAlertRule(rule))} · repeats after ${escapeHtml(rule.cooldownHours)}h</div>
+                        <div class="api-history-details">${escapeHtml(channels)}</div>
+                        <div class="api-history-details">
+                            Last fired: ${rule.lastFiredAt ? formatTime(rule.lastFiredAt) : 'Never'}${delivery ? ` (${escapeHtml(delivery)})` : ''}
+                        </div>
+                    </div>
+                    <div class="schedule-actions">
+                        <button class="btn btn-small btn-secondary" data-alert-rule="${escapeHtml(rule._id)}" data-action="pause">
+                            ${rule.paused ? 'Resume' : 'Pause'}
+                        </button>
+                        <button class="btn btn-small btn-secondary" data-alert-rule="${escapeHtml(rule._id)}" data-action="snooze">
+                            ${snoozed ? 'Unsnooze' : 'Snooze 24h'}
+                        </button>
+                        <button class="btn btn-small btn-secondary" data-alert-rule="${escapeHtml(rule._id)}" data-action="test">Test</button>
+                        <button class="btn btn-small btn-secondary" data-alert-rule="${escapeHtml(rule._id)}" data-action="delete">Delete</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('[data-alert-rule]').forEach(btn => {
+            const rule = rules.find(item => item._id === btn.dataset.alertRule);
+            btn.addEventListener('click', () => this.runAlertRuleAction(rule, btn.dataset.action));
+        });
+    },
+
+    /**
+     * Pause, snooze, test or delete an alert rule from its list buttons
+     */
+    async runAlertRuleAction(rule, action) {
+        const snoozed = rule.snoozedUntil && new Date(rule.snoozedUntil) > new Date();
+        try {
+            if (action === 'pause') {
+                await API.updateAlertRule(rule._id, { paused: !rule.paused });
+            } else if (action === 'snooze') {
+                await API.updateAlertRule(rule._id, { snoozeHours: snoozed ? 0 : 24 });
+            } else if (action === 'test') {
+                const { delivery } = await API.testAlertRule(rule._id);
+                const summary = Object.entries(delivery)
+                    .filter(([, status]) => status)
+                    .map(([channel, status]) => `${channel} ${status}`)
+                    .join(', ');
+                const failed = Object.values(delivery).some(status => status?.startsWith('failed'));
+                this.showToast(`Test: ${summary}`, failed ? 'error' : 'success');
+                return;
+            } else if (action === 'delete') {
+                if (!confirm(`Delete the alert rule "${rule.name}"?`)) return;
+                await API.deleteAlertRule(rule._id);
+                this.showToast('Alert rule deleted', 'info');
+            }
+            this.loadAlertRules();
+        } catch (error) {
+            this.showToast('Could not update alert rule: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Show the inputs the chosen rule type uses
+     */
+    updateAlertRuleForm() {
+        const type = this.elements.alertRuleTypeSelect?.value;
+        const isGap = type === 'competitor_below';
+        const show = (element, visible) => {
+            if (element) element.style.display = visible ? '' : 'none';
+        };
+
+        show(this.elements.alertRulePropertySelect, isGap);
+        show(this.elements.alertRuleScopeSelect, type === 'price_change');
+        show(this.elements.alertRuleDirectionSelect, !isGap);
+        if (this.elements.alertRuleThresholdInput) {
+            this.elements.alertRuleThresholdInput.title = isGap ? 'More than $ below us' : 'Change of at least %';
+            this.elements.alertRuleThresholdInput.value = isGap ? 0 : 15;
+        }
+
+        const select = this.elements.alertRulePropertySelect;
+        if (select) {
+            select.innerHTML = '<option value="">Any of our properties</option>' + getOurProperties()
+                .filter(property => property.id)
+                .map(property => `<option value="${property.id}">${property.name}</option>`)
+                .join('');
+        }
+    },
+
+    /**
+     * Create an alert rule from the form
+     */
+    async addAlertRule() {
+        const type = this.elements.alertRuleTypeSelect.value;
+        const rule = {
+            name: this.elements.alertRuleNameInput.value.trim(),
+            type,
+            threshold: parseFloat(this.elements.alertRuleThresholdInput.value),
+            days: parseInt(this.elements.alertRuleDaysInput.value, 10),
+            stayProfile: this.elements.alertRuleProfileSelect?.value || null,
+            cooldownHours: parseInt(this.elements.alertRuleCooldownInput.value, 10),
+            emails: this.elements.alertRuleEmailsInput.value.split(',').map(email => email.trim()).filter(Boolean),
+            webhookUrl: this.elements.alertRuleWebhookInput.value.trim() || null
+        };
+        if (type === 'competitor_below') {
+            rule.propertyId = this.elements.alertRulePropertySelect?.value || null;
+        } else {
+            rule.direction = this.elements.alertRuleDirectionSelect.value;
+        }
+        if (type === 'price_change') {
+            rule.scope = this.elements.alertRuleScopeSelect.value;
+        }
+
+        if (!rule.name) {
+            rule.name = this.describeAlertRule(rule).split(',')[0];
+        }
+
+        try {
+            await API.createAlertRule(rule);
+            this.showToast(`Alert rule "${rule.name}" created`, 'success');
+            this.elements.alertRuleNameInput.value = '';
+            this.loadAlertRules();
+        } catch (error) {
+            this.showToast('Could not create alert rule: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Load the alerts the server has fired, newest first (more adds the next page)
+     */
+    async loadAlertFeed(more = false) {
+        const container = this.elements.alertFeedList;
+        if (!container) return;
+
+        const before = more && this.alertFeed.length > 0 ? this.alertFeed[this.alertFeed.length - 1]._id : null;
+
+        try {
+            const result = await API.getAlerts(before);
+            this.alertFeed = more ? [...this.alertFeed, ...result.alerts] : result.alerts;
+            this.renderAlertFeed(this.alertFeed);
+            if (this.elements.alertFeedMoreBtn) {
+                this.elements.alertFeedMoreBtn.style.display = result.hasMore ? '' : 'none';
+            }
+        } catch (error) {
+            container.innerHTML = `<div class="api-history-empty">Could not load alerts: ${escapeHtml(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Render fired alerts with their rule and how they were delivered
+     */
+    renderAlertFeed(alerts) {
+        const container = this.elements.alertFeedList;
+
+        if (alerts.length === 0) {
+            container.innerHTML = '<div class="api-history-empty">No alerts have fired</div>';
+            return;
+        }
+
+        container.innerHTML = alerts.map(alert => {
+            const timeStr = new Date(alert.firedAt).toLocaleString('en-US', { 
+                month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' 
+            });
+            const delivery = Object.entries(alert.delivery || {})
+                .filter(([, status]) => status)
+                .map(([channel, status]) => `${channel} ${status}`)
+                .join(', ');
+            const failed = delivery.includes('failed');
+
+            return `
+                <div class="api-history-item ${failed ? 'error' : 'warning'}">
+                    <div class="api-history-main">
+                        <div class="api-history-action">${formatDateShort(alert.date)}: ${escapeHtml(alert.message)}</div>
+                        <div class="api-history-details">${escapeHtml(alert.ruleName)}${delivery ? ` · ${escapeHtml(delivery)}` : ''}</div>
+                    </div>
+                    <div class="api-history-meta">
+                        <div class="api-history-time">${timeStr}</div>
+                    </div>
+                </div>
+            `;
+        }).join('');
+    },
+
+    // ============================================
+    // DAILY DIGEST
+    // ============================================
+
+    /**
+     * Load the digest settings into the form (admin only)
+     */
+    async loadDigest() {
+        this.elements.digestPreview?.style.setProperty('display', 'none');
+        if (!this.elements.digestEnabledSelect || !Auth.can('alerts:manage')) return;
+
+        try {
+            const { digest, emailConfigured, schedulerRunning } = await API.getDigest();
+            this.elements.digestEnabledSelect.value = String(digest.enabled);
+            this.elements.digestTimeInput.value = digest.time;
+            this.elements.digestDaysInput.value = digest.days;
+            this.elements.digestProfileSelect.value = digest.stayProfile;
+            this.elements.digestRecipientsInput.value = digest.recipients.join(', ');
+            this.renderDigestStatus(digest, emailConfigured, schedulerRunning);
+        } catch (error) {
+            this.elements.digestStatus.textContent = 'Could not load digest settings: ' + error.message;
+        }
+    },
+
+    /**
+     * Say when the digest goes out next and how the last one went
+     */
+    renderDigestStatus(digest, emailConfigured, schedulerRunning) {
+        const formatTime = (value) => new Date(value).toLocaleString('en-US', { 
+            month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' 
+        });
+        const parts = [
+            !emailConfigured ? '⚠️ Email is not set up on the server' : null,
+            digest.enabled && !schedulerRunning ? '⚠️ Scheduler is not running on the server' : null,
+            digest.enabled && digest.nextSendAt ? `Next: ${formatTime(digest.nextSendAt)}` : 'Not sent automatically',
+            digest.lastSentAt ? `Last sent: ${formatTime(digest.lastSentAt)}` : null,
+            digest.lastError ? `❌ ${digest.lastError}` : null
+        ];
+        this.elements.digestStatus.textContent = parts.filter(Boolean).join(' · ');
+    },
+
+    /**
+     * Read the digest form
+     */
+    getDigestForm() {
+        return {
+            enabled: this.elements.digestEnabledSelect.value === 'true',
+            time: this.elements.digestTimeInput.value,
+            days: parseInt(this.elements.digestDaysInput.value, 10),
+            stayProfile: this.elements.digestProfileSelect.value,
+            recipients: this.elements.digestRecipientsInput.value.split(',').map(email => email.trim()).filter(Boolean)
+        };
+    },
+
+    /**
+     * Save the digest settings from the form
+     */
+    async saveDigest() {
+        try {
+            await API.saveDigest(this.getDigestForm());
+            this.showToast('Digest settings saved', 'success');
+            this.loadDigest();
+        } catch (error) {
+            this.showToast('Could not save digest settings: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Email the digest to the saved recipients now
+     */
+    async sendDigest() {
+        try {
+            const result = await API.sendDigest();
+            this.showToast(`Digest sent to ${result.recipients.join(', ')}`, 'success');
+        } catch (error) {
+            this.showToast('Could not send the digest: ' + error.message, 'error');
+        }
+        this.loadDigest();
+    },
+
+    /**
+     * Show the digest as it would be emailed today
+     */
+    async previewDigest() {
+        const frame = this.elements.digestPreview;
+        if (!frame) return;
+
+        try {
+            const options = Auth.can('alerts:manage') 
+                ? { days: this.elements.digestDaysInput.value, profile: this.elements.digestProfileSelect.value } 
+                : {};
+            const digest = await API.previewDigest(options);
+            frame.srcdoc = digest.html;
+            frame.style.display = '';
+        } catch (error) {
+            this.showToast('Could not build the digest: ' + error.message, 'error');
+        }
+    },
+
+    // ============================================
+    // HOTEL REGISTRY (Settings)
+    // ============================================
+
+    /**
+     * Reload the registry and render the hotels editor
+     */
+    async loadRegistryEditor() {
+        const container = this.elements.registryList;
+        if (!container) return;
+
+        const hotels = await API.loadHotelRegistry();
+        this.renderPropertyTags();
+        if (!hotels) {
+            container.innerHTML = '<div class="api-history-empty">Could not load the hotel registry</div>';
+            return;
+        }
+
+        this.renderRegistry(hotels);
+        this.renderRegistryMap(hotels);
+    },
+
+    /**
+     * Render one row per hotel, ours first, then direct, tracked and the rest
+     */
+    renderRegistry(hotels) {
+        const container = this.elements.registryList;
+        if (hotels.length === 0) {
+            container.innerHTML = '<div class="api-history-empty">No hotels yet - they are added as rates are fetched</div>';
+            return;
+        }
+
+        const order = ['yours', 'direct', 'tracked', 'market'];
+        const labels = { yours: 'Our property', direct: 'Direct competitor', tracked: 'Tracked competitor', market: 'Market' };
+        const canManage = Auth.can('hotels:manage');
+        const sorted = [...hotels].sort((a, b) => 
+            order.indexOf(a.classification) - order.indexOf(b.classification) || a.name.localeCompare(b.name)
+        );
+
+        container.innerHTML = sorted.map(hotel => {
+            const coords = hotel.pinnedCoordinates || hotel.gps_coordinates;
+            const where = coords 
+                ? `${coords.latitude.toFixed(4)}, ${coords.longitude.toFixed(4)}${hotel.pinnedCoordinates ? ' (pinned)' : ''}`
+                : 'No coordinates';
+            const listed = hotel.lastListedName !== hotel.name ? ` · Listed as "${hotel.lastListedName}"` : '';
+            const compSetNames = hotel.competitorSet
+                .map(id => hotels.find(h => h.id === id)?.name)
+                .filter(Boolean);
+            const compSet = hotel.classification === 'yours'
+                ? ` · Comp set: ${compSetNames.length > 0 ? compSetNames.join(', ') : 'direct competitors'}`
+                : '';
+
+            if (!canManage) {
+                return `
+                    <div class="api-history-item registry-item ${hotel.classification}">
+                        <div class="api-history-main">
+                            <div class="api-history-action">${escapeHtml(hotel.name)}</div>
+                            <div class="api-history-details">${labels[hotel.classification]} · ${escapeHtml(where + listed + compSet)}</div>
+                        </div>
+                    </div>
+                `;
+            }
+
+            return `
+                <div class="api-history-item registry-item ${hotel.classification}" data-registry-id="${escapeHtml(hotel.id)}">
+                    <div class="registry-fields">
+                        <input type="text" class="setting-input registry-name" value="${escapeHtml(hotel.name)}" title="Name shown on every page">
+                        <input type="text" class="setting-input registry-aliases" value="${escapeHtml(hotel.aliases.join(', '))}" title="Other names, comma separated">
+                        <select class="setting-input registry-class">
+                            ${order.map(value => `<option value="${value}" ${value === hotel.classification ? 'selected' : ''}>${labels[value]}</option>`).join('')}
+                        </select>
+                    </div>
+                    ${hotel.classification === 'yours' ? this.renderCompetitorSetSelect(hotel, hotels) : ''}
+                    <div class="api-history-details">${escapeHtml(where + listed)}</div>
+                    <div class="schedule-actions">
+                        <button class="btn btn-small btn-secondary" data-registry-pin>📍 Pin</button>
+                        ${hotel.pinnedCoordinates ? '<button class="btn btn-small btn-secondary" data-registry-unpin>Unpin</button>' : ''}
+                        <button class="btn btn-small btn-primary" data-registry-save>Save</button>
+                        <button class="btn btn-small btn-secondary" data-registry-delete>Remove</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('[data-registry-id]').forEach(row => {
+            const hotelId = row.dataset.registryId;
+
+            row.querySelector('[data-registry-save]').addEventListener('click', () => {
+                const changes = {
+                    name: row.querySelector('.registry-name').value.trim(),
+                    aliases: row.querySelector('.registry-aliases').value.split(',').map(a => a.trim()).filter(Boolean),
+                    classification: row.querySelector('.registry-class').value
+                };
+                const compSetSelect = row.querySelector('.registry-compset');
+                if (compSetSelect) {
+                    changes.competitorSet = [...compSetSelect.selectedOptions].map(option => option.value);
+                }
+                this.saveRegistryHotel(hotelId, changes);
+            });
+
+            row.querySelector('[data-registry-pin]').addEventListener('click', () => {
+                this.registryPinTarget = hotelId;
+                const hotel = hotels.find(h => h.id === hotelId);
+                if (this.elements.registryMapHint) {
+                    this.elements.registryMapHint.textContent = `Click the map to pin ${hotel.name}`;
+                }
+            });
+
+            row.querySelector('[data-registry-unpin]')?.addEventListener('click', () => {
+                this.saveRegistryHotel(hotelId, { pinnedCoordinates: null });
+            });
+
+            row.querySelector('[data-registry-delete]').addEventListener('click', () => {
+                this.deleteRegistryHotel(hotels.find(h => h.id === hotelId));
+            });
+        });
+    },
+
+    /**
+     * Multi-select of the hotels one of our properties is measured against
+     * Competitors are listed first; nothing selected = every direct competitor
+     */
+    renderCompetitorSetSelect(property, hotels) {
+        const tiers = ['direct', 'tracked', 'yours', 'market'];
+        const candidates = hotels
+            .filter(hotel => hotel.id !== property.id)
+            .sort((a, b) => tiers.indexOf(a.classification) - tiers.indexOf(b.classification) || a.name.localeCompare(b.name));
+
+        return `
+            <label class="registry-compset-label">
+                Competitor set <span class="setting-desc">(none selected = direct competitors; Ctrl/⌘-click to pick several)</span>
+                <select class="setting-input registry-compset" multiple size="5">
+                    ${candidates.map(hotel => `
+                        <option value="${escapeHtml(hotel.id)}" ${property.competitorSet.includes(hotel.id) ? 'selected' : ''}>
+                            ${escapeHtml(hotel.name)}${hotel.classification === 'market' ? '' : ` (${hotel.classification})`}
+                        </option>
+                    `).join('')}
+                </select>
+            </label>
+        `;
+    },
+
+    /**
+     * Map of registry hotels - click it to drop the pin chosen in the list
+     */
+    renderRegistryMap(hotels) {
+        if (!this.elements.registryMap || !Auth.can('hotels:manage')) return;
+
+        if (!this.registryMap) {
+            const { center, zoom } = CONFIG.map;
+            this.registryMap = L.map('registry-map').setView(center, zoom);
+            L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
+                attribution: '© OpenStreetMap contributors'
+            }).addTo(this.registryMap);
+
+            this.registryMap.on('click', (e) => {
+                if (!this.registryPinTarget) return;
+                const hotelId = this.registryPinTarget;
+                this.registryPinTarget = null;
+                this.saveRegistryHotel(hotelId, {
+                    pinnedCoordinates: { latitude: e.latlng.lat, longitude: e.latlng.lng }
+                });
+            });
+        }
+
+        // The settings page may have been hidden when the map was created
+        setTimeout(() => this.registryMap.invalidateSize(), 0);
+
+        this.registryMarkers.forEach(marker => marker.remove());
+        this.registryMarkers = hotels
+            .filter(hotel => hotel.pinnedCoordinates || hotel.gps_coordinates)
+            .map(hotel => {
+                const { latitude, longitude } = hotel.pinnedCoordinates || hotel.gps_coordinates;
+                return L.circleMarker([latitude, longitude], {
+                    radius: 6,
+                    color: hotel.classification === 'yours' ? '#fbbf24' : 
+                           hotel.classification === 'direct' ? '#f97316' : '#3d5a80'
+                }).bindTooltip(hotel.name).addTo(this.registryMap);
+            });
+
+        if (this.elements.registryMapHint) {
+            this.elements.registryMapHint.textContent = 'Pick 📍 Pin on a hotel, then click the map';
+        }
+    },
+
+    /**
+     * Save registry changes and redraw every page with them
+     */
+    async saveRegistryHotel(hotelId, changes) {
+        try {
+            const result = await API.updateRegistryHotel(hotelId, changes);
+            this.showToast(`${result.hotel.name} saved`, 'success');
+
+            // A rename rewrites stored rates - pull them again
+            if (result.ratesRenamed > 0) {
+                await API.syncWithDatabase();
+            }
+            App.loadExistingData();
+            this.loadRegistryEditor();
+        } catch (error) {
+            this.showToast('Could not save hotel: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Remove a hotel registered by mistake, after confirming
+     */
+    async deleteRegistryHotel(hotel) {
+        if (!confirm(`Remove ${hotel.name} from the registry and from every competitor set?\n\nIts stored rates are kept. If the provider lists it again, it comes back as a new hotel.`)) {
+            return;
+        }
+
+        try {
+            await API.deleteRegistryHotel(hotel.id);
+            this.showToast(`${hotel.name} removed`, 'info');
+            App.loadExistingData();
+            this.loadRegistryEditor();
+        } catch (error) {
+            this.showToast('Could not remove hotel: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Add a hotel from the form (before the provider has listed it)
+     */
+    async addRegistryHotel() {
+        const hotel = {
+            id: this.elements.registryTokenInput.value.trim(),
+            name: this.elements.registryNameInput.value.trim(),
+            classification: this.elements.registryClassSelect.value
+        };
+
+        try {
+            await API.addRegistryHotel(hotel);
+            this.showToast(`${hotel.name} added`, 'success');
+            this.elements.registryTokenInput.value = '';
+            this.elements.registryNameInput.value = '';
+            App.loadExistingData();
+            this.loadRegistryEditor();
+        } catch (error) {
+            this.showToast('Could not add hotel: ' + error.message, 'error');
+        }
+    },
+
+    // ============================================
+    // BACKUP AND RESTORE (Settings)
+    // ============================================
+
+    /**
+     * Download a backup of the server database
+     */
+    async downloadBackup() {
+        const btn = this.elements.downloadBackupBtn;
+        btn.disabled = true;
+        btn.textContent = 'Preparing...';
+        try {
+            await API.downloadBackup();
+            this.showToast('Backup downloaded', 'success');
+        } catch (error) {
+            this.showToast('Could not download backup: ' + error.message, 'error');
+        } finally {
+            btn.disabled = false;
+            btn.textContent = 'Download Backup';
+        }
+    },
+
+    /**
+     * Check the chosen backup file, confirm what it holds, then import it
+     */
+    async importBackup() {
+        const file = this.elements.backupFileInput?.files[0];
+        if (!file) {
+            this.showToast('Choose a backup file first', 'info');
+            return;
+        }
+        const mode = this.elements.backupModeSelect.value;
+
+        try {
+            const check = await API.importBackup(file, { mode, dryRun: true });
+            const contents = Object.entries(check.counts).map(([name, count]) => `${count} ${name}`).join(', ');
+            const summary = `Backup from ${new Date(check.exportedAt).toLocaleString()} by ${check.exportedBy}:\n${contents}`;
+
+            if (mode === 'replace') {
+                const typed = prompt(`${summary}\n\nReplace ALL of these collections on the server for every device? Current rates go to Recently Deleted.\n\nType "replace" to confirm:`);
+                if (typed === null) return;
+                if (typed.trim().toLowerCase() !== 'replace') {
+                    this.showToast('Nothing was imported', 'info');
+                    return;
+                }
+            } else if (!confirm(`${summary}\n\nMerge it into the server database?`)) {
+                return;
+            }
+
+            const result = await API.importBackup(file, { mode });
+            const rates = result.imported.rates;
+            this.showToast(`Backup imported${rates ? ` (${rates.inserted} dates added${rates.updated ? `, ${rates.updated} updated` : ''})` : ''}`, 'success');
+            this.elements.backupFileInput.value = '';
+
+            await API.syncWithDatabase();
+            App.loadExistingData();
+            this.checkDatabaseStatus();
+            this.loadRegistryEditor();
+            this.loadSchedules();
+            this.loadTrash();
+        } catch (error) {
+            this.showToast('Could not import backup: ' + error.message, 'error');
+        }
+    },
+
+    // ============================================
+    // TRASH (Settings)
+    // ============================================
+
+    /**
+     * Load and render recently deleted batches with restore buttons
+     */
+    async loadTrash() {
+        const container = this.elements.trashList;
+        if (!container || !Auth.can('rates:delete')) return;
+
+        try {
+            const result = await API.getTrash();
+            if (this.elements.trashDesc) {
+                this.elements.trashDesc.textContent = `Deleted dates can be restored for ${result.retentionDays} days`;
+            }
+            this.renderTrash(result.batches);
+        } catch (error) {
+            container.innerHTML = `<div class="api-history-empty">Could not load deleted dates: ${escapeHtml(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * Render the trash list
+     */
+    renderTrash(batches) {
+        const container = this.elements.trashList;
+
+        if (batches.length === 0) {
+            container.innerHTML = '<div class="api-history-empty">Nothing deleted recently</div>';
+            return;
+        }
+
+        const formatTime = (value) => new Date(value).toLocaleString('en-US', { month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' });
+        const reasons = { delete: 'Date deleted', clear: 'Database cleared', import: 'Replaced by a backup', retention: 'Past the retention window' };
+
+        container.innerHTML = batches.map(batch => {
+            const dates = batch.from === batch.to 
+                ? formatDateShort(batch.from) 
+                : `${batch.count} dates, ${formatDateShort(batch.from)} → ${formatDateShort(batch.to)}`;
+            return `
+                <div class="api-history-item ${batch.reason === 'delete' ? '' : 'warning'}">
+                    <div class="api-history-main">
+                        <div class="api-history-action">${reasons[batch.reason] || escapeHtml(batch.reason)}: ${dates}</div>
+                        <div class="api-history-details">
+                            ${formatTime(batch.deletedAt)} by ${escapeHtml(batch.deletedBy)} · gone for good ${formatTime(batch.expiresAt)}
+                        </div>
+                    </div>
+                    <div class="schedule-actions">
+                        <button class="btn btn-small btn-secondary" data-trash-restore="${escapeHtml(batch.batchId)}">Restore</button>
+                    </div>
+                </div>
+            `;
+        }).join('');
+
+        container.querySelectorAll('[data-trash-restore]').forEach(btn => {
+            btn.addEventListener('click', async () => {
+                btn.disabled = true;
+                try {
+                    const result = await API.restoreTrash(btn.dataset.trashRestore);
+                    const skipped = result.skipped.length > 0 
+                        ? ` (${result.skipped.length} skipped - saved again since)` : '';
+                    this.showToast(`Restored ${result.restored} dates${skipped}`, 'success');
+                    await API.syncWithDatabase();
+                    App.loadExistingData();
+                    this.checkDatabaseStatus();
+                    this.loadTrash();
+                } catch (error) {
+                    btn.disabled = false;
+                    this.showToast('Could not restore: ' + error.message, 'error');
+                }
+            });
+        });
+    },
+
+    // ============================================
+    // DATA RETENTION (Settings)
+    // ============================================
+
+    /**
+     * Load the retention rules, preview, kept dates and collection sizes (admins only)
+     */
+    async loadRetention() {
+        if (!this.elements.retentionCollections || !Auth.can('data:manage')) return;
+
+        try {
+            const result = await API.getRetention();
+            this.elements.retentionHistoryInput.value = result.retention.historyMonths ?? '';
+            this.elements.retentionRatesInput.value = result.retention.pastRatesDays ?? '';
+            this.renderCollectionSizes(result.collections);
+            this.renderRetentionPreview(result.preview);
+
+            this.elements.retentionKeepers.textContent = result.keepers.length > 0
+                ? `Kept: ${result.keepers.map(k => `${k.date} (${k.market}, ${k.stayProfile})`).join(', ')}`
+                : 'No kept dates';
+        } catch (error) {
+            this.elements.retentionCollections.innerHTML = `<div class="api-history-empty">Could not load retention: ${escapeHtml(error.message)}</div>`;
+        }
+    },
+
+    /**
+     * List each collection's document count and size
+     */
+    renderCollectionSizes(collections) {
+        const formatBytes = (bytes) => {
+            if (bytes === null) return 'size unavailable';
+            if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+            return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+        };
+
+        this.elements.retentionCollections.innerHTML = collections.map(collection => `
+            <div class="api-history-item">
+                <div class="api-history-main">
+                    <div class="api-history-action">${escapeHtml(collection.name)}</div>
+                    <div class="api-history-details">
+                        ${collection.count.toLocaleString()} documents · ${formatBytes(collection.size)}${collection.indexSize !== null ? ` · indexes ${formatBytes(collection.indexSize)}` : ''}
+                    </div>
+                </div>
+            </div>
+        `).join('');
+    },
+
+    /**
+     * Describe what applying the rules would remove right now
+     */
+    renderRetentionPreview(preview) {
+        const { history, rates } = preview;
+        const parts = [];
+        parts.push(history
+            ? `${history.events} change events before ${formatDateShort(history.cutoff.slice(0, 10))} → ${history.dailyRows} daily rows`
+            : 'History kept forever');
+        parts.push(rates
+            ? `${rates.dates} past dates dropped${rates.keepers > 0 ? ` (${rates.keepers} kept)` : ''}`
+            : 'Past dates kept forever');
+        this.elements.retentionPreview.textContent = `Would apply: ${parts.join(' · ')}`;
+        this.retentionPreview = preview;
+    },
+
+    /**
+     * Save the rules from the form (blank = keep forever)
+     */
+    async saveRetention() {
+        const readCount = (input) => {
+            const value = parseInt(input?.value, 10);
+            return Number.isInteger(value) ? value : null;
+        };
+        try {
+            const result = await API.saveRetention({
+                historyMonths: readCount(this.elements.retentionHistoryInput),
+                pastRatesDays: readCount(this.elements.retentionRatesInput)
+            });
+            this.renderRetentionPreview(result.preview);
+            this.showToast('Retention rules saved', 'success');
+        } catch (error) {
+            this.showToast('Could not save retention rules: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Apply the saved rules after confirming the preview
+     */
+    async applyRetention() {
+        const preview = this.retentionPreview;
+        const summary = preview
+            ? `\n\n${preview.rates?.dates || 0} past dates will be moved to Recently Deleted and ${preview.history?.events || 0} change events rolled up.`
+            : '';
+        if (!confirm(`Apply the retention rules to the cloud database?${summary}\n\nRolling up change events cannot be undone.`)) {
+            return;
+        }
+
+        try {
+            const result = await API.applyRetention();
+            this.showToast(`Retention applied: ${result.ratesRemoved} dates removed, ${result.eventsRolledUp} events rolled up`, 'success');
+            this.loadRetention();
+            this.checkDatabaseStatus();
+        } catch (error) {
+            this.showToast('Could not apply retention: ' + error.message, 'error');
+        }
+    },
+
+    /**
+     * Keep (or stop keeping) the date in the form
+     */
+    async setKeeper(keep) {
+        const date = this.elements.keeperDateInput.value;
+        if (!date) {
+            this.showToast('Pick a date first', 'info');
+            return;
+        }
+
+        try {
+            await API.setKeeper(date, keep);
+            this.showToast(keep ? `${date} will be kept` : `${date} is no longer kept`, 'success');
+            this.loadRetention();
+        } catch (error) {
+            this.showToast('Could not update date: ' + error.message, 'error');
+        }
+    },
+
+    // ============================================
+    // MY HOTELS PAGE FUNCTIONS
+    // ============================================
+
+    initMyHotelsPage() {
+        const dates = Storage.getAvailableDates();
+        this.renderPropertySelector();
+        if (this.elements.myhotelsDateSelector) {
+            this.elements.myhotelsDateSelector.innerHTML = dates.map(date => 
+                `<option value="${date}">${formatDateShort(date)}</option>`
+            ).join('');
+            
+            if (dates.length > 0) {
+                this.elements.myhotelsDateSelector.value = dates[dates.length - 1];
+            }
+            
+            this.elements.myhotelsDateSelector.addEventListener('change', (e) => {
+                this.updateMyHotelsPage(e.target.value);
+            });
+        }
+        
+        if (dates.length > 0) {
+            this.updateMyHotelsPage(dates[dates.length - 1]);
+        }
+    },
+
+    /**
+     * Fill the property selector; the per-property sections follow it
+     */
+    renderPropertySelector() {
+        const select = this.elements.myhotelsPropertySelector;
+        if (!select) return;
+
+        const properties = getOurProperties();
+        const current = select.value;
+        select.innerHTML = properties.map(property => 
+            `<option value="${property.id || property.name}">${property.name}</option>`
+        ).join('');
+        if (properties.some(property => (property.id || property.name) === current)) {
+            select.value = current;
+        }
+        // Nothing to choose between with a single property
+        select.style.display = properties.length > 1 ? '' : 'none';
+    },
+
+    /**
+     * The property chosen on the My Hotels page (first one by default)
+     */
+    getSelectedProperty() {
+        const properties = getOurProperties();
+        const value = this.elements.myhotelsPropertySelector?.value;
+        return properties.find(property => (property.id || property.name) === value) || properties[0] || null;
+    },
+
+    updateMyHotelsPage(dateStr) {
+        this.updatePortfolioView(dateStr);
+        
+        const property = this.getSelectedProperty();
+        if (property) {
+            this.updateBattleTable(dateStr, property);
+            this.updatePriceRecommendation(dateStr, property);
+            this.updateWeeklyTable(dateStr, property);
+            this.updateGapConsistency(property);
+            this.updateCompetitiveAlerts(property);
+            this.updateMyHotelsTrendChart(property);
+        }
+        
+        if (this.elements.battleDate) {
+            this.elements.battleDate.textContent = property 
+                ? `${formatDateShort(dateStr)} · ${property.name}` : formatDateShort(dateStr);
+        }
+    },
+
+    /**
+     * Our properties side by side: rate, ranks, competitor set average,
+     * combined averages and any dates where one undercuts the other
+     */
+    updatePortfolioView(dateStr) {
+        if (!this.elements.portfolioGrid) return;
+        
+        const portfolio = Storage.getPortfolioData(dateStr);
+        const money = (value) => value === null ? '--' : `$${value}`;
+        const signed = (value) => value === null ? '--' : `${value >= 0 ? '+' : '-'}$${Math.abs(value)}`;
+        
+        if (this.elements.portfolioDate) {
+            this.elements.portfolioDate.textContent = formatDateShort(dateStr);
+        }
+        
+        this.elements.portfolioGrid.innerHTML = portfolio.properties.map(p => `
+            <div class="gap-card portfolio-card">
+                <div class="gap-card-header">
+                    <span class="gap-competitor-name">★ ${p.property.name}</span>
+                    <span class="gap-detail-value">${money(p.price)}</span>
+                </div>
+                <div class="gap-details">
+                    <div class="gap-detail"><div class="gap-detail-value">${p.marketRank ? `#${p.marketRank}` : '--'}</div><div class="gap-detail-label">Market (${portfolio.marketCount})</div></div>
+                    <div class="gap-detail"><div class="gap-detail-value">${p.compSetRank ? `#${p.compSetRank}` : '--'}</div><div class="gap-detail-label">Comp set (${p.compSet.length + 1})</div></div>
+                    <div class="gap-detail"><div class="gap-detail-value">${signed(p.gapToCompSet)}</div><div class="gap-detail-label">vs comp set ${money(p.compSetAvg)}</div></div>
+                </div>
+            </div>
+        `).join('') || '<p class="placeholder-text">No properties of ours in this market</p>';
+        
+        if (this.elements.portfolioSummary) {
+            this.elements.portfolioSummary.innerHTML = `
+                <div class="rec-stat"><span class="rec-label">Portfolio average</span><span class="rec-value highlight">${money(portfolio.portfolioAvg)}</span></div>
+                <div class="rec-stat"><span class="rec-label">Combined comp set average</span><span class="rec-value">${money(portfolio.compSetAvg)}</span></div>
+                <div class="rec-stat"><span class="rec-label">Market average</span><span class="rec-value">${money(portfolio.marketAvg)}</span></div>
+            `;
+        }
+        
+        if (this.elements.portfolioUndercuts) {
+            const undercuts = Storage.getPortfolioUndercuts().filter(u => u.date >= dateStr).slice(0, 6);
+            this.elements.portfolioUndercuts.innerHTML = undercuts.map(u => `
+                <div class="alert-item alert-${u.date === dateStr ? 'danger' : 'warning'}">
+                    <span class="alert-icon">🔀</span>
+                    <div class="alert-content">
+                        <div class="alert-message">${u.property} ($${u.price}) undercuts ${u.other} ($${u.otherPrice}) by $${u.gap}</div>
+                        <div class="alert-meta">For ${formatDateShort(u.date)} · usually $${u.usualGap} above it</div>
+                    </div>
+                </div>
+            `).join('');
+        }
+    },
+
+    updateBattleTable(dateStr, property) {
+        const data = Storage.loadData();
+        if (!data?.dates?.[dateStr] || !this.elements.battleTableBody) return;
+        
+        const hotels = data.dates[dateStr].hotels || [];
+        const sortedHotels = [...hotels].filter(h => h.price > 0).sort((a, b) => a.price - b.price);
+        
+        const yourHotel = findPropertyRate(sortedHotels, property);
+        const yourPrice = yourHotel?.price || 0;
+        
+        const relevantHotels = sortedHotels.filter(h => h === yourHotel || isInCompetitorSet(h, property));
+        
+        this.elements.battleTableBody.innerHTML = relevantHotels.map(hotel => {
+            const isYours = hotel === yourHotel;
+            const position = sortedHotels.indexOf(hotel) + 1;
+            const vsYou = isYours || !yourPrice ? '--' : (hotel.price - yourPrice);
+            const vsYouText = vsYou === '--' ? '--' : (vsYou < 0 ? `-$${Math.abs(vsYou).toFixed(0)}` : `+$${vsYou.toFixed(0)}`);
+            const vsYouClass = vsYou === '--' ? '' : (vsYou < 0 ? 'negative' : 'positive');
+            
+            let gapIcon = '';
+            if (!isYours && vsYou !== '--') {
+                if (vsYou < -10) gapIcon = '🔴';
+                else if (vsYou < 0) gapIcon = '⚠️';
+                else if (vsYou > 10) gapIcon = '✅';
+                else gapIcon = '➖';
+            }
+            
+            const rowClass = isYours ? 'hotel-yours' : 'hotel-direct';
+            const badge = isYours ? '<span class="hotel-badge badge-yours">YOU</span>' : '<span class="hotel-badge badge-direct">⚔️</span>';
+            
+            return `<tr class="${rowClass}">
+                <td class="hotel-name">${hotel.name} ${badge}</td>
+                <td><strong>$${hotel.price}</strong></td>
+                <td class="vs-you ${vsYouClass}">${vsYouText}</td>
+                <td>#${position} of ${sortedHotels.length}</td>
+                <td class="gap-indicator">${gapIcon}</td>
+            </tr>`;
+        }).join('');
+    },
+
+    updatePriceRecommendation(dateStr, property) {
+        const data = Storage.loadData();
+        if (!data?.dates?.[dateStr]) return;
+        
+        const hotels = data.dates[dateStr].hotels || [];
+        const directCompPrices = hotels
+            .filter(h => h.price > 0 && !isProperty(h, property) && isInCompetitorSet(h, property))
+            .map(h => h.price);
+        const yourPrice = findPropertyRate(hotels, property)?.price || 0;
+        const allPrices = hotels.filter(h => h.price > 0).map(h => h.price);
+        const marketAvg = allPrices.length > 0 ? Math.round(allPrices.reduce((a, b) => a + b, 0) / allPrices.length) : 0;
+        
+        if (directCompPrices.length > 0) {
+            const compMin = Math.min(...directCompPrices);
+            const compMax = Math.max(...directCompPrices);
+            const compAvg = Math.round(directCompPrices.reduce((a, b) => a + b, 0) / directCompPrices.length);
+            
+            if (this.elements.recCompRange) this.elements.recCompRange.textContent = `$${compMin} - $${compMax}`;
+            if (this.elements.recMarketAvg) this.elements.recMarketAvg.textContent = `$${marketAvg}`;
+            if (this.elements.recYourRate) this.elements.recYourRate.textContent = yourPrice > 0 ? `$${yourPrice}` : 'N/A';
+            if (this.elements.recAggressivePrice) this.elements.recAggressivePrice.textContent = `$${compMax - 1}`;
+            if (this.elements.recCompetitivePrice) this.elements.recCompetitivePrice.textContent = `$${compAvg}`;
+            if (this.elements.recPremiumPrice) this.elements.recPremiumPrice.textContent = `$${Math.round((compMax + marketAvg) / 2)}`;
+        }
+    },
+
+    updateWeeklyTable(dateStr, property) {
+        const data = Storage.loadData();
+        if (!data?.dates || !this.elements.weeklyTableHeader || !this.elements.weeklyTableBody) return;
+        
+        const dates = getNextDates(dateStr, 7).filter(d => data.dates[d]);
+        if (dates.length === 0) return;
+        
+        let yourPrices = {};
+        dates.forEach(d => {
+            yourPrices[d] = findPropertyRate(data.dates[d]?.hotels, property)?.price || 0;
+        });
+        
+        this.elements.weeklyTableHeader.innerHTML = `<th>Hotel</th>${dates.map(d => {
+            const date = new Date(d + 'T00:00:00');
+            return `<th>${DAY_NAMES_SHORT[date.getDay()]}<br>${date.getDate()}</th>`;
+        }).join('')}`;
+        
+        const hotelNames = [];
+        (data.dates[dates[0]]?.hotels || []).forEach(h => {
+            if (isProperty(h, property) || isInCompetitorSet(h, property)) hotelNames.push(h.name);
+        });
+        
+        this.elements.weeklyTableBody.innerHTML = hotelNames.map(name => {
+            const isYours = isProperty(name, property);
+            const cells = dates.map(d => {
+                const hotel = (data.dates[d]?.hotels || []).find(h => h.name === name);
+                const price = hotel?.price || 0;
+                let cellClass = '';
+                if (!isYours && price > 0 && yourPrices[d] > 0) {
+                    cellClass = price < yourPrices[d] ? 'cell-lower' : (price > yourPrices[d] ? 'cell-higher' : 'cell-equal');
+                }
+                return `<td class="${cellClass}">${price > 0 ? '$' + price : '--'}</td>`;
+            }).join('');
+            
+            return `<tr class="${isYours ? 'row-yours' : 'row-direct'}">
+                <td>${name.substring(0, 25)}${isYours ? ' ★' : ' ⚔️'}</td>${cells}
+            </tr>`;
+        }).join('');
+    },
+
+    updateGapConsistency(property) {
+        const data = Storage.loadData();
+        if (!data?.dates || !this.elements.gapConsistencyGrid) return;
+        
+        const dates = Object.keys(data.dates).sort();
+        if (dates.length < 5) {
+            this.elements.gapConsistencyGrid.innerHTML = '<p class="placeholder-text">Need 5+ days for gap analysis</p>';
+            return;
+        }
+        
+        const gapData = {};
+        dates.forEach(d => {
+            const hotels = data.dates[d]?.hotels || [];
+            const yourHotel = findPropertyRate(hotels, property);
+            if (!yourHotel) return;
+            
+            hotels.filter(h => h !== yourHotel && isInCompetitorSet(h, property) && h.price > 0).forEach(h => {
+                const key = h.name.substring(0, 20);
+                if (!gapData[key]) gapData[key] = { name: h.name, gaps: [] };
+                gapData[key].gaps.push(yourHotel.price - h.price);
+            });
+        });
+        
+        const cards = Object.values(gapData).slice(0, 4).map(comp => {
+            const avg = comp.gaps.reduce((a, b) => a + b, 0) / comp.gaps.length;
             const min = Math.min(...comp.gaps);
             const max = Math.max(...comp.gaps);
             const range = max - min;
@@ -3388,7 +5248,7 @@ const UI = {
         this.elements.gapConsistencyGrid.innerHTML = cards.join('') || '<p class="placeholder-text">No competitor data</p>';
     },
 
-    updateCompetitiveAlerts() {
+    updateCompetitiveAlerts(property) {
         const data = Storage.loadData();
         if (!data?.dates || !this.elements.competitiveAlertsList) return;
         
@@ -3397,10 +5257,10 @@ const UI = {
         
         dates.forEach(d => {
             const hotels = data.dates[d]?.hotels || [];
-            const yourHotel = hotels.find(h => isYourHotel(h.name) && h.price > 0);
+            const yourHotel = findPropertyRate(hotels, property);
             if (!yourHotel) return;
             
-            hotels.filter(h => isDirectCompetitor(h.name) && h.price > 0).forEach(h => {
+            hotels.filter(h => h !== yourHotel && isInCompetitorSet(h, property) && h.price > 0).forEach(h => {
                 const gap = yourHotel.price - h.price;
                 if (gap > 15) {
                     alerts.push({ type: 'danger', icon: '🔴', msg: `${h.name.substring(0, 22)} is $${gap} below you`, date: d });
@@ -3425,7 +5285,7 @@ const UI = {
     /**
      * Update Price Trends chart for Direct Competitors page
      */
-    updateMyHotelsTrendChart() {
+    updateMyHotelsTrendChart(property) {
         const canvas = document.getElementById('myhotels-trend-chart');
         if (!canvas) return;
         
@@ -3444,8 +5304,8 @@ const UI = {
             hotels.forEach(h => {
                 if (!h.name || !h.price) return;
                 
-                const isYours = isYourHotel(h.name);
-                const isDirect = isDirectCompetitor(h.name);
+                const isYours = isProperty(h, property);
+                const isDirect = isInCompetitorSet(h, property);
                 
                 if ((isYours || isDirect) && !hotelDatasets[h.name]) {
                     hotelDatasets[h.name] = {
@@ -3609,8 +5469,19 @@ const UI = {
             });
         }
         
-        // Initialize week navigation - start from May 4, 2026 (first Monday)
-        this.historyCurrentWeekStart = new Date('2026-05-04T00:00:00');
+        const leadSelect = document.getElementById('history-lead-select');
+        if (leadSelect && !leadSelect.dataset.bound) {
+            leadSelect.dataset.bound = 'true';
+            leadSelect.addEventListener('change', () => {
+                this.updateHistoryDateChart(document.getElementById('history-date-select').value);
+            });
+        }
+        
+        // Initialize week navigation - start from the first Monday of the season
+        this.historyCurrentWeekStart = new Date(CONFIG.season.startDate + 'T00:00:00');
+        while (this.historyCurrentWeekStart.getDay() !== 1) {
+            this.historyCurrentWeekStart.setDate(this.historyCurrentWeekStart.getDate() + 1);
+        }
         this.updateWeeklyRateGrid();
         
         // Bind week navigation (only once)
@@ -3634,81 +5505,75 @@ const UI = {
         }
     },
     
-    updateHistoryDateChart(targetDate) {
+    /**
+     * Pickup chart: each hotel's rate for one stay date by days before arrival
+     */
+    async updateHistoryDateChart(targetDate) {
         const canvas = document.getElementById('history-date-chart');
         if (!canvas) return;
         
-        const data = Storage.loadData();
-        if (!data?.dates) return;
-        
-        // For now, we'll show how this date's rate compares across the season
-        // When you have history data from multiple refreshes, this will show actual changes
-        
-        // Get all hotels for this date
-        const dateData = data.dates[targetDate];
-        if (!dateData?.hotels) {
-            this.showEmptyHistoryChart('No data for this date');
+        const days = parseInt(document.getElementById('history-lead-select')?.value, 10) || 60;
+        let pickup;
+        try {
+            pickup = await API.getPickup(targetDate, days);
+        } catch (error) {
+            this.showEmptyHistoryChart('Could not load rate history: ' + error.message);
             return;
         }
         
-        // Get your hotels and direct competitors
-        const relevantHotels = dateData.hotels.filter(h => 
-            isYourHotel(h.name) || isDirectCompetitor(h.name)
-        );
+        // Another date may have been picked while this one loaded
+        if (document.getElementById('history-date-select')?.value !== targetDate) return;
         
-        if (relevantHotels.length === 0) {
-            this.showEmptyHistoryChart('No tracked hotels found');
+        if (pickup.hotels.length === 0) {
+            this.showEmptyHistoryChart(`No rates shopped for this date in the ${days} days before arrival`);
             return;
         }
         
-        // For the chart, show rate history from the database
-        // We need to fetch from the history collection
-        // For now, simulate with current data showing rate for this date across time
-        
-        const ctx = canvas.getContext('2d');
-        
-        if (this.historyDateChart) {
-            this.historyDateChart.destroy();
-        }
-        
-        // Build datasets showing each hotel's price for the selected date
-        // Currently we only have one snapshot, but as auto-refresh runs daily,
-        // we'll have multiple snapshots to compare
+        // X axis: days before arrival, furthest out first
+        const leadDays = [...new Set(pickup.hotels.flatMap(hotel => hotel.points.map(point => point.leadDays)))]
+            .sort((a, b) => b - a);
         
         const colors = {
-            yours: [CONFIG.chartColors.primary, '#22c55e'],
-            competitors: ['#ef4444', '#f97316', '#8b5cf6', '#3b82f6']
+            yours: CONFIG.chartColors.properties,
+            competitors: ['#ef4444', '#f97316', '#8b5cf6', '#3b82f6', '#14b8a6', '#ec4899']
         };
-        
         let yoursIdx = 0;
         let compIdx = 0;
         
-        const datasets = relevantHotels.slice(0, 6).map(hotel => {
-            const isYours = isYourHotel(hotel.name);
-            const color = isYours ? colors.yours[yoursIdx++ % 2] : colors.competitors[compIdx++ % 4];
+        // Your hotels first, then direct competitors; the rest start hidden
+        const tier = hotel => isYourHotel(hotel) ? 0 : (isDirectCompetitor(hotel) ? 1 : 2);
+        const datasets = [...pickup.hotels].sort((a, b) => tier(a) - tier(b)).map(hotel => {
+            const isYours = isYourHotel(hotel);
+            const color = isYours 
+                ? colors.yours[yoursIdx++ % colors.yours.length] 
+                : colors.competitors[compIdx++ % colors.competitors.length];
+            const prices = new Map(hotel.points.map(point => [point.leadDays, point.price]));
             
             return {
                 label: (hotel.name.length > 20 ? hotel.name.substring(0, 18) + '...' : hotel.name) + 
                        (isYours ? ' (YOU)' : ''),
-                data: [hotel.price], // Will expand when we have history
+                data: leadDays.map(day => prices.get(day) ?? null),
                 borderColor: color,
-                backgroundColor: isYours ? color + '20' : 'transparent',
+                backgroundColor: 'transparent',
                 borderWidth: isYours ? 3 : 2,
-                fill: isYours,
-                stepped: true,
-                pointRadius: 6,
-                pointHoverRadius: 8
+                stepped: true, // A rate holds until the next shop
+                spanGaps: true,
+                hidden: tier(hotel) === 2,
+                pointRadius: 3,
+                pointHoverRadius: 6
             };
         });
         
-        // Get timestamp of when this data was captured
-        const timestamp = dateData.timestamp ? new Date(dateData.timestamp) : new Date();
-        const label = timestamp.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        const ctx = canvas.getContext('2d');
+        
+        if (this.historyDateChart) {
+            this.historyDateChart.destroy();
+        }
         
         this.historyDateChart = new Chart(ctx, {
             type: 'line',
             data: {
-                labels: [label + ' (current)'],
+                labels: leadDays.map(day => day === 0 ? 'Arrival' : `${day}d`),
                 datasets: datasets
             },
             options: {
@@ -3725,18 +5590,22 @@ const UI = {
                         }
                     },
                     tooltip: {
+                        mode: 'index',
+                        intersect: false,
+                        filter: item => item.raw !== null,
                         callbacks: {
                             label: function(context) {
                                 return `${context.dataset.label}: $${context.raw}`;
                             },
                             title: function(context) {
-                                return `Rate for ${targetDate}`;
+                                const day = leadDays[context[0].dataIndex];
+                                return day === 0 ? 'Shopped on arrival day' : `${day} days before arrival`;
                             }
                         }
                     },
                     title: {
                         display: true,
-                        text: `Rate tracking for ${new Date(targetDate + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}`,
+                        text: `Pickup for ${new Date(targetDate + 'T00:00:00').toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric', year: 'numeric' })}`,
                         color: '#94a3b8',
                         font: { size: 14 }
                     }
@@ -3751,6 +5620,7 @@ const UI = {
                         }
                     },
                     x: {
+                        title: { display: true, text: 'Days before arrival', color: '#94a3b8' },
                         grid: { display: false },
                         ticks: { color: '#94a3b8' }
                     }
@@ -3763,8 +5633,9 @@ const UI = {
         if (legendDiv) {
             legendDiv.innerHTML = `
                 <p style="color: var(--text-tertiary); font-size: 0.85rem; margin: 0;">
-                    📊 As the daily auto-refresh runs, this chart will show how each hotel changed their rate for <strong>${targetDate}</strong> over time.
-                    <br>Currently showing: 1 snapshot from ${label}
+                    📊 ${leadDays.length} shopping day${leadDays.length === 1 ? '' : 's'} for <strong>${targetDate}</strong>, 
+                    from ${leadDays[0]} to ${leadDays[leadDays.length - 1]} days before arrival.
+                    Each line holds its rate until the next shop.
                 </p>
             `;
         }
@@ -3851,7 +5722,7 @@ const UI = {
             if (dateData && dateData.hotels) {
                 for (let j = 0; j < dateData.hotels.length; j++) {
                     const hotel = dateData.hotels[j];
-                    if (isYourHotel(hotel.name) || isDirectCompetitor(hotel.name)) {
+                    if (isYourHotel(hotel) || isDirectCompetitor(hotel)) {
                         hotelNames.add(hotel.name);
                     }
                 }
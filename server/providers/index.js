@@ -0,0 +1,51 @@
+/**
+ * Mackinaw Intel - Rate Providers
+ * Every provider returns the same normalized hotel record, so the rest of
+ * the server doesn't care which vendor the rates came from.
+ *
+ * Normalized hotel:
+ * {
+ *   name,
+ *   price,              // before-tax nightly rate when known, otherwise with tax
+ *                       // (per night even for multi-night stays)
+ *   priceWithTax, priceBeforeTax,
+ *   rating, reviews, hotel_class,
+ *   amenities, gps_coordinates: { latitude, longitude },
+ *   property_token, link,
+ *   deal, dealDescription
+ * }
+ *
+ * Provider:
+ * {
+ *   name, label,
+ *   creditsPerSearch,   // credits one search costs (0 for the mock)
+ *   isConfigured(),     // has what it needs (API key, fixture, ...)
+ *   searchHotels({ checkin, checkout, adults, children, area, signal })
+ *     → { hotels: [normalized], metadata }
+ * }
+ *
+ * `area` is { query, boundingBox: [min_lng, min_lat, max_lng, max_lat] }.
+ * Pick the provider with RATE_PROVIDER=searchapi | serpapi | mock.
+ */
+
+const { ProviderError } = require('./shared');
+const searchapi = require('./searchapi');
+const serpapi = require('./serpapi');
+const mock = require('./mock');
+
+const PROVIDERS = { searchapi, serpapi, mock };
+
+const DEFAULT_PROVIDER = 'searchapi';
+
+/**
+ * Look up a provider by name (defaults to RATE_PROVIDER)
+ */
+function getProvider(name = process.env.RATE_PROVIDER || DEFAULT_PROVIDER) {
+    const provider = PROVIDERS[name.trim().toLowerCase()];
+    if (!provider) {
+        throw new Error(`Unknown rate provider "${name}" (expected ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+    return provider;
+}
+
+module.exports = { getProvider, ProviderError, PROVIDERS };
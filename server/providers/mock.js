@@ -0,0 +1,102 @@
+/**
+ * Mackinaw Intel - Mock provider for offline development
+ * Serves a recorded SearchAPI response (fixtures/mackinaw-city.json) with
+ * prices adjusted per date, so the dashboards have realistic data without
+ * spending credits. Same date in, same prices out. Only fixture hotels inside
+ * the searched market's bounding box are returned.
+ *
+ * MOCK_FIXTURE can point at another fixture file.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { normalizeProperty } = require('./searchapi');
+const { isInBoundingBox, nightsBetween } = require('./shared');
+
+const FIXTURE_PATH = process.env.MOCK_FIXTURE || path.join(__dirname, 'fixtures', 'mackinaw-city.json');
+
+// Rough Mackinaw City demand curve (July/August peak, quiet shoulders)
+const MONTH_FACTORS = { 5: 0.85, 6: 1.1, 7: 1.4, 8: 1.35, 9: 1.0, 10: 0.9 };
+const WEEKEND_FACTOR = 1.25;
+// Single travellers get a small discount, families need bigger rooms,
+// longer stays get a small discount per extra night
+const SINGLE_FACTOR = 0.92;
+const FAMILY_FACTOR = 1.15;
+const EXTRA_NIGHT_DISCOUNT = 0.04;
+const TAX_RATE = 0.12;
+
+let fixture = null;
+
+/**
+ * Load the fixture once
+ */
+function loadFixture() {
+    if (!fixture) {
+        fixture = JSON.parse(fs.readFileSync(FIXTURE_PATH, 'utf8'));
+    }
+    return fixture;
+}
+
+/**
+ * Stable number from 0 to 1 for a hotel on a date
+ */
+function jitter(seed) {
+    return crypto.createHash('sha256').update(seed).digest().readUInt32BE(0) / 0xffffffff;
+}
+
+/**
+ * Reprice a fixture property for a check-in date and occupancy
+ */
+function priceForStay(property, { checkin, adults, children, nights }) {
+    const date = new Date(checkin + 'T00:00:00Z');
+    const weekday = date.getUTCDay();
+    const isWeekend = weekday === 5 || weekday === 6;
+    const monthFactor = MONTH_FACTORS[date.getUTCMonth() + 1] || 0.8;
+    const noise = jitter(`${property.property_token}:${checkin}:${adults}:${children}:${nights}`);
+    const occupancyFactor = (adults < 2 ? SINGLE_FACTOR : 1) * (children > 0 ? FAMILY_FACTOR : 1);
+    const stayFactor = 1 - EXTRA_NIGHT_DISCOUNT * (nights - 1);
+
+    const base = property.price_per_night.extracted_price_before_taxes;
+    const beforeTax = Math.round(base * monthFactor * (isWeekend ? WEEKEND_FACTOR : 1) * 
+        occupancyFactor * stayFactor * (0.92 + noise * 0.16));
+    const withTax = Math.round(beforeTax * (1 + TAX_RATE));
+    // About one in ten hotel-nights shows a deal
+    const hasDeal = noise < 0.1;
+
+    return {
+        ...property,
+        price_per_night: {
+            price: `$${withTax}`,
+            extracted_price: withTax,
+            price_before_taxes: `$${beforeTax}`,
+            extracted_price_before_taxes: beforeTax
+        },
+        deal: hasDeal ? `${Math.round(10 + noise * 100)}% less than usual` : null,
+        deal_description: hasDeal ? 'Deal' : null
+    };
+}
+
+module.exports = {
+    name: 'mock',
+    label: 'Mock provider',
+    creditsPerSearch: 0,
+
+    isConfigured() {
+        return fs.existsSync(FIXTURE_PATH);
+    },
+
+    async searchHotels({ checkin, checkout, adults = 2, children = 0, area }) {
+        const { properties } = loadFixture();
+        const stay = { checkin, adults: Number(adults), children: Number(children), nights: nightsBetween(checkin, checkout) };
+
+        return {
+            hotels: properties
+                .filter(p => isInBoundingBox(p.gps_coordinates, area?.boundingBox))
+                .map(p => normalizeProperty(priceForStay(p, stay))),
+            metadata: {
+                search_metadata: { status: 'Success', provider: 'mock', fixture: path.basename(FIXTURE_PATH) }
+            }
+        };
+    }
+};
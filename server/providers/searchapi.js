@@ -0,0 +1,84 @@
+/**
+ * Mackinaw Intel - SearchAPI.io provider (Google Hotels engine)
+ * https://www.searchapi.io/docs/google-hotels
+ */
+
+const { fetchJson, nightsBetween, occupancyParams } = require('./shared');
+
+// Older deploys stored the SearchAPI key as SERPAPI_KEY
+const API_KEY = process.env.SEARCHAPI_KEY || (process.env.RATE_PROVIDER ? null : process.env.SERPAPI_KEY);
+
+/**
+ * SearchAPI wants dates as YYYY-M-D
+ */
+function formatDate(dateStr) {
+    const [year, month, day] = dateStr.split('-');
+    return `${year}-${parseInt(month)}-${parseInt(day)}`;
+}
+
+/**
+ * Turn a SearchAPI property into a normalized hotel
+ * Prefers the before-tax price (base room rate without taxes/fees)
+ */
+function normalizeProperty(p, nights = 1) {
+    const perNight = (total) => total ? Math.round(total / nights) : null;
+    const priceBeforeTax = p.price_per_night?.extracted_price_before_taxes 
+        || perNight(p.total_price?.extracted_price_before_taxes);
+    const priceWithTax = p.price_per_night?.extracted_price 
+        || perNight(p.total_price?.extracted_price);
+
+    return {
+        name: p.name,
+        price: priceBeforeTax || priceWithTax || 0,
+        priceWithTax: priceWithTax || 0,
+        priceBeforeTax: priceBeforeTax || null,
+        rating: p.rating || null,
+        reviews: p.reviews || 0,
+        hotel_class: p.extracted_hotel_class || 0,
+        amenities: p.amenities || [],
+        gps_coordinates: p.gps_coordinates || null,
+        property_token: p.property_token || null,
+        link: p.link || null,
+        deal: p.deal || null,                         // e.g., "19% less than usual"
+        dealDescription: p.deal_description || null   // e.g., "Deal"
+    };
+}
+
+module.exports = {
+    name: 'searchapi',
+    label: 'SearchAPI.io',
+    creditsPerSearch: 1,
+
+    isConfigured() {
+        return !!API_KEY;
+    },
+
+    /**
+     * Search by bounding box so only hotels inside the area come back
+     */
+    async searchHotels({ checkin, checkout, adults = 2, children = 0, area, signal }) {
+        const params = new URLSearchParams({
+            engine: 'google_hotels',
+            bounding_box: JSON.stringify(area.boundingBox),
+            check_in_date: formatDate(checkin),
+            check_out_date: formatDate(checkout),
+            ...occupancyParams(adults, children),
+            currency: 'USD',
+            gl: 'us',
+            hl: 'en',
+            api_key: API_KEY
+        });
+
+        const data = await fetchJson(`https://www.searchapi.io/api/v1/search?${params}`, signal);
+
+        return {
+            hotels: (data.properties || []).map(p => normalizeProperty(p, nightsBetween(checkin, checkout))),
+            metadata: {
+                pagination: data.pagination,
+                search_metadata: data.search_metadata
+            }
+        };
+    },
+
+    normalizeProperty
+};
@@ -0,0 +1,80 @@
+/**
+ * Mackinaw Intel - SerpAPI provider (Google Hotels engine)
+ * https://serpapi.com/google-hotels-api
+ */
+
+const { fetchJson, isInBoundingBox, nightsBetween, occupancyParams } = require('./shared');
+
+const API_KEY = process.env.SERPAPI_KEY;
+
+/**
+ * Turn a SerpAPI property into a normalized hotel
+ * Prefers the before-tax price (base room rate without taxes/fees)
+ */
+function normalizeProperty(p, nights = 1) {
+    const perNight = (total) => total ? Math.round(total / nights) : null;
+    const priceBeforeTax = p.rate_per_night?.extracted_before_taxes_fees 
+        || perNight(p.total_rate?.extracted_before_taxes_fees);
+    const priceWithTax = p.rate_per_night?.extracted_lowest 
+        || perNight(p.total_rate?.extracted_lowest);
+
+    return {
+        name: p.name,
+        price: priceBeforeTax || priceWithTax || 0,
+        priceWithTax: priceWithTax || 0,
+        priceBeforeTax: priceBeforeTax || null,
+        rating: p.overall_rating || null,
+        reviews: p.reviews || 0,
+        hotel_class: p.extracted_hotel_class || 0,
+        amenities: p.amenities || [],
+        gps_coordinates: p.gps_coordinates || null,
+        property_token: p.property_token || null,
+        link: p.link || null,
+        deal: p.deal || null,
+        dealDescription: p.deal_description || null
+    };
+}
+
+module.exports = {
+    name: 'serpapi',
+    label: 'SerpAPI',
+    creditsPerSearch: 1,
+
+    isConfigured() {
+        return !!API_KEY;
+    },
+
+    /**
+     * SerpAPI has no bounding box search, so search by name and
+     * drop anything outside the area (St. Ignace, Mackinac Island)
+     */
+    async searchHotels({ checkin, checkout, adults = 2, children = 0, area, signal }) {
+        const params = new URLSearchParams({
+            engine: 'google_hotels',
+            q: area.query,
+            check_in_date: checkin,
+            check_out_date: checkout,
+            ...occupancyParams(adults, children),
+            currency: 'USD',
+            gl: 'us',
+            hl: 'en',
+            api_key: API_KEY
+        });
+
+        const data = await fetchJson(`https://serpapi.com/search.json?${params}`, signal);
+
+        const hotels = (data.properties || [])
+            .filter(p => isInBoundingBox(p.gps_coordinates, area.boundingBox))
+            .map(p => normalizeProperty(p, nightsBetween(checkin, checkout)));
+
+        return {
+            hotels,
+            metadata: {
+                pagination: data.serpapi_pagination,
+                search_metadata: data.search_metadata
+            }
+        };
+    },
+
+    normalizeProperty
+};
@@ -0,0 +1,65 @@
+/**
+ * Mackinaw Intel - Helpers shared by the rate providers
+ */
+
+/**
+ * Error reported by the vendor (bad key, bad params, out of credits...)
+ * as opposed to a network or server failure
+ */
+class ProviderError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'ProviderError';
+    }
+}
+
+/**
+ * GET a vendor URL and return its JSON body
+ * Throws ProviderError when the vendor answers with { error }
+ */
+async function fetchJson(url, signal) {
+    const response = await fetch(url, { signal });
+    const data = await response.json();
+
+    if (data.error) {
+        throw new ProviderError(data.error);
+    }
+
+    return data;
+}
+
+/**
+ * Whether GPS coordinates fall inside a [min_lng, min_lat, max_lng, max_lat] box
+ * (unknown coordinates are kept)
+ */
+function isInBoundingBox(coordinates, boundingBox) {
+    if (!coordinates || !boundingBox) return true;
+    const [minLng, minLat, maxLng, maxLat] = boundingBox;
+    return coordinates.longitude >= minLng && coordinates.longitude <= maxLng &&
+           coordinates.latitude >= minLat && coordinates.latitude <= maxLat;
+}
+
+/**
+ * Nights between two YYYY-MM-DD dates (at least 1)
+ */
+function nightsBetween(checkin, checkout) {
+    const nights = Math.round((new Date(checkout + 'T00:00:00Z') - new Date(checkin + 'T00:00:00Z')) / 86400000);
+    return Math.max(1, nights || 1);
+}
+
+// Vendors need an age per child; family rates are shopped for school-age kids
+const DEFAULT_CHILD_AGE = 8;
+
+/**
+ * Occupancy params shared by the Google Hotels engines
+ */
+function occupancyParams(adults, children) {
+    const params = { adults };
+    if (children > 0) {
+        params.children = children;
+        params.children_ages = Array(Number(children)).fill(DEFAULT_CHILD_AGE).join(',');
+    }
+    return params;
+}
+
+module.exports = { ProviderError, fetchJson, isInBoundingBox, nightsBetween, occupancyParams };
@@ -1,27 +1,77 @@
 /**
  * Mackinaw Intel - API Proxy Server with MongoDB
- * - Proxies requests to SearchAPI.io (Google Hotels)
+ * - Proxies hotel searches to a rate provider (SearchAPI.io, SerpAPI or a mock)
  * - Stores rate data in MongoDB for cross-device sync
+ * - Authenticates users with salted password hashes and session tokens
  */
 
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
+const { promisify } = require('util');
 const express = require('express');
 const cors = require('cors');
-const { MongoClient } = require('mongodb');
+const nodemailer = require('nodemailer');
+const ExcelJS = require('exceljs');
+const { MongoClient, ObjectId, BSON } = require('mongodb');
+const { Agent, fetch: fetchWithAgent } = require('undici');
+const { getProvider, ProviderError } = require('./providers');
+
+const scrypt = promisify(crypto.scrypt);
+const { EJSON } = BSON;
 
 const app = express();
 const PORT = process.env.PORT || 10000;
 
 // Environment variables
-const SEARCHAPI_KEY = process.env.SEARCHAPI_KEY || process.env.SERPAPI_KEY;
 const MONGODB_URI = process.env.MONGODB_URI;
 
-// Mackinaw City bounding box [min_lng, min_lat, max_lng, max_lat]
-const MACKINAW_BOUNDING_BOX = '[-84.78,45.77,-84.71,45.80]';
+// Where rates come from (RATE_PROVIDER=searchapi | serpapi | mock)
+const rateProvider = getProvider();
 
 // MongoDB connection
 let db = null;
 let ratesCollection = null;
 let historyCollection = null;
+let changesCollection = null;
+let usersCollection = null;
+let sessionsCollection = null;
+let settingsCollection = null;
+let jobsCollection = null;
+let locksCollection = null;
+let schedulesCollection = null;
+let creditUsageCollection = null;
+let hotelsCollection = null;
+let marketsCollection = null;
+let dailyHistoryCollection = null;
+let trashCollection = null;
+let auditCollection = null;
+let alertRulesCollection = null;
+let alertsCollection = null;
+let loginFailuresCollection = null;
+
+// Session lifetime (24 hours, same as the old client-side session)
+const SESSION_DURATION_MS = 24 * 60 * 60 * 1000;
+
+// Failed logins are counted per username and per IP address in login_failures:
+// { _id: 'user:<name>' | 'ip:<address>', count, expiresAt }. Past the limit, logins
+// are refused until the window that started with the first failure ends
+const LOGIN_FAILURE_WINDOW_MS = 15 * 60 * 1000;
+const MAX_LOGIN_FAILURES_PER_USER = 5;
+const MAX_LOGIN_FAILURES_PER_IP = 20;
+
+// Roles and what each one may do. Each role includes everything
+// the role before it can do.
+const VIEWER_PERMISSIONS = ['rates:read', 'history:read', 'account:read'];
+const REVENUE_MANAGER_PERMISSIONS = [...VIEWER_PERMISSIONS, 'rates:fetch', 'rates:write', 'rates:delete'];
+const ADMIN_PERMISSIONS = [...REVENUE_MANAGER_PERMISSIONS, 'rates:clear', 'refresh:run', 'users:manage', 'season:manage', 'schedules:manage', 'credits:manage', 'hotels:manage', 'markets:manage', 'data:manage', 'audit:read', 'backup:manage', 'alerts:manage'];
+
+const ROLE_PERMISSIONS = {
+    viewer: VIEWER_PERMISSIONS,
+    revenue_manager: REVENUE_MANAGER_PERMISSIONS,
+    admin: ADMIN_PERMISSIONS
+};
+const DEFAULT_ROLE = 'viewer';
 
 async function connectDB() {
     if (!MONGODB_URI) {
@@ -35,12 +85,66 @@ async function connectDB() {
         db = client.db('hotelintel');
         ratesCollection = db.collection('rates');
         historyCollection = db.collection('rates_history');
+        changesCollection = db.collection('rate_changes');
+        usersCollection = db.collection('users');
+        sessionsCollection = db.collection('sessions');
+        settingsCollection = db.collection('settings');
+        jobsCollection = db.collection('jobs');
+        locksCollection = db.collection('locks');
+        schedulesCollection = db.collection('schedules');
+        creditUsageCollection = db.collection('credit_usage');
+        hotelsCollection = db.collection('hotels');
+        marketsCollection = db.collection('markets');
+        dailyHistoryCollection = db.collection('history_daily');
+        trashCollection = db.collection('rates_trash');
+        auditCollection = db.collection('audit_log');
+        alertRulesCollection = db.collection('alert_rules');
+        alertsCollection = db.collection('alerts');
+        loginFailuresCollection = db.collection('login_failures');
+        
+        // Markets are needed by everything below (seeds Mackinaw City on first start)
+        await loadMarkets();
+        
+        // Rates used to be keyed by date alone - tag them with the default stay profile
+        await migrateRatesToStayProfiles();
+        
+        // Rates, hotels and schedules used to cover Mackinaw City only
+        await migrateToMarkets();
+        
+        // Hotels used to be matched by name - point stored rates at the registry
+        await migrateRatesToHotelRegistry();
+        
+        // History used to be full snapshots - turn them into change events
+        await migrateHistoryToChangeEvents();
         
         // Create indexes for fast lookups
-        await ratesCollection.createIndex({ date: 1 }, { unique: true });
-        await historyCollection.createIndex({ date: 1, timestamp: 1 });
+        await ratesCollection.createIndex({ market: 1, date: 1, stayProfile: 1 }, { unique: true });
+        await changesCollection.createIndex({ market: 1, date: 1, stayProfile: 1, observedAt: -1 });
+        await changesCollection.createIndex({ market: 1, stayProfile: 1, observedAt: -1, _id: -1 });
+        await usersCollection.createIndex({ username: 1 }, { unique: true });
+        await sessionsCollection.createIndex({ tokenHash: 1 }, { unique: true });
+        // Expired sessions are removed by MongoDB automatically
+        await sessionsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await jobsCollection.createIndex({ status: 1, createdAt: -1 });
+        await schedulesCollection.createIndex({ paused: 1, nextRunAt: 1 });
+        await creditUsageCollection.createIndex({ month: 1 });
+        await hotelsCollection.createIndex({ market: 1, classification: 1 });
+        await dailyHistoryCollection.createIndex({ market: 1, date: 1, stayProfile: 1 });
+        await trashCollection.createIndex({ market: 1, batchId: 1 });
+        // Trashed rates are removed by MongoDB once their retention window ends
+        await trashCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await auditCollection.createIndex({ at: -1 });
+        await auditCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await alertRulesCollection.createIndex({ market: 1, paused: 1 });
+        await alertsCollection.createIndex({ ruleId: 1, key: 1, firedAt: -1 });
+        await alertsCollection.createIndex({ market: 1, _id: -1 });
+        await alertsCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+        await loginFailuresCollection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
         
-        console.log('✅ Connected to MongoDB (rates + history)');
+        await recoverInterruptedJobs();
+        await ensureInitialAdmin();
+        
+        console.log('✅ Connected to MongoDB (rates + change history + users)');
     } catch (error) {
         console.error('❌ MongoDB connection error:', error.message);
     }
@@ -53,789 +157,5992 @@ app.use(cors({
         'http://localhost:3000',
         'http://127.0.0.1:5500'
     ],
-    methods: ['GET', 'POST', 'DELETE', 'OPTIONS'],
-    allowedHeaders: ['Content-Type']
+    methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+    allowedHeaders: ['Content-Type', 'Authorization', 'X-Device-Id']
 }));
 
 app.use(express.json({ limit: '5mb' }));
 
-// Health check endpoint
-app.get('/', (req, res) => {
-    console.log('🏓 Keep-alive ping received -', new Date().toLocaleString('en-US', { timeZone: 'America/New_York' }));
-    res.json({ 
-        status: 'ok', 
-        service: 'Mackinaw Intel API (SearchAPI.io + MongoDB)',
-        hasApiKey: !!SEARCHAPI_KEY,
-        hasDatabase: !!db
-    });
-});
+// req.ip is the client's address behind this many proxies (Render has one in front)
+app.set('trust proxy', parseInt(process.env.TRUST_PROXY_HOPS ?? '1', 10));
+
+// Writes, refreshes and deletes are recorded in the audit log (see AUDIT LOG)
+app.use(auditRequests);
 
 // ============================================
-// SEARCHAPI.IO ENDPOINTS
+// AUTHENTICATION
 // ============================================
 
 /**
- * Fetch hotels from SearchAPI.io
- * GET /api/hotels?checkin=2026-05-10&checkout=2026-05-11
- * 
- * Uses bounding box to only get Mackinaw City hotels
- * (excludes St. Ignace and Mackinac Island)
+ * Hash a password with a per-user random salt (scrypt)
  */
-app.get('/api/hotels', async (req, res) => {
-    if (!SEARCHAPI_KEY) {
-        return res.status(500).json({ error: 'API key not configured' });
-    }
+async function hashPassword(password, salt = crypto.randomBytes(16).toString('hex')) {
+    const derived = await scrypt(password, salt, 64);
+    return { salt, hash: derived.toString('hex') };
+}
 
-    const { checkin, checkout, adults = 2 } = req.query;
+// Unknown usernames are hashed against this, so they take as long to refuse as wrong passwords
+const DUMMY_PASSWORD_SALT = crypto.randomBytes(16).toString('hex');
 
-    if (!checkin || !checkout) {
-        return res.status(400).json({ error: 'checkin and checkout dates required' });
+/**
+ * Compare a password against a stored user record in constant time
+ */
+async function verifyPassword(password, user) {
+    if (!user || !user.salt || !user.passwordHash) {
+        await hashPassword(password, DUMMY_PASSWORD_SALT);
+        return false;
     }
+    
+    const { hash } = await hashPassword(password, user.salt);
+    const expected = Buffer.from(user.passwordHash, 'hex');
+    const actual = Buffer.from(hash, 'hex');
+    
+    return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
 
-    // Convert date format from YYYY-MM-DD to YYYY-M-D (SearchAPI format)
-    const formatDate = (dateStr) => {
-        const [year, month, day] = dateStr.split('-');
-        return `${year}-${parseInt(month)}-${parseInt(day)}`;
-    };
-
-    try {
-        const params = new URLSearchParams({
-            engine: 'google_hotels',
-            bounding_box: MACKINAW_BOUNDING_BOX,
-            check_in_date: formatDate(checkin),
-            check_out_date: formatDate(checkout),
-            adults: adults,
-            currency: 'USD',
-            gl: 'us',
-            hl: 'en',
-            api_key: SEARCHAPI_KEY
-        });
-
-        const url = `https://www.searchapi.io/api/v1/search?${params}`;
-        console.log(`📡 Fetching: ${checkin}`);
-
-        const response = await fetch(url);
-        const data = await response.json();
-
-        if (data.error) {
-            console.error('SearchAPI Error:', data.error);
-            return res.status(400).json({ error: data.error });
-        }
-
-        const properties = data.properties || [];
-        console.log(`   Found ${properties.length} hotels in Mackinaw City`);
-
-        // Check if our hotels are in results
-        const hasAmerican = properties.some(p => 
-            p.name?.toLowerCase().includes('american boutique'));
-        const hasRiviera = properties.some(p => 
-            p.name?.toLowerCase().includes('riviera'));
-        
-        console.log(`   American Boutique: ${hasAmerican ? '✅' : '❌'}, Riviera: ${hasRiviera ? '✅' : '❌'}`);
-
-        // Transform properties to consistent format
-        // Use price_before_taxes when available (base room rate without taxes/fees)
-        const transformedProperties = properties.map(p => {
-            // Prefer price_before_taxes, fallback to regular price
-            const priceBeforeTax = p.price_per_night?.extracted_price_before_taxes 
-                || p.total_price?.extracted_price_before_taxes;
-            const priceWithTax = p.price_per_night?.extracted_price 
-                || p.total_price?.extracted_price;
-            
-            // Use before-tax price if available, otherwise use with-tax price
-            const basePrice = priceBeforeTax || priceWithTax || 0;
-            
-            return {
-                name: p.name,
-                price: basePrice,
-                priceWithTax: priceWithTax || 0,
-                priceBeforeTax: priceBeforeTax || null,
-                rating: p.rating || 0,
-                reviews: p.reviews || 0,
-                hotel_class: p.extracted_hotel_class || 0,
-                amenities: p.amenities || [],
-                gps_coordinates: p.gps_coordinates,
-                property_token: p.property_token,
-                link: p.link,
-                // Deal information
-                deal: p.deal || null,                    // e.g., "19% less than usual"
-                dealDescription: p.deal_description || null,  // e.g., "Deal"
-                // Keep original rate_per_night for compatibility
-                rate_per_night: {
-                    lowest: basePrice,
-                    price: p.price_per_night?.price_before_taxes || p.price_per_night?.price || null
-                }
-            };
-        });
+/**
+ * Session tokens are stored hashed so a database leak can't be replayed
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
 
-        // Log price comparison for debugging
-        const sampleHotel = transformedProperties.find(p => p.priceBeforeTax);
-        if (sampleHotel) {
-            console.log(`   💰 Sample: ${sampleHotel.name.substring(0, 25)} - Before tax: $${sampleHotel.priceBeforeTax}, With tax: $${sampleHotel.priceWithTax}`);
-        }
-        
-        // Log deals
-        const dealsCount = transformedProperties.filter(p => p.deal).length;
-        if (dealsCount > 0) {
-            console.log(`   🏷️ ${dealsCount} hotels with deals`);
-        }
+/**
+ * Normalize a username the same way the login form does
+ */
+function normalizeUsername(username) {
+    return String(username || '').trim().toLowerCase();
+}
 
-        res.json({
-            success: true,
-            date: checkin,
-            properties: transformedProperties,
-            pagination: data.pagination,
-            search_metadata: data.search_metadata
-        });
+/**
+ * Resolve a user's role (accounts created before roles existed are viewers)
+ */
+function getRole(user) {
+    return ROLE_PERMISSIONS[user?.role] ? user.role : DEFAULT_ROLE;
+}
 
-    } catch (error) {
-        console.error('Proxy error:', error.message);
-        res.status(500).json({ error: error.message });
-    }
-});
+/**
+ * Public shape of a user record (never expose hashes)
+ */
+function toPublicUser(user) {
+    const role = getRole(user);
+    return {
+        username: user.username,
+        role,
+        permissions: ROLE_PERMISSIONS[role]
+    };
+}
 
 /**
- * Check SearchAPI.io account status
- * GET /api/account
- * 
- * Note: SearchAPI.io doesn't have a direct account endpoint,
- * so we return a simplified status
+ * Create the first admin account from ADMIN_USERNAME / ADMIN_PASSWORD
+ * when the users collection is empty. If that account already exists
+ * but has no role yet, it is promoted to admin.
  */
-app.get('/api/account', async (req, res) => {
-    if (!SEARCHAPI_KEY) {
-        return res.status(500).json({ error: 'API key not configured' });
+async function ensureInitialAdmin() {
+    const username = normalizeUsername(process.env.ADMIN_USERNAME);
+    const password = process.env.ADMIN_PASSWORD;
+    
+    const count = await usersCollection.countDocuments();
+    if (count > 0) {
+        if (username) {
+            await usersCollection.updateOne(
+                { username, role: { $exists: false } },
+                { $set: { role: 'admin' } }
+            );
+        }
+        return;
     }
-
-    try {
-        // SearchAPI.io doesn't have an account info endpoint
-        // Return a basic response indicating the key is configured
-        res.json({
-            success: true,
-            plan: 'SearchAPI.io',
-            searchesPerMonth: 100,
-            searchesUsed: 'N/A - Check SearchAPI.io dashboard',
-            searchesRemaining: 'N/A - Check SearchAPI.io dashboard',
-            accountEmail: 'N/A',
-            note: 'Visit https://www.searchapi.io/dashboard for usage details'
-        });
-
-    } catch (error) {
-        console.error('Account check error:', error.message);
-        res.status(500).json({ error: error.message });
+    
+    if (!username || !password) {
+        console.log('⚠️ No users yet - set ADMIN_USERNAME and ADMIN_PASSWORD to create the first account');
+        return;
     }
-});
-
-// ============================================
-// DATABASE ENDPOINTS
-// ============================================
+    
+    const { salt, hash } = await hashPassword(password);
+    await usersCollection.insertOne({
+        username,
+        passwordHash: hash,
+        salt,
+        role: 'admin',
+        createdAt: new Date()
+    });
+    console.log(`👤 Created initial admin: ${username}`);
+}
 
 /**
- * Save rate data for a date (with history tracking)
- * POST /api/rates
- * Body: { date: "2026-05-10", hotels: [...], timestamp: "..." }
- * 
- * If rates have changed from previous save, old data is archived to history
+ * Middleware: require a valid session token
+ * Header: Authorization: Bearer <token>
  */
-app.post('/api/rates', async (req, res) => {
-    if (!ratesCollection) {
+async function requireAuth(req, res, next) {
+    if (!sessionsCollection) {
         return res.status(503).json({ error: 'Database not available' });
     }
 
-    const { date, hotels, timestamp } = req.body;
+    const header = req.get('Authorization') || '';
+    const token = header.startsWith('Bearer ') ? header.slice(7).trim() : null;
 
-    if (!date || !hotels) {
-        return res.status(400).json({ error: 'date and hotels required' });
+    if (!token) {
+        return res.status(401).json({ error: 'Authentication required' });
     }
 
     try {
-        // Check if we have existing data for this date
-        const existingData = await ratesCollection.findOne({ date });
-        let savedToHistory = false;
-        
-        if (existingData && existingData.hotels && existingData.hotels.length > 0) {
-            // Compare rates to see if they changed
-            const hasChanges = checkForRateChanges(existingData.hotels, hotels);
-            
-            if (hasChanges && historyCollection) {
-                // Save old data to history
-                await historyCollection.insertOne({
-                    date,
-                    hotels: existingData.hotels,
-                    timestamp: existingData.timestamp,
-                    archivedAt: new Date()
-                });
-                savedToHistory = true;
-                console.log(`📜 Archived old rates for ${date} to history`);
-            }
+        const session = await sessionsCollection.findOne({
+            tokenHash: hashToken(token),
+            expiresAt: { $gt: new Date() }
+        });
+
+        if (!session) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
         }
 
-        // Save new data
-        const result = await ratesCollection.updateOne(
-            { date },
-            { 
-                $set: { 
-                    date,
-                    hotels,
-                    timestamp: timestamp || new Date().toISOString(),
-                    updatedAt: new Date()
-                }
-            },
-            { upsert: true }
-        );
+        // Look the user up on every request so role changes and
+        // deleted accounts take effect immediately
+        const user = await usersCollection.findOne({ username: session.username });
+        if (!user) {
+            return res.status(401).json({ error: 'Session expired or invalid' });
+        }
 
-        console.log(`💾 Saved rates for ${date}: ${hotels.length} hotels${savedToHistory ? ' (history updated)' : ''}`);
-        res.json({ success: true, date, hotelsCount: hotels.length, savedToHistory });
+        req.user = toPublicUser(user);
+        req.sessionTokenHash = session.tokenHash;
+        next();
 
     } catch (error) {
-        console.error('Save error:', error.message);
+        console.error('Auth error:', error.message);
         res.status(500).json({ error: error.message });
     }
-});
+}
 
 /**
- * Helper function to check if rates have changed
+ * Middleware: require a permission (use after requireAuth)
  */
-function checkForRateChanges(oldHotels, newHotels) {
-    // Build price maps for comparison
-    const oldPrices = {};
-    oldHotels.forEach(h => {
-        if (h.name && h.price) {
-            oldPrices[h.name.toLowerCase()] = h.price;
-        }
-    });
-    
-    const newPrices = {};
-    newHotels.forEach(h => {
-        if (h.name && h.price) {
-            newPrices[h.name.toLowerCase()] = h.price;
-        }
-    });
-    
-    // Check for any price differences
-    for (const [name, oldPrice] of Object.entries(oldPrices)) {
-        const newPrice = newPrices[name];
-        if (newPrice && newPrice !== oldPrice) {
-            console.log(`   Rate change detected: ${name} $${oldPrice} → $${newPrice}`);
-            return true;
+function requirePermission(permission) {
+    return (req, res, next) => {
+        if (!req.user || !req.user.permissions.includes(permission)) {
+            return res.status(403).json({ 
+                error: `Your role (${req.user?.role || 'none'}) is not allowed to do this`,
+                requiredPermission: permission
+            });
         }
-    }
+        next();
+    };
+}
+
+/**
+ * Failed-login counters that apply to a login attempt
+ */
+function loginFailureKeys(username, ip) {
+    return [
+        { _id: `user:${username}`, limit: MAX_LOGIN_FAILURES_PER_USER },
+        { _id: `ip:${ip}`, limit: MAX_LOGIN_FAILURES_PER_IP }
+    ];
+}
+
+/**
+ * Seconds until a username or address may try again (0 = not locked out)
+ */
+async function loginRetryAfter(username, ip) {
+    if (!loginFailuresCollection) return 0;
     
-    // Check for new hotels
-    for (const name of Object.keys(newPrices)) {
-        if (!oldPrices[name]) {
-            console.log(`   New hotel detected: ${name}`);
-            return true;
-        }
-    }
+    const keys = loginFailureKeys(username, ip);
+    const now = Date.now();
+    const counters = await loginFailuresCollection
+        .find({ _id: { $in: keys.map(key => key._id) }, expiresAt: { $gt: new Date(now) } })
+        .toArray();
+    const waits = counters
+        .filter(counter => counter.count >= keys.find(key => key._id === counter._id).limit)
+        .map(counter => Math.ceil((counter.expiresAt.getTime() - now) / 1000));
+    return Math.max(0, ...waits);
+}
+
+/**
+ * Count a failed login against the username and the address
+ */
+async function recordLoginFailure(username, ip) {
+    if (!loginFailuresCollection) return;
     
-    // Check for removed hotels
-    for (const name of Object.keys(oldPrices)) {
-        if (!newPrices[name]) {
-            console.log(`   Hotel removed: ${name}`);
-            return true;
-        }
+    const expiresAt = new Date(Date.now() + LOGIN_FAILURE_WINDOW_MS);
+    for (const { _id } of loginFailureKeys(username, ip)) {
+        // An expired counter the TTL monitor hasn't removed yet starts a new window
+        await loginFailuresCollection.deleteOne({ _id, expiresAt: { $lte: new Date() } });
+        await loginFailuresCollection.updateOne(
+            { _id },
+            { $inc: { count: 1 }, $setOnInsert: { expiresAt } },
+            { upsert: true }
+        );
     }
-    
-    return false;
 }
 
 /**
- * Save multiple dates at once
- * POST /api/rates/bulk
- * Body: { dates: { "2026-05-10": {...}, "2026-05-11": {...} } }
+ * Log in and create a session
+ * POST /api/auth/login
+ * Body: { username, password }
+ * 
+ * 429 with Retry-After once a username or address has too many failed logins
  */
-app.post('/api/rates/bulk', async (req, res) => {
-    if (!ratesCollection) {
+app.post('/api/auth/login', async (req, res) => {
+    if (!usersCollection) {
         return res.status(503).json({ error: 'Database not available' });
     }
 
-    const { dates } = req.body;
+    const username = normalizeUsername(req.body.username);
+    const { password } = req.body;
 
-    if (!dates || typeof dates !== 'object') {
-        return res.status(400).json({ error: 'dates object required' });
+    if (!username || typeof password !== 'string' || !password) {
+        return res.status(400).json({ error: 'username and password required' });
     }
 
     try {
-        const operations = Object.entries(dates).map(([date, data]) => ({
-            updateOne: {
-                filter: { date },
-                update: { 
-                    $set: { 
-                        date,
-                        hotels: data.hotels || [],
-                        timestamp: data.timestamp || new Date().toISOString(),
-                        updatedAt: new Date()
-                    }
-                },
-                upsert: true
-            }
-        }));
+        const retryAfter = await loginRetryAfter(username, req.ip);
+        if (retryAfter > 0) {
+            console.log(`🔒 Login locked out for: ${username} (${req.ip})`);
+            res.set('Retry-After', String(retryAfter));
+            return res.status(429).json({ error: `Too many failed logins. Try again in ${Math.ceil(retryAfter / 60)} minutes` });
+        }
+        
+        const user = await usersCollection.findOne({ username });
+        const valid = await verifyPassword(password, user);
 
-        const result = await ratesCollection.bulkWrite(operations);
-        console.log(`💾 Bulk saved ${operations.length} dates`);
+        if (!valid) {
+            console.log(`🔒 Failed login for: ${username}`);
+            await recordLoginFailure(username, req.ip);
+            return res.status(401).json({ error: 'Invalid username or password' });
+        }
         
-        res.json({ 
-            success: true, 
-            datesUpdated: result.upsertedCount + result.modifiedCount 
+        // The username's count starts over; the address keeps its failures
+        await loginFailuresCollection.deleteOne({ _id: `user:${username}` });
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + SESSION_DURATION_MS);
+
+        await sessionsCollection.insertOne({
+            tokenHash: hashToken(token),
+            username,
+            createdAt: new Date(),
+            expiresAt
+        });
+        await usersCollection.updateOne({ username }, { $set: { lastLoginAt: new Date() } });
+
+        console.log(`🔓 Login: ${username}`);
+        res.json({
+            success: true,
+            token,
+            expiresAt: expiresAt.toISOString(),
+            user: toPublicUser(user)
         });
 
     } catch (error) {
-        console.error('Bulk save error:', error.message);
+        console.error('Login error:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * Get database summary - list all dates and counts
- * GET /api/rates/summary
- * NOTE: This must come BEFORE /api/rates/:date to avoid matching "summary" as a date
+ * Log out (invalidate the current session)
+ * POST /api/auth/logout
  */
-app.get('/api/rates/summary', async (req, res) => {
-    if (!ratesCollection) {
-        return res.status(503).json({ error: 'Database not available' });
+app.post('/api/auth/logout', requireAuth, async (req, res) => {
+    try {
+        await sessionsCollection.deleteOne({ tokenHash: req.sessionTokenHash });
+        console.log(`🔒 Logout: ${req.user.username}`);
+        res.json({ success: true });
+
+    } catch (error) {
+        console.error('Logout error:', error.message);
+        res.status(500).json({ error: error.message });
     }
+});
 
-    try {
-        // Get all dates with hotel counts
-        const data = await ratesCollection.find({}, { 
-            projection: { date: 1, 'hotels': 1, updatedAt: 1 } 
-        }).sort({ date: 1 }).toArray();
-        
-        // Group by month
-        const byMonth = {};
-        data.forEach(item => {
-            const month = item.date.substring(0, 7); // "2026-05"
-            if (!byMonth[month]) {
-                byMonth[month] = { dates: [], totalHotels: 0 };
-            }
-            byMonth[month].dates.push({
-                date: item.date,
-                hotelCount: item.hotels?.length || 0,
-                updatedAt: item.updatedAt
-            });
-            byMonth[month].totalHotels += item.hotels?.length || 0;
-        });
+/**
+ * Get the current session's user
+ * GET /api/auth/me
+ */
+app.get('/api/auth/me', requireAuth, (req, res) => {
+    res.json({ success: true, user: req.user });
+});
 
+/**
+ * List user accounts
+ * GET /api/users
+ */
+app.get('/api/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    try {
+        const users = await usersCollection
+            .find({}, { projection: { _id: 0, username: 1, role: 1, createdAt: 1, lastLoginAt: 1 } })
+            .sort({ username: 1 })
+            .toArray();
         res.json({ 
             success: true, 
-            totalDates: data.length,
-            byMonth,
-            allDates: data.map(d => d.date)
+            users: users.map(u => ({ ...u, role: getRole(u) }))
         });
 
     } catch (error) {
-        console.error('Summary error:', error.message);
+        console.error('Users fetch error:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * Get rate history for a specific date
- * GET /api/rates/history/:date
+ * Create a user account
+ * POST /api/users
+ * Body: { username, password, role: "viewer" | "revenue_manager" | "admin" }
  */
-app.get('/api/rates/history/:date', async (req, res) => {
-    if (!historyCollection) {
-        return res.status(503).json({ error: 'History not available' });
-    }
+app.post('/api/users', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    const username = normalizeUsername(req.body.username);
+    const { password, role = DEFAULT_ROLE } = req.body;
 
-    const { date } = req.params;
+    if (!username || typeof password !== 'string' || !password) {
+        return res.status(400).json({ error: 'username and password required' });
+    }
+    if (password.length < 8) {
+        return res.status(400).json({ error: 'password must be at least 8 characters' });
+    }
+    if (!ROLE_PERMISSIONS[role]) {
+        return res.status(400).json({ error: `role must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` });
+    }
 
     try {
-        const history = await historyCollection
-            .find({ date })
-            .sort({ archivedAt: -1 })
-            .toArray();
-        
-        res.json({ 
-            success: true, 
-            date,
-            historyCount: history.length,
-            history 
+        const { salt, hash } = await hashPassword(password);
+        await usersCollection.insertOne({
+            username,
+            passwordHash: hash,
+            salt,
+            role,
+            createdAt: new Date(),
+            createdBy: req.user.username
         });
 
+        console.log(`👤 ${req.user.username} created user: ${username} (${role})`);
+        res.json({ success: true, user: { username, role } });
+
     } catch (error) {
-        console.error('History fetch error:', error.message);
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'User already exists' });
+        }
+        console.error('User create error:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * Get rate data for a specific date
- * GET /api/rates/:date
+ * Change a user's role
+ * PATCH /api/users/:username
+ * Body: { role }
  */
-app.get('/api/rates/:date', async (req, res) => {
-    if (!ratesCollection) {
-        return res.status(503).json({ error: 'Database not available' });
-    }
+app.patch('/api/users/:username', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    const username = normalizeUsername(req.params.username);
+    const { role } = req.body;
 
-    const { date } = req.params;
+    if (!ROLE_PERMISSIONS[role]) {
+        return res.status(400).json({ error: `role must be one of: ${Object.keys(ROLE_PERMISSIONS).join(', ')}` });
+    }
+    if (username === req.user.username && role !== 'admin') {
+        return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
 
     try {
-        const data = await ratesCollection.findOne({ date });
-        
-        if (!data) {
-            return res.status(404).json({ error: 'No data for this date' });
+        const result = await usersCollection.updateOne({ username }, { $set: { role } });
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'User not found' });
         }
 
-        res.json({ success: true, data });
+        console.log(`👤 ${req.user.username} set ${username} role to ${role}`);
+        res.json({ success: true, user: { username, role } });
 
     } catch (error) {
-        console.error('Fetch error:', error.message);
+        console.error('User update error:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * Get all rate data
- * GET /api/rates
- * Query params: ?from=2026-05-01&to=2026-05-31
+ * Delete a user account (and end their sessions)
+ * DELETE /api/users/:username
  */
-app.get('/api/rates', async (req, res) => {
-    if (!ratesCollection) {
-        return res.status(503).json({ error: 'Database not available' });
-    }
+app.delete('/api/users/:username', requireAuth, requirePermission('users:manage'), async (req, res) => {
+    const username = normalizeUsername(req.params.username);
 
-    const { from, to } = req.query;
+    if (username === req.user.username) {
+        return res.status(400).json({ error: 'You cannot delete your own account' });
+    }
 
     try {
-        let query = {};
-        
-        if (from || to) {
-            query.date = {};
-            if (from) query.date.$gte = from;
-            if (to) query.date.$lte = to;
-        }
+        const result = await usersCollection.deleteOne({ username });
+        await sessionsCollection.deleteMany({ username });
+        res.json({ success: true, deleted: result.deletedCount > 0 });
 
-        const data = await ratesCollection.find(query).sort({ date: 1 }).toArray();
+    } catch (error) {
+        console.error('User delete error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Everything that reads or changes rate data requires a session
+app.use(['/api/hotels', '/api/account', '/api/rates'], requireAuth);
+
+// Health check endpoint
+// On hosts that sleep idle instances (Render free tier) an uptime pinger
+// still needs to hit this so the in-process scheduler stays awake
+app.get('/', (req, res) => {
+    console.log('🏓 Keep-alive ping received -', new Date().toLocaleString('en-US', { timeZone: 'America/New_York' }));
+    res.json({ 
+        status: 'ok', 
+        service: `Mackinaw Intel API (${rateProvider.label} + MongoDB)`,
+        provider: rateProvider.name,
+        hasApiKey: rateProvider.isConfigured(),
+        hasDatabase: !!db,
+        schedulerRunning: !!schedulerTimer
+    });
+});
+
+// ============================================
+// AUDIT LOG
+// ============================================
+
+// Every write, refresh and delete is recorded in audit_log:
+// { at, username, role, action, method, path, params, body, status, success, error,
+//   result, credits, durationMs, device: { id, userAgent, ip }, expiresAt }
+// Bodies are summarized (arrays and objects become counts) and secrets are never stored.
+// The device id comes from the X-Device-Id header the browser sends
+const AUDIT_RETENTION_DAYS = parseInt(process.env.AUDIT_RETENTION_DAYS, 10) || 365;
+
+// Action names by route. Other writes are logged under "METHOD /route"
+const AUDIT_ACTIONS = {
+    'POST /api/auth/login': 'auth.login',
+    'POST /api/auth/logout': 'auth.logout',
+    'POST /api/users': 'users.create',
+    'PATCH /api/users/:username': 'users.update',
+    'DELETE /api/users/:username': 'users.delete',
+    'PUT /api/account/budget': 'credits.budget',
+    'GET /api/hotels': 'rates.fetch',
+    'POST /api/rates': 'rates.save',
+    'POST /api/rates/bulk': 'rates.bulk_save',
+    'DELETE /api/rates/:date': 'rates.delete',
+    'DELETE /api/rates': 'rates.clear',
+    'POST /api/rates/trash/:batchId/restore': 'rates.restore',
+    'PUT /api/rates/:date/keep': 'rates.keep',
+    'PUT /api/season': 'season.save',
+    'POST /api/markets': 'markets.create',
+    'PUT /api/markets/:id': 'markets.update',
+    'POST /api/hotel-registry': 'hotels.create',
+    'PATCH /api/hotel-registry/:id': 'hotels.update',
+    'DELETE /api/hotel-registry/:id': 'hotels.delete',
+    'POST /api/schedules': 'schedules.create',
+    'PATCH /api/schedules/:id': 'schedules.update',
+    'DELETE /api/schedules/:id': 'schedules.delete',
+    'POST /api/alerts/rules': 'alerts.create',
+    'PATCH /api/alerts/rules/:id': 'alerts.update',
+    'DELETE /api/alerts/rules/:id': 'alerts.delete',
+    'POST /api/alerts/rules/:id/test': 'alerts.test',
+    'PUT /api/digest': 'digest.save',
+    'POST /api/digest/send': 'digest.send',
+    'PUT /api/maintenance/retention': 'retention.save',
+    'POST /api/maintenance/retention/apply': 'retention.apply',
+    'GET /api/auto-refresh': 'refresh.start',
+    'GET /api/backup': 'backup.export',
+    'POST /api/backup/import': 'backup.import'
+};
+
+// Never written to the log
+const AUDIT_SECRET_FIELDS = ['password', 'token', 'key', 'tokenHash', 'passwordHash', 'salt', 'webhookUrl'];
+
+/**
+ * Shrink a request or response body for the log: secrets are dropped,
+ * arrays and objects become counts, long strings are cut
+ */
+function summarizeForAudit(value, depth = 0) {
+    if (Array.isArray(value)) return `${value.length} items`;
+    if (value && typeof value === 'object') {
+        if (depth > 0) return `${Object.keys(value).length} keys`;
+        return Object.fromEntries(Object.entries(value)
+            .filter(([field]) => !AUDIT_SECRET_FIELDS.includes(field))
+            .map(([field, item]) => [field, summarizeForAudit(item, depth + 1)]));
+    }
+    if (typeof value === 'string' && value.length > 200) return value.slice(0, 200) + '…';
+    return value;
+}
+
+/**
+ * Write one audit entry (failures are logged, never thrown)
+ */
+async function recordAudit(entry) {
+    if (!auditCollection) return;
+    
+    const at = new Date();
+    await auditCollection.insertOne({
+        at,
+        ...entry,
+        expiresAt: new Date(at.getTime() + AUDIT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+    }).catch(error => console.error('Audit log error:', error.message));
+}
+
+/**
+ * Middleware: record audited requests once their response has been sent
+ * Routes add credits spent to res.locals.creditsSpent
+ */
+function auditRequests(req, res, next) {
+    const startedAt = Date.now();
+    const json = res.json.bind(res);
+    res.json = (body) => {
+        res.locals.auditBody = body;
+        return json(body);
+    };
+    
+    res.on('finish', () => {
+        // req.path is relative to the mount point when a mounted middleware (requireAuth) ended the request
+        const path = req.originalUrl.split('?')[0];
+        const route = req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : `${req.method} ${path}`;
+        const action = AUDIT_ACTIONS[route];
+        if (!action && ['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return;
+        if (!path.startsWith('/api/')) return;
+        
+        const { success, error, ...result } = res.locals.auditBody || {};
+        recordAudit({
+            username: req.user?.username || normalizeUsername(req.body?.username) || null,
+            role: req.user?.role || null,
+            action: action || route,
+            method: req.method,
+            path,
+            params: summarizeForAudit({ ...req.params, ...req.query }),
+            body: req.method === 'GET' ? null : summarizeForAudit(req.body || {}),
+            status: res.statusCode,
+            success: res.statusCode < 400,
+            error: error || null,
+            result: summarizeForAudit(result),
+            credits: res.locals.creditsSpent || 0,
+            durationMs: Date.now() - startedAt,
+            device: {
+                id: req.get('X-Device-Id') || null,
+                userAgent: req.get('User-Agent') || null,
+                ip: req.ip
+            }
+        });
+    });
+    
+    next();
+}
+
+/**
+ * Record how a refresh job ended (it runs after its request has been answered)
+ */
+async function auditRefreshJob(jobId, status) {
+    const job = await jobsCollection.findOne({ _id: jobId }, { projection: { results: 0, dates: 0 } });
+    if (!job) return;
+    
+    await recordAudit({
+        username: job.requestedBy,
+        role: null,
+        action: 'refresh.finished',
+        method: null,
+        path: null,
+        params: summarizeForAudit({ jobId: String(jobId), market: job.market, from: job.from, to: job.to, stayProfiles: job.stayProfiles, scheduleId: job.scheduleId ? String(job.scheduleId) : null }),
+        body: null,
+        status: null,
+        success: status === 'completed',
+        error: job.error || (status === 'completed' ? null : status),
+        result: { succeeded: job.progress?.succeeded || 0, failed: job.progress?.failed || 0 },
+        credits: job.creditsUsed || 0,
+        durationMs: job.startedAt && job.finishedAt ? job.finishedAt - job.startedAt : null,
+        device: null
+    });
+}
+
+/**
+ * Read the audit log, newest first (admin only)
+ * GET /api/audit?username=&action=&from=2026-07-01&to=2026-07-31&success=true|false&limit=100&before=<ISO time>
+ * 
+ * before pages back from the last entry shown. Also returns the usernames and
+ * actions in the log for the filters
+ */
+app.get('/api/audit', requireAuth, requirePermission('audit:read'), async (req, res) => {
+    if (!auditCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { username, action, from, to, success, before } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+
+    // Repeated or bracketed params (?username[$ne]=x) arrive as arrays or objects
+    const notText = ['username', 'action', 'from', 'to', 'success', 'before', 'limit']
+        .filter(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+    if (notText.length > 0) {
+        return res.status(400).json({ error: 'Invalid request', problems: notText.map(name => `${name} must be given once`) });
+    }
+    if ((from && !isValidDateString(from)) || (to && !isValidDateString(to))) {
+        return res.status(400).json({ error: 'from and to must be YYYY-MM-DD' });
+    }
+    if (before && isNaN(Date.parse(before))) {
+        return res.status(400).json({ error: 'before must be an ISO date-time' });
+    }
+
+    try {
+        const query = {};
+        if (username) query.username = username;
+        if (action) query.action = action;
+        if (success === 'true' || success === 'false') query.success = success === 'true';
+        if (from || to || before) {
+            query.at = {};
+            if (from) query.at.$gte = new Date(from + 'T00:00:00Z');
+            // Paging back with a to filter keeps whichever bound is earlier
+            const bounds = [to && new Date(addDays(to, 1) + 'T00:00:00Z'), before && new Date(before)].filter(Boolean);
+            if (bounds.length > 0) query.at.$lt = new Date(Math.min(...bounds));
+        }
+
+        const entries = await auditCollection
+            .find(query, { projection: { expiresAt: 0 } })
+            .sort({ at: -1 })
+            .limit(limit)
+            .toArray();
+
+        res.json({
+            success: true,
+            entries,
+            hasMore: entries.length === limit,
+            usernames: (await auditCollection.distinct('username')).filter(Boolean).sort(),
+            actions: (await auditCollection.distinct('action')).sort()
+        });
+
+    } catch (error) {
+        console.error('Audit log error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RATE PROVIDER ENDPOINTS
+// ============================================
+
+/**
+ * Run one provider search for a market and count its credits
+ * Credits are counted even when the search fails - the vendor may
+ * have billed it before reporting an error
+ */
+async function searchRates({ checkin, profile, market, source, signal }) {
+    try {
+        return await rateProvider.searchHotels({
+            checkin,
+            checkout: addDays(checkin, profile.nights),
+            adults: profile.adults,
+            children: profile.children,
+            area: marketArea(market),
+            signal
+        });
+    } finally {
+        await recordCreditUsage(source, rateProvider.creditsPerSearch).catch(error => 
+            console.error('Credit usage error:', error.message)
+        );
+    }
+}
+
+/**
+ * Fetch hotels from the rate provider
+ * GET /api/hotels?checkin=2026-05-10&profile=2a0c1n&market=mackinaw-city
+ * 
+ * The stay profile sets occupancy and nights (checkout = checkin + nights).
+ * Returns normalized hotels (see providers/index.js) inside the market's area
+ */
+app.get('/api/hotels', requirePermission('rates:fetch'), async (req, res) => {
+    if (!rateProvider.isConfigured()) {
+        return res.status(500).json({ error: `${rateProvider.label} is not configured` });
+    }
+
+    const { checkin } = req.query;
+
+    if (!isValidDateString(checkin)) {
+        return res.status(400).json({ error: 'checkin date required (YYYY-MM-DD)' });
+    }
+
+    const profile = getStayProfile(req.query.profile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.query.profile}` });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    // Refuse before spending a credit we don't have
+    const overBudget = await checkCreditBudget(rateProvider.creditsPerSearch).catch(error => ({ error: error.message }));
+    if (overBudget) {
+        console.log(`💳 Fetch refused for ${req.user.username}: ${overBudget.error}`);
+        return res.status(429).json({ ...overBudget, budgetExceeded: true });
+    }
+
+    try {
+        console.log(`📡 Fetching: ${checkin} ${profile.id} in ${market.name} (${rateProvider.label})`);
+
+        res.locals.creditsSpent = rateProvider.creditsPerSearch;
+        const result = await searchRates({ checkin, profile, market, source: 'manual' });
+        const hotels = await resolveHotels(result.hotels, market);
+        const { metadata } = result;
+        console.log(`   Found ${hotels.length} hotels in ${market.name}`);
+
+        // Check if our hotels are in results
+        if (hotelsCollection) {
+            const ours = await hotelsCollection.find({ market: market._id, classification: 'yours' }).toArray();
+            const status = ours.map(hotel => `${hotel.name}: ${hotels.some(h => h.hotelId === hotel._id) ? '✅' : '❌'}`);
+            if (status.length > 0) console.log(`   ${status.join(', ')}`);
+        }
+
+        // Log price comparison for debugging
+        const sampleHotel = hotels.find(h => h.priceBeforeTax);
+        if (sampleHotel) {
+            console.log(`   💰 Sample: ${sampleHotel.name.substring(0, 25)} - Before tax: $${sampleHotel.priceBeforeTax}, With tax: $${sampleHotel.priceWithTax}`);
+        }
+        
+        // Log deals
+        const dealsCount = hotels.filter(h => h.deal).length;
+        if (dealsCount > 0) {
+            console.log(`   🏷️ ${dealsCount} hotels with deals`);
+        }
+
+        res.json({
+            success: true,
+            date: checkin,
+            stayProfile: profile.id,
+            market: market._id,
+            provider: rateProvider.name,
+            properties: hotels,
+            ...metadata
+        });
+
+    } catch (error) {
+        if (error instanceof ProviderError) {
+            console.error(`${rateProvider.label} Error:`, error.message);
+            return res.status(400).json({ error: error.message });
+        }
+        console.error('Proxy error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Credit usage for the current month, counted by this server
+ * GET /api/account
+ * 
+ * The providers have no account endpoint, so every search the server
+ * makes is recorded in credit_usage (see CREDIT BUDGET below)
+ */
+app.get('/api/account', requirePermission('account:read'), async (req, res) => {
+    if (!rateProvider.isConfigured()) {
+        return res.status(500).json({ error: `${rateProvider.label} is not configured` });
+    }
+
+    try {
+        const budget = await getCreditBudget();
+        const usage = await getCreditUsage();
+        const limits = creditLimits(budget, usage);
+
+        res.json({
+            success: true,
+            plan: rateProvider.label,
+            creditsPerSearch: rateProvider.creditsPerSearch,
+            month: usage.month,
+            searchesPerMonth: budget.monthlyQuota,
+            searchesUsed: usage.usedThisMonth,
+            searchesRemaining: Math.max(0, budget.monthlyQuota - usage.usedThisMonth),
+            // What can be fetched right now, after the daily and monthly budgets
+            available: limits.available,
+            budget,
+            today: {
+                date: usage.today,
+                used: usage.usedToday,
+                remaining: limits.remainingToday
+            },
+            byDay: usage.byDay,
+            bySource: usage.bySource
+        });
+
+    } catch (error) {
+        console.error('Account check error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Save the credit quota and budgets (admin only)
+ * PUT /api/account/budget
+ * Body: { monthlyQuota: 100, monthlyBudget: 90 | null, dailyBudget: 10 | null }
+ */
+app.put('/api/account/budget', requirePermission('credits:manage'), async (req, res) => {
+    if (!settingsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const budget = {
+        monthlyQuota: req.body.monthlyQuota,
+        monthlyBudget: req.body.monthlyBudget ?? null,
+        dailyBudget: req.body.dailyBudget ?? null
+    };
+
+    const problems = validateCreditBudget(budget);
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid budget', problems });
+    }
+
+    try {
+        await settingsCollection.updateOne(
+            { _id: 'credits' },
+            { $set: { ...budget, updatedAt: new Date(), updatedBy: req.user.username } },
+            { upsert: true }
+        );
+
+        console.log(`💳 ${req.user.username} set credit budget: quota ${budget.monthlyQuota}, monthly ${budget.monthlyBudget ?? '--'}, daily ${budget.dailyBudget ?? '--'}`);
+        res.json({ success: true, budget });
+
+    } catch (error) {
+        console.error('Budget save error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RATE PAYLOAD VALIDATION
+// ============================================
+
+// Limits for rates sent by clients (POST /api/rates and /bulk)
+const MAX_HOTELS_PER_DATE = 300;
+const MAX_BULK_DATES = 400;
+const MAX_RATE_PRICE = 100000;
+const MAX_RATE_TEXT_LENGTH = 200;
+
+/**
+ * Validate one date's hotels, returns a list of problems
+ * Every hotel needs a name and a positive price. Other fields the app stores are
+ * checked when present; fields it doesn't know are kept as they are
+ */
+function validateRateHotels(hotels) {
+    if (!Array.isArray(hotels)) return ['hotels must be a list'];
+    if (hotels.length > MAX_HOTELS_PER_DATE) return [`hotels has ${hotels.length} entries (at most ${MAX_HOTELS_PER_DATE})`];
+    
+    const problems = [];
+    const isText = (value) => typeof value === 'string' && value.trim() !== '' && value.length <= MAX_RATE_TEXT_LENGTH;
+    const isPrice = (value) => typeof value === 'number' && Number.isFinite(value) && value > 0 && value <= MAX_RATE_PRICE;
+    const optional = (check) => (value) => value === undefined || value === null || check(value);
+    const fieldChecks = {
+        hotelId: [optional(isText), 'must be text'],
+        listedName: [optional(isText), 'must be text'],
+        property_token: [optional(isText), 'must be text'],
+        priceBeforeTax: [optional(isPrice), `must be a positive number up to ${MAX_RATE_PRICE}`],
+        priceWithTax: [optional(isPrice), `must be a positive number up to ${MAX_RATE_PRICE}`],
+        rating: [optional(value => typeof value === 'number' && value >= 0 && value <= 5), 'must be a number from 0 to 5'],
+        reviewCount: [optional(value => Number.isInteger(value) && value >= 0), 'must be a whole number'],
+        reviews: [optional(value => Number.isInteger(value) && value >= 0), 'must be a whole number'],
+        deal: [optional(value => typeof value === 'string'), 'must be text'],
+        dealDescription: [optional(value => typeof value === 'string'), 'must be text']
+    };
+    const seen = new Set();
+    
+    hotels.forEach((hotel, index) => {
+        const at = `hotels[${index}]`;
+        if (!hotel || typeof hotel !== 'object' || Array.isArray(hotel)) {
+            problems.push(`${at} must be an object`);
+            return;
+        }
+        
+        if (!isText(hotel.name)) {
+            problems.push(`${at}.name must be text of 1-${MAX_RATE_TEXT_LENGTH} characters`);
+        } else {
+            const key = hotel.hotelId || normalizeHotelName(hotel.name);
+            if (seen.has(key)) problems.push(`${at} repeats ${hotel.name}`);
+            seen.add(key);
+        }
+        if (!isPrice(hotel.price)) {
+            problems.push(`${at}.price must be a positive number up to ${MAX_RATE_PRICE} (got ${JSON.stringify(hotel.price)})`);
+        }
+        
+        Object.entries(fieldChecks).forEach(([field, [check, message]]) => {
+            if (!check(hotel[field])) problems.push(`${at}.${field} ${message}`);
+        });
+    });
+    
+    return problems;
+}
+
+/**
+ * Validate one date's rates ({ date, hotels, timestamp }), returns a list of problems
+ */
+function validateRatePayload({ date, hotels, timestamp }) {
+    const problems = [];
+    
+    if (!isValidDateString(date)) problems.push(`date must be a real date as YYYY-MM-DD (got ${JSON.stringify(date)})`);
+    if (timestamp !== undefined && timestamp !== null && (typeof timestamp !== 'string' || isNaN(Date.parse(timestamp)))) {
+        problems.push('timestamp must be an ISO date-time');
+    }
+    
+    return [...problems, ...validateRateHotels(hotels)];
+}
+
+// ============================================
+// DATABASE ENDPOINTS
+// ============================================
+
+/**
+ * Save rate data for a date (with history tracking)
+ * POST /api/rates
+ * Body: { date: "2026-05-10", stayProfile: "2a0c1n", market: "mackinaw-city", hotels: [...], timestamp: "..." }
+ * 
+ * stayProfile defaults to 2a0c1n (see STAY PROFILES), market to mackinaw-city (see MARKETS).
+ * The payload is checked first (see RATE PAYLOAD VALIDATION) - 400 lists every problem.
+ * Prices that differ from the previous save are recorded as change events (see RATE CHANGE HISTORY)
+ */
+app.post('/api/rates', requirePermission('rates:write'), async (req, res) => {
+    if (!ratesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { date, timestamp } = req.body;
+
+    const problems = validateRatePayload(req.body);
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid rates', problems });
+    }
+
+    const profile = getStayProfile(req.body.stayProfile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.body.stayProfile}` });
+    }
+
+    const market = getMarket(req.body.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.body.market}` });
+    }
+
+    try {
+        const hotels = await resolveHotels(req.body.hotels, market);
+        const key = { market: market._id, date, stayProfile: profile.id };
+        const observedAt = timestamp || new Date().toISOString();
+        
+        // Save new data first, getting back what it replaced, then record what changed
+        const existingData = await ratesCollection.findOneAndUpdate(
+            key,
+            { 
+                $set: { 
+                    market: market._id,
+                    date,
+                    ...stayProfileFields(profile),
+                    hotels,
+                    timestamp: observedAt,
+                    updatedAt: new Date()
+                }
+            },
+            { upsert: true, returnDocument: 'before' }
+        );
+        const changeCount = await recordRateChanges(key, existingData, hotels, observedAt);
+
+        console.log(`💾 Saved rates for ${date} (${profile.id}, ${market._id}): ${hotels.length} hotels${changeCount > 0 ? ` (${changeCount} price changes)` : ''}`);
+        checkAlertRules(market, [{ date, stayProfile: profile.id, previous: existingData?.hotels || null, hotels }]);
+        res.json({ 
+            success: true, date, stayProfile: profile.id, market: market._id, hotelsCount: hotels.length, 
+            savedToHistory: changeCount > 0, changeCount 
+        });
+
+    } catch (error) {
+        console.error('Save error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RATE CHANGE HISTORY
+// ============================================
+
+// History is one small event per hotel whose price changed, not a copy of every
+// hotel each time a date is shopped again:
+// rate_changes: { market, date, stayProfile, hotelId, name, oldPrice, newPrice,
+//                 observedAt, previousObservedAt }
+// oldPrice null = a shop newly listed the hotel, newPrice null = a shop no longer listed it.
+// observedAt is when the new price was shopped, previousObservedAt when the old one was.
+// A date's first rates are the starting point, so they produce no events. Past snapshots
+// are rebuilt on request by undoing events, newest first, from the current rates.
+
+/**
+ * Key a hotel by registry id (name for hotels the registry doesn't know)
+ */
+function rateHotelKey(hotel) {
+    return hotel.hotelId || normalizeHotelName(hotel.name);
+}
+
+/**
+ * Per-hotel price changes between two versions of a date's rates
+ * Hotels without a price count as not listed. Returns [{ hotelId, name, oldPrice, newPrice }]
+ */
+function diffRates(oldHotels, newHotels) {
+    const priced = hotels => new Map((hotels || [])
+        .filter(hotel => hotel.name && hotel.price > 0)
+        .map(hotel => [rateHotelKey(hotel), hotel]));
+    const before = priced(oldHotels);
+    const after = priced(newHotels);
+    const changes = [];
+    
+    after.forEach((hotel, key) => {
+        const old = before.get(key);
+        if (!old || old.price !== hotel.price) {
+            changes.push({ hotelId: hotel.hotelId || null, name: hotel.name, oldPrice: old ? old.price : null, newPrice: hotel.price });
+        }
+    });
+    before.forEach((hotel, key) => {
+        if (!after.has(key)) {
+            changes.push({ hotelId: hotel.hotelId || null, name: hotel.name, oldPrice: hotel.price, newPrice: null });
+        }
+    });
+    
+    return changes;
+}
+
+/**
+ * Record the changes between a date's stored rates and the hotels replacing them
+ * key: { market, date, stayProfile }. Returns how many events were written
+ */
+async function recordRateChanges(key, existing, hotels, observedAt) {
+    if (!changesCollection) return 0;
+    
+    // A date's first rates are the starting point, also when it is shopped again after a delete
+    if (!existing) return 0;
+    
+    const changes = diffRates(existing?.hotels, hotels);
+    if (changes.length === 0) return 0;
+    
+    const previousObservedAt = existing?.timestamp ? new Date(existing.timestamp) : null;
+    await changesCollection.insertMany(changes.map(change => ({
+        ...key,
+        ...change,
+        observedAt: new Date(observedAt),
+        previousObservedAt
+    })));
+    return changes.length;
+}
+
+/**
+ * Rebuild a date's past snapshots from its current rates (or null) and change events
+ * Each snapshot is a version that was replaced at archivedAt, newest first:
+ * { timestamp, archivedAt, hotels: [{ hotelId, name, price }] }
+ */
+function rebuildSnapshots(current, events) {
+    const state = new Map((current?.hotels || [])
+        .filter(hotel => hotel.name && hotel.price > 0)
+        .map(hotel => [rateHotelKey(hotel), { hotelId: hotel.hotelId || null, name: hotel.name, price: hotel.price }]));
+    
+    // One group of events per save, newest first
+    const saves = new Map();
+    [...events]
+        .sort((a, b) => new Date(b.observedAt) - new Date(a.observedAt))
+        .forEach(event => {
+            const savedAt = new Date(event.observedAt).getTime();
+            if (!saves.has(savedAt)) saves.set(savedAt, []);
+            saves.get(savedAt).push(event);
+        });
+    
+    const snapshots = [];
+    saves.forEach((changes, savedAt) => {
+        changes.forEach(change => {
+            const key = rateHotelKey(change);
+            if (change.oldPrice === null) {
+                state.delete(key);
+            } else {
+                state.set(key, { hotelId: change.hotelId || null, name: change.name, price: change.oldPrice });
+            }
+        });
+        snapshots.push({
+            timestamp: changes[0].previousObservedAt ? new Date(changes[0].previousObservedAt).toISOString() : null,
+            archivedAt: new Date(savedAt).toISOString(),
+            hotels: [...state.values()]
+        });
+    });
+    
+    return snapshots;
+}
+
+/**
+ * Convert full-snapshot history (rates_history) into change events, one date at a time.
+ * Each snapshot is compared with the next (the last one with the current rates) and
+ * removed once converted, so an interrupted run carries on where it stopped
+ */
+async function migrateHistoryToChangeEvents() {
+    const dates = await historyCollection.aggregate([
+        { $group: { _id: { market: '$market', date: '$date', stayProfile: '$stayProfile' } } }
+    ]).toArray();
+    let snapshotCount = 0;
+    let eventCount = 0;
+    
+    for (const { _id: key } of dates) {
+        const snapshots = (await historyCollection.find(key).toArray())
+            .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+        const current = await ratesCollection.findOne(key);
+        const versions = current ? [...snapshots, current] : snapshots;
+        
+        const events = [];
+        for (let i = 1; i < versions.length; i++) {
+            const before = versions[i - 1];
+            const after = versions[i];
+            const observedAt = new Date(after.timestamp || before.archivedAt);
+            diffRates(before.hotels, after.hotels).forEach(change => events.push({
+                ...key,
+                ...change,
+                observedAt,
+                previousObservedAt: before.timestamp ? new Date(before.timestamp) : null
+            }));
+        }
+        
+        if (events.length > 0) {
+            // Drop events left by an interrupted run for the same saves
+            const savedAt = [...new Set(events.map(event => event.observedAt.getTime()))].map(time => new Date(time));
+            await changesCollection.deleteMany({ ...key, observedAt: { $in: savedAt } });
+            await changesCollection.insertMany(events);
+        }
+        await historyCollection.deleteMany({ _id: { $in: snapshots.map(snapshot => snapshot._id) } });
+        
+        snapshotCount += snapshots.length;
+        eventCount += events.length;
+    }
+    
+    if (snapshotCount > 0) {
+        console.log(`📜 Converted ${snapshotCount} history snapshots into ${eventCount} change events`);
+    }
+}
+
+/**
+ * Save multiple dates at once (all for one stay profile and market)
+ * POST /api/rates/bulk
+ * Body: { stayProfile: "2a0c1n", market: "mackinaw-city", dates: { "2026-05-10": {...}, "2026-05-11": {...} } }
+ * 
+ * Each date is checked on its own: valid dates are saved, the rest are rejected.
+ * Returns { accepted, rejected, changeCount, results: { "2026-05-10": { status: "saved", changeCount },
+ * "2026-05-11": { status: "rejected", problems: [...] } } } - 400 when no date was valid.
+ * When the database write fails partway: 207 with { success: false, error, failed } and
+ * the dates it didn't save as { status: "failed", error }
+ */
+app.post('/api/rates/bulk', requirePermission('rates:write'), async (req, res) => {
+    if (!ratesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { dates } = req.body;
+
+    if (!dates || typeof dates !== 'object' || Array.isArray(dates)) {
+        return res.status(400).json({ error: 'dates object required' });
+    }
+
+    const dateCount = Object.keys(dates).length;
+    if (dateCount === 0 || dateCount > MAX_BULK_DATES) {
+        return res.status(400).json({ error: `dates must hold 1-${MAX_BULK_DATES} dates (got ${dateCount})` });
+    }
+
+    const profile = getStayProfile(req.body.stayProfile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.body.stayProfile}` });
+    }
+
+    const market = getMarket(req.body.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.body.market}` });
+    }
+
+    try {
+        const payloadHotels = Object.values(dates).flatMap(data => Array.isArray(data?.hotels) ? data.hotels : []);
+        const registry = hotelsCollection ? await loadHotelRegistry(market._id, payloadHotels) : null;
+        const existing = await ratesCollection
+            .find({ market: market._id, stayProfile: profile.id, date: { $in: Object.keys(dates) } })
+            .toArray();
+        const existingByDate = new Map(existing.map(doc => [doc.date, doc]));
+        
+        const results = {};
+        const entries = [];
+        for (const [date, data] of Object.entries(dates)) {
+            const problems = !data || typeof data !== 'object'
+                ? ['must be an object with hotels']
+                : validateRatePayload({ ...data, date });
+            if (data?.date !== undefined && data.date !== date) {
+                problems.push(`date ${JSON.stringify(data.date)} does not match its key`);
+            }
+            if (problems.length > 0) {
+                results[date] = { status: 'rejected', problems };
+                continue;
+            }
+            
+            const hotels = await resolveHotels(data.hotels, market, registry);
+            data.timestamp = data.timestamp || new Date().toISOString();
+            results[date] = { status: 'saved', changeCount: 0 };
+            entries.push([date, data, hotels]);
+        }
+        
+        const rejected = Object.keys(results).length - entries.length;
+        if (entries.length === 0) {
+            return res.status(400).json({ error: 'No valid dates to save', accepted: 0, rejected, results });
+        }
+        
+        // Every write carries the same updatedAt, so after a failure the dates it saved can be read back
+        const savedAt = new Date();
+        const operations = entries.map(([date, data, hotels]) => ({
+            updateOne: {
+                filter: { market: market._id, date, stayProfile: profile.id },
+                update: { 
+                    $set: { 
+                        market: market._id,
+                        date,
+                        ...stayProfileFields(profile),
+                        hotels,
+                        timestamp: data.timestamp,
+                        updatedAt: savedAt
+                    }
+                },
+                upsert: true
+            }
+        }));
+
+        // Events are recorded only for the dates the write saved
+        let saved = entries;
+        let writeError = null;
+        try {
+            await ratesCollection.bulkWrite(operations, { ordered: true });
+        } catch (error) {
+            writeError = error;
+            const savedDates = new Set((await ratesCollection
+                .find({ market: market._id, stayProfile: profile.id, date: { $in: entries.map(([date]) => date) }, updatedAt: savedAt },
+                    { projection: { date: 1 } })
+                .toArray()).map(doc => doc.date));
+            saved = entries.filter(([date]) => savedDates.has(date));
+            entries.filter(([date]) => !savedDates.has(date)).forEach(([date]) => {
+                results[date] = { status: 'failed', error: error.message };
+            });
+        }
+        
+        let changeCount = 0;
+        for (const [date, data, hotels] of saved) {
+            const key = { market: market._id, date, stayProfile: profile.id };
+            const dateChanges = await recordRateChanges(key, existingByDate.get(date), hotels, data.timestamp);
+            changeCount += dateChanges;
+            results[date].changeCount = dateChanges;
+        }
+        checkAlertRules(market, saved.map(([date, , hotels]) => ({
+            date, stayProfile: profile.id, previous: existingByDate.get(date)?.hotels || null, hotels
+        })));
+        
+        if (writeError) {
+            // 207: the client keeps what was saved and only tries the failed dates again
+            console.error(`Bulk save error after ${saved.length} of ${entries.length} dates:`, writeError.message);
+            return res.status(207).json({
+                success: false,
+                error: writeError.message,
+                accepted: saved.length,
+                rejected,
+                failed: entries.length - saved.length,
+                changeCount,
+                results
+            });
+        }
+        
+        console.log(`💾 Bulk saved ${operations.length} dates (${profile.id}, ${market._id}): ${changeCount} price changes${rejected > 0 ? `, ${rejected} rejected` : ''}`);
+        
+        res.json({ 
+            success: true, 
+            accepted: entries.length,
+            rejected,
+            changeCount,
+            results
+        });
+
+    } catch (error) {
+        console.error('Bulk save error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get database summary - list all dates and counts for a stay profile in a market
+ * GET /api/rates/summary?profile=2a0c1n&market=mackinaw-city
+ * NOTE: This must come BEFORE /api/rates/:date to avoid matching "summary" as a date
+ */
+app.get('/api/rates/summary', requirePermission('rates:read'), async (req, res) => {
+    if (!ratesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const profile = getStayProfile(req.query.profile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.query.profile}` });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    try {
+        // Get all dates with hotel counts
+        const data = await ratesCollection.find({ market: market._id, stayProfile: profile.id }, { 
+            projection: { date: 1, 'hotels': 1, updatedAt: 1 } 
+        }).sort({ date: 1 }).toArray();
+        
+        // Group by month
+        const byMonth = {};
+        data.forEach(item => {
+            const month = item.date.substring(0, 7); // "2026-05"
+            if (!byMonth[month]) {
+                byMonth[month] = { dates: [], totalHotels: 0 };
+            }
+            byMonth[month].dates.push({
+                date: item.date,
+                hotelCount: item.hotels?.length || 0,
+                updatedAt: item.updatedAt
+            });
+            byMonth[month].totalHotels += item.hotels?.length || 0;
+        });
+
+        // Dates stored for every profile in this market
+        const profileCounts = await ratesCollection.aggregate([
+            { $match: { market: market._id } },
+            { $group: { _id: '$stayProfile', dates: { $sum: 1 } } }
+        ]).toArray();
+
+        res.json({ 
+            success: true, 
+            stayProfile: profile.id,
+            market: market._id,
+            totalDates: data.length,
+            byMonth,
+            byProfile: Object.fromEntries(profileCounts.map(p => [p._id, p.dates])),
+            allDates: data.map(d => d.date)
+        });
+
+    } catch (error) {
+        console.error('Summary error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get rate history for a specific date
+ * GET /api/rates/history/:date?profile=2a0c1n&market=mackinaw-city&view=snapshots|changes|daily
+ * 
+ * snapshots (default): past versions rebuilt from change events, newest first.
+ * They carry hotelId, name and price only. changes: the raw events, newest first.
+ * daily: per-hotel min/avg/max of events rolled up by retention (see DATA RETENTION)
+ */
+app.get('/api/rates/history/:date', requirePermission('history:read'), async (req, res) => {
+    if (!changesCollection) {
+        return res.status(503).json({ error: 'History not available' });
+    }
+
+    const { date } = req.params;
+    const profile = getStayProfile(req.query.profile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.query.profile}` });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    const view = req.query.view || 'snapshots';
+    if (!['snapshots', 'changes', 'daily'].includes(view)) {
+        return res.status(400).json({ error: 'view must be snapshots, changes or daily' });
+    }
+
+    try {
+        const key = { market: market._id, date, stayProfile: profile.id };
+        
+        if (view === 'daily') {
+            const daily = await dailyHistoryCollection.find(key, { projection: { _id: 0, sum: 0 } }).sort({ name: 1 }).toArray();
+            return res.json({ success: true, date, stayProfile: profile.id, market: market._id, daily });
+        }
+        
+        const changes = await changesCollection.find(key).sort({ observedAt: -1 }).toArray();
+        
+        if (view === 'changes') {
+            return res.json({ success: true, date, stayProfile: profile.id, market: market._id, changeCount: changes.length, changes });
+        }
+        
+        const current = await ratesCollection.findOne(key, { projection: { hotels: 1 } });
+        const history = rebuildSnapshots(current, changes);
+        
+        res.json({ 
+            success: true, 
+            date,
+            stayProfile: profile.id,
+            market: market._id,
+            historyCount: history.length,
+            history 
+        });
+
+    } catch (error) {
+        console.error('History fetch error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// How far before arrival the pickup view looks by default, and at most
+const PICKUP_DEFAULT_DAYS = 60;
+const PICKUP_MAX_DAYS = 365;
+
+/**
+ * Each hotel's price for one stay date by lead time (days before arrival)
+ * snapshots are stored rates documents ({ hotels, timestamp }) in any order.
+ * Lead time is counted from the day the rates were shopped, in the market's timezone;
+ * when a date was shopped more than once that day, the last shop wins.
+ * Returns [{ hotelId, name, points: [{ leadDays, shoppedAt, price }] }], points furthest out first
+ */
+function buildPickupSeries(date, snapshots, timeZone, maxLeadDays) {
+    const byHotel = new Map();
+    const ordered = snapshots
+        .filter(snapshot => snapshot.timestamp && Array.isArray(snapshot.hotels))
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    
+    ordered.forEach(snapshot => {
+        const shoppedAt = new Date(snapshot.timestamp);
+        if (isNaN(shoppedAt)) return;
+        const leadDays = daysBetween(shoppedAt.toLocaleDateString('en-CA', { timeZone }), date);
+        if (leadDays < 0 || leadDays > maxLeadDays) return;
+        
+        snapshot.hotels.forEach(hotel => {
+            if (!hotel.name || !(hotel.price > 0)) return;
+            const key = hotel.hotelId || normalizeHotelName(hotel.name);
+            if (!byHotel.has(key)) {
+                byHotel.set(key, { hotelId: hotel.hotelId || null, name: hotel.name, points: new Map() });
+            }
+            const series = byHotel.get(key);
+            series.name = hotel.name;
+            series.points.set(leadDays, { leadDays, shoppedAt: shoppedAt.toISOString(), price: hotel.price });
+        });
+    });
+    
+    return [...byHotel.values()]
+        .map(series => ({
+            hotelId: series.hotelId,
+            name: series.name,
+            points: [...series.points.values()].sort((a, b) => b.leadDays - a.leadDays)
+        }))
+        .sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Pickup view: how each hotel's price for one stay date moved in the days before
+ * arrival, built from the current rates and the snapshots rebuilt from change events
+ * GET /api/rates/pickup/:date?profile=2a0c1n&market=mackinaw-city&days=60&hotelId=<property_token>
+ */
+app.get('/api/rates/pickup/:date', requirePermission('history:read'), async (req, res) => {
+    if (!ratesCollection || !changesCollection) {
+        return res.status(503).json({ error: 'History not available' });
+    }
+
+    const { date } = req.params;
+    if (!isValidDateString(date)) {
+        return res.status(400).json({ error: 'date must be YYYY-MM-DD' });
+    }
+
+    const days = req.query.days === undefined ? PICKUP_DEFAULT_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > PICKUP_MAX_DAYS) {
+        return res.status(400).json({ error: `days must be a whole number from 1 to ${PICKUP_MAX_DAYS}` });
+    }
+
+    const profile = getStayProfile(req.query.profile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.query.profile}` });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    try {
+        const key = { market: market._id, date, stayProfile: profile.id };
+        const [changes, current] = await Promise.all([
+            changesCollection.find(key).toArray(),
+            ratesCollection.findOne(key, { projection: { hotels: 1, timestamp: 1 } })
+        ]);
+        const history = rebuildSnapshots(current, changes);
+        
+        // A version counts on the day it took effect as well as the last day it was seen
+        const newer = index => index === 0 ? (current || { hotels: [] }) : history[index - 1];
+        const snapshots = [
+            ...(current ? [current] : []),
+            ...history,
+            ...history.map((snapshot, index) => ({ hotels: newer(index).hotels, timestamp: snapshot.archivedAt }))
+        ];
+        
+        let hotels = buildPickupSeries(date, snapshots, market.timezone, days);
+        if (req.query.hotelId) {
+            hotels = hotels.filter(hotel => hotel.hotelId === req.query.hotelId);
+        }
+        
+        res.json({ 
+            success: true, 
+            date,
+            stayProfile: profile.id,
+            market: market._id,
+            days,
+            snapshotCount: history.length + (current ? 1 : 0),
+            hotels 
+        });
+
+    } catch (error) {
+        console.error('Pickup error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Most change events returned in one page of the feed
+const CHANGE_FEED_MAX_LIMIT = 200;
+
+/**
+ * Price changes as they were detected, across all stay dates, newest first:
+ * the same stay date before and after a shop, timed by when the new price was shopped
+ * GET /api/rates/changes?profile=2a0c1n&market=mackinaw-city&minPercent=15&from=2026-07-01&to=2026-07-31
+ *     &listings=true&limit=50&before=<id of the last change shown>
+ * 
+ * minPercent skips smaller moves. listings=true adds hotels that were newly listed or
+ * no longer listed (they have no percentage). from/to limit the stay dates
+ */
+app.get('/api/rates/changes', requirePermission('history:read'), async (req, res) => {
+    if (!changesCollection) {
+        return res.status(503).json({ error: 'History not available' });
+    }
+
+    const { from, to, before } = req.query;
+    const minPercent = req.query.minPercent === undefined ? 0 : Number(req.query.minPercent);
+    const limit = req.query.limit === undefined ? 50 : Number(req.query.limit);
+    const problems = [];
+    if (!(minPercent >= 0)) problems.push('minPercent must be a number from 0');
+    if (!Number.isInteger(limit) || limit < 1 || limit > CHANGE_FEED_MAX_LIMIT) {
+        problems.push(`limit must be a whole number from 1 to ${CHANGE_FEED_MAX_LIMIT}`);
+    }
+    if ((from && !isValidDateString(from)) || (to && !isValidDateString(to))) {
+        problems.push('from and to must be YYYY-MM-DD');
+    }
+    if (before && !ObjectId.isValid(before)) problems.push('before must be a change id');
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid request', problems });
+    }
+
+    const profile = getStayProfile(req.query.profile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.query.profile}` });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    try {
+        const query = { market: market._id, stayProfile: profile.id };
+        if (from || to) {
+            query.date = {};
+            if (from) query.date.$gte = from;
+            if (to) query.date.$lte = to;
+        }
+        
+        // Price moves have both prices; listings have one of them
+        const priceMove = { oldPrice: { $ne: null }, newPrice: { $ne: null } };
+        if (minPercent > 0) {
+            priceMove.$expr = { $gte: [
+                { $abs: { $multiply: [{ $divide: [{ $subtract: ['$newPrice', '$oldPrice'] }, '$oldPrice'] }, 100] } },
+                minPercent
+            ] };
+        }
+        const filters = [req.query.listings === 'true'
+            ? { $or: [{ oldPrice: null }, { newPrice: null }, priceMove] }
+            : priceMove];
+        
+        // Changes saved together share observedAt, so pages continue from the last id
+        if (before) {
+            const last = await changesCollection.findOne({ _id: new ObjectId(before) }, { projection: { observedAt: 1 } });
+            if (!last) {
+                return res.status(400).json({ error: 'Unknown change id in before' });
+            }
+            filters.push({ $or: [
+                { observedAt: { $lt: last.observedAt } },
+                { observedAt: last.observedAt, _id: { $lt: last._id } }
+            ] });
+        }
+        
+        const events = await changesCollection
+            .find({ ...query, $and: filters })
+            .sort({ observedAt: -1, _id: -1 })
+            .limit(limit)
+            .toArray();
+        
+        const changes = events.map(event => ({
+            _id: event._id,
+            date: event.date,
+            hotelId: event.hotelId,
+            name: event.name,
+            oldPrice: event.oldPrice,
+            newPrice: event.newPrice,
+            changePercent: event.oldPrice && event.newPrice
+                ? Math.round(((event.newPrice - event.oldPrice) / event.oldPrice) * 1000) / 10
+                : null,
+            observedAt: event.observedAt,
+            previousObservedAt: event.previousObservedAt
+        }));
+        
+        res.json({ 
+            success: true, 
+            stayProfile: profile.id,
+            market: market._id,
+            changes,
+            hasMore: changes.length === limit
+        });
+
+    } catch (error) {
+        console.error('Change feed error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// RATE EXPORTS
+// ============================================
+
+// long: one row per hotel per date per observation; pivot: hotels down, dates across.
+// Rates saved by the dashboard carry hotelClass/reviewCount, server refreshes hotel_class/reviews
+const EXPORT_LAYOUTS = ['long', 'pivot'];
+const EXPORT_FORMATS = ['csv', 'xlsx'];
+// Which rate fills the pivot's cells
+const EXPORT_VALUES = ['price', 'priceWithTax'];
+
+const EXPORT_LONG_COLUMNS = ['Date', 'Day', 'Hotel', 'Hotel ID', 'Tier', 'Rate', 'Rate with tax',
+    'Rate before tax', 'Deal', 'Hotel class', 'Rating', 'Reviews', 'Observed at'];
+
+/**
+ * Rates documents (and optionally their past snapshots) as a table
+ * docs: stored rates, oldest date first. snapshots: Map of date -> rebuildSnapshots() output.
+ * tierOf(hotel) gives the hotel's classification; only hotels in tiers are kept.
+ * Returns { headers, rows } with numbers left as numbers and blanks as null
+ */
+function buildExportTable(docs, { layout, tiers, value, snapshots, tierOf }) {
+    const kept = hotels => (hotels || []).filter(hotel => hotel.name && hotel.price > 0 && tiers.includes(tierOf(hotel)));
+    const timeOf = time => time ? new Date(time).toISOString() : null;
+    
+    if (layout === 'pivot') {
+        const byHotel = new Map();
+        docs.forEach(doc => kept(doc.hotels).forEach(hotel => {
+            const key = rateHotelKey(hotel);
+            if (!byHotel.has(key)) byHotel.set(key, { name: hotel.name, tier: tierOf(hotel), cells: {} });
+            byHotel.get(key).cells[doc.date] = hotel[value] || null;
+        }));
+        const rows = [...byHotel.values()]
+            .sort((a, b) => HOTEL_CLASSIFICATIONS.indexOf(a.tier) - HOTEL_CLASSIFICATIONS.indexOf(b.tier) || a.name.localeCompare(b.name))
+            .map(hotel => [hotel.name, hotel.tier, ...docs.map(doc => hotel.cells[doc.date] ?? null)]);
+        return { headers: ['Hotel', 'Tier', ...docs.map(doc => doc.date)], rows };
+    }
+    
+    const rows = [];
+    docs.forEach(doc => {
+        const day = new Date(doc.date + 'T00:00:00Z').toLocaleDateString('en-US', { weekday: 'short', timeZone: 'UTC' });
+        const observations = [{ observedAt: doc.timestamp, hotels: doc.hotels }, 
+            ...(snapshots?.get(doc.date) || []).map(snapshot => ({ observedAt: snapshot.timestamp, hotels: snapshot.hotels }))];
+        
+        observations.forEach(({ observedAt, hotels }) => kept(hotels)
+            .sort((a, b) => a.price - b.price)
+            .forEach(hotel => rows.push([
+                doc.date, day, hotel.name, hotel.hotelId || null, tierOf(hotel), hotel.price,
+                hotel.priceWithTax || null, hotel.priceBeforeTax || null, hotel.deal || null,
+                hotel.hotelClass || hotel.hotel_class || null, hotel.rating || null,
+                hotel.reviewCount || hotel.reviews || null, timeOf(observedAt)
+            ])));
+    });
+    return { headers: EXPORT_LONG_COLUMNS, rows };
+}
+
+/**
+ * CSV text for a table (RFC 4180 quoting)
+ */
+function toCsv({ headers, rows }) {
+    const field = value => {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [headers, ...rows].map(row => row.map(field).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export a market's rates for a date range as CSV or Excel
+ * GET /api/rates/export?market=mackinaw-city&profile=2a0c1n&from=2026-07-01&to=2026-07-31
+ *     &layout=long|pivot&format=csv|xlsx&tiers=yours,direct&value=price|priceWithTax&history=true
+ * 
+ * from/to default to every stored date; tiers to all four. history=true (long layout only,
+ * needs history:read) adds a row per hotel for every past observation of each date.
+ * NOTE: This must come BEFORE /api/rates/:date to avoid matching "export" as a date
+ */
+app.get('/api/rates/export', requirePermission('rates:read'), async (req, res) => {
+    if (!ratesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { from, to, layout = 'long', format = 'csv', value = 'price' } = req.query;
+    const problems = [];
+    // Repeated or bracketed params (?tiers=a&tiers=b, ?tiers[]=a) arrive as arrays or objects
+    const notText = ['from', 'to', 'layout', 'format', 'value', 'tiers', 'history']
+        .filter(name => req.query[name] !== undefined && typeof req.query[name] !== 'string');
+    if (notText.length > 0) {
+        return res.status(400).json({ error: 'Invalid request', problems: notText.map(name => `${name} must be given once`) });
+    }
+    const tiers = req.query.tiers ? req.query.tiers.split(',') : HOTEL_CLASSIFICATIONS;
+    const history = req.query.history === 'true';
+    if ((from && !isValidDateString(from)) || (to && !isValidDateString(to))) {
+        problems.push('from and to must be YYYY-MM-DD');
+    }
+    if (!EXPORT_LAYOUTS.includes(layout)) problems.push(`layout must be one of: ${EXPORT_LAYOUTS.join(', ')}`);
+    if (!EXPORT_FORMATS.includes(format)) problems.push(`format must be one of: ${EXPORT_FORMATS.join(', ')}`);
+    if (!EXPORT_VALUES.includes(value)) problems.push(`value must be one of: ${EXPORT_VALUES.join(', ')}`);
+    if (tiers.length === 0 || tiers.some(tier => !HOTEL_CLASSIFICATIONS.includes(tier))) {
+        problems.push(`tiers must be a comma-separated list of: ${HOTEL_CLASSIFICATIONS.join(', ')}`);
+    }
+    if (history && layout !== 'long') problems.push('history needs the long layout');
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid request', problems });
+    }
+    if (history && !req.user.permissions.includes('history:read')) {
+        return res.status(403).json({ 
+            error: `Your role (${req.user.role}) is not allowed to export rate history`,
+            requiredPermission: 'history:read'
+        });
+    }
+
+    const profile = getStayProfile(req.query.profile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.query.profile}` });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    try {
+        const query = { market: market._id, stayProfile: profile.id };
+        if (from || to) {
+            query.date = {};
+            if (from) query.date.$gte = from;
+            if (to) query.date.$lte = to;
+        }
+        const docs = await ratesCollection.find(query).sort({ date: 1 }).toArray();
+        
+        const registry = hotelsCollection
+            ? await hotelsCollection.find({ market: market._id }, { projection: { classification: 1 } }).toArray()
+            : [];
+        const classification = new Map(registry.map(hotel => [hotel._id, hotel.classification]));
+        const tierOf = hotel => classification.get(hotel.hotelId) || 'market';
+        
+        let snapshots = null;
+        if (history && changesCollection) {
+            const eventsByDate = new Map();
+            (await changesCollection.find(query).toArray()).forEach(event => {
+                if (!eventsByDate.has(event.date)) eventsByDate.set(event.date, []);
+                eventsByDate.get(event.date).push(event);
+            });
+            snapshots = new Map(docs.map(doc => [doc.date, rebuildSnapshots(doc, eventsByDate.get(doc.date) || [])]));
+        }
+        
+        const table = buildExportTable(docs, { layout, tiers, value, snapshots, tierOf });
+        const range = docs.length > 0 ? `${docs[0].date}-to-${docs[docs.length - 1].date}` : 'empty';
+        const fileName = `mackinaw-intel-rates-${market._id}-${profile.id}-${layout}-${range}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+        
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            return res.send(toCsv(table));
+        }
+        
+        const workbook = new ExcelJS.Workbook();
+        const sheet = workbook.addWorksheet(layout === 'pivot' ? `Rates (${value})` : 'Rates', {
+            views: [{ state: 'frozen', xSplit: layout === 'pivot' ? 2 : 0, ySplit: 1 }]
+        });
+        sheet.addRow(table.headers).font = { bold: true };
+        sheet.addRows(table.rows);
+        sheet.columns.forEach((column, index) => { column.width = index === (layout === 'pivot' ? 0 : 2) ? 36 : 14; });
+        
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        await workbook.xlsx.write(res);
+        res.end();
+
+    } catch (error) {
+        console.error('Rate export error:', error.message);
+        if (res.headersSent) return res.end();
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// TRASH
+// ============================================
+
+// Deleted rates are moved to rates_trash instead of being thrown away:
+// { ...the rates document, originalId, batchId, reason: 'delete' | 'clear' | 'import' | 'retention', deletedAt,
+//   deletedBy, expiresAt }
+// Everything removed by one request shares a batchId and is restored together.
+// MongoDB removes a batch once expiresAt passes
+const TRASH_RETENTION_DAYS = parseInt(process.env.TRASH_RETENTION_DAYS, 10) || 30;
+// Large moves (retention) go to the trash this many documents at a time
+const TRASH_BATCH_SIZE = 1000;
+
+/**
+ * Copy rates documents into the trash as one batch, returns the batch id
+ * (the caller deletes the originals)
+ */
+async function moveToTrash(docs, reason, deletedBy, batchId = new ObjectId().toHexString()) {
+    if (!trashCollection || docs.length === 0) return batchId;
+    
+    const deletedAt = new Date();
+    const expiresAt = new Date(deletedAt.getTime() + TRASH_RETENTION_DAYS * 24 * 60 * 60 * 1000);
+    await trashCollection.insertMany(docs.map(({ _id, ...doc }) => ({
+        ...doc,
+        originalId: _id,
+        batchId,
+        reason,
+        deletedAt,
+        deletedBy,
+        expiresAt
+    })));
+    return batchId;
+}
+
+/**
+ * Delete rates documents that moveToTrash() copied into a batch, returns how many went.
+ * Only the copied versions are deleted (a date saved again since stays live), and
+ * whatever is still live afterwards - also when the delete failed - leaves the batch,
+ * so no date ends up both live and restorable
+ */
+async function deleteTrashedRates(docs, batchId) {
+    if (docs.length === 0) return 0;
+    
+    let deleteError = null;
+    try {
+        await ratesCollection.bulkWrite(docs.map(doc => ({
+            deleteOne: { filter: { _id: doc._id, updatedAt: doc.updatedAt ?? null } }
+        })), { ordered: false });
+    } catch (error) {
+        deleteError = error;
+    }
+    
+    const live = await ratesCollection
+        .find({ _id: { $in: docs.map(doc => doc._id) } }, { projection: { _id: 1 } })
+        .toArray();
+    if (live.length > 0 && trashCollection) {
+        await trashCollection.deleteMany({ batchId, originalId: { $in: live.map(doc => doc._id) } });
+    }
+    if (deleteError) throw deleteError;
+    return docs.length - live.length;
+}
+
+/**
+ * List recently deleted batches in a market, newest first
+ * GET /api/rates/trash?market=mackinaw-city
+ * NOTE: This must come BEFORE /api/rates/:date to avoid matching "trash" as a date
+ */
+app.get('/api/rates/trash', requirePermission('rates:delete'), async (req, res) => {
+    if (!trashCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    try {
+        const batches = await trashCollection.aggregate([
+            { $match: { market: market._id } },
+            { $group: {
+                _id: '$batchId',
+                reason: { $first: '$reason' },
+                deletedAt: { $first: '$deletedAt' },
+                deletedBy: { $first: '$deletedBy' },
+                expiresAt: { $first: '$expiresAt' },
+                count: { $sum: 1 },
+                from: { $min: '$date' },
+                to: { $max: '$date' },
+                stayProfiles: { $addToSet: '$stayProfile' }
+            } },
+            { $sort: { deletedAt: -1 } }
+        ]).toArray();
+
+        res.json({
+            success: true,
+            market: market._id,
+            retentionDays: TRASH_RETENTION_DAYS,
+            batches: batches.map(({ _id, ...batch }) => ({ batchId: _id, ...batch }))
+        });
+
+    } catch (error) {
+        console.error('Trash list error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Put a deleted batch back. Dates that have been saved again since are left
+ * as they are, reported as skipped and stay in the trash until they expire
+ * POST /api/rates/trash/:batchId/restore
+ */
+app.post('/api/rates/trash/:batchId/restore', requirePermission('rates:delete'), async (req, res) => {
+    if (!trashCollection || !ratesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        const docs = await trashCollection.find({ batchId: req.params.batchId }).toArray();
+        if (docs.length === 0) {
+            return res.status(404).json({ error: 'Nothing to restore (it may have expired)' });
+        }
+
+        const restoredAt = new Date();
+        const skipped = [];
+        let restored = 0;
+        for (const { _id, originalId, batchId, reason, deletedAt, deletedBy, expiresAt, ...doc } of docs) {
+            // The same rates come back, so history needs no events. The unique
+            // market/date/profile index refuses dates saved again (or restored) since
+            try {
+                await ratesCollection.insertOne({ ...doc, _id: originalId, updatedAt: restoredAt });
+            } catch (error) {
+                if (error.code !== 11000) throw error;
+                skipped.push(doc.date);
+                continue;
+            }
+            // Out of the trash right away, so a failure further on can't offer it twice
+            await trashCollection.deleteOne({ _id });
+            restored++;
+        }
+
+        console.log(`♻️ ${req.user.username} restored ${restored} dates${skipped.length > 0 ? ` (${skipped.length} skipped)` : ''}`);
+        res.json({ success: true, restored, skipped });
+
+    } catch (error) {
+        console.error('Restore error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get rate data for a specific date
+ * GET /api/rates/:date?profile=2a0c1n&market=mackinaw-city
+ */
+app.get('/api/rates/:date', requirePermission('rates:read'), async (req, res) => {
+    if (!ratesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { date } = req.params;
+    const profile = getStayProfile(req.query.profile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.query.profile}` });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    try {
+        const data = await ratesCollection.findOne({ market: market._id, date, stayProfile: profile.id });
+        
+        if (!data) {
+            return res.status(404).json({ error: 'No data for this date' });
+        }
+
+        res.json({ success: true, data });
+
+    } catch (error) {
+        console.error('Fetch error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get all rate data for a stay profile in a market
+ * GET /api/rates
+ * Query params: ?from=2026-05-01&to=2026-05-31&profile=2a0c1n&market=mackinaw-city&since=<ISO time>
+ * 
+ * since returns only dates saved since then (pass the serverTime of the previous
+ * response). timestamps always lists every stored date's shop time, so clients can
+ * tell which of their dates the server is missing or has dropped
+ */
+app.get('/api/rates', requirePermission('rates:read'), async (req, res) => {
+    if (!ratesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { from, to, since } = req.query;
+    const profile = getStayProfile(req.query.profile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.query.profile}` });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    if (since && isNaN(Date.parse(since))) {
+        return res.status(400).json({ error: 'since must be an ISO date-time' });
+    }
+
+    try {
+        // Taken before reading, so saves made while this runs are picked up next time
+        const serverTime = new Date();
+        let query = { market: market._id, stayProfile: profile.id };
+        
+        if (from || to) {
+            query.date = {};
+            if (from) query.date.$gte = from;
+            if (to) query.date.$lte = to;
+        }
+
+        const stored = await ratesCollection
+            .find(query, { projection: { date: 1, timestamp: 1 } })
+            .toArray();
+        const data = await ratesCollection
+            .find(since ? { ...query, updatedAt: { $gte: new Date(since) } } : query)
+            .sort({ date: 1 })
+            .toArray();
+        
+        // Convert to object format { "2026-05-10": {...}, ... }
+        const dates = {};
+        data.forEach(item => {
+            dates[item.date] = {
+                date: item.date,
+                hotels: item.hotels,
+                timestamp: item.timestamp,
+                isDemo: false
+            };
+        });
+
+        res.json({ 
+            success: true, 
+            stayProfile: profile.id,
+            market: market._id,
+            count: data.length,
+            dates,
+            timestamps: Object.fromEntries(stored.map(item => [item.date, item.timestamp || null])),
+            since: since || null,
+            serverTime: serverTime.toISOString()
+        });
+
+    } catch (error) {
+        console.error('Fetch all error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete rate data for a date (moved to the trash, see TRASH)
+ * DELETE /api/rates/:date?profile=2a0c1n&market=mackinaw-city
+ */
+app.delete('/api/rates/:date', requirePermission('rates:delete'), async (req, res) => {
+    if (!ratesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { date } = req.params;
+    const profile = getStayProfile(req.query.profile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.query.profile}` });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    try {
+        const key = { market: market._id, date, stayProfile: profile.id };
+        const existing = await ratesCollection.findOne(key);
+        if (!existing) {
+            return res.json({ success: true, deleted: false });
+        }
+        
+        // History keeps the date's events; moving it to the trash is not a price change
+        const batchId = await moveToTrash([existing], 'delete', req.user.username);
+        
+        const deleted = await deleteTrashedRates([existing], batchId);
+        res.json({ success: true, deleted: deleted > 0, batchId });
+
+    } catch (error) {
+        console.error('Delete error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Clear all rate data for a market (admin only, moved to the trash)
+ * DELETE /api/rates?market=mackinaw-city&confirm=Mackinaw%20City
+ * 
+ * confirm must be the market's name, typed by the user
+ */
+app.delete('/api/rates', requirePermission('rates:clear'), async (req, res) => {
+    if (!ratesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    const typed = String(req.query.confirm || '').trim().toLowerCase();
+    if (typed !== market.name.toLowerCase()) {
+        return res.status(400).json({ error: `Type the market name (${market.name}) to confirm` });
+    }
+
+    try {
+        // History keeps the market's events; clearing is not a price change
+        const docs = await ratesCollection.find({ market: market._id }).toArray();
+        const batchId = await moveToTrash(docs, 'clear', req.user.username);
+        
+        const deleted = await deleteTrashedRates(docs, batchId);
+        console.log(`🗑️ ${req.user.username} cleared all rates in ${market.name}: ${deleted} documents (moved to trash)`);
+        res.json({ success: true, deleted, batchId });
+
+    } catch (error) {
+        console.error('Clear error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// SEASON SETTINGS
+// ============================================
+
+// Season of the default market until an admin saves one (can be overridden per deploy)
+const DEFAULT_SEASON = {
+    startDate: process.env.SEASON_START || '2026-05-01',
+    endDate: process.env.SEASON_END || '2026-10-31',
+    rollingDays: null
+};
+
+// Dates are "today" in the market's timezone, not the server's (UTC on Render).
+// This is the default market's timezone; credit days are counted in it too.
+const MARKET_TIMEZONE = 'America/New_York';
+
+// Upper limit for one refresh run (one search per date)
+const MAX_REFRESH_DAYS = 366;
+
+/**
+ * Check a YYYY-MM-DD string is a real calendar date
+ */
+function isValidDateString(dateStr) {
+    if (typeof dateStr !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dateStr)) return false;
+    const date = new Date(dateStr + 'T00:00:00Z');
+    return !isNaN(date) && date.toISOString().startsWith(dateStr);
+}
+
+/**
+ * Add days to a YYYY-MM-DD string (UTC math, no DST surprises)
+ */
+function addDays(dateStr, days) {
+    const date = new Date(dateStr + 'T00:00:00Z');
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one YYYY-MM-DD string to another (negative if `to` is earlier)
+ */
+function daysBetween(from, to) {
+    return Math.round((Date.parse(to + 'T00:00:00Z') - Date.parse(from + 'T00:00:00Z')) / 86400000);
+}
+
+/**
+ * Today's date (YYYY-MM-DD) in a market's timezone
+ */
+function todayInMarket(timeZone = MARKET_TIMEZONE) {
+    return new Date().toLocaleDateString('en-CA', { timeZone });
+}
+
+/**
+ * All dates from..to inclusive
+ */
+function listDates(from, to) {
+    const dates = [];
+    for (let current = from; current <= to; current = addDays(current, 1)) {
+        dates.push(current);
+    }
+    return dates;
+}
+
+/**
+ * A market's season definition
+ */
+function getSeason(market) {
+    return { ...DEFAULT_SEASON, ...market.season };
+}
+
+/**
+ * Validate a season definition, returns a list of problems
+ */
+function validateSeason({ startDate, endDate, rollingDays }) {
+    const problems = [];
+    
+    if (!isValidDateString(startDate)) problems.push('startDate must be YYYY-MM-DD');
+    if (!isValidDateString(endDate)) problems.push('endDate must be YYYY-MM-DD');
+    if (problems.length === 0 && startDate > endDate) problems.push('startDate must be before endDate');
+    if (rollingDays !== null && rollingDays !== undefined && 
+        (!Number.isInteger(rollingDays) || rollingDays < 1 || rollingDays > MAX_REFRESH_DAYS)) {
+        problems.push(`rollingDays must be a whole number from 1 to ${MAX_REFRESH_DAYS}`);
+    }
+    
+    return problems;
+}
+
+/**
+ * Work out which dates a refresh covers
+ * 
+ * - ?from=&to=   explicit range
+ * - ?days=N      N days starting at ?from (or today)
+ * - no overrides the season's rolling window (today + rollingDays,
+ *                kept inside the season) or the whole season
+ * 
+ * Returns { from, to, dates } or { error }
+ */
+function resolveRefreshWindow(query, season, timeZone = MARKET_TIMEZONE) {
+    const { from, to, days } = query;
+    
+    if (from && !isValidDateString(from)) return { error: 'from must be YYYY-MM-DD' };
+    if (to && !isValidDateString(to)) return { error: 'to must be YYYY-MM-DD' };
+    
+    let start;
+    let end;
+    
+    if (days !== undefined) {
+        const numDays = parseInt(days, 10);
+        if (!Number.isInteger(numDays) || numDays < 1) {
+            return { error: 'days must be a positive whole number' };
+        }
+        start = from || todayInMarket(timeZone);
+        end = addDays(start, numDays - 1);
+    } else if (from || to) {
+        start = from || season.startDate;
+        end = to || season.endDate;
+    } else if (season.rollingDays) {
+        const today = todayInMarket(timeZone);
+        start = today > season.startDate ? today : season.startDate;
+        const rollingEnd = addDays(today, season.rollingDays - 1);
+        end = rollingEnd < season.endDate ? rollingEnd : season.endDate;
+    } else {
+        start = season.startDate;
+        end = season.endDate;
+    }
+    
+    if (start > end) {
+        return { error: `Nothing to refresh: ${start} is after ${end}` };
+    }
+    
+    const dates = listDates(start, end);
+    if (dates.length > MAX_REFRESH_DAYS) {
+        return { error: `Refresh window is ${dates.length} days; the limit is ${MAX_REFRESH_DAYS}` };
+    }
+    
+    return { from: start, to: end, dates };
+}
+
+/**
+ * Get a market's season definition
+ * GET /api/season?market=mackinaw-city
+ */
+app.get('/api/season', requireAuth, requirePermission('rates:read'), (req, res) => {
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    res.json({ success: true, market: market._id, season: getSeason(market), today: todayInMarket(market.timezone) });
+});
+
+/**
+ * Save a market's season definition (admin only)
+ * PUT /api/season?market=mackinaw-city
+ * Body: { startDate: "2026-05-01", endDate: "2026-10-31", rollingDays: 60 | null }
+ */
+app.put('/api/season', requireAuth, requirePermission('season:manage'), async (req, res) => {
+    if (!marketsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    const season = {
+        startDate: req.body.startDate,
+        endDate: req.body.endDate,
+        rollingDays: req.body.rollingDays ?? null
+    };
+
+    const problems = validateSeason(season);
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid season', problems });
+    }
+
+    try {
+        const saved = { ...season, updatedAt: new Date(), updatedBy: req.user.username };
+        await marketsCollection.updateOne({ _id: market._id }, { $set: { season: saved } });
+        await loadMarkets();
+
+        console.log(`📅 ${req.user.username} set ${market.name} season: ${season.startDate} to ${season.endDate}${season.rollingDays ? ` (rolling ${season.rollingDays} days)` : ''}`);
+        res.json({ success: true, market: market._id, season });
+
+    } catch (error) {
+        console.error('Season save error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// MARKETS
+// ============================================
+
+// A market is an area rates are shopped in. Rates, history, hotels and
+// schedules each belong to one market; the season and timezone come from it.
+// markets: { _id: "mackinaw-city", name, query, timezone, season,
+//            area: { boundingBox: [min_lng, min_lat, max_lng, max_lat] }
+//               or { center: [lat, lng], radiusKm } }
+const DEFAULT_MARKET_ID = 'mackinaw-city';
+
+// Seeded on first start. Mackinaw City only (excludes St. Ignace and Mackinac Island)
+const DEFAULT_MARKET = {
+    _id: DEFAULT_MARKET_ID,
+    name: 'Mackinaw City',
+    query: 'Mackinaw City, Michigan hotels',
+    area: { boundingBox: [-84.78, 45.77, -84.71, 45.80] },
+    timezone: MARKET_TIMEZONE,
+    season: DEFAULT_SEASON
+};
+
+const MAX_MARKET_RADIUS_KM = 50;
+
+// Markets by id, reloaded whenever one is saved (they're read on every request)
+let markets = new Map([[DEFAULT_MARKET_ID, DEFAULT_MARKET]]);
+
+/**
+ * Look up a market by id (missing id = default), null if unknown
+ */
+function getMarket(id = DEFAULT_MARKET_ID) {
+    return markets.get(id || DEFAULT_MARKET_ID) || null;
+}
+
+/**
+ * Load markets into memory, seeding the default market on first start
+ * (its season comes from the settings document used before markets existed)
+ */
+async function loadMarkets() {
+    const legacySeason = await settingsCollection.findOne({ _id: 'season' });
+    const { _id, ...seed } = DEFAULT_MARKET;
+    await marketsCollection.updateOne(
+        { _id },
+        { $setOnInsert: { 
+            ...seed, 
+            season: legacySeason 
+                ? { startDate: legacySeason.startDate, endDate: legacySeason.endDate, rollingDays: legacySeason.rollingDays || null }
+                : DEFAULT_SEASON,
+            createdAt: new Date() 
+        } },
+        { upsert: true }
+    );
+    
+    const saved = await marketsCollection.find().sort({ createdAt: 1 }).toArray();
+    markets = new Map(saved.map(market => [market._id, market]));
+}
+
+/**
+ * Tag rates, history, hotels and schedules saved before markets existed
+ * with the default market, and drop the old market-less unique index
+ */
+async function migrateToMarkets() {
+    const legacy = { market: { $exists: false } };
+    const tag = { $set: { market: DEFAULT_MARKET_ID } };
+    let tagged = 0;
+    
+    for (const collection of [ratesCollection, historyCollection, hotelsCollection, schedulesCollection]) {
+        const result = await collection.updateMany(legacy, tag);
+        tagged += result.modifiedCount;
+    }
+    
+    // listIndexes fails on a collection that doesn't exist yet (fresh database)
+    const hasLegacyIndex = await ratesCollection.indexExists('date_1_stayProfile_1').catch(() => false);
+    if (hasLegacyIndex) {
+        await ratesCollection.dropIndex('date_1_stayProfile_1');
+    }
+    
+    if (tagged > 0) {
+        console.log(`🗺️ Tagged ${tagged} documents as ${DEFAULT_MARKET_ID}`);
+    }
+}
+
+/**
+ * The area a provider searches: { query, boundingBox }
+ * A center + radius becomes the bounding box around that circle
+ */
+function marketArea(market) {
+    const { area } = market;
+    if (area.boundingBox) {
+        return { query: market.query, boundingBox: area.boundingBox };
+    }
+    
+    const [lat, lng] = area.center;
+    const latDelta = area.radiusKm / 111.32;
+    const lngDelta = area.radiusKm / (111.32 * Math.cos(lat * Math.PI / 180));
+    const round = value => Math.round(value * 10000) / 10000;
+    return {
+        query: market.query,
+        boundingBox: [round(lng - lngDelta), round(lat - latDelta), round(lng + lngDelta), round(lat + latDelta)]
+    };
+}
+
+/**
+ * Check a timezone name is one the runtime knows
+ */
+function isValidTimezone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return typeof timeZone === 'string';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Validate a market body, returns a list of problems
+ */
+function validateMarket({ name, query, area, timezone, season }) {
+    const problems = [];
+    
+    if (!name || typeof name !== 'string' || name.length > 60) {
+        problems.push('name is required (max 60 characters)');
+    }
+    if (query !== undefined && (typeof query !== 'string' || !query.trim())) {
+        problems.push('query must be a search phrase, e.g. "Cheboygan, Michigan hotels"');
+    }
+    
+    if (area?.boundingBox) {
+        const box = area.boundingBox;
+        if (!Array.isArray(box) || box.length !== 4 || !box.every(Number.isFinite) || box[0] >= box[2] || box[1] >= box[3]) {
+            problems.push('area.boundingBox must be [min_lng, min_lat, max_lng, max_lat]');
+        }
+    } else if (area?.center) {
+        const [lat, lng] = Array.isArray(area.center) ? area.center : [];
+        if (!Number.isFinite(lat) || Math.abs(lat) > 90 || !Number.isFinite(lng) || Math.abs(lng) > 180) {
+            problems.push('area.center must be [lat, lng]');
+        }
+        if (!Number.isFinite(area.radiusKm) || area.radiusKm <= 0 || area.radiusKm > MAX_MARKET_RADIUS_KM) {
+            problems.push(`area.radiusKm must be more than 0 and at most ${MAX_MARKET_RADIUS_KM}`);
+        }
+    } else {
+        problems.push('area needs a boundingBox or a center and radiusKm');
+    }
+    
+    if (!isValidTimezone(timezone)) {
+        problems.push('timezone must be an IANA name, e.g. America/Detroit');
+    }
+    
+    problems.push(...validateSeason(season || {}));
+    return problems;
+}
+
+/**
+ * The stored market fields from a (validated) body
+ */
+function marketFields({ name, query, area, timezone, season }) {
+    return {
+        name: name.trim(),
+        query: query?.trim() || `${name.trim()} hotels`,
+        area: area.boundingBox 
+            ? { boundingBox: area.boundingBox } 
+            : { center: area.center, radiusKm: area.radiusKm },
+        timezone,
+        season: { startDate: season.startDate, endDate: season.endDate, rollingDays: season.rollingDays ?? null }
+    };
+}
+
+/**
+ * Market as returned by the API, with the box the provider searches
+ */
+function toPublicMarket(market) {
+    return {
+        id: market._id,
+        name: market.name,
+        query: market.query,
+        area: market.area,
+        boundingBox: marketArea(market).boundingBox,
+        timezone: market.timezone,
+        season: getSeason(market),
+        today: todayInMarket(market.timezone)
+    };
+}
+
+/**
+ * List markets
+ * GET /api/markets
+ */
+app.get('/api/markets', requireAuth, requirePermission('rates:read'), (req, res) => {
+    res.json({ 
+        success: true, 
+        defaultMarket: DEFAULT_MARKET_ID, 
+        markets: [...markets.values()].map(toPublicMarket) 
+    });
+});
+
+/**
+ * Create a market (admin only)
+ * POST /api/markets
+ * Body: { id: "cheboygan", name: "Cheboygan", query?: "Cheboygan, Michigan hotels",
+ *         area: { center: [45.6469, -84.4745], radiusKm: 5 } | { boundingBox: [...] },
+ *         timezone: "America/Detroit", season: { startDate, endDate, rollingDays? } }
+ */
+app.post('/api/markets', requireAuth, requirePermission('markets:manage'), async (req, res) => {
+    if (!marketsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const { id } = req.body;
+    const problems = validateMarket(req.body);
+    if (typeof id !== 'string' || !/^[a-z0-9-]{2,40}$/.test(id)) {
+        problems.unshift('id must be 2-40 lowercase letters, digits or dashes');
+    }
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid market', problems });
+    }
+    
+    try {
+        const market = { _id: id, ...marketFields(req.body), createdAt: new Date(), createdBy: req.user.username };
+        await marketsCollection.insertOne(market);
+        await loadMarkets();
+        
+        console.log(`🗺️ ${req.user.username} created market ${market.name}`);
+        res.status(201).json({ success: true, market: toPublicMarket(market) });
+        
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: `Market ${id} already exists` });
+        }
+        console.error('Market create error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Update a market's name, search area, timezone or season (admin only)
+ * PUT /api/markets/:id
+ * Body: same as POST without id
+ */
+app.put('/api/markets/:id', requireAuth, requirePermission('markets:manage'), async (req, res) => {
+    if (!marketsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const market = markets.get(req.params.id);
+    if (!market) {
+        return res.status(404).json({ error: 'Market not found' });
+    }
+    
+    const problems = validateMarket(req.body);
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid market', problems });
+    }
+    
+    try {
+        const update = { ...marketFields(req.body), updatedAt: new Date(), updatedBy: req.user.username };
+        await marketsCollection.updateOne({ _id: market._id }, { $set: update });
+        await loadMarkets();
+        
+        console.log(`🗺️ ${req.user.username} updated market ${update.name}`);
+        res.json({ success: true, market: toPublicMarket({ ...market, ...update }) });
+        
+    } catch (error) {
+        console.error('Market update error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// STAY PROFILES (occupancy + length of stay)
+// ============================================
+
+// Rates are shopped per arrival date for each stay profile. A rate document
+// is keyed by date + stayProfile, e.g. "2026-07-04" + "2a0c1n".
+// Multi-night profiles only make sense for some arrival days (weekend stays),
+// so they list the weekdays (0 = Sunday) they are fetched for.
+const STAY_PROFILES = [
+    { id: '2a0c1n', label: '2 adults, 1 night', adults: 2, children: 0, nights: 1 },
+    { id: '1a0c1n', label: '1 adult, 1 night', adults: 1, children: 0, nights: 1 },
+    { id: '2a2c1n', label: 'Family (2+2), 1 night', adults: 2, children: 2, nights: 1 },
+    { id: '2a0c2n', label: '2 adults, 2-night weekend', adults: 2, children: 0, nights: 2, arrivalDays: [5] },
+    { id: '2a0c3n', label: '2 adults, 3-night weekend', adults: 2, children: 0, nights: 3, arrivalDays: [4, 5] }
+];
+
+// What every rate stored before stay profiles was fetched as
+const DEFAULT_STAY_PROFILE = '2a0c1n';
+
+/**
+ * Look up a stay profile by id (missing id = default), null if unknown
+ */
+function getStayProfile(id = DEFAULT_STAY_PROFILE) {
+    return STAY_PROFILES.find(profile => profile.id === (id || DEFAULT_STAY_PROFILE)) || null;
+}
+
+/**
+ * Parse a comma-separated list of profile ids (missing = default only)
+ * Returns { profiles } or { error }
+ */
+function parseStayProfiles(value) {
+    const ids = value ? String(value).split(',').map(id => id.trim()).filter(Boolean) : [DEFAULT_STAY_PROFILE];
+    const unknown = ids.filter(id => !getStayProfile(id));
+    
+    if (unknown.length > 0) {
+        return { error: `Unknown stay profile: ${unknown.join(', ')}` };
+    }
+    return { profiles: [...new Set(ids)].map(id => getStayProfile(id)) };
+}
+
+/**
+ * Fields stored on rate and history documents for a profile
+ */
+function stayProfileFields(profile) {
+    return { stayProfile: profile.id, adults: profile.adults, children: profile.children, nights: profile.nights };
+}
+
+/**
+ * Whether a profile is fetched for an arrival date
+ */
+function isArrivalDay(profile, dateStr) {
+    if (!profile.arrivalDays) return true;
+    return profile.arrivalDays.includes(new Date(dateStr + 'T00:00:00Z').getUTCDay());
+}
+
+/**
+ * Tag rates saved before stay profiles existed with the default profile
+ * and drop the old date-only unique index
+ */
+async function migrateRatesToStayProfiles() {
+    const profile = getStayProfile(DEFAULT_STAY_PROFILE);
+    const legacy = { stayProfile: { $exists: false } };
+    const tag = { $set: stayProfileFields(profile) };
+    
+    const rates = await ratesCollection.updateMany(legacy, tag);
+    const history = await historyCollection.updateMany(legacy, tag);
+    
+    // listIndexes fails on a collection that doesn't exist yet (fresh database)
+    const hasLegacyIndex = await ratesCollection.indexExists('date_1').catch(() => false);
+    if (hasLegacyIndex) {
+        await ratesCollection.dropIndex('date_1');
+    }
+    
+    if (rates.modifiedCount > 0 || history.modifiedCount > 0) {
+        console.log(`🔀 Tagged ${rates.modifiedCount} rate and ${history.modifiedCount} history documents as ${profile.id}`);
+    }
+}
+
+/**
+ * List the stay profiles rates can be shopped for
+ * GET /api/stay-profiles
+ */
+app.get('/api/stay-profiles', requireAuth, requirePermission('rates:read'), (req, res) => {
+    res.json({ success: true, profiles: STAY_PROFILES, defaultProfile: DEFAULT_STAY_PROFILE });
+});
+
+// ============================================
+// HOTEL REGISTRY
+// ============================================
+
+// Hotels are identified by the provider's property_token, which survives renames.
+// Each hotel belongs to the market it was first found in, and its classification
+// (our property / competitor tier) applies within that market.
+// hotels: { _id: token, market, name, aliases: [...every listed name], lastListedName,
+//           gps_coordinates, pinnedCoordinates, hotel_class, classification, competitorSet,
+//           firstSeenAt, lastSeenAt }
+// pinnedCoordinates is set by an admin and wins over the provider's gps_coordinates.
+// competitorSet (our properties only) lists the hotel ids that property is measured
+// against; when it's empty the dashboard uses every direct competitor in the market.
+// Stored rates carry hotelId (the token) and the registry's canonical name,
+// with the name Google listed at the time kept as listedName.
+const HOTEL_CLASSIFICATIONS = ['yours', 'direct', 'tracked', 'market'];
+
+// How a Mackinaw City hotel is classified the first time it's seen (name contains
+// any of these). Mirrors the lists that used to live in js/config.js - first match wins.
+// Hotels in other markets start as 'market' until an admin classifies them.
+const REGISTRY_SEED = [
+    { classification: 'yours', match: ['riviera', 'american boutique'] },
+    { classification: 'direct', match: ['lighthouse view', 'parkside inn', 'super 8 by wyndham bridgeview'] },
+    { classification: 'tracked', match: [
+        'super 8', 'days inn', 'comfort inn', 'quality inn', 'baymont', 'holiday inn', 'clarion',
+        'best western', 'clearwater', 'ramada', 'bridge vista', 'bayside', 'parkside'
+    ] }
+];
+
+/**
+ * Lowercase, trimmed, single-spaced name for alias lookups
+ */
+function normalizeHotelName(name) {
+    return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Classification for a newly seen hotel
+ */
+function seedClassification(name, marketId) {
+    if (marketId !== DEFAULT_MARKET_ID) return 'market';
+    const normalized = normalizeHotelName(name);
+    const seed = REGISTRY_SEED.find(rule => rule.match.some(match => normalized.includes(match)));
+    return seed ? seed.classification : 'market';
+}
+
+/**
+ * Load the registry with lookups by id and by canonical name/alias
+ * (names only match hotels in the same market). Reads the market's hotels plus
+ * any other ids or property tokens the given hotels carry
+ */
+async function loadHotelRegistry(marketId, hotels = []) {
+    const tokens = [...new Set(hotels.flatMap(hotel => [hotel?.hotelId, hotel?.property_token])
+        .filter(token => typeof token === 'string'))];
+    const entries = await hotelsCollection
+        .find(tokens.length > 0 ? { $or: [{ market: marketId }, { _id: { $in: tokens } }] } : { market: marketId })
+        .toArray();
+    const byId = new Map(entries.map(hotel => [hotel._id, hotel]));
+    const byName = new Map();
+    entries.filter(hotel => hotel.market === marketId).forEach(hotel => {
+        [hotel.name, ...(hotel.aliases || [])].forEach(name => byName.set(normalizeHotelName(name), hotel));
+    });
+    return { byId, byName };
+}
+
+/**
+ * Point hotels at their registry entries, registering new property tokens
+ * in the market they were found in. Hotels without a token are matched by
+ * exact name or alias; ones that can't be matched keep hotelId: null
+ */
+async function resolveHotels(hotels, market, registry = null) {
+    if (!hotelsCollection || !Array.isArray(hotels)) return hotels;
+    registry = registry || await loadHotelRegistry(market._id, hotels);
+    
+    const now = new Date();
+    const sightings = new Map();
+    
+    const resolved = hotels.map(hotel => {
+        const listedName = hotel.listedName || hotel.name;
+        const entry = registry.byId.get(hotel.hotelId) || 
+                      registry.byId.get(hotel.property_token) || 
+                      registry.byName.get(normalizeHotelName(listedName));
+        const hotelId = entry?._id || hotel.property_token || null;
+        
+        if (hotelId) sightings.set(hotelId, { hotel, listedName });
+        return { ...hotel, hotelId, name: entry?.name || listedName, listedName };
+    });
+    
+    const operations = [...sightings].map(([hotelId, { hotel, listedName }]) => {
+        const hotelClass = hotel.hotel_class || hotel.hotelClass;
+        return {
+            updateOne: {
+                filter: { _id: hotelId },
+                update: {
+                    $setOnInsert: { 
+                        market: market._id, 
+                        name: listedName, 
+                        classification: seedClassification(listedName, market._id), 
+                        firstSeenAt: now 
+                    },
+                    $set: {
+                        lastListedName: listedName,
+                        lastSeenAt: now,
+                        ...(hotel.gps_coordinates && { gps_coordinates: hotel.gps_coordinates }),
+                        ...(hotelClass && { hotel_class: hotelClass })
+                    },
+                    $addToSet: { aliases: listedName }
+                },
+                upsert: true
+            }
+        };
+    });
+    
+    if (operations.length > 0) {
+        await hotelsCollection.bulkWrite(operations, { ordered: false });
+    }
+    
+    return resolved;
+}
+
+/**
+ * Add hotelId to rates and history saved before the registry existed
+ * Rates fetched by the server carry property tokens, so those go first and
+ * rates saved by the browser (names only) can then match their aliases
+ */
+async function migrateRatesToHotelRegistry() {
+    const legacy = { hotels: { $elemMatch: { hotelId: { $exists: false } } } };
+    const passes = [{ ...legacy, 'hotels.property_token': { $type: 'string' } }, legacy];
+    let migrated = 0;
+    
+    for (const collection of [ratesCollection, historyCollection]) {
+        for (const filter of passes) {
+            for await (const doc of collection.find(filter, { projection: { market: 1, hotels: 1 } })) {
+                const hotels = await resolveHotels(doc.hotels, getMarket(doc.market) || DEFAULT_MARKET);
+                await collection.updateOne({ _id: doc._id }, { $set: { hotels } });
+                migrated++;
+            }
+        }
+    }
+    
+    if (migrated > 0) {
+        console.log(`🏨 Linked ${migrated} rate and history documents to the hotel registry`);
+    }
+}
+
+/**
+ * Registry entry as returned by the API
+ */
+function toPublicHotel(hotel) {
+    return {
+        id: hotel._id,
+        market: hotel.market,
+        name: hotel.name,
+        aliases: hotel.aliases || [],
+        lastListedName: hotel.lastListedName || hotel.name,
+        classification: hotel.classification,
+        competitorSet: hotel.competitorSet || [],
+        gps_coordinates: hotel.gps_coordinates || null,
+        pinnedCoordinates: hotel.pinnedCoordinates || null,
+        hotel_class: hotel.hotel_class || null,
+        firstSeenAt: hotel.firstSeenAt,
+        lastSeenAt: hotel.lastSeenAt || null,
+        updatedBy: hotel.updatedBy || null
+    };
+}
+
+/**
+ * Check a registry edit; returns a list of problems (empty = valid)
+ * Only the fields present are checked, so creates and updates share the rules
+ */
+function validateHotelEdit({ name, aliases, classification, competitorSet, pinnedCoordinates }) {
+    const problems = [];
+    
+    if (name !== undefined && (typeof name !== 'string' || !name.trim())) {
+        problems.push('name must be a non-empty string');
+    }
+    if (aliases !== undefined && (!Array.isArray(aliases) || aliases.some(alias => typeof alias !== 'string' || !alias.trim()))) {
+        problems.push('aliases must be a list of names');
+    }
+    if (classification !== undefined && !HOTEL_CLASSIFICATIONS.includes(classification)) {
+        problems.push(`classification must be one of: ${HOTEL_CLASSIFICATIONS.join(', ')}`);
+    }
+    if (competitorSet !== undefined && (!Array.isArray(competitorSet) || competitorSet.some(id => typeof id !== 'string' || !id))) {
+        problems.push('competitorSet must be a list of hotel ids');
+    }
+    if (pinnedCoordinates !== undefined && pinnedCoordinates !== null) {
+        const { latitude, longitude } = pinnedCoordinates;
+        if (!Number.isFinite(latitude) || Math.abs(latitude) > 90 || 
+            !Number.isFinite(longitude) || Math.abs(longitude) > 180) {
+            problems.push('pinnedCoordinates needs a latitude (-90 to 90) and longitude (-180 to 180)');
+        }
+    }
+    
+    return problems;
+}
+
+/**
+ * The editable registry fields present in a (validated) request body
+ */
+function hotelEditFields({ name, aliases, classification, competitorSet, pinnedCoordinates }) {
+    const fields = {};
+    if (name !== undefined) fields.name = name.trim();
+    if (aliases !== undefined) fields.aliases = [...new Set(aliases.map(alias => alias.trim()))];
+    if (classification !== undefined) fields.classification = classification;
+    if (competitorSet !== undefined) fields.competitorSet = [...new Set(competitorSet)];
+    if (pinnedCoordinates !== undefined) {
+        fields.pinnedCoordinates = pinnedCoordinates && 
+            { latitude: pinnedCoordinates.latitude, longitude: pinnedCoordinates.longitude };
+    }
+    return fields;
+}
+
+/**
+ * Use a hotel's new canonical name in its stored rates and history
+ * Returns how many documents changed
+ */
+async function renameHotelInRates(hotelId, name) {
+    const filter = { 'hotels.hotelId': hotelId };
+    // updatedAt makes incremental syncs pick up the new name
+    const update = { $set: { 'hotels.$[hotel].name': name, updatedAt: new Date() } };
+    const options = { arrayFilters: [{ 'hotel.hotelId': hotelId }] };
+    
+    const rates = await ratesCollection.updateMany(filter, update, options);
+    const changes = await changesCollection.updateMany({ hotelId }, { $set: { name } });
+    const daily = await dailyHistoryCollection.updateMany({ hotelId }, { $set: { name } });
+    return rates.modifiedCount + changes.modifiedCount + daily.modifiedCount;
+}
+
+/**
+ * Add a hotel before the provider has listed it (admin only)
+ * POST /api/hotel-registry
+ * Body: { id: "<property_token>", market: "mackinaw-city", name, classification,
+ *         aliases?: [...], pinnedCoordinates?: { latitude, longitude } }
+ */
+app.post('/api/hotel-registry', requireAuth, requirePermission('hotels:manage'), async (req, res) => {
+    if (!hotelsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const { id, name, classification = 'market' } = req.body;
+    const problems = validateHotelEdit({ ...req.body, classification });
+    if (typeof id !== 'string' || !id.trim()) {
+        problems.unshift('id (the property_token) is required');
+    }
+    if (name === undefined) {
+        problems.push('name is required');
+    }
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid hotel', problems });
+    }
+
+    const market = getMarket(req.body.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.body.market}` });
+    }
+    
+    try {
+        const fields = hotelEditFields({ ...req.body, classification });
+        const hotel = {
+            _id: id.trim(),
+            market: market._id,
+            ...fields,
+            aliases: [...new Set([fields.name, ...(fields.aliases || [])])],
+            pinnedCoordinates: fields.pinnedCoordinates || null,
+            firstSeenAt: new Date(),
+            updatedBy: req.user.username
+        };
+        
+        await hotelsCollection.insertOne(hotel);
+        console.log(`🏨 ${req.user.username} added ${hotel.name} to ${market.name} (${hotel.classification})`);
+        res.status(201).json({ success: true, hotel: toPublicHotel(hotel) });
+        
+    } catch (error) {
+        if (error.code === 11000) {
+            return res.status(409).json({ error: 'That hotel is already in the registry' });
+        }
+        console.error('Hotel create error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Edit a hotel: canonical name, aliases, classification or map pin (admin only)
+ * PATCH /api/hotel-registry/:id
+ * Body: { name?, aliases?: [...], classification?: "yours" | "direct" | "tracked" | "market",
+ *         competitorSet?: ["<property_token>", ...], pinnedCoordinates?: { latitude, longitude } | null }
+ * 
+ * A new name is written into the hotel's stored rates; the old one stays as an alias.
+ * competitorSet ids must be other hotels in the same market.
+ */
+app.patch('/api/hotel-registry/:id', requireAuth, requirePermission('hotels:manage'), async (req, res) => {
+    if (!hotelsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const problems = validateHotelEdit(req.body);
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid hotel', problems });
+    }
+    
+    const fields = hotelEditFields(req.body);
+    if (Object.keys(fields).length === 0) {
+        return res.status(400).json({ error: 'Nothing to update' });
+    }
+    
+    try {
+        const hotel = await hotelsCollection.findOne({ _id: req.params.id });
+        if (!hotel) {
+            return res.status(404).json({ error: 'Hotel not found' });
+        }
+        
+        if (fields.competitorSet?.length) {
+            const known = await hotelsCollection.countDocuments({
+                _id: { $in: fields.competitorSet, $ne: hotel._id },
+                market: hotel.market
+            });
+            if (known !== fields.competitorSet.length) {
+                return res.status(400).json({ 
+                    error: 'Invalid hotel', 
+                    problems: ['competitorSet can only list other hotels in the same market'] 
+                });
+            }
+        }
+        
+        const renamed = fields.name && fields.name !== hotel.name;
+        if (renamed || fields.aliases) {
+            // Keep the old name matchable for rates saved without a hotelId
+            fields.aliases = [...new Set([
+                ...(fields.aliases || hotel.aliases || []),
+                ...(renamed ? [hotel.name] : [])
+            ])];
+        }
+        
+        const update = { ...fields, updatedAt: new Date(), updatedBy: req.user.username };
+        await hotelsCollection.updateOne({ _id: hotel._id }, { $set: update });
+        
+        const ratesRenamed = renamed ? await renameHotelInRates(hotel._id, fields.name) : 0;
+        
+        console.log(`🏨 ${req.user.username} updated ${fields.name || hotel.name}: ${Object.keys(fields).join(', ')}`);
+        res.json({ success: true, hotel: toPublicHotel({ ...hotel, ...update }), ratesRenamed });
+        
+    } catch (error) {
+        console.error('Hotel update error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Remove a hotel from the registry (admin only)
+ * DELETE /api/hotel-registry/:id
+ * 
+ * It is also taken out of every competitor set. Stored rates and history keep their
+ * hotelId; if the provider lists the hotel again it is registered again as new
+ */
+app.delete('/api/hotel-registry/:id', requireAuth, requirePermission('hotels:manage'), async (req, res) => {
+    if (!hotelsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    try {
+        const hotel = await hotelsCollection.findOneAndDelete({ _id: req.params.id });
+        if (!hotel) {
+            return res.status(404).json({ error: 'Hotel not found' });
+        }
+        
+        const { modifiedCount: competitorSets } = await hotelsCollection.updateMany(
+            { competitorSet: hotel._id },
+            { $pull: { competitorSet: hotel._id }, $set: { updatedAt: new Date(), updatedBy: req.user.username } }
+        );
+        
+        console.log(`🏨 ${req.user.username} removed ${hotel.name} from the registry (${competitorSets} competitor sets)`);
+        res.json({ success: true, deleted: hotel._id, competitorSets });
+        
+    } catch (error) {
+        console.error('Hotel delete error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * List every hotel seen in a market
+ * GET /api/hotel-registry?market=mackinaw-city
+ */
+app.get('/api/hotel-registry', requireAuth, requirePermission('rates:read'), async (req, res) => {
+    if (!hotelsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    try {
+        const hotels = await hotelsCollection.find({ market: market._id }).sort({ name: 1 }).toArray();
+        res.json({ success: true, classifications: HOTEL_CLASSIFICATIONS, hotels: hotels.map(toPublicHotel) });
+    } catch (error) {
+        console.error('Hotel registry error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// CREDIT BUDGET
+// ============================================
+
+// One provider search = one credit (the mock is free). Usage is kept per market day in
+// credit_usage: { _id: "2026-07-04", month: "2026-07", total, sources: { manual: 3, ... } }
+const CREDIT_SOURCES = ['manual', 'auto_refresh', 'schedule'];
+
+// Used until an admin saves a budget. null budgets mean "no limit
+// beyond the quota"
+const DEFAULT_CREDIT_BUDGET = {
+    monthlyQuota: parseInt(process.env.CREDIT_MONTHLY_QUOTA, 10) || 100,
+    monthlyBudget: parseInt(process.env.CREDIT_MONTHLY_BUDGET, 10) || null,
+    dailyBudget: parseInt(process.env.CREDIT_DAILY_BUDGET, 10) || null
+};
+
+/**
+ * Load the credit quota and budgets (falls back to DEFAULT_CREDIT_BUDGET)
+ */
+async function getCreditBudget() {
+    if (!settingsCollection) return { ...DEFAULT_CREDIT_BUDGET };
+    
+    const saved = await settingsCollection.findOne({ _id: 'credits' });
+    if (!saved) return { ...DEFAULT_CREDIT_BUDGET };
+    
+    return {
+        monthlyQuota: saved.monthlyQuota,
+        monthlyBudget: saved.monthlyBudget ?? null,
+        dailyBudget: saved.dailyBudget ?? null,
+        updatedAt: saved.updatedAt,
+        updatedBy: saved.updatedBy
+    };
+}
+
+/**
+ * Validate a credit budget, returns a list of problems
+ */
+function validateCreditBudget({ monthlyQuota, monthlyBudget, dailyBudget }) {
+    const problems = [];
+    const isCount = (value) => Number.isInteger(value) && value >= 0;
+    
+    if (!isCount(monthlyQuota)) problems.push('monthlyQuota must be a whole number');
+    if (monthlyBudget !== null && !isCount(monthlyBudget)) problems.push('monthlyBudget must be a whole number or null');
+    if (dailyBudget !== null && !isCount(dailyBudget)) problems.push('dailyBudget must be a whole number or null');
+    
+    return problems;
+}
+
+/**
+ * Credits used today and this month (market timezone), with breakdowns
+ */
+async function getCreditUsage() {
+    const today = todayInMarket();
+    const month = today.slice(0, 7);
+    const usage = {
+        today,
+        month,
+        usedToday: 0,
+        usedThisMonth: 0,
+        byDay: [],
+        bySource: Object.fromEntries(CREDIT_SOURCES.map(source => [source, 0]))
+    };
+    
+    if (!creditUsageCollection) return usage;
+    
+    const days = await creditUsageCollection.find({ month }).sort({ _id: 1 }).toArray();
+    
+    days.forEach(day => {
+        usage.usedThisMonth += day.total;
+        if (day._id === today) usage.usedToday = day.total;
+        usage.byDay.push({ date: day._id, total: day.total, sources: day.sources || {} });
+        Object.entries(day.sources || {}).forEach(([source, count]) => {
+            usage.bySource[source] = (usage.bySource[source] || 0) + count;
+        });
+    });
+    
+    return usage;
+}
+
+/**
+ * What is left today and this month, and the smaller of the two
+ */
+function creditLimits(budget, usage) {
+    const monthlyCap = budget.monthlyBudget === null 
+        ? budget.monthlyQuota 
+        : Math.min(budget.monthlyBudget, budget.monthlyQuota);
+    const remainingThisMonth = Math.max(0, monthlyCap - usage.usedThisMonth);
+    const remainingToday = budget.dailyBudget === null 
+        ? null 
+        : Math.max(0, budget.dailyBudget - usage.usedToday);
+    
+    return {
+        remainingThisMonth,
+        remainingToday,
+        available: remainingToday === null ? remainingThisMonth : Math.min(remainingToday, remainingThisMonth)
+    };
+}
+
+/**
+ * Check whether `credits` more searches fit in the budgets
+ * Returns null when they do, or { error, available } when they don't
+ */
+async function checkCreditBudget(credits) {
+    const budget = await getCreditBudget();
+    const usage = await getCreditUsage();
+    const limits = creditLimits(budget, usage);
+    
+    if (credits <= limits.available) return null;
+    
+    const reason = limits.remainingToday !== null && limits.remainingToday < limits.remainingThisMonth
+        ? `Daily credit budget reached (${usage.usedToday}/${budget.dailyBudget} used today)`
+        : `Monthly credit budget reached (${usage.usedThisMonth} used in ${usage.month})`;
+    
+    return {
+        error: `${reason} - ${credits} needed, ${limits.available} available`,
+        available: limits.available
+    };
+}
+
+/**
+ * Count searches against today's usage
+ */
+async function recordCreditUsage(source, credits) {
+    if (!creditUsageCollection || credits <= 0) return;
+    
+    const today = todayInMarket();
+    await creditUsageCollection.updateOne(
+        { _id: today },
+        { 
+            $set: { month: today.slice(0, 7), updatedAt: new Date() },
+            $inc: { total: credits, [`sources.${source}`]: credits }
+        },
+        { upsert: true }
+    );
+}
+
+// ============================================
+// AUTO-REFRESH JOBS (for daily cron job)
+// ============================================
+
+// Refresh runs are stored in the `jobs` collection. Only one may run at a
+// time: the runner holds the "refresh" lock in `locks` and renews it with a
+// heartbeat after every batch. A lock whose heartbeat is older than
+// JOB_TIMEOUT_MS belongs to a crashed or stuck run and can be taken over.
+const JOB_TIMEOUT_MS = 10 * 60 * 1000;
+const REFRESH_LOCK_ID = 'refresh';
+
+// Process dates in batches to avoid rate limiting
+const BATCH_SIZE = 5;
+const DELAY_BETWEEN_BATCHES = 2000; // 2 seconds
+
+// Give up on a single provider search after this long
+const FETCH_TIMEOUT_MS = 30 * 1000;
+
+/**
+ * Middleware: allow a full refresh either for a cron job that knows
+ * REFRESH_SECRET (?key=...) or for a logged-in admin
+ */
+function requireRefreshAccess(req, res, next) {
+    const secretKey = process.env.REFRESH_SECRET;
+    
+    if (secretKey && req.query.key === secretKey) {
+        req.user = { username: 'cron', role: 'system', permissions: ['refresh:run'] };
+        return next();
+    }
+    
+    requireAuth(req, res, () => requirePermission('refresh:run')(req, res, next));
+}
+
+/**
+ * Take the refresh lock for a job
+ * Returns true if the lock was free (or stale) and is now held by jobId
+ */
+async function acquireRefreshLock(jobId) {
+    const now = new Date();
+    const staleBefore = new Date(now.getTime() - JOB_TIMEOUT_MS);
+    
+    const previous = await locksCollection.findOne({ _id: REFRESH_LOCK_ID });
+    
+    try {
+        // Matches only when the lock is free or stale; otherwise the
+        // upsert collides on _id and throws a duplicate key error
+        await locksCollection.updateOne(
+            { 
+                _id: REFRESH_LOCK_ID, 
+                $or: [{ jobId: null }, { heartbeatAt: { $lt: staleBefore } }] 
+            },
+            { $set: { jobId, acquiredAt: now, heartbeatAt: now } },
+            { upsert: true }
+        );
+    } catch (error) {
+        if (error.code === 11000) return false;
+        throw error;
+    }
+    
+    // Taking over a stale lock: mark the abandoned job as timed out
+    if (previous?.jobId && !previous.jobId.equals(jobId)) {
+        await markJobTimedOut(previous.jobId);
+    }
+    
+    return true;
+}
+
+/**
+ * Renew the lock's heartbeat
+ * Returns false if another job has taken the lock over (we timed out)
+ */
+async function renewRefreshLock(jobId) {
+    const result = await locksCollection.updateOne(
+        { _id: REFRESH_LOCK_ID, jobId },
+        { $set: { heartbeatAt: new Date() } }
+    );
+    return result.matchedCount > 0;
+}
+
+/**
+ * Release the lock if this job still holds it
+ */
+async function releaseRefreshLock(jobId) {
+    await locksCollection.updateOne(
+        { _id: REFRESH_LOCK_ID, jobId },
+        { $set: { jobId: null, releasedAt: new Date() } }
+    );
+}
+
+/**
+ * Mark a job that stopped sending heartbeats as timed out
+ */
+async function markJobTimedOut(jobId) {
+    const result = await jobsCollection.updateOne(
+        { _id: jobId, status: { $in: ['queued', 'running'] } },
+        { $set: { 
+            status: 'timed_out', 
+            error: `No progress for ${JOB_TIMEOUT_MS / 60000} minutes`,
+            finishedAt: new Date() 
+        } }
+    );
+    if (result.modifiedCount > 0) {
+        console.log(`⏱️ Job ${jobId} timed out`);
+    }
+}
+
+/**
+ * Jobs left running by a previous process can never finish:
+ * mark them failed and free the lock on startup
+ */
+async function recoverInterruptedJobs() {
+    const result = await jobsCollection.updateMany(
+        { status: { $in: ['queued', 'running'] } },
+        { $set: { status: 'failed', error: 'Server restarted during the run', finishedAt: new Date() } }
+    );
+    await locksCollection.updateOne(
+        { _id: REFRESH_LOCK_ID },
+        { $set: { jobId: null, releasedAt: new Date() } }
+    );
+    if (result.modifiedCount > 0) {
+        console.log(`⚠️ Marked ${result.modifiedCount} interrupted job(s) as failed`);
+    }
+}
+
+/**
+ * Fetch one date for a stay profile in a market and store it (same logic as POST /api/rates)
+ * Returns { success, hotels, creditsUsed, observation } or { success: false, error, creditsUsed }
+ * (observation is what alert rules are checked against)
+ */
+async function fetchAndStoreDate(dateStr, profile, market, source) {
+    const creditsUsed = rateProvider.creditsPerSearch;
+    
+    try {
+        const result = await searchRates({
+            checkin: dateStr,
+            profile,
+            market,
+            source,
+            signal: AbortSignal.timeout(FETCH_TIMEOUT_MS)
+        });
+        const hotels = await resolveHotels(result.hotels, market);
+        
+        // Save to database (same logic as POST /api/rates)
+        const timestamp = new Date().toISOString();
+        const key = { market: market._id, date: dateStr, stayProfile: profile.id };
+        
+        // Upsert current data, then record what changed against the rates it replaced
+        const existing = await ratesCollection.findOneAndUpdate(
+            key,
+            { 
+                $set: { 
+                    market: market._id,
+                    date: dateStr,
+                    ...stayProfileFields(profile),
+                    hotels: hotels,
+                    timestamp: timestamp,
+                    hotelCount: hotels.length,
+                    updatedAt: new Date()
+                }
+            },
+            { upsert: true, returnDocument: 'before' }
+        );
+        await recordRateChanges(key, existing, hotels, timestamp);
+        
+        return { 
+            success: true, hotels: hotels.length, creditsUsed,
+            observation: { date: dateStr, stayProfile: profile.id, previous: existing?.hotels || null, hotels }
+        };
+        
+    } catch (error) {
+        return { success: false, error: error.message, creditsUsed };
+    }
+}
+
+/**
+ * Every date/profile pair a refresh fetches (one search each),
+ * skipping arrival days a profile isn't shopped for
+ */
+function refreshTasks(dates, profiles) {
+    return profiles.flatMap(profile => 
+        dates.filter(date => isArrivalDay(profile, date)).map(date => ({ date, profile }))
+    );
+}
+
+/**
+ * Run a refresh job in the background, recording progress on the job
+ * Resolves to the final status: 'completed', 'failed' or 'timed_out'
+ */
+async function runRefreshJob(job) {
+    const jobId = job._id;
+    const tasks = refreshTasks(job.dates, (job.stayProfiles || [DEFAULT_STAY_PROFILE]).map(id => getStayProfile(id)));
+    const market = getMarket(job.market);
+    const startTime = Date.now();
+    let succeeded = 0;
+    let failed = 0;
+    let creditsUsed = 0;
+    const hotelsPerDay = [];
+    const observations = [];
+    const creditSource = job.scheduleId ? 'schedule' : 'auto_refresh';
+    
+    console.log(`🔄 AUTO-REFRESH STARTED: job ${jobId} in ${market.name} by ${job.requestedBy}`);
+    console.log(`📅 Fetching ${tasks.length} date/profile pairs (${job.from} to ${job.to}, ${job.stayProfiles.join(', ')})`);
+    
+    await jobsCollection.updateOne(
+        { _id: jobId },
+        { $set: { status: 'running', startedAt: new Date() } }
+    );
+    
+    try {
+        for (let i = 0; i < tasks.length; i += BATCH_SIZE) {
+            const batch = tasks.slice(i, i + BATCH_SIZE);
+            const batchNum = Math.floor(i / BATCH_SIZE) + 1;
+            const totalBatches = Math.ceil(tasks.length / BATCH_SIZE);
+            
+            // Stop if the lock was taken over (this run was declared stuck)
+            if (!(await renewRefreshLock(jobId))) {
+                console.log(`⚠️ Job ${jobId} lost its lock - stopping`);
+                return 'timed_out';
+            }
+            
+            // Stop if this batch would go over budget (manual fetches
+            // may have spent credits since the job started)
+            const overBudget = await checkCreditBudget(batch.length * rateProvider.creditsPerSearch);
+            if (overBudget) {
+                throw new Error(overBudget.error);
+            }
+            
+            console.log(`   Batch ${batchNum}/${totalBatches}: ${batch[0].date} to ${batch[batch.length - 1].date}`);
+            
+            await jobsCollection.updateOne(
+                { _id: jobId },
+                { $set: { currentDate: batch[0].date } }
+            );
+            
+            // Process batch in parallel
+            const batchResults = await Promise.all(batch.map(task => 
+                fetchAndStoreDate(task.date, task.profile, market, creditSource)
+            ));
+            
+            const dateResults = batchResults.map((result, idx) => {
+                const { date, profile } = batch[idx];
+                creditsUsed += result.creditsUsed;
+                if (result.success) {
+                    succeeded++;
+                    hotelsPerDay.push(result.hotels);
+                    observations.push(result.observation);
+                    return { date, stayProfile: profile.id, status: 'success', hotels: result.hotels };
+                }
+                failed++;
+                return { date, stayProfile: profile.id, status: 'failed', error: result.error };
+            });
+            
+            const completed = Math.min(i + BATCH_SIZE, tasks.length);
+            await jobsCollection.updateOne(
+                { _id: jobId },
+                { 
+                    $set: { 
+                        'progress.completed': completed,
+                        'progress.succeeded': succeeded,
+                        'progress.failed': failed,
+                        'progress.percentage': Math.round((completed / tasks.length) * 100),
+                        creditsUsed,
+                        heartbeatAt: new Date()
+                    },
+                    $push: { results: { $each: dateResults } }
+                }
+            );
+            
+            // Delay between batches (except for last batch)
+            if (i + BATCH_SIZE < tasks.length) {
+                await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_BATCHES));
+            }
+        }
+        
+        const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+        const avgHotels = hotelsPerDay.length > 0 
+            ? Math.round(hotelsPerDay.reduce((a, b) => a + b, 0) / hotelsPerDay.length)
+            : 0;
+        
+        await jobsCollection.updateOne(
+            { _id: jobId },
+            { $set: { 
+                status: 'completed', 
+                currentDate: null,
+                finishedAt: new Date(), 
+                durationSeconds: parseFloat(duration),
+                avgHotels
+            } }
+        );
+        
+        console.log('✅ AUTO-REFRESH COMPLETE:');
+        console.log(`   Duration: ${duration}s`);
+        console.log(`   Success: ${succeeded}/${tasks.length}`);
+        console.log(`   Failed: ${failed}`);
+        console.log(`   Avg hotels/day: ${avgHotels}`);
+        
+        return 'completed';
+        
+    } catch (error) {
+        console.error(`❌ AUTO-REFRESH FAILED: job ${jobId}:`, error.message);
+        await jobsCollection.updateOne(
+            { _id: jobId },
+            { $set: { status: 'failed', error: error.message, finishedAt: new Date() } }
+        ).catch(() => {});
+        
+        return 'failed';
+        
+    } finally {
+        // Always release the lock, even if the run threw
+        await releaseRefreshLock(jobId).catch(err => 
+            console.error('Lock release error:', err.message)
+        );
+        // Whatever was saved is checked against the alert rules in one go
+        checkAlertRules(market, observations);
+    }
+}
+
+/**
+ * Create a refresh job and start it in the background
+ * Used by GET /api/auto-refresh and by the scheduler
+ * 
+ * Returns { job, done } where done resolves to the final status,
+ * or { status, error } when the job can't start (bad window, busy, ...)
+ */
+async function startRefreshJob({ query = {}, requestedBy, scheduleId = null }) {
+    if (!rateProvider.isConfigured()) {
+        return { status: 500, error: `${rateProvider.label} is not configured` };
+    }
+    
+    if (!ratesCollection || !jobsCollection) {
+        return { status: 503, error: 'Database not available' };
+    }
+    
+    const market = getMarket(query.market);
+    
+    if (!market) {
+        return { status: 400, error: `Unknown market: ${query.market}` };
+    }
+    
+    const refreshWindow = resolveRefreshWindow(query, getSeason(market), market.timezone);
+    
+    if (refreshWindow.error) {
+        return { status: 400, error: refreshWindow.error };
+    }
+    
+    const stayProfiles = parseStayProfiles(query.profiles);
+    
+    if (stayProfiles.error) {
+        return { status: 400, error: stayProfiles.error };
+    }
+    
+    const tasks = refreshTasks(refreshWindow.dates, stayProfiles.profiles);
+    
+    if (tasks.length === 0) {
+        return { status: 400, error: 'No arrival dates for these stay profiles in the refresh window' };
+    }
+    
+    const overBudget = await checkCreditBudget(tasks.length * rateProvider.creditsPerSearch);
+    if (overBudget) {
+        console.log(`💳 AUTO-REFRESH REFUSED: ${overBudget.error}`);
+        return { status: 429, ...overBudget, budgetExceeded: true };
+    }
+    
+    const job = {
+        _id: new ObjectId(),
+        type: 'refresh',
+        status: 'queued',
+        market: market._id,
+        from: refreshWindow.from,
+        to: refreshWindow.to,
+        dates: refreshWindow.dates,
+        stayProfiles: stayProfiles.profiles.map(profile => profile.id),
+        progress: {
+            total: tasks.length,
+            completed: 0,
+            succeeded: 0,
+            failed: 0,
+            percentage: 0
+        },
+        results: [],
+        creditsUsed: 0,
+        requestedBy,
+        scheduleId,
+        createdAt: new Date()
+    };
+    
+    // LOCK: Prevent multiple simultaneous refreshes
+    if (!(await acquireRefreshLock(job._id))) {
+        const lock = await locksCollection.findOne({ _id: REFRESH_LOCK_ID });
+        console.log('⚠️ AUTO-REFRESH BLOCKED: Already in progress (job', lock?.jobId, ')');
+        return { 
+            status: 429, 
+            error: 'Refresh already in progress',
+            runningJobId: lock?.jobId,
+            startedAt: lock?.acquiredAt
+        };
+    }
+    
+    try {
+        await jobsCollection.insertOne(job);
+    } catch (error) {
+        await releaseRefreshLock(job._id);
+        throw error;
+    }
+    
+    // Run in the background - callers don't wait for it
+    const done = runRefreshJob(job).then(async status => {
+        await auditRefreshJob(job._id, status).catch(error => console.error('Audit log error:', error.message));
+        return status;
+    });
+    
+    return { job, done };
+}
+
+/**
+ * Start a refresh job for all dates in a market's season (see GET /api/season)
+ * GET /api/auto-refresh?key=YOUR_SECRET_KEY (cron job)
+ * GET /api/auto-refresh with an admin session token
+ * 
+ * Optional overrides: ?from=2026-07-01&to=2026-07-31 or ?days=14
+ * Stay profiles: ?profiles=2a0c1n,2a2c1n (default 2a0c1n)
+ * Market: ?market=cheboygan (default mackinaw-city)
+ * 
+ * Returns right away with a job id (202). Poll GET /api/jobs/:id
+ * for progress. Designed to be called by a cron job.
+ */
+app.get('/api/auto-refresh', requireRefreshAccess, async (req, res) => {
+    try {
+        const started = await startRefreshJob({
+            query: req.query,
+            requestedBy: req.user.username
+        });
+        
+        if (started.error) {
+            return res.status(started.status).json({
+                ok: false,
+                error: started.error,
+                msg: started.error,
+                jobId: started.runningJobId,
+                startedAt: started.startedAt,
+                budgetExceeded: started.budgetExceeded,
+                available: started.available
+            });
+        }
+        
+        const { job } = started;
+        
+        // Keep response small for cron services with size limits
+        res.status(202).json({
+            ok: true,
+            msg: 'Refresh started',
+            jobId: job._id,
+            market: job.market,
+            from: job.from,
+            to: job.to,
+            total: job.progress.total,
+            stayProfiles: job.stayProfiles
+        });
+        
+    } catch (error) {
+        console.error('Auto-refresh start error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Read the optional market and stayProfile filters of a status request
+ * Returns { filter } or { error }
+ */
+function refreshScopeFilter(query) {
+    const filter = {};
+    if (query.market !== undefined) {
+        const market = typeof query.market === 'string' && getMarket(query.market);
+        if (!market) return { error: `Unknown market: ${query.market}` };
+        filter.market = market._id;
+    }
+    if (query.stayProfile !== undefined) {
+        const profile = typeof query.stayProfile === 'string' && getStayProfile(query.stayProfile);
+        if (!profile) return { error: `Unknown stay profile: ${query.stayProfile}` };
+        filter.stayProfile = profile.id;
+    }
+    return { filter };
+}
+
+/**
+ * List recent jobs (newest first, without per-date results)
+ * GET /api/jobs?status=running&limit=10&market=mackinaw-city&stayProfile=2a0c1n
+ * 
+ * market and stayProfile keep the jobs that refreshed that market or profile
+ */
+app.get('/api/jobs', requireAuth, requirePermission('rates:read'), async (req, res) => {
+    if (!jobsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const { status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 10, 100);
+    const scope = refreshScopeFilter(req.query);
+    if (scope.error) {
+        return res.status(400).json({ error: scope.error });
+    }
+    
+    try {
+        const { stayProfile, ...filter } = scope.filter;
+        const query = {
+            ...(typeof status === 'string' ? { status } : {}),
+            ...filter,
+            ...(stayProfile ? { stayProfiles: stayProfile } : {})
+        };
+        const jobs = await jobsCollection
+            .find(query, { projection: { dates: 0, results: 0 } })
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .toArray();
+        
+        res.json({ success: true, jobs });
+        
+    } catch (error) {
+        console.error('Jobs fetch error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Get a job's progress, per-date results, failures and credits used
+ * GET /api/jobs/:id
+ */
+app.get('/api/jobs/:id', requireAuth, requirePermission('rates:read'), async (req, res) => {
+    if (!jobsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid job id' });
+    }
+    
+    try {
+        const jobId = new ObjectId(req.params.id);
+        let job = await jobsCollection.findOne({ _id: jobId }, { projection: { dates: 0 } });
+        
+        if (!job) {
+            return res.status(404).json({ error: 'Job not found' });
+        }
+        
+        // A running job that stopped sending heartbeats is reported (and
+        // recorded) as timed out, and its lock is freed for the next run
+        const lastBeat = job.heartbeatAt || job.startedAt || job.createdAt;
+        if (job.status === 'running' && Date.now() - new Date(lastBeat).getTime() > JOB_TIMEOUT_MS) {
+            await markJobTimedOut(jobId);
+            await releaseRefreshLock(jobId);
+            job = await jobsCollection.findOne({ _id: jobId }, { projection: { dates: 0 } });
+        }
+        
+        res.json({
+            success: true,
+            job: {
+                ...job,
+                failures: (job.results || []).filter(r => r.status === 'failed')
+            }
+        });
+        
+    } catch (error) {
+        console.error('Job fetch error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// SCHEDULER (replaces the external cron job)
+// ============================================
+
+// Schedules live in the `schedules` collection. Every minute the scheduler
+// starts a refresh job for each active schedule whose nextRunAt has passed.
+// Example schedules:
+//   { window: { type: 'next_days', days: 14 }, cadence: { type: 'interval', hours: 6 } }
+//   { window: { type: 'rest_of_season' },      cadence: { type: 'daily', time: '03:00' } }
+const SCHEDULER_TICK_MS = 60 * 1000;
+
+// When another refresh holds the lock, try the schedule again this much later
+const SCHEDULE_RETRY_MS = 5 * 60 * 1000;
+
+const SCHEDULE_WINDOW_TYPES = ['next_days', 'rest_of_season', 'season'];
+const SCHEDULE_CADENCE_TYPES = ['interval', 'daily'];
+
+let schedulerTimer = null;
+
+/**
+ * Offset (ms) between UTC and a timezone at a given instant
+ */
+function getTimezoneOffsetMs(date, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric', month: '2-digit', day: '2-digit',
+        hour: '2-digit', minute: '2-digit', second: '2-digit'
+    }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+    
+    const asUTC = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+    return asUTC - Math.floor(date.getTime() / 1000) * 1000;
+}
+
+/**
+ * When a schedule should next run, after `after`
+ */
+function computeNextRun(schedule, after = new Date()) {
+    const { cadence } = schedule;
+    
+    if (cadence.type === 'interval') {
+        return new Date(after.getTime() + cadence.hours * 60 * 60 * 1000);
+    }
+    
+    // Daily at HH:MM in the schedule's timezone (DST-safe)
+    const timeZone = schedule.timezone || MARKET_TIMEZONE;
+    const [hour, minute] = cadence.time.split(':').map(Number);
+    let day = after.toLocaleDateString('en-CA', { timeZone });
+    
+    for (let i = 0; i < 3; i++) {
+        const [y, m, d] = day.split('-').map(Number);
+        const wallClock = Date.UTC(y, m - 1, d, hour, minute);
+        // Second pass uses the offset at the guessed instant (DST change days)
+        const guess = wallClock - getTimezoneOffsetMs(new Date(wallClock), timeZone);
+        const candidate = new Date(wallClock - getTimezoneOffsetMs(new Date(guess), timeZone));
+        if (candidate > after) return candidate;
+        day = addDays(day, 1);
+    }
+    return new Date(after.getTime() + 24 * 60 * 60 * 1000);
+}
+
+/**
+ * Turn a schedule's window into /api/auto-refresh style query params
+ */
+function scheduleWindowQuery(schedule, market) {
+    const { window } = schedule;
+    const season = getSeason(market);
+    const scope = { profiles: (schedule.stayProfiles || [DEFAULT_STAY_PROFILE]).join(','), market: market._id };
+    
+    if (window.type === 'next_days') {
+        return { days: String(window.days), ...scope };
+    }
+    if (window.type === 'rest_of_season') {
+        const today = todayInMarket(market.timezone);
+        return { from: today > season.startDate ? today : season.startDate, to: season.endDate, ...scope };
+    }
+    return { from: season.startDate, to: season.endDate, ...scope };
+}
+
+/**
+ * Validate a schedule body, returns a list of problems
+ */
+function validateSchedule({ name, window, cadence, stayProfiles, market }) {
+    const problems = [];
+    
+    if (!name || typeof name !== 'string' || name.length > 80) {
+        problems.push('name is required (max 80 characters)');
+    }
+    
+    if (!window || !SCHEDULE_WINDOW_TYPES.includes(window.type)) {
+        problems.push(`window.type must be one of: ${SCHEDULE_WINDOW_TYPES.join(', ')}`);
+    } else if (window.type === 'next_days' && 
+        (!Number.isInteger(window.days) || window.days < 1 || window.days > MAX_REFRESH_DAYS)) {
+        problems.push(`window.days must be a whole number from 1 to ${MAX_REFRESH_DAYS}`);
+    }
+    
+    if (!cadence || !SCHEDULE_CADENCE_TYPES.includes(cadence.type)) {
+        problems.push(`cadence.type must be one of: ${SCHEDULE_CADENCE_TYPES.join(', ')}`);
+    } else if (cadence.type === 'interval' && 
+        (!Number.isInteger(cadence.hours) || cadence.hours < 1 || cadence.hours > 168)) {
+        problems.push('cadence.hours must be a whole number from 1 to 168');
+    } else if (cadence.type === 'daily' && 
+        !/^([01]\d|2[0-3]):[0-5]\d$/.test(cadence.time || '')) {
+        problems.push('cadence.time must be HH:MM (24-hour)');
+    }
+    
+    if (stayProfiles !== undefined && (!Array.isArray(stayProfiles) || stayProfiles.length === 0 || 
+        stayProfiles.some(id => !getStayProfile(id)))) {
+        problems.push(`stayProfiles must be a list of: ${STAY_PROFILES.map(profile => profile.id).join(', ')}`);
+    }
+    
+    if (!getMarket(market)) {
+        problems.push(`Unknown market: ${market}`);
+    }
+    
+    return problems;
+}
+
+/**
+ * Run one schedule: start its job and record how it went
+ */
+async function runSchedule(schedule) {
+    const now = new Date();
+    const market = getMarket(schedule.market);
+    if (!market) {
+        console.log(`⏰ Schedule "${schedule.name}" failed: market ${schedule.market} no longer exists`);
+        await schedulesCollection.updateOne(
+            { _id: schedule._id },
+            { $set: { lastRunAt: now, lastRunStatus: 'failed', lastError: `Unknown market: ${schedule.market}` } }
+        );
+        return;
+    }
+    
+    const started = await startRefreshJob({
+        query: scheduleWindowQuery(schedule, market),
+        requestedBy: `schedule:${schedule.name}`,
+        scheduleId: schedule._id
+    });
+    
+    if (started.error) {
+        // Over budget is skipped like busy, but waits for the next regular run
+        const busy = started.status === 429 && !started.budgetExceeded;
+        const outcome = busy ? 'deferred' : started.budgetExceeded ? 'skipped' : 'failed';
+        console.log(`⏰ Schedule "${schedule.name}" ${outcome}: ${started.error}`);
+        await schedulesCollection.updateOne(
+            { _id: schedule._id },
+            { $set: {
+                lastRunAt: now,
+                lastRunStatus: busy || started.budgetExceeded ? 'skipped' : 'failed',
+                lastError: started.error,
+                // Busy: try again shortly instead of waiting a full cycle
+                ...(busy ? { nextRunAt: new Date(now.getTime() + SCHEDULE_RETRY_MS) } : {})
+            } }
+        );
+        return;
+    }
+    
+    console.log(`⏰ Schedule "${schedule.name}" started job ${started.job._id}`);
+    await schedulesCollection.updateOne(
+        { _id: schedule._id },
+        { $set: { lastRunAt: now, lastRunStatus: 'running', lastJobId: started.job._id, lastError: null } }
+    );
+    
+    const finalStatus = await started.done;
+    await schedulesCollection.updateOne(
+        { _id: schedule._id, lastJobId: started.job._id },
+        { $set: {
+            lastRunStatus: finalStatus === 'completed' ? 'success' : 'failed',
+            lastFinishedAt: new Date(),
+            lastError: finalStatus === 'completed' ? null : `Job ${finalStatus}`
+        } }
+    );
+}
+
+/**
+ * Scheduler tick: claim every due schedule and run it
+ */
+async function runDueSchedules() {
+    if (!schedulesCollection) return;
+    
+    const now = new Date();
+    const due = await schedulesCollection
+        .find({ paused: false, nextRunAt: { $lte: now } })
+        .sort({ nextRunAt: 1 })
+        .toArray();
+    
+    for (const schedule of due) {
+        // Claim it by moving nextRunAt forward (skips it if another tick got there first)
+        const claimed = await schedulesCollection.updateOne(
+            { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+            { $set: { nextRunAt: computeNextRun(schedule, now) } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+        
+        // Jobs run one at a time (refresh lock); the rest retry later
+        runSchedule(schedule).catch(error => 
+            console.error(`Schedule "${schedule.name}" error:`, error.message)
+        );
+    }
+}
+
+/**
+ * Start the in-process scheduler (set SCHEDULER_ENABLED=false to turn off)
+ */
+function startScheduler() {
+    if (process.env.SCHEDULER_ENABLED === 'false') {
+        console.log('⏰ Scheduler disabled (SCHEDULER_ENABLED=false)');
+        return;
+    }
+    if (!schedulesCollection) return;
+    
+    schedulerTimer = setInterval(() => {
+        runDueSchedules().catch(error => console.error('Scheduler error:', error.message));
+        sendDueDigests().catch(error => console.error('Digest error:', error.message));
+    }, SCHEDULER_TICK_MS);
+    console.log(`⏰ Scheduler running (checks every ${SCHEDULER_TICK_MS / 1000}s)`);
+}
+
+/**
+ * List a market's schedules
+ * GET /api/schedules?market=mackinaw-city
+ */
+app.get('/api/schedules', requireAuth, requirePermission('rates:read'), async (req, res) => {
+    if (!schedulesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+    
+    try {
+        const schedules = await schedulesCollection.find({ market: market._id }).sort({ createdAt: 1 }).toArray();
+        res.json({ success: true, schedulerRunning: !!schedulerTimer, schedules });
+        
+    } catch (error) {
+        console.error('Schedules fetch error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Create a schedule (admin only)
+ * POST /api/schedules
+ * Body: { name, window: { type, days? }, cadence: { type, hours? | time? }, stayProfiles?: ["2a0c1n"], market?: "mackinaw-city" }
+ * 
+ * Daily times are in the market's timezone
+ */
+app.post('/api/schedules', requireAuth, requirePermission('schedules:manage'), async (req, res) => {
+    if (!schedulesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const { name, window, cadence, stayProfiles } = req.body;
+    const problems = validateSchedule({ name, window, cadence, stayProfiles, market: req.body.market });
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid schedule', problems });
+    }
+    
+    try {
+        const market = getMarket(req.body.market);
+        const schedule = {
+            name: name.trim(),
+            market: market._id,
+            window: window.type === 'next_days' ? { type: window.type, days: window.days } : { type: window.type },
+            cadence: cadence.type === 'interval' ? { type: cadence.type, hours: cadence.hours } : { type: cadence.type, time: cadence.time },
+            stayProfiles: stayProfiles ? [...new Set(stayProfiles)] : [DEFAULT_STAY_PROFILE],
+            timezone: market.timezone,
+            paused: false,
+            createdBy: req.user.username,
+            createdAt: new Date(),
+            lastRunAt: null,
+            lastRunStatus: null
+        };
+        schedule.nextRunAt = computeNextRun(schedule);
+        
+        const result = await schedulesCollection.insertOne(schedule);
+        console.log(`⏰ ${req.user.username} created schedule "${schedule.name}" (next run ${schedule.nextRunAt.toISOString()})`);
+        res.json({ success: true, schedule: { ...schedule, _id: result.insertedId } });
+        
+    } catch (error) {
+        console.error('Schedule create error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Pause or resume a schedule (admin only)
+ * PATCH /api/schedules/:id
+ * Body: { paused: true | false }
+ */
+app.patch('/api/schedules/:id', requireAuth, requirePermission('schedules:manage'), async (req, res) => {
+    if (!schedulesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid schedule id' });
+    }
+    if (typeof req.body.paused !== 'boolean') {
+        return res.status(400).json({ error: 'paused (true/false) required' });
+    }
+    
+    try {
+        const _id = new ObjectId(req.params.id);
+        const schedule = await schedulesCollection.findOne({ _id });
+        if (!schedule) {
+            return res.status(404).json({ error: 'Schedule not found' });
+        }
+        
+        const update = { paused: req.body.paused };
+        // Resuming picks up from now instead of firing a backlog of missed runs
+        if (!req.body.paused) {
+            update.nextRunAt = computeNextRun(schedule);
+        }
+        
+        await schedulesCollection.updateOne({ _id }, { $set: update });
+        console.log(`⏰ ${req.user.username} ${req.body.paused ? 'paused' : 'resumed'} schedule "${schedule.name}"`);
+        res.json({ success: true, schedule: { ...schedule, ...update } });
+        
+    } catch (error) {
+        console.error('Schedule update error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete a schedule (admin only)
+ * DELETE /api/schedules/:id
+ */
+app.delete('/api/schedules/:id', requireAuth, requirePermission('schedules:manage'), async (req, res) => {
+    if (!schedulesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid schedule id' });
+    }
+    
+    try {
+        const result = await schedulesCollection.deleteOne({ _id: new ObjectId(req.params.id) });
+        res.json({ success: true, deleted: result.deletedCount > 0 });
+        
+    } catch (error) {
+        console.error('Schedule delete error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Auto-refresh status/test endpoint
+ * GET /api/auto-refresh/status?market=mackinaw-city&stayProfile=2a0c1n
+ * 
+ * market and stayProfile are optional: without them every stored date counts
+ */
+app.get('/api/auto-refresh/status', requireAuth, requirePermission('rates:read'), async (req, res) => {
+    if (!ratesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const scope = refreshScopeFilter(req.query);
+    if (scope.error) {
+        return res.status(400).json({ error: scope.error });
+    }
+    
+    try {
+        // Get latest refresh timestamp
+        const latest = await ratesCollection.findOne(scope.filter, { sort: { timestamp: -1 } });
+        const count = await ratesCollection.countDocuments(scope.filter);
+        
+        // Count dates by month
+        const pipeline = [
+            { $match: scope.filter },
+            {
+                $group: {
+                    _id: { $substr: ['$date', 0, 7] },
+                    count: { $sum: 1 }
+                }
+            },
+            { $sort: { _id: 1 } }
+        ];
+        const monthCounts = await ratesCollection.aggregate(pipeline).toArray();
+        
+        res.json({
+            success: true,
+            database: {
+                totalDates: count,
+                lastRefresh: latest?.timestamp || 'Never',
+                byMonth: monthCounts.reduce((acc, m) => {
+                    acc[m._id] = m.count;
+                    return acc;
+                }, {})
+            },
+            endpoint: '/api/auto-refresh',
+            note: 'Call /api/auto-refresh to start a refresh job, then poll /api/jobs/:id'
+        });
+        
+    } catch (error) {
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// EMAIL (SMTP)
+// ============================================
+
+// Emails go out through any SMTP server: SMTP_HOST, SMTP_PORT (587), SMTP_USER,
+// SMTP_PASS and SMTP_FROM (defaults to SMTP_USER). SMTP_SECURE=true uses TLS from
+// the start (port 465); otherwise STARTTLS is used when the server offers it.
+// Email is off until SMTP_HOST is set
+const SMTP_CONFIG = {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS,
+    from: process.env.SMTP_FROM || process.env.SMTP_USER
+};
+
+let mailTransport = null;
+
+/**
+ * Whether emails can be sent
+ */
+function isEmailConfigured() {
+    return !!(SMTP_CONFIG.host && SMTP_CONFIG.from);
+}
+
+/**
+ * Send an email (to is one address or a list)
+ * Throws if SMTP isn't configured or the server refuses the message
+ */
+async function sendEmail({ to, subject, text, html }) {
+    if (!isEmailConfigured()) {
+        throw new Error('Email is not configured (set SMTP_HOST and SMTP_FROM)');
+    }
+    
+    mailTransport = mailTransport || nodemailer.createTransport({
+        host: SMTP_CONFIG.host,
+        port: SMTP_CONFIG.port,
+        secure: SMTP_CONFIG.secure,
+        auth: SMTP_CONFIG.user ? { user: SMTP_CONFIG.user, pass: SMTP_CONFIG.pass } : undefined
+    });
+    await mailTransport.sendMail({ from: SMTP_CONFIG.from, to, subject, text, html });
+}
+
+/**
+ * Escape text for email HTML
+ */
+function escapeHtml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+// ============================================
+// ALERT RULES
+// ============================================
+
+// Rules are checked on the server after every save and refresh, so alerts go out
+// even when nobody has the dashboard open.
+// alert_rules: { market, name, type, stayProfile (null = all), days, threshold, direction,
+//                scope, propertyId, emails: [...], webhookUrl, cooldownHours, paused,
+//                snoozedUntil, lastFiredAt, lastDelivery, createdBy, createdAt }
+// Types:
+//   competitor_below  a competitor of one of our properties is more than threshold
+//                     dollars below it (its competitor set, or every direct competitor)
+//   price_change      a hotel's rate for a date moved threshold percent or more since
+//                     the previous shop (scope: yours | direct | tracked | all)
+//   market_average    the average rate of every listed hotel for a date moved threshold
+//                     percent or more since the previous shop
+// Only arrival dates in the next `days` days count.
+// Alerts that fire are kept in `alerts` under a dedup key (rule, date and hotel or
+// move); the same key stays quiet for cooldownHours. A snoozed rule isn't checked at all
+const ALERT_RULE_TYPES = ['competitor_below', 'price_change', 'market_average'];
+const ALERT_DIRECTIONS = ['up', 'down', 'any'];
+const ALERT_SCOPES = ['yours', 'direct', 'tracked', 'all'];
+const DEFAULT_ALERT_COOLDOWN_HOURS = 24;
+const MAX_ALERT_COOLDOWN_HOURS = 30 * 24;
+const MAX_ALERT_EMAILS = 10;
+const ALERT_RETENTION_DAYS = parseInt(process.env.ALERT_RETENTION_DAYS, 10) || 90;
+const WEBHOOK_TIMEOUT_MS = 10 * 1000;
+
+// Webhooks may not reach the server's own network: loopback, private, link-local
+// (cloud metadata) and unspecified addresses are refused, unless the host is listed
+// in WEBHOOK_ALLOWED_HOSTS (comma-separated, for an internal chat server)
+const WEBHOOK_ALLOWED_HOSTS = (process.env.WEBHOOK_ALLOWED_HOSTS || '')
+    .split(',').map(host => host.trim().toLowerCase()).filter(Boolean);
+const WEBHOOK_BLOCKED_ADDRESSES = new net.BlockList();
+[['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+ ['172.16.0.0', 12], ['192.168.0.0', 16], ['224.0.0.0', 4], ['240.0.0.0', 4]]
+    .forEach(([address, prefix]) => WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv4'));
+[['::', 128], ['::1', 128], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]
+    .forEach(([address, prefix]) => WEBHOOK_BLOCKED_ADDRESSES.addSubnet(address, prefix, 'ipv6'));
+
+// Most alerts listed in one email or webhook message
+const MAX_ALERTS_PER_MESSAGE = 25;
+
+/**
+ * Validate an alert rule, returns a list of problems
+ */
+function validateAlertRule({ name, type, market, stayProfile, days, threshold, direction, scope, propertyId, emails, webhookUrl, cooldownHours }) {
+    const problems = [];
+    
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 80) {
+        problems.push('name is required (max 80 characters)');
+    }
+    if (!ALERT_RULE_TYPES.includes(type)) {
+        problems.push(`type must be one of: ${ALERT_RULE_TYPES.join(', ')}`);
+    }
+    if (!getMarket(market)) {
+        problems.push(`Unknown market: ${market}`);
+    }
+    if (stayProfile != null && !getStayProfile(stayProfile)) {
+        problems.push(`stayProfile must be one of: ${STAY_PROFILES.map(profile => profile.id).join(', ')}`);
+    }
+    if (!Number.isInteger(days) || days < 1 || days > MAX_REFRESH_DAYS) {
+        problems.push(`days must be a whole number from 1 to ${MAX_REFRESH_DAYS}`);
+    }
+    
+    if (type === 'competitor_below') {
+        if (typeof threshold !== 'number' || !(threshold >= 0) || threshold > MAX_RATE_PRICE) {
+            problems.push(`threshold must be a dollar amount from 0 to ${MAX_RATE_PRICE}`);
+        }
+        if (propertyId != null && typeof propertyId !== 'string') {
+            problems.push('propertyId must be a hotel id');
+        }
+    } else if (type) {
+        if (typeof threshold !== 'number' || !(threshold > 0) || threshold > 1000) {
+            problems.push('threshold must be a percentage above 0 (up to 1000)');
+        }
+        if (direction !== undefined && !ALERT_DIRECTIONS.includes(direction)) {
+            problems.push(`direction must be one of: ${ALERT_DIRECTIONS.join(', ')}`);
+        }
+    }
+    if (type === 'price_change' && scope !== undefined && !ALERT_SCOPES.includes(scope)) {
+        problems.push(`scope must be one of: ${ALERT_SCOPES.join(', ')}`);
+    }
+    
+    if (emails !== undefined && (!Array.isArray(emails) || emails.length > MAX_ALERT_EMAILS ||
+        emails.some(email => typeof email !== 'string' || !/^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/.test(email)))) {
+        problems.push(`emails must be a list of up to ${MAX_ALERT_EMAILS} email addresses`);
+    }
+    if (webhookUrl != null && webhookUrl !== '' && 
+        (typeof webhookUrl !== 'string' || !/^https?:\/\/\S+$/.test(webhookUrl))) {
+        problems.push('webhookUrl must be an http(s) URL');
+    }
+    if (cooldownHours !== undefined && 
+        (!Number.isInteger(cooldownHours) || cooldownHours < 0 || cooldownHours > MAX_ALERT_COOLDOWN_HOURS)) {
+        problems.push(`cooldownHours must be a whole number from 0 to ${MAX_ALERT_COOLDOWN_HOURS}`);
+    }
+    
+    return problems;
+}
+
+/**
+ * Check that a webhook URL points at a public host, returns a problem or null
+ * Every address the host resolves to has to be public
+ */
+async function checkWebhookUrl(webhookUrl) {
+    let url;
+    try {
+        url = new URL(webhookUrl);
+    } catch {
+        return 'webhookUrl must be an http(s) URL';
+    }
+    const host = url.hostname.replace(/^\[|\]$/g, '').toLowerCase();
+    if (WEBHOOK_ALLOWED_HOSTS.includes(host)) return null;
+    
+    let addresses;
+    try {
+        addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+    } catch {
+        return `webhookUrl host ${host} could not be resolved`;
+    }
+    const blocked = addresses.some(({ address, family }) => isBlockedWebhookAddress(address, family));
+    return blocked ? `webhookUrl host ${host} is on a private network` : null;
+}
+
+/**
+ * Whether a resolved address is one webhooks may not reach
+ */
+function isBlockedWebhookAddress(address, family) {
+    // IPv4-mapped IPv6 (::ffff:127.0.0.1) is checked as IPv4
+    const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+    return mapped
+        ? WEBHOOK_BLOCKED_ADDRESSES.check(mapped[1], 'ipv4')
+        : WEBHOOK_BLOCKED_ADDRESSES.check(address, family === 6 || family === 'IPv6' ? 'ipv6' : 'ipv4');
+}
+
+/**
+ * dns.lookup for webhook connections: the address checked is the address connected to,
+ * so a host can't pass checkWebhookUrl() and then resolve somewhere private (DNS rebinding)
+ */
+function webhookLookup(hostname, options, callback) {
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+        if (!WEBHOOK_ALLOWED_HOSTS.includes(hostname.toLowerCase()) &&
+            addresses.some(({ address, family }) => isBlockedWebhookAddress(address, family))) {
+            return callback(new Error(`webhookUrl host ${hostname} is on a private network`));
+        }
+        if (options.all) return callback(null, addresses);
+        callback(null, addresses[0].address, addresses[0].family);
+    });
+}
+
+const webhookAgent = new Agent({ connect: { lookup: webhookLookup } });
+
+/**
+ * Format a stay date for alert messages, e.g. "Sat, Jul 18"
+ */
+function formatAlertDate(dateStr) {
+    return new Date(`${dateStr}T00:00:00Z`).toLocaleDateString('en-US', { 
+        weekday: 'short', month: 'short', day: 'numeric', timeZone: 'UTC' 
+    });
+}
+
+/**
+ * Whether a percentage move matches a rule's direction and threshold
+ */
+function matchesMove(rule, changePercent) {
+    if (rule.direction === 'up' && changePercent < 0) return false;
+    if (rule.direction === 'down' && changePercent > 0) return false;
+    return Math.abs(changePercent) >= rule.threshold;
+}
+
+/**
+ * The alerts one rule raises for one saved date
+ * observation: { date, stayProfile, previous: [hotels] | null, hotels: [hotels] }
+ * Returns [{ key, hotelId, message, details }]
+ */
+function evaluateAlertRule(rule, observation, registry) {
+    const { date, previous, hotels } = observation;
+    const priced = list => (list || []).filter(hotel => hotel.price > 0);
+    const current = priced(hotels);
+    
+    if (rule.type === 'competitor_below') {
+        const directIds = registry.filter(hotel => hotel.classification === 'direct').map(hotel => hotel._id);
+        return registry
+            .filter(hotel => hotel.classification === 'yours' && (!rule.propertyId || hotel._id === rule.propertyId))
+            .flatMap(property => {
+                const ours = current.find(hotel => hotel.hotelId === property._id);
+                if (!ours) return [];
+                const competitorIds = property.competitorSet?.length ? property.competitorSet : directIds;
+                
+                return current
+                    .filter(hotel => competitorIds.includes(hotel.hotelId) && ours.price - hotel.price > rule.threshold)
+                    .map(hotel => {
+                        // Prices can have cents, so the difference is rounded to them
+                        const gap = Math.round((ours.price - hotel.price) * 100) / 100;
+                        return {
+                            key: `${date}|${property._id}|${hotel.hotelId}`,
+                            hotelId: hotel.hotelId,
+                            message: `${hotel.name} is $${gap} below ${property.name} ($${hotel.price} vs $${ours.price})`,
+                            details: { propertyId: property._id, price: hotel.price, ourPrice: ours.price, gap }
+                        };
+                    });
+            });
+    }
+    
+    if (!previous) return [];
+    const before = priced(previous);
+    
+    if (rule.type === 'price_change') {
+        const classification = new Map(registry.map(hotel => [hotel._id, hotel.classification]));
+        const previousById = new Map(before.filter(hotel => hotel.hotelId).map(hotel => [hotel.hotelId, hotel]));
+        
+        return current
+            .filter(hotel => rule.scope === 'all' || classification.get(hotel.hotelId) === rule.scope)
+            .flatMap(hotel => {
+                const was = previousById.get(hotel.hotelId);
+                if (!was || was.price === hotel.price) return [];
+                const changePercent = ((hotel.price - was.price) / was.price) * 100;
+                if (!matchesMove(rule, changePercent)) return [];
+                
+                return [{
+                    key: `${date}|${hotel.hotelId}|${hotel.price}`,
+                    hotelId: hotel.hotelId,
+                    message: `${hotel.name} ${changePercent > 0 ? 'raised' : 'dropped'} its rate from $${was.price} to $${hotel.price} (${changePercent > 0 ? '+' : ''}${changePercent.toFixed(0)}%)`,
+                    details: { previousPrice: was.price, price: hotel.price, changePercent: Math.round(changePercent * 10) / 10 }
+                }];
+            });
+    }
+    
+    if (rule.type === 'market_average') {
+        if (current.length === 0 || before.length === 0) return [];
+        const average = list => list.reduce((sum, hotel) => sum + hotel.price, 0) / list.length;
+        const was = average(before);
+        const now = average(current);
+        const changePercent = ((now - was) / was) * 100;
+        if (!matchesMove(rule, changePercent)) return [];
+        
+        const move = changePercent > 0 ? 'up' : 'down';
+        return [{
+            key: `${date}|${move}`,
+            hotelId: null,
+            message: `Market average ${move} ${Math.abs(changePercent).toFixed(0)}% to $${Math.round(now)} (was $${Math.round(was)}, ${current.length} hotels)`,
+            details: { previousAverage: Math.round(was), average: Math.round(now), changePercent: Math.round(changePercent * 10) / 10 }
+        }];
+    }
+    
+    return [];
+}
+
+/**
+ * POST a JSON payload to a webhook
+ * Throws on private hosts, timeouts and non-2xx answers (redirects aren't followed,
+ * they could lead to a private host). Connections go through webhookAgent, which
+ * checks the addresses it connects to again
+ */
+async function postWebhook(url, payload) {
+    const problem = await checkWebhookUrl(url);
+    if (problem) {
+        throw new Error(problem);
+    }
+    const response = await fetchWithAgent(url, {
+        dispatcher: webhookAgent,
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(payload),
+        redirect: 'manual',
+        signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+        throw new Error(`Webhook answered ${response.status}`);
+    }
+}
+
+/**
+ * Send a rule's alerts by email and webhook, one message per channel
+ * The webhook gets Slack-compatible JSON ({ text }) plus the alerts themselves.
+ * Returns { email, webhook }, each 'sent', 'failed: <reason>' or null (not set up)
+ */
+async function deliverAlerts(rule, alerts, { test = false } = {}) {
+    const market = getMarket(rule.market);
+    const subject = test
+        ? `Test alert: ${rule.name}`
+        : `${rule.name}: ${alerts.length} alert${alerts.length === 1 ? '' : 's'} (${market?.name || rule.market})`;
+    const listed = alerts.slice(0, MAX_ALERTS_PER_MESSAGE);
+    const more = alerts.length - listed.length;
+    const lines = listed.map(alert => `${formatAlertDate(alert.date)}: ${alert.message}`);
+    if (more > 0) lines.push(`...and ${more} more`);
+    
+    const delivery = { email: null, webhook: null };
+    
+    if (rule.emails?.length) {
+        try {
+            await sendEmail({
+                to: rule.emails,
+                subject,
+                text: [subject, '', ...lines.map(line => `- ${line}`)].join('\n'),
+                html: `<h3>${escapeHtml(subject)}</h3><ul>${lines.map(line => `<li>${escapeHtml(line)}</li>`).join('')}</ul>`
+            });
+            delivery.email = 'sent';
+        } catch (error) {
+            console.error(`🔔 Alert email for "${rule.name}" failed:`, error.message);
+            delivery.email = `failed: ${error.message}`;
+        }
+    }
+    
+    if (rule.webhookUrl) {
+        try {
+            await postWebhook(rule.webhookUrl, {
+                text: [`*${subject}*`, ...lines.map(line => `• ${line}`)].join('\n'),
+                rule: { id: String(rule._id), name: rule.name, type: rule.type, market: rule.market },
+                test,
+                alerts: alerts.map(({ date, stayProfile, hotelId, message, details }) => ({ date, stayProfile, hotelId, message, details }))
+            });
+            delivery.webhook = 'sent';
+        } catch (error) {
+            console.error(`🔔 Alert webhook for "${rule.name}" failed:`, error.message);
+            delivery.webhook = `failed: ${error.message}`;
+        }
+    }
+    
+    return delivery;
+}
+
+/**
+ * Check a market's rules against freshly saved dates, record and deliver what fires
+ * observations: [{ date, stayProfile, previous: [hotels] | null, hotels: [hotels] }]
+ * Returns the alerts that fired
+ */
+async function runAlertRules(market, observations) {
+    if (!alertRulesCollection || observations.length === 0) return [];
+    
+    const now = new Date();
+    const rules = await alertRulesCollection.find({
+        market: market._id,
+        paused: false,
+        $or: [{ snoozedUntil: null }, { snoozedUntil: { $lte: now } }]
+    }).toArray();
+    if (rules.length === 0) return [];
+    
+    const registry = await hotelsCollection.find({ market: market._id }).toArray();
+    const today = todayInMarket(market.timezone);
+    const fired = [];
+    
+    for (const rule of rules) {
+        const lastDate = addDays(today, rule.days - 1);
+        const raised = new Map();
+        observations
+            .filter(item => (!rule.stayProfile || item.stayProfile === rule.stayProfile) && item.date >= today && item.date <= lastDate)
+            .forEach(item => evaluateAlertRule(rule, item, registry).forEach(alert => {
+                const key = `${item.stayProfile}|${alert.key}`;
+                raised.set(key, { ...alert, key, date: item.date, stayProfile: item.stayProfile });
+            }));
+        if (raised.size === 0) continue;
+        
+        // Dedup: keys that fired within the cooldown stay quiet
+        const quietSince = new Date(now.getTime() - rule.cooldownHours * 60 * 60 * 1000);
+        const recent = new Set(await alertsCollection.distinct('key', {
+            ruleId: rule._id,
+            key: { $in: [...raised.keys()] },
+            firedAt: { $gt: quietSince }
+        }));
+        const alerts = [...raised.values()]
+            .filter(alert => !recent.has(alert.key))
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(alert => ({
+                ...alert,
+                ruleId: rule._id,
+                ruleName: rule.name,
+                type: rule.type,
+                market: market._id,
+                firedAt: now,
+                expiresAt: new Date(now.getTime() + ALERT_RETENTION_DAYS * 24 * 60 * 60 * 1000)
+            }));
+        if (alerts.length === 0) continue;
+        
+        await alertsCollection.insertMany(alerts);
+        const delivery = await deliverAlerts(rule, alerts);
+        await alertsCollection.updateMany({ _id: { $in: alerts.map(alert => alert._id) } }, { $set: { delivery } });
+        await alertRulesCollection.updateOne({ _id: rule._id }, { $set: { lastFiredAt: now, lastDelivery: delivery } });
+        
+        console.log(`🔔 Rule "${rule.name}" fired ${alerts.length} alert(s) in ${market.name}`);
+        fired.push(...alerts);
+    }
+    
+    return fired;
+}
+
+/**
+ * Check alert rules in the background (saves don't wait for delivery)
+ */
+function checkAlertRules(market, observations) {
+    runAlertRules(market, observations).catch(error => 
+        console.error('Alert rules error:', error.message)
+    );
+}
+
+/**
+ * List a market's alert rules (admin only)
+ * GET /api/alerts/rules?market=mackinaw-city
+ */
+app.get('/api/alerts/rules', requireAuth, requirePermission('alerts:manage'), async (req, res) => {
+    if (!alertRulesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+    
+    try {
+        const rules = await alertRulesCollection.find({ market: market._id }).sort({ createdAt: 1 }).toArray();
+        res.json({ success: true, emailConfigured: isEmailConfigured(), rules });
         
-        // Convert to object format { "2026-05-10": {...}, ... }
-        const dates = {};
-        data.forEach(item => {
-            dates[item.date] = {
-                date: item.date,
-                hotels: item.hotels,
-                timestamp: item.timestamp,
-                isDemo: false
-            };
+    } catch (error) {
+        console.error('Alert rules fetch error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Create an alert rule (admin only)
+ * POST /api/alerts/rules
+ * Body: { name, type, market, days, threshold, stayProfile?, direction?, scope?, propertyId?,
+ *         emails?: [...], webhookUrl?, cooldownHours? }
+ */
+app.post('/api/alerts/rules', requireAuth, requirePermission('alerts:manage'), async (req, res) => {
+    if (!alertRulesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const problems = validateAlertRule(req.body);
+    if (problems.length === 0 && req.body.webhookUrl) {
+        const problem = await checkWebhookUrl(req.body.webhookUrl);
+        if (problem) problems.push(problem);
+    }
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid alert rule', problems });
+    }
+    
+    try {
+        const { name, type, days, threshold, stayProfile, direction, scope, propertyId, emails, webhookUrl, cooldownHours } = req.body;
+        const market = getMarket(req.body.market);
+        const rule = {
+            name: name.trim(),
+            market: market._id,
+            type,
+            stayProfile: stayProfile || null,
+            days,
+            threshold,
+            direction: type === 'competitor_below' ? null : direction || 'any',
+            scope: type === 'price_change' ? scope || 'all' : null,
+            propertyId: type === 'competitor_below' ? propertyId || null : null,
+            emails: [...new Set(emails || [])],
+            webhookUrl: webhookUrl || null,
+            cooldownHours: cooldownHours ?? DEFAULT_ALERT_COOLDOWN_HOURS,
+            paused: false,
+            snoozedUntil: null,
+            lastFiredAt: null,
+            lastDelivery: null,
+            createdBy: req.user.username,
+            createdAt: new Date()
+        };
+        
+        const result = await alertRulesCollection.insertOne(rule);
+        console.log(`🔔 ${req.user.username} created alert rule "${rule.name}" (${rule.type}, ${market.name})`);
+        res.json({ success: true, rule: { ...rule, _id: result.insertedId } });
+        
+    } catch (error) {
+        console.error('Alert rule create error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Pause, resume or snooze an alert rule (admin only)
+ * PATCH /api/alerts/rules/:id
+ * Body: { paused?: true | false, snoozeHours?: 24 } (snoozeHours 0 ends a snooze)
+ */
+app.patch('/api/alerts/rules/:id', requireAuth, requirePermission('alerts:manage'), async (req, res) => {
+    if (!alertRulesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid rule id' });
+    }
+    
+    const { paused, snoozeHours } = req.body;
+    const problems = [];
+    if (paused !== undefined && typeof paused !== 'boolean') {
+        problems.push('paused must be true or false');
+    }
+    if (snoozeHours !== undefined && (!Number.isInteger(snoozeHours) || snoozeHours < 0 || snoozeHours > MAX_ALERT_COOLDOWN_HOURS)) {
+        problems.push(`snoozeHours must be a whole number from 0 to ${MAX_ALERT_COOLDOWN_HOURS}`);
+    }
+    if (paused === undefined && snoozeHours === undefined) {
+        problems.push('paused or snoozeHours required');
+    }
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid update', problems });
+    }
+    
+    try {
+        const update = {};
+        if (paused !== undefined) update.paused = paused;
+        if (snoozeHours !== undefined) {
+            update.snoozedUntil = snoozeHours > 0 ? new Date(Date.now() + snoozeHours * 60 * 60 * 1000) : null;
+        }
+        
+        const rule = await alertRulesCollection.findOneAndUpdate(
+            { _id: new ObjectId(req.params.id) },
+            { $set: update },
+            { returnDocument: 'after' }
+        );
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        res.json({ success: true, rule });
+        
+    } catch (error) {
+        console.error('Alert rule update error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Delete an alert rule (admin only). Alerts it already fired stay in the feed
+ * DELETE /api/alerts/rules/:id
+ */
+app.delete('/api/alerts/rules/:id', requireAuth, requirePermission('alerts:manage'), async (req, res) => {
+    if (!alertRulesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid rule id' });
+    }
+    
+    try {
+        const result = await alertRulesCollection.deleteOne({ _id: new ObjectId(req.params.id) });
+        res.json({ success: true, deleted: result.deletedCount > 0 });
+        
+    } catch (error) {
+        console.error('Alert rule delete error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Send a test message through a rule's email and webhook (admin only)
+ * POST /api/alerts/rules/:id/test
+ */
+app.post('/api/alerts/rules/:id/test', requireAuth, requirePermission('alerts:manage'), async (req, res) => {
+    if (!alertRulesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    if (!ObjectId.isValid(req.params.id)) {
+        return res.status(400).json({ error: 'Invalid rule id' });
+    }
+    
+    try {
+        const rule = await alertRulesCollection.findOne({ _id: new ObjectId(req.params.id) });
+        if (!rule) {
+            return res.status(404).json({ error: 'Alert rule not found' });
+        }
+        if (!rule.emails?.length && !rule.webhookUrl) {
+            return res.status(400).json({ error: 'This rule has no email addresses or webhook' });
+        }
+        
+        const sample = {
+            date: todayInMarket(getMarket(rule.market)?.timezone),
+            stayProfile: rule.stayProfile || DEFAULT_STAY_PROFILE,
+            hotelId: null,
+            message: `Test from Mackinaw Intel - "${rule.name}" alerts will look like this`,
+            details: {}
+        };
+        const delivery = await deliverAlerts(rule, [sample], { test: true });
+        res.json({ success: true, delivery });
+        
+    } catch (error) {
+        console.error('Alert rule test error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Alerts fired in a market, newest first
+ * GET /api/alerts?market=mackinaw-city&limit=50&before=<id of the last alert shown>
+ */
+app.get('/api/alerts', requireAuth, requirePermission('rates:read'), async (req, res) => {
+    if (!alertsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+    
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const query = { market: market._id };
+    if (req.query.before) {
+        // Alerts fired together share firedAt, so pages follow ids
+        if (!ObjectId.isValid(req.query.before)) {
+            return res.status(400).json({ error: 'before must be an alert id' });
+        }
+        query._id = { $lt: new ObjectId(req.query.before) };
+    }
+    
+    try {
+        const alerts = await alertsCollection
+            .find(query, { projection: { expiresAt: 0 } })
+            .sort({ _id: -1 })
+            .limit(limit)
+            .toArray();
+        res.json({ success: true, alerts, hasMore: alerts.length === limit });
+        
+    } catch (error) {
+        console.error('Alerts fetch error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// DAILY DIGEST
+// ============================================
+
+// A morning summary emailed to the owner, built from stored rates and change history:
+// our position for the next nights, the biggest competitor moves of the last 24 hours,
+// competitors that are sold out or missing, nights where we're the most expensive and
+// the recommended rate (the competitor average, the dashboard's "Competitive" price).
+// Settings live on the market as market.digest:
+// { enabled, recipients: [...], time: "HH:MM" (market time), days, stayProfile,
+//   nextSendAt, lastSentAt, lastError, updatedAt, updatedBy }
+// The scheduler tick sends digests that are due (SCHEDULER_ENABLED=false stops them too)
+const DEFAULT_DIGEST = { enabled: false, recipients: [], time: '07:00', days: 14, stayProfile: DEFAULT_STAY_PROFILE };
+const MAX_DIGEST_DAYS = 60;
+
+// Most competitor moves listed in a digest
+const DIGEST_TOP_MOVES = 10;
+
+/**
+ * A market's digest settings, with defaults for anything not saved
+ */
+function getDigest(market) {
+    return { ...DEFAULT_DIGEST, ...market.digest };
+}
+
+/**
+ * Validate digest settings, returns a list of problems
+ */
+function validateDigest({ enabled, recipients, time, days, stayProfile }) {
+    const problems = [];
+    
+    if (typeof enabled !== 'boolean') {
+        problems.push('enabled must be true or false');
+    }
+    if (!Array.isArray(recipients) || recipients.length > MAX_ALERT_EMAILS ||
+        recipients.some(email => typeof email !== 'string' || !/^[^\s@,]+@[^\s@,]+\.[^\s@,]+$/.test(email))) {
+        problems.push(`recipients must be a list of up to ${MAX_ALERT_EMAILS} email addresses`);
+    } else if (enabled && recipients.length === 0) {
+        problems.push('recipients are required when the digest is enabled');
+    }
+    if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time || '')) {
+        problems.push('time must be HH:MM (24-hour)');
+    }
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DIGEST_DAYS) {
+        problems.push(`days must be a whole number from 1 to ${MAX_DIGEST_DAYS}`);
+    }
+    if (!getStayProfile(stayProfile)) {
+        problems.push(`stayProfile must be one of: ${STAY_PROFILES.map(profile => profile.id).join(', ')}`);
+    }
+    
+    return problems;
+}
+
+/**
+ * Gather the digest's numbers for a market
+ * Returns { market, stayProfile, generatedAt, from, to, properties: [{ id, name, nights, moves }] }
+ * where each night is { date, ourPrice, competitorAvg, competitorMin, competitorMax, rank, of,
+ * mostExpensive, missing: [names], recommended }
+ */
+async function collectDigestData(market, { days, stayProfile }) {
+    const now = new Date();
+    const from = todayInMarket(market.timezone);
+    const to = addDays(from, days - 1);
+    const profile = getStayProfile(stayProfile);
+    
+    const [registry, rates, events] = await Promise.all([
+        hotelsCollection.find({ market: market._id }).toArray(),
+        ratesCollection
+            .find({ market: market._id, stayProfile: profile.id, date: { $gte: from, $lte: to } })
+            .sort({ date: 1 })
+            .toArray(),
+        changesCollection.find({
+            market: market._id,
+            stayProfile: profile.id,
+            date: { $gte: from },
+            observedAt: { $gte: new Date(now.getTime() - 24 * 60 * 60 * 1000) },
+            oldPrice: { $ne: null },
+            newPrice: { $ne: null }
+        }).toArray()
+    ]);
+    
+    const ratesByDate = new Map(rates.map(doc => [doc.date, doc]));
+    const directIds = registry.filter(hotel => hotel.classification === 'direct').map(hotel => hotel._id);
+    const namesById = new Map(registry.map(hotel => [hotel._id, hotel.name]));
+    const dates = [];
+    for (let date = from; date <= to; date = addDays(date, 1)) {
+        if (isArrivalDay(profile, date)) dates.push(date);
+    }
+    
+    const properties = registry
+        .filter(hotel => hotel.classification === 'yours')
+        .sort((a, b) => a.name.localeCompare(b.name))
+        .map(property => {
+            const competitorIds = property.competitorSet?.length ? property.competitorSet : directIds;
+            
+            const nights = dates.map(date => {
+                const hotels = ratesByDate.get(date)?.hotels || [];
+                const priceOf = id => hotels.find(hotel => hotel.hotelId === id && hotel.price > 0)?.price || null;
+                const ourPrice = priceOf(property._id);
+                const competitors = competitorIds.map(id => ({ id, price: priceOf(id) }));
+                const prices = competitors.filter(item => item.price).map(item => item.price);
+                const competitorAvg = prices.length > 0 ? Math.round(prices.reduce((a, b) => a + b, 0) / prices.length) : null;
+                
+                return {
+                    date,
+                    shopped: ratesByDate.has(date),
+                    ourPrice,
+                    competitorAvg,
+                    competitorMin: prices.length > 0 ? Math.min(...prices) : null,
+                    competitorMax: prices.length > 0 ? Math.max(...prices) : null,
+                    // 1 = cheapest of us and our competitors
+                    rank: ourPrice ? prices.filter(price => price < ourPrice).length + 1 : null,
+                    of: prices.length + (ourPrice ? 1 : 0),
+                    mostExpensive: !!ourPrice && prices.length > 0 && ourPrice > Math.max(...prices),
+                    missing: ratesByDate.has(date) 
+                        ? competitors.filter(item => !item.price).map(item => namesById.get(item.id) || item.id)
+                        : [],
+                    recommended: competitorAvg
+                };
+            });
+            
+            const moves = events
+                .filter(event => competitorIds.includes(event.hotelId))
+                .map(event => ({
+                    date: event.date,
+                    name: event.name,
+                    oldPrice: event.oldPrice,
+                    newPrice: event.newPrice,
+                    changePercent: Math.round(((event.newPrice - event.oldPrice) / event.oldPrice) * 1000) / 10,
+                    observedAt: event.observedAt
+                }))
+                .sort((a, b) => Math.abs(b.changePercent) - Math.abs(a.changePercent))
+                .slice(0, DIGEST_TOP_MOVES);
+            
+            return { id: property._id, name: property.name, nights, moves };
         });
+    
+    return { market: market.name, stayProfile: profile.label, generatedAt: now, from, to, properties };
+}
+
+/**
+ * Render digest data as an email: { subject, text, html }
+ */
+function renderDigest(data) {
+    const money = value => value ? `$${value}` : '--';
+    const day = date => formatAlertDate(date);
+    const subject = `${data.market} daily digest - ${day(data.from)} to ${day(data.to)}`;
+    const text = [subject, `${data.stayProfile}`, ''];
+    const html = [
+        '<div style="font-family: Arial, sans-serif; font-size: 14px; color: #222;">',
+        `<h2 style="margin-bottom: 4px;">${escapeHtml(subject)}</h2>`,
+        `<p style="color: #666; margin-top: 0;">${escapeHtml(data.stayProfile)}</p>`
+    ];
+    const cell = 'style="padding: 4px 8px; border-bottom: 1px solid #ddd; text-align: left;"';
+    const table = (headers, rows) => `<table style="border-collapse: collapse; margin-bottom: 16px;">` +
+        `<tr>${headers.map(header => `<th ${cell}>${escapeHtml(header)}</th>`).join('')}</tr>` +
+        rows.map(row => `<tr>${row.map(value => `<td ${cell}>${escapeHtml(value)}</td>`).join('')}</tr>`).join('') +
+        '</table>';
+    
+    if (data.properties.length === 0) {
+        text.push('No properties are marked as ours in this market.');
+        html.push('<p>No properties are marked as ours in this market.</p>');
+    }
+    
+    data.properties.forEach(property => {
+        const shopped = property.nights.filter(night => night.shopped);
+        const positionRows = shopped.map(night => [
+            day(night.date),
+            money(night.ourPrice),
+            night.rank ? `${night.rank} of ${night.of}` : '--',
+            night.competitorMin ? `${money(night.competitorMin)}-${money(night.competitorMax)}` : '--',
+            money(night.competitorAvg),
+            money(night.recommended)
+        ]);
+        const moveRows = property.moves.map(move => [
+            day(move.date),
+            move.name,
+            `${money(move.oldPrice)} → ${money(move.newPrice)}`,
+            `${move.changePercent > 0 ? '+' : ''}${move.changePercent}%`
+        ]);
+        const missing = shopped.filter(night => night.missing.length > 0);
+        const mostExpensive = shopped.filter(night => night.mostExpensive);
+        const unshopped = property.nights.length - shopped.length;
+        
+        text.push(`== ${property.name} ==`, '', 'Our position (rank 1 = cheapest):');
+        positionRows.forEach(row => text.push(`  ${row[0]}: ours ${row[1]}, rank ${row[2]}, competitors ${row[3]} (avg ${row[4]}), recommended ${row[5]}`));
+        if (unshopped > 0) text.push(`  ${unshopped} night(s) have no rates yet`);
+        text.push('', 'Biggest competitor moves in the last 24 hours:');
+        text.push(...(moveRows.length > 0 ? moveRows.map(row => `  ${row[0]}: ${row[1]} ${row[2]} (${row[3]})`) : ['  None']));
+        text.push('', 'Sold out or missing competitors:');
+        text.push(...(missing.length > 0 ? missing.map(night => `  ${day(night.date)}: ${night.missing.join(', ')}`) : ['  None']));
+        text.push('', 'Nights where we are the most expensive:');
+        text.push(mostExpensive.length > 0 ? `  ${mostExpensive.map(night => day(night.date)).join(', ')}` : '  None', '');
+        
+        html.push(`<h3 style="margin-top: 24px;">${escapeHtml(property.name)}</h3>`);
+        html.push('<h4>Our position (rank 1 = cheapest)</h4>');
+        html.push(positionRows.length > 0 
+            ? table(['Night', 'Ours', 'Rank', 'Competitors', 'Avg', 'Recommended'], positionRows) 
+            : '<p>No rates for these nights yet.</p>');
+        if (unshopped > 0 && positionRows.length > 0) html.push(`<p style="color: #666;">${unshopped} night(s) have no rates yet.</p>`);
+        html.push('<h4>Biggest competitor moves in the last 24 hours</h4>');
+        html.push(moveRows.length > 0 ? table(['Night', 'Hotel', 'Rate', 'Change'], moveRows) : '<p>None</p>');
+        html.push('<h4>Sold out or missing competitors</h4>');
+        html.push(missing.length > 0 
+            ? `<ul>${missing.map(night => `<li>${escapeHtml(`${day(night.date)}: ${night.missing.join(', ')}`)}</li>`).join('')}</ul>` 
+            : '<p>None</p>');
+        html.push('<h4>Nights where we are the most expensive</h4>');
+        html.push(`<p>${mostExpensive.length > 0 ? escapeHtml(mostExpensive.map(night => day(night.date)).join(', ')) : 'None'}</p>`);
+    });
+    
+    html.push('</div>');
+    return { subject, text: text.join('\n'), html: html.join('\n') };
+}
+
+/**
+ * Build and email a market's digest to its recipients, recording how it went
+ */
+async function sendDigest(market) {
+    const digest = getDigest(market);
+    try {
+        const data = await collectDigestData(market, digest);
+        await sendEmail({ to: digest.recipients, ...renderDigest(data) });
+        await marketsCollection.updateOne({ _id: market._id }, { $set: { 'digest.lastSentAt': new Date(), 'digest.lastError': null } });
+        console.log(`📰 Sent the ${market.name} digest to ${digest.recipients.length} recipient(s)`);
+    } catch (error) {
+        await marketsCollection.updateOne({ _id: market._id }, { $set: { 'digest.lastError': error.message } });
+        throw error;
+    } finally {
+        await loadMarkets();
+    }
+}
+
+/**
+ * Scheduler tick: send every digest that is due
+ */
+async function sendDueDigests() {
+    if (!marketsCollection) return;
+    
+    const now = new Date();
+    for (const market of markets.values()) {
+        const digest = market.digest;
+        if (!digest?.enabled || !digest.nextSendAt || new Date(digest.nextSendAt) > now) continue;
+        
+        // Claim it by moving nextSendAt forward (skips it if another tick got there first)
+        const next = computeNextRun({ cadence: { type: 'daily', time: digest.time }, timezone: market.timezone }, now);
+        const claimed = await marketsCollection.updateOne(
+            { _id: market._id, 'digest.nextSendAt': digest.nextSendAt },
+            { $set: { 'digest.nextSendAt': next } }
+        );
+        if (claimed.modifiedCount === 0) continue;
+        
+        await sendDigest(market).catch(error => 
+            console.error(`📰 ${market.name} digest failed:`, error.message)
+        );
+    }
+}
+
+/**
+ * A market's digest settings (admin only)
+ * GET /api/digest?market=mackinaw-city
+ */
+app.get('/api/digest', requireAuth, requirePermission('alerts:manage'), (req, res) => {
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+    
+    res.json({ 
+        success: true, 
+        market: market._id, 
+        digest: getDigest(market), 
+        emailConfigured: isEmailConfigured(),
+        schedulerRunning: !!schedulerTimer
+    });
+});
+
+/**
+ * Save a market's digest settings (admin only)
+ * PUT /api/digest?market=mackinaw-city
+ * Body: { enabled, recipients: [...], time: "07:00", days: 14, stayProfile: "2a0c1n" }
+ */
+app.put('/api/digest', requireAuth, requirePermission('alerts:manage'), async (req, res) => {
+    if (!marketsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+    
+    const settings = {
+        enabled: req.body.enabled,
+        recipients: req.body.recipients,
+        time: req.body.time,
+        days: req.body.days,
+        stayProfile: req.body.stayProfile || DEFAULT_STAY_PROFILE
+    };
+    const problems = validateDigest(settings);
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid digest settings', problems });
+    }
+    
+    try {
+        const previous = getDigest(market);
+        const digest = {
+            ...previous,
+            ...settings,
+            recipients: [...new Set(settings.recipients)],
+            nextSendAt: settings.enabled 
+                ? computeNextRun({ cadence: { type: 'daily', time: settings.time }, timezone: market.timezone }) 
+                : null,
+            updatedAt: new Date(),
+            updatedBy: req.user.username
+        };
+        await marketsCollection.updateOne({ _id: market._id }, { $set: { digest } });
+        await loadMarkets();
+        
+        console.log(`📰 ${req.user.username} ${digest.enabled ? `set the ${market.name} digest for ${digest.time}` : `turned off the ${market.name} digest`}`);
+        res.json({ success: true, market: market._id, digest });
+        
+    } catch (error) {
+        console.error('Digest save error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Build a market's digest without sending it
+ * GET /api/digest/preview?market=mackinaw-city&days=14&profile=2a0c1n
+ * (days and profile default to the saved settings)
+ */
+app.get('/api/digest/preview', requireAuth, requirePermission('history:read'), async (req, res) => {
+    if (!ratesCollection || !changesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+    
+    const saved = getDigest(market);
+    const days = req.query.days === undefined ? saved.days : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_DIGEST_DAYS) {
+        return res.status(400).json({ error: `days must be a whole number from 1 to ${MAX_DIGEST_DAYS}` });
+    }
+    const profile = getStayProfile(req.query.profile || saved.stayProfile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.query.profile}` });
+    }
+    
+    try {
+        const data = await collectDigestData(market, { days, stayProfile: profile.id });
+        res.json({ success: true, ...renderDigest(data), data });
+        
+    } catch (error) {
+        console.error('Digest preview error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Email a market's digest to its recipients now (admin only)
+ * POST /api/digest/send?market=mackinaw-city
+ */
+app.post('/api/digest/send', requireAuth, requirePermission('alerts:manage'), async (req, res) => {
+    if (!ratesCollection || !marketsCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+    
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+    const { recipients } = getDigest(market);
+    if (recipients.length === 0) {
+        return res.status(400).json({ error: 'Save at least one recipient first' });
+    }
+    
+    try {
+        await sendDigest(market);
+        res.json({ success: true, recipients });
+        
+    } catch (error) {
+        console.error('Digest send error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// ============================================
+// DATA RETENTION
+// ============================================
+
+// Old data is thinned out by an admin from Settings (preview first, then apply):
+// - change events older than historyMonths are rolled up into history_daily, one row per
+//   hotel per stay date: { _id: { market, date, stayProfile, hotel }, market, date, stayProfile,
+//   hotelId, name, min, max, avg, sum, count, firstObservedAt, lastObservedAt }
+// - rates for stay dates more than pastRatesDays in the past are dropped, unless marked keep: true
+// null keeps that data forever. The rules are saved in settings { _id: 'retention' }
+const DEFAULT_RETENTION = {
+    historyMonths: parseInt(process.env.RETENTION_HISTORY_MONTHS, 10) || 18,
+    // One season
+    pastRatesDays: parseInt(process.env.RETENTION_PAST_RATES_DAYS, 10) || 365
+};
+
+// How many of the dates to be dropped a preview lists
+const RETENTION_PREVIEW_LIMIT = 50;
+
+/**
+ * Load the retention rules (falls back to DEFAULT_RETENTION)
+ */
+async function getRetention() {
+    if (!settingsCollection) return { ...DEFAULT_RETENTION };
+    
+    const saved = await settingsCollection.findOne({ _id: 'retention' });
+    if (!saved) return { ...DEFAULT_RETENTION };
+    
+    return {
+        historyMonths: saved.historyMonths ?? null,
+        pastRatesDays: saved.pastRatesDays ?? null,
+        updatedAt: saved.updatedAt,
+        updatedBy: saved.updatedBy
+    };
+}
+
+/**
+ * Validate retention rules, returns a list of problems
+ */
+function validateRetention({ historyMonths, pastRatesDays }) {
+    const problems = [];
+    const isPositive = (value) => Number.isInteger(value) && value > 0;
+    
+    if (historyMonths !== null && !isPositive(historyMonths)) problems.push('historyMonths must be a positive whole number or null');
+    if (pastRatesDays !== null && !isPositive(pastRatesDays)) problems.push('pastRatesDays must be a positive whole number or null');
+    
+    return problems;
+}
+
+/**
+ * Change events observed before this are rolled up (null = keep them all)
+ */
+function historyCutoff(retention) {
+    if (retention.historyMonths === null) return null;
+    
+    const cutoff = new Date();
+    cutoff.setUTCMonth(cutoff.getUTCMonth() - retention.historyMonths);
+    return cutoff;
+}
 
-        res.json({ 
-            success: true, 
-            count: data.length,
-            dates 
+/**
+ * Filter for rates past the retention window, keepers included (null = keep them all)
+ * Each market counts back from its own today
+ */
+function pastRatesFilter(retention) {
+    if (retention.pastRatesDays === null) return null;
+    
+    return {
+        $or: [...markets.values()].map(market => ({
+            market: market._id,
+            date: { $lt: addDays(todayInMarket(market.timezone), -retention.pastRatesDays) }
+        }))
+    };
+}
+
+/**
+ * Roll-up stages: one row per hotel per stay date from the prices seen in its change events
+ */
+function historyRollupStages(match) {
+    return [
+        { $match: match },
+        { $sort: { observedAt: 1 } },
+        { $set: { prices: { $filter: { input: ['$oldPrice', '$newPrice'], cond: { $ne: ['$$this', null] } } } } },
+        { $unwind: '$prices' },
+        { $group: {
+            _id: { market: '$market', date: '$date', stayProfile: '$stayProfile', hotel: { $ifNull: ['$hotelId', '$name'] } },
+            market: { $first: '$market' },
+            date: { $first: '$date' },
+            stayProfile: { $first: '$stayProfile' },
+            hotelId: { $first: '$hotelId' },
+            name: { $last: '$name' },
+            min: { $min: '$prices' },
+            max: { $max: '$prices' },
+            sum: { $sum: '$prices' },
+            count: { $sum: 1 },
+            firstObservedAt: { $min: '$observedAt' },
+            lastObservedAt: { $max: '$observedAt' }
+        } }
+    ];
+}
+
+/**
+ * What applying the retention rules would remove right now
+ * (history or rates is null when its rule keeps everything)
+ */
+async function previewRetention(retention) {
+    const preview = { history: null, rates: null };
+    
+    const cutoff = historyCutoff(retention);
+    if (cutoff) {
+        const old = { observedAt: { $lt: cutoff } };
+        const [rollup] = await changesCollection.aggregate([...historyRollupStages(old), { $count: 'rows' }]).toArray();
+        preview.history = {
+            cutoff: cutoff.toISOString(),
+            events: await changesCollection.countDocuments(old),
+            dailyRows: rollup?.rows || 0
+        };
+    }
+    
+    const past = pastRatesFilter(retention);
+    if (past) {
+        const expired = { ...past, keep: { $ne: true } };
+        preview.rates = {
+            dates: await ratesCollection.countDocuments(expired),
+            keepers: await ratesCollection.countDocuments({ ...past, keep: true }),
+            examples: await ratesCollection
+                .find(expired, { projection: { _id: 0, market: 1, date: 1, stayProfile: 1 } })
+                .sort({ date: 1 })
+                .limit(RETENTION_PREVIEW_LIMIT)
+                .toArray()
+        };
+    }
+    
+    return preview;
+}
+
+/**
+ * Apply the retention rules: move expired rates to the trash (one batch per market),
+ * then roll up and remove old change events
+ */
+async function applyRetention(retention, username) {
+    const result = { ratesRemoved: 0, eventsRolledUp: 0 };
+    
+    const past = pastRatesFilter(retention);
+    if (past) {
+        const expired = { ...past, keep: { $ne: true } };
+        // History keeps the date's events; expiring it is not a price change
+        const batchIds = new Map();
+        const moveBatch = async docs => {
+            for (const market of new Set(docs.map(doc => doc.market))) {
+                if (!batchIds.has(market)) batchIds.set(market, new ObjectId().toHexString());
+                const marketDocs = docs.filter(doc => doc.market === market);
+                await moveToTrash(marketDocs, 'retention', username, batchIds.get(market));
+                result.ratesRemoved += await deleteTrashedRates(marketDocs, batchIds.get(market));
+            }
+        };
+        let docs = [];
+        for await (const doc of ratesCollection.find(expired)) {
+            docs.push(doc);
+            if (docs.length === TRASH_BATCH_SIZE) {
+                await moveBatch(docs);
+                docs = [];
+            }
+        }
+        await moveBatch(docs);
+    }
+    
+    const cutoff = historyCutoff(retention);
+    if (cutoff) {
+        // Events saved while this runs (a bulk sync can carry old timestamps) wait for the next run
+        const newest = await changesCollection.findOne({ observedAt: { $lt: cutoff } }, { sort: { _id: -1 }, projection: { _id: 1 } });
+        if (newest) {
+            const old = { observedAt: { $lt: cutoff }, _id: { $lte: newest._id } };
+            await changesCollection.aggregate([
+                ...historyRollupStages(old),
+                { $set: { avg: { $round: [{ $divide: ['$sum', '$count'] }, 2] } } },
+                { $merge: {
+                    into: dailyHistoryCollection.collectionName,
+                    on: '_id',
+                    whenMatched: [
+                        { $set: {
+                            name: '$$new.name',
+                            min: { $min: ['$min', '$$new.min'] },
+                            max: { $max: ['$max', '$$new.max'] },
+                            sum: { $add: ['$sum', '$$new.sum'] },
+                            count: { $add: ['$count', '$$new.count'] },
+                            firstObservedAt: { $min: ['$firstObservedAt', '$$new.firstObservedAt'] },
+                            lastObservedAt: { $max: ['$lastObservedAt', '$$new.lastObservedAt'] }
+                        } },
+                        { $set: { avg: { $round: [{ $divide: ['$sum', '$count'] }, 2] } } }
+                    ],
+                    whenNotMatched: 'insert'
+                } }
+            ]).toArray();
+            result.eventsRolledUp = (await changesCollection.deleteMany(old)).deletedCount;
+        }
+    }
+    
+    return result;
+}
+
+/**
+ * Document count and sizes (bytes) of every collection
+ * Shared hosting tiers may refuse $collStats - those collections show a count only
+ */
+async function getCollectionSizes() {
+    const collections = await db.listCollections({ type: 'collection' }).toArray();
+    const sizes = [];
+    
+    for (const { name } of collections) {
+        const collection = db.collection(name);
+        try {
+            const [stats] = await collection.aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+            sizes.push({
+                name,
+                count: stats.storageStats.count,
+                size: stats.storageStats.size,
+                storageSize: stats.storageStats.storageSize,
+                indexSize: stats.storageStats.totalIndexSize
+            });
+        } catch (error) {
+            sizes.push({ name, count: await collection.estimatedDocumentCount(), size: null, storageSize: null, indexSize: null });
+        }
+    }
+    
+    return sizes.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Retention rules, what applying them would remove, keepers and collection sizes (admin only)
+ * GET /api/maintenance/retention
+ */
+app.get('/api/maintenance/retention', requireAuth, requirePermission('data:manage'), async (req, res) => {
+    if (!ratesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        const retention = await getRetention();
+        const keepers = await ratesCollection
+            .find({ keep: true }, { projection: { _id: 0, market: 1, date: 1, stayProfile: 1 } })
+            .sort({ date: 1 })
+            .toArray();
+
+        res.json({
+            success: true,
+            retention,
+            preview: await previewRetention(retention),
+            keepers,
+            collections: await getCollectionSizes()
         });
 
     } catch (error) {
-        console.error('Fetch all error:', error.message);
+        console.error('Retention preview error:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * Delete rate data for a date
- * DELETE /api/rates/:date
+ * Save the retention rules (admin only)
+ * PUT /api/maintenance/retention
+ * Body: { historyMonths: 18 | null, pastRatesDays: 365 | null }
  */
-app.delete('/api/rates/:date', async (req, res) => {
-    if (!ratesCollection) {
+app.put('/api/maintenance/retention', requireAuth, requirePermission('data:manage'), async (req, res) => {
+    if (!settingsCollection) {
         return res.status(503).json({ error: 'Database not available' });
     }
 
-    const { date } = req.params;
+    const retention = {
+        historyMonths: req.body.historyMonths ?? null,
+        pastRatesDays: req.body.pastRatesDays ?? null
+    };
+
+    const problems = validateRetention(retention);
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid retention rules', problems });
+    }
 
     try {
-        const result = await ratesCollection.deleteOne({ date });
-        res.json({ success: true, deleted: result.deletedCount > 0 });
+        await settingsCollection.updateOne(
+            { _id: 'retention' },
+            { $set: { ...retention, updatedAt: new Date(), updatedBy: req.user.username } },
+            { upsert: true }
+        );
+
+        console.log(`🧹 ${req.user.username} set retention: history ${retention.historyMonths ?? '--'} months, past rates ${retention.pastRatesDays ?? '--'} days`);
+        res.json({ success: true, retention, preview: await previewRetention(retention) });
 
     } catch (error) {
-        console.error('Delete error:', error.message);
+        console.error('Retention save error:', error.message);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+/**
+ * Apply the saved retention rules now (admin only)
+ * POST /api/maintenance/retention/apply
+ */
+app.post('/api/maintenance/retention/apply', requireAuth, requirePermission('data:manage'), async (req, res) => {
+    if (!ratesCollection || !changesCollection) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    try {
+        const result = await applyRetention(await getRetention(), req.user.username);
+
+        console.log(`🧹 ${req.user.username} applied retention: ${result.ratesRemoved} past dates removed, ${result.eventsRolledUp} change events rolled up`);
+        res.json({ success: true, ...result, collections: await getCollectionSizes() });
+
+    } catch (error) {
+        console.error('Retention apply error:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
 /**
- * Clear all rate data
- * DELETE /api/rates
+ * Mark a date's rates as a keeper so retention never drops them (admin only)
+ * PUT /api/rates/:date/keep?profile=2a0c1n&market=mackinaw-city
+ * Body: { keep: true | false }
  */
-app.delete('/api/rates', async (req, res) => {
+app.put('/api/rates/:date/keep', requirePermission('data:manage'), async (req, res) => {
     if (!ratesCollection) {
         return res.status(503).json({ error: 'Database not available' });
     }
 
+    const { date } = req.params;
+    const profile = getStayProfile(req.query.profile);
+    if (!profile) {
+        return res.status(400).json({ error: `Unknown stay profile: ${req.query.profile}` });
+    }
+
+    const market = getMarket(req.query.market);
+    if (!market) {
+        return res.status(400).json({ error: `Unknown market: ${req.query.market}` });
+    }
+
+    if (typeof req.body.keep !== 'boolean') {
+        return res.status(400).json({ error: 'keep must be true or false' });
+    }
+
     try {
-        const result = await ratesCollection.deleteMany({});
-        console.log(`🗑️ Cleared all rates: ${result.deletedCount} documents`);
-        res.json({ success: true, deleted: result.deletedCount });
+        const result = await ratesCollection.updateOne(
+            { market: market._id, date, stayProfile: profile.id },
+            req.body.keep ? { $set: { keep: true } } : { $unset: { keep: '' } }
+        );
+
+        if (result.matchedCount === 0) {
+            return res.status(404).json({ error: 'No data for this date' });
+        }
+
+        res.json({ success: true, date, stayProfile: profile.id, market: market._id, keep: req.body.keep });
 
     } catch (error) {
-        console.error('Clear error:', error.message);
+        console.error('Keep error:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
 // ============================================
-// AUTO-REFRESH ENDPOINT (for daily cron job)
+// BACKUP AND RESTORE
 // ============================================
 
-// Lock to prevent multiple simultaneous refreshes
-let isRefreshing = false;
-let lastRefreshStart = null;
+// A backup is one JSON file in MongoDB Extended JSON (ids and dates survive the trip):
+// { format: "mackinaw-intel-backup", version: 1, exportedAt, exportedBy,
+//   collections: { markets: [...], settings: [...], hotels: [...], schedules: [...],
+//                  rates: [...], rate_changes: [...], history_daily: [...] } }
+// Accounts, sessions, jobs, credit usage, the trash and the audit log are not included.
+// Importing merges (adds what's missing, newer rates win) or replaces whole collections
+const BACKUP_FORMAT = 'mackinaw-intel-backup';
+const BACKUP_VERSION = 1;
+// The whole file is parsed in memory, so keep it to what the server can hold several times over
+const BACKUP_MAX_SIZE = process.env.BACKUP_MAX_SIZE || '50mb';
+const BACKUP_BATCH_SIZE = 1000;
+
+// Collections in a backup and the fields every document needs
+const BACKUP_COLLECTIONS = {
+    markets: ['_id', 'name', 'timezone'],
+    settings: ['_id'],
+    hotels: ['_id', 'market', 'name'],
+    schedules: ['_id', 'market'],
+    alert_rules: ['_id', 'market', 'type'],
+    rates: ['_id', 'market', 'date', 'stayProfile', 'hotels'],
+    rate_changes: ['_id', 'market', 'date', 'stayProfile', 'observedAt'],
+    history_daily: ['_id', 'market', 'date', 'stayProfile']
+};
+
+// At most this many problems are reported for a bad archive
+const BACKUP_MAX_PROBLEMS = 20;
 
 /**
- * Auto-refresh all dates from May to October 2026
- * GET /api/auto-refresh
- * GET /api/auto-refresh?key=YOUR_SECRET_KEY (optional security)
- * 
- * This endpoint fetches rates for all dates in the season
- * and saves them to MongoDB. Designed to be called by a cron job.
+ * Validate a parsed backup, returns a list of problems
  */
-app.get('/api/auto-refresh', async (req, res) => {
-    const startTime = Date.now();
-    const secretKey = process.env.REFRESH_SECRET;
-    
-    // Optional security: require a secret key
-    if (secretKey && req.query.key !== secretKey) {
-        return res.status(401).json({ error: 'Invalid or missing key' });
-    }
-    
-    // LOCK: Prevent multiple simultaneous refreshes
-    if (isRefreshing) {
-        console.log('⚠️ AUTO-REFRESH BLOCKED: Already in progress since', lastRefreshStart);
-        return res.status(429).json({ 
-            ok: false, 
-            msg: 'Refresh already in progress',
-            startedAt: lastRefreshStart
-        });
-    }
-    
-    // Set the lock
-    isRefreshing = true;
-    lastRefreshStart = new Date().toISOString();
-    
-    if (!SEARCHAPI_KEY) {
-        isRefreshing = false;
-        return res.status(500).json({ error: 'API key not configured' });
+function validateBackup(archive) {
+    if (!archive || archive.format !== BACKUP_FORMAT) {
+        return ['This is not a Mackinaw Intel backup'];
     }
     
-    if (!ratesCollection) {
-        isRefreshing = false;
-        return res.status(503).json({ error: 'Database not available' });
+    const problems = [];
+    if (!Number.isInteger(archive.version) || archive.version > BACKUP_VERSION) {
+        problems.push(`Unsupported backup version ${archive.version} (this server reads up to ${BACKUP_VERSION})`);
     }
-
-    console.log('🔄 AUTO-REFRESH STARTED:', lastRefreshStart);
     
-    // Define the season: May 1 - October 31, 2026
-    const startDate = new Date('2026-05-01');
-    const endDate = new Date('2026-10-31');
-    
-    const dates = [];
-    let current = new Date(startDate);
-    while (current <= endDate) {
-        dates.push(current.toISOString().split('T')[0]);
-        current.setDate(current.getDate() + 1);
+    const { collections } = archive;
+    if (!collections || typeof collections !== 'object') {
+        return [...problems, 'collections missing'];
     }
     
-    console.log(`📅 Fetching ${dates.length} dates (May 1 - Oct 31, 2026)`);
-    
-    const results = {
-        total: dates.length,
-        success: 0,
-        failed: 0,
-        errors: [],
-        hotelsPerDay: []
-    };
+    const marketIds = new Set([...markets.keys(), ...(collections.markets || []).map(market => market?._id)]);
     
-    // Helper function to fetch a single date
-    const fetchDate = async (dateStr) => {
-        const [year, month, day] = dateStr.split('-');
-        const checkin = `${year}-${parseInt(month)}-${parseInt(day)}`;
-        const checkoutDate = new Date(dateStr);
-        checkoutDate.setDate(checkoutDate.getDate() + 1);
-        const checkout = `${checkoutDate.getFullYear()}-${checkoutDate.getMonth() + 1}-${checkoutDate.getDate()}`;
+    for (const [name, docs] of Object.entries(collections)) {
+        const required = BACKUP_COLLECTIONS[name];
+        if (!required) {
+            problems.push(`Unknown collection: ${name}`);
+            continue;
+        }
+        if (!Array.isArray(docs)) {
+            problems.push(`${name} must be a list`);
+            continue;
+        }
         
-        try {
-            const params = new URLSearchParams({
-                engine: 'google_hotels',
-                bounding_box: MACKINAW_BOUNDING_BOX,
-                check_in_date: checkin,
-                check_out_date: checkout,
-                adults: 2,
-                currency: 'USD',
-                gl: 'us',
-                hl: 'en',
-                api_key: SEARCHAPI_KEY
-            });
-
-            const url = `https://www.searchapi.io/api/v1/search?${params}`;
-            const response = await fetch(url);
-            const data = await response.json();
-
-            if (data.error) {
-                throw new Error(data.error);
+        // Duplicates would stop a replace halfway through
+        const ids = new Set();
+        const rateKeys = new Set();
+        docs.forEach((doc, index) => {
+            const missing = required.filter(field => doc?.[field] === undefined || doc?.[field] === null);
+            if (missing.length > 0) {
+                problems.push(`${name}[${index}] is missing ${missing.join(', ')}`);
+                return;
             }
-
-            const properties = data.properties || [];
-            
-            // Transform properties
-            const hotels = properties.map(p => {
-                const priceBeforeTax = p.price_per_night?.extracted_price_before_taxes 
-                    || p.total_price?.extracted_price_before_taxes;
-                const priceWithTax = p.price_per_night?.extracted_price 
-                    || p.total_price?.extracted_price;
-                const basePrice = priceBeforeTax || priceWithTax || 0;
-                
-                return {
-                    name: p.name,
-                    price: basePrice,
-                    priceWithTax: priceWithTax || 0,
-                    priceBeforeTax: priceBeforeTax || null,
-                    rating: p.rating || null,
-                    reviews: p.reviews || 0,
-                    hotel_class: p.extracted_hotel_class || 0,
-                    deal: p.deal || null,
-                    dealDescription: p.deal_description || null
-                };
-            });
-            
-            // Save to database (same logic as POST /api/rates)
-            const timestamp = new Date().toISOString();
-            const existing = await ratesCollection.findOne({ date: dateStr });
-            
-            if (existing) {
-                // Archive old data to history
-                await historyCollection.insertOne({
-                    date: dateStr,
-                    hotels: existing.hotels,
-                    timestamp: existing.timestamp,
-                    archivedAt: timestamp
-                });
+            if (doc.date !== undefined && !isValidDateString(doc.date)) {
+                problems.push(`${name}[${index}] has an invalid date: ${doc.date}`);
+            } else if (doc.market !== undefined && !marketIds.has(doc.market)) {
+                problems.push(`${name}[${index}] belongs to an unknown market: ${doc.market}`);
             }
             
-            // Upsert current data
-            await ratesCollection.updateOne(
-                { date: dateStr },
-                { 
-                    $set: { 
-                        date: dateStr,
-                        hotels: hotels,
-                        timestamp: timestamp,
-                        hotelCount: hotels.length
-                    }
-                },
-                { upsert: true }
-            );
-            
-            return { success: true, hotels: hotels.length };
+            const id = EJSON.stringify(doc._id);
+            if (ids.has(id)) problems.push(`${name}[${index}] repeats _id ${id}`);
+            ids.add(id);
             
-        } catch (error) {
-            return { success: false, error: error.message };
-        }
-    };
+            if (name === 'rates') {
+                const key = `${doc.market}|${doc.date}|${doc.stayProfile}`;
+                if (rateKeys.has(key)) problems.push(`rates[${index}] repeats ${doc.date} (${doc.stayProfile}, ${doc.market})`);
+                rateKeys.add(key);
+            }
+        });
+    }
     
-    // Process dates in batches to avoid rate limiting
-    const BATCH_SIZE = 5;
-    const DELAY_BETWEEN_BATCHES = 2000; // 2 seconds
+    return problems.slice(0, BACKUP_MAX_PROBLEMS);
+}
+
+/**
+ * Add backup documents whose _id isn't stored yet, keep the rest as they are
+ */
+async function mergeBackupDocs(collection, docs) {
+    let inserted = 0;
+    for (let i = 0; i < docs.length; i += BACKUP_BATCH_SIZE) {
+        const result = await collection.bulkWrite(docs.slice(i, i + BACKUP_BATCH_SIZE).map(({ _id, ...fields }) => ({
+            updateOne: { filter: { _id }, update: { $setOnInsert: fields }, upsert: true }
+        })));
+        inserted += result.upsertedCount;
+    }
+    return { inserted, updated: 0, skipped: docs.length - inserted };
+}
+
+/**
+ * Merge backup rates by market, date and stay profile: missing dates are added,
+ * stored dates are overwritten only by a newer shop
+ * Works a batch at a time, looking up only the batch's dates
+ */
+async function mergeBackupRates(docs) {
+    const rateKey = doc => `${doc.market}|${doc.date}|${doc.stayProfile}`;
+    const summary = { inserted: 0, updated: 0, skipped: 0 };
     
-    for (let i = 0; i < dates.length; i += BATCH_SIZE) {
-        const batch = dates.slice(i, i + BATCH_SIZE);
-        const batchNum = Math.floor(i / BATCH_SIZE) + 1;
-        const totalBatches = Math.ceil(dates.length / BATCH_SIZE);
-        
-        console.log(`   Batch ${batchNum}/${totalBatches}: ${batch[0]} to ${batch[batch.length - 1]}`);
+    for (let i = 0; i < docs.length; i += BACKUP_BATCH_SIZE) {
+        const batch = docs.slice(i, i + BACKUP_BATCH_SIZE);
+        const stored = new Map((await ratesCollection
+            .find(
+                { $or: batch.map(({ market, date, stayProfile }) => ({ market, date, stayProfile })) },
+                { projection: { market: 1, date: 1, stayProfile: 1, timestamp: 1 } }
+            )
+            .toArray()).map(doc => [rateKey(doc), doc]));
         
-        // Process batch in parallel
-        const batchResults = await Promise.all(batch.map(fetchDate));
-        
-        batchResults.forEach((result, idx) => {
-            if (result.success) {
-                results.success++;
-                results.hotelsPerDay.push(result.hotels);
+        const operations = [];
+        batch.forEach(doc => {
+            const existing = stored.get(rateKey(doc));
+            if (!existing) {
+                operations.push({ insertOne: { document: doc } });
+                summary.inserted++;
+            } else if (doc.timestamp && (!existing.timestamp || new Date(doc.timestamp) > new Date(existing.timestamp))) {
+                const { _id, ...fields } = doc;
+                operations.push({ updateOne: { filter: { _id: existing._id }, update: { $set: fields } } });
+                summary.updated++;
             } else {
-                results.failed++;
-                results.errors.push({ date: batch[idx], error: result.error });
+                summary.skipped++;
             }
         });
+        if (operations.length > 0) {
+            await ratesCollection.bulkWrite(operations);
+        }
+    }
+    return summary;
+}
+
+/**
+ * Copy a collection's indexes (other than _id) onto another collection
+ */
+async function copyIndexes(from, to) {
+    const indexes = await from.indexes().catch(error => {
+        // NamespaceNotFound: the collection doesn't exist yet
+        if (error.code === 26) return [];
+        throw error;
+    });
+    for (const { key, v, ns, ...options } of indexes) {
+        if (options.name !== '_id_') await to.createIndex(key, options);
+    }
+}
+
+/**
+ * Replace whole collections with backup documents. Each one is filled under a
+ * temporary name first and renamed over the original only once every collection
+ * loaded, so a failed insert leaves the stored data as it was
+ * (current rates are moved to the trash). Returns counts per collection
+ */
+async function replaceFromBackup(collections, username) {
+    const summary = {};
+    const suffix = `_import_${new ObjectId().toHexString()}`;
+    const names = Object.keys(BACKUP_COLLECTIONS).filter(name => collections[name]);
+    const renamed = new Set();
+    let trashBatchId = null;
+    
+    try {
+        for (const name of names) {
+            const docs = collections[name];
+            // Created up front, so an empty collection in the backup still has something to rename
+            const staging = await db.createCollection(name + suffix);
+            await copyIndexes(db.collection(name), staging);
+            for (let i = 0; i < docs.length; i += BACKUP_BATCH_SIZE) {
+                await staging.insertMany(docs.slice(i, i + BACKUP_BATCH_SIZE));
+            }
+            summary[name] = { inserted: docs.length, removed: await db.collection(name).countDocuments() };
+        }
+        
+        if (collections.rates) {
+            // One trash batch, filled a batch at a time
+            trashBatchId = new ObjectId().toHexString();
+            let current = [];
+            for await (const doc of ratesCollection.find()) {
+                current.push(doc);
+                if (current.length === BACKUP_BATCH_SIZE) {
+                    await moveToTrash(current, 'import', username, trashBatchId);
+                    current = [];
+                }
+            }
+            await moveToTrash(current, 'import', username, trashBatchId);
+        }
         
-        // Delay between batches (except for last batch)
-        if (i + BATCH_SIZE < dates.length) {
-            await new Promise(resolve => setTimeout(resolve, DELAY_BETWEEN_BATCHES));
+        for (const name of names) {
+            await db.collection(name + suffix).rename(name, { dropTarget: true });
+            renamed.add(name);
+        }
+    } catch (error) {
+        for (const name of names.filter(name => !renamed.has(name))) {
+            await db.collection(name + suffix).drop().catch(() => {});
+        }
+        if (trashBatchId && !renamed.has('rates')) {
+            await trashCollection.deleteMany({ batchId: trashBatchId }).catch(() => {});
         }
+        throw error;
     }
     
-    const duration = ((Date.now() - startTime) / 1000).toFixed(1);
-    const avgHotels = results.hotelsPerDay.length > 0 
-        ? Math.round(results.hotelsPerDay.reduce((a, b) => a + b, 0) / results.hotelsPerDay.length)
-        : 0;
+    return summary;
+}
+
+/**
+ * Import a validated backup. replace swaps in each collection in the backup whole
+ * (see replaceFromBackup), merge adds to them. Returns counts per collection
+ */
+async function importBackup(collections, mode, username) {
+    if (collections.rates) {
+        // Imported dates count as new saves for incremental syncs
+        const importedAt = new Date();
+        collections.rates.forEach(doc => { doc.updatedAt = importedAt; });
+    }
     
-    console.log('✅ AUTO-REFRESH COMPLETE:');
-    console.log(`   Duration: ${duration}s`);
-    console.log(`   Success: ${results.success}/${results.total}`);
-    console.log(`   Failed: ${results.failed}`);
-    console.log(`   Avg hotels/day: ${avgHotels}`);
+    let summary = {};
+    if (mode === 'replace') {
+        summary = await replaceFromBackup(collections, username);
+    } else {
+        for (const name of Object.keys(BACKUP_COLLECTIONS)) {
+            const docs = collections[name];
+            if (!docs) continue;
+            summary[name] = name === 'rates' ? await mergeBackupRates(docs) : await mergeBackupDocs(db.collection(name), docs);
+        }
+    }
     
-    // Keep response small for cron services with size limits
-    res.json({
-        ok: true,
-        msg: 'Refresh complete',
-        ts: new Date().toISOString(),
-        dur: duration + 's',
-        success: results.success,
-        failed: results.failed
+    // Markets are kept in memory (the default market is seeded again if the backup had none)
+    await loadMarkets();
+    return summary;
+}
+
+/**
+ * Write to a response, waiting for a slow client to catch up (rejects if it goes away)
+ */
+function writeWhenReady(res, chunk) {
+    if (res.destroyed) return Promise.reject(new Error('Client disconnected'));
+    if (res.write(chunk)) return Promise.resolve();
+    return new Promise((resolve, reject) => {
+        const settle = (error) => {
+            res.off('drain', onDrain);
+            res.off('close', onClose);
+            error ? reject(error) : resolve();
+        };
+        const onDrain = () => settle();
+        const onClose = () => settle(new Error('Client disconnected'));
+        res.on('drain', onDrain);
+        res.on('close', onClose);
     });
-    
-    // Release the lock
-    isRefreshing = false;
-});
+}
 
 /**
- * Auto-refresh status/test endpoint
- * GET /api/auto-refresh/status
+ * Download a backup of rates, history, the hotel registry, markets, schedules and settings (admin only)
+ * GET /api/backup
+ * 
+ * Written one document at a time, waiting for the client whenever its buffer is full,
+ * so large databases don't have to fit in memory
  */
-app.get('/api/auto-refresh/status', async (req, res) => {
-    if (!ratesCollection) {
+app.get('/api/backup', requireAuth, requirePermission('backup:manage'), async (req, res) => {
+    if (!db) {
         return res.status(503).json({ error: 'Database not available' });
     }
-    
+
+    const exportedAt = new Date();
+    const counts = {};
+    res.setHeader('Content-Type', 'application/json');
+    res.setHeader('Content-Disposition', `attachment; filename="mackinaw-intel-backup-${exportedAt.toISOString().slice(0, 10)}.json"`);
+
     try {
-        // Get latest refresh timestamp
-        const latest = await ratesCollection.findOne({}, { sort: { timestamp: -1 } });
-        const count = await ratesCollection.countDocuments();
-        
-        // Count dates by month
-        const pipeline = [
-            {
-                $group: {
-                    _id: { $substr: ['$date', 0, 7] },
-                    count: { $sum: 1 }
-                }
-            },
-            { $sort: { _id: 1 } }
-        ];
-        const monthCounts = await ratesCollection.aggregate(pipeline).toArray();
-        
-        res.json({
-            success: true,
-            database: {
-                totalDates: count,
-                lastRefresh: latest?.timestamp || 'Never',
-                byMonth: monthCounts.reduce((acc, m) => {
-                    acc[m._id] = m.count;
-                    return acc;
-                }, {})
-            },
-            endpoint: '/api/auto-refresh',
-            note: 'Call /api/auto-refresh to trigger a full refresh of all dates'
-        });
+        await writeWhenReady(res, `{"format":${JSON.stringify(BACKUP_FORMAT)},"version":${BACKUP_VERSION},` +
+            `"exportedAt":${JSON.stringify(exportedAt.toISOString())},"exportedBy":${JSON.stringify(req.user.username)},"collections":{`);
         
+        const names = Object.keys(BACKUP_COLLECTIONS);
+        for (const [index, name] of names.entries()) {
+            await writeWhenReady(res, `${index > 0 ? ',' : ''}${JSON.stringify(name)}:[`);
+            counts[name] = 0;
+            for await (const doc of db.collection(name).find()) {
+                await writeWhenReady(res, `${counts[name] > 0 ? ',' : ''}${EJSON.stringify(doc)}`);
+                counts[name]++;
+            }
+            await writeWhenReady(res, ']');
+        }
+        res.end('}}');
+
+        console.log(`📦 ${req.user.username} downloaded a backup: ${names.map(name => `${counts[name]} ${name}`).join(', ')}`);
+
+    } catch (error) {
+        // Headers are gone - cut the download short so it can't be mistaken for a full backup
+        console.error('Backup error:', error.message);
+        res.destroy(error);
+    }
+});
+
+/**
+ * Import a backup (admin only)
+ * POST /api/backup/import?mode=merge|replace&confirm=replace&dryRun=true
+ * Body: the backup file, sent as application/octet-stream
+ * 
+ * merge (default) adds what's missing and keeps newer rates. replace swaps in each
+ * collection in the backup whole and needs confirm=replace. dryRun only validates
+ */
+app.post('/api/backup/import', requireAuth, requirePermission('backup:manage'), express.text({ type: 'application/octet-stream', limit: BACKUP_MAX_SIZE }), async (req, res) => {
+    if (!db) {
+        return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const mode = req.query.mode || 'merge';
+    if (!['merge', 'replace'].includes(mode)) {
+        return res.status(400).json({ error: 'mode must be merge or replace' });
+    }
+    const dryRun = req.query.dryRun === 'true';
+    if (mode === 'replace' && !dryRun && req.query.confirm !== 'replace') {
+        return res.status(400).json({ error: 'Replacing data needs confirm=replace' });
+    }
+
+    let archive;
+    try {
+        archive = typeof req.body === 'string' 
+            ? EJSON.parse(req.body) 
+            : EJSON.deserialize(req.body || {});
+    } catch (error) {
+        return res.status(400).json({ error: 'The backup is not valid JSON', problems: [error.message] });
+    }
+
+    const problems = validateBackup(archive);
+    if (problems.length > 0) {
+        return res.status(400).json({ error: 'Invalid backup', problems });
+    }
+
+    const counts = Object.fromEntries(Object.entries(archive.collections).map(([name, docs]) => [name, docs.length]));
+    if (dryRun) {
+        return res.json({ success: true, dryRun: true, mode, exportedAt: archive.exportedAt, exportedBy: archive.exportedBy, counts });
+    }
+
+    try {
+        const imported = await importBackup(archive.collections, mode, req.user.username);
+
+        console.log(`📦 ${req.user.username} imported a backup from ${archive.exportedAt} (${mode}): ${Object.entries(counts).map(([name, count]) => `${count} ${name}`).join(', ')}`);
+        res.json({ success: true, mode, exportedAt: archive.exportedAt, imported });
+
     } catch (error) {
+        console.error('Import error:', error.message);
         res.status(500).json({ error: error.message });
     }
 });
 
-// Start server
-connectDB().then(() => {
-    app.listen(PORT, () => {
-        console.log(`🏨 Mackinaw Intel Server running on port ${PORT}`);
-        console.log(`   SearchAPI: ${SEARCHAPI_KEY ? '✅' : '❌'}`);
-        console.log(`   MongoDB: ${db ? '✅' : '❌'}`);
+// Start server (tests require this file for its helpers without starting it)
+if (require.main === module) {
+    connectDB().then(() => {
+        app.listen(PORT, () => {
+            console.log(`🏨 Mackinaw Intel Server running on port ${PORT}`);
+            console.log(`   ${rateProvider.label}: ${rateProvider.isConfigured() ? '✅' : '❌'}`);
+            console.log(`   MongoDB: ${db ? '✅' : '❌'}`);
+            console.log(`   Email: ${isEmailConfigured() ? '✅' : '❌'}`);
+            startScheduler();
+        });
     });
-});
+}
+
+module.exports = { validateRateHotels, diffRates, rebuildSnapshots, computeNextRun, buildExportTable, checkWebhookUrl, webhookLookup };
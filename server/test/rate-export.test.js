@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { buildExportTable } = require('../server');
+
+const docs = [
+    {
+        date: '2026-07-03', timestamp: '2026-06-20T08:00:00.000Z',
+        hotels: [
+            { hotelId: 'h2', name: 'Bridge View', price: 200, priceWithTax: 229, reviews: 88 },
+            { hotelId: 'h1', name: 'Lighthouse Inn', price: 150, priceWithTax: 171.5, hotelClass: 3, rating: 4.4 },
+            { hotelId: 'h3', name: 'Harbor Lodge', price: 120 },
+            { hotelId: 'h5', name: 'Sold Out Suites', price: 0 }
+        ]
+    },
+    {
+        date: '2026-07-04', timestamp: '2026-06-21T08:00:00.000Z',
+        hotels: [{ hotelId: 'h1', name: 'Lighthouse Inn', price: 190, priceWithTax: 217 }]
+    }
+];
+const tierOf = hotel => ({ h1: 'yours', h2: 'direct', h3: 'tracked' })[hotel.hotelId] || 'market';
+
+test('buildExportTable long layout lists each hotel per date, cheapest first', () => {
+    const { headers, rows } = buildExportTable(docs, { layout: 'long', tiers: ['yours', 'direct', 'tracked'], value: 'price', tierOf });
+
+    assert.strictEqual(headers.length, rows[0].length);
+    assert.deepStrictEqual(rows, [
+        ['2026-07-03', 'Fri', 'Harbor Lodge', 'h3', 'tracked', 120, null, null, null, null, null, null, '2026-06-20T08:00:00.000Z'],
+        ['2026-07-03', 'Fri', 'Lighthouse Inn', 'h1', 'yours', 150, 171.5, null, null, 3, 4.4, null, '2026-06-20T08:00:00.000Z'],
+        ['2026-07-03', 'Fri', 'Bridge View', 'h2', 'direct', 200, 229, null, null, null, null, 88, '2026-06-20T08:00:00.000Z'],
+        ['2026-07-04', 'Sat', 'Lighthouse Inn', 'h1', 'yours', 190, 217, null, null, null, null, null, '2026-06-21T08:00:00.000Z']
+    ]);
+});
+
+test('buildExportTable long layout adds past observations from snapshots', () => {
+    const snapshots = new Map([['2026-07-04', [
+        { timestamp: '2026-06-10T08:00:00.000Z', archivedAt: '2026-06-21T08:00:00.000Z', hotels: [{ hotelId: 'h1', name: 'Lighthouse Inn', price: 175 }] }
+    ]]]);
+    const { rows } = buildExportTable(docs.slice(1), { layout: 'long', tiers: ['yours'], value: 'price', snapshots, tierOf });
+
+    assert.deepStrictEqual(rows.map(row => [row[5], row[12]]), [
+        [190, '2026-06-21T08:00:00.000Z'],
+        [175, '2026-06-10T08:00:00.000Z']
+    ]);
+});
+
+test('buildExportTable pivot layout puts hotels down and dates across, by tier', () => {
+    const table = buildExportTable(docs, { layout: 'pivot', tiers: ['yours', 'direct'], value: 'priceWithTax', tierOf });
+
+    assert.deepStrictEqual(table, {
+        headers: ['Hotel', 'Tier', '2026-07-03', '2026-07-04'],
+        rows: [
+            ['Lighthouse Inn', 'yours', 171.5, 217],
+            ['Bridge View', 'direct', 229, null]
+        ]
+    });
+});
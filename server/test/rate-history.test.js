@@ -0,0 +1,81 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { diffRates, rebuildSnapshots } = require('../server');
+
+test('diffRates records changed, newly listed and no longer listed hotels', () => {
+    const before = [
+        { hotelId: 'h1', name: 'Lighthouse Inn', price: 150 },
+        { hotelId: 'h2', name: 'Bridge View', price: 200 },
+        { hotelId: 'h3', name: 'Harbor Lodge', price: 120 }
+    ];
+    const after = [
+        { hotelId: 'h1', name: 'Lighthouse Inn', price: 165 },
+        { hotelId: 'h2', name: 'Bridge View', price: 200 },
+        { hotelId: 'h4', name: 'Straits Motel', price: 90 }
+    ];
+
+    assert.deepStrictEqual(diffRates(before, after), [
+        { hotelId: 'h1', name: 'Lighthouse Inn', oldPrice: 150, newPrice: 165 },
+        { hotelId: 'h4', name: 'Straits Motel', oldPrice: null, newPrice: 90 },
+        { hotelId: 'h3', name: 'Harbor Lodge', oldPrice: 120, newPrice: null }
+    ]);
+});
+
+test('diffRates keys hotels without an id by name and skips unpriced hotels', () => {
+    const before = [{ name: 'Lighthouse Inn', price: 150 }, { name: 'Sold Out Suites', price: 0 }];
+    const after = [{ name: 'LIGHTHOUSE INN', price: 150 }, { name: 'Sold Out Suites', price: null }];
+
+    assert.deepStrictEqual(diffRates(before, after), []);
+    assert.deepStrictEqual(diffRates(undefined, []), []);
+});
+
+test('rebuildSnapshots undoes each save, newest first', () => {
+    const current = {
+        timestamp: '2026-07-03T08:00:00.000Z',
+        hotels: [
+            { hotelId: 'h1', name: 'Lighthouse Inn', price: 180 },
+            { hotelId: 'h4', name: 'Straits Motel', price: 90 }
+        ]
+    };
+    const events = [
+        { hotelId: 'h1', name: 'Lighthouse Inn', oldPrice: 150, newPrice: 165,
+            observedAt: '2026-07-02T08:00:00.000Z', previousObservedAt: '2026-07-01T08:00:00.000Z' },
+        { hotelId: 'h1', name: 'Lighthouse Inn', oldPrice: 165, newPrice: 180,
+            observedAt: '2026-07-03T08:00:00.000Z', previousObservedAt: '2026-07-02T08:00:00.000Z' },
+        { hotelId: 'h4', name: 'Straits Motel', oldPrice: null, newPrice: 90,
+            observedAt: '2026-07-03T08:00:00.000Z', previousObservedAt: '2026-07-02T08:00:00.000Z' },
+        { hotelId: 'h3', name: 'Harbor Lodge', oldPrice: 120, newPrice: null,
+            observedAt: '2026-07-03T08:00:00.000Z', previousObservedAt: '2026-07-02T08:00:00.000Z' }
+    ];
+
+    assert.deepStrictEqual(rebuildSnapshots(current, events), [
+        {
+            timestamp: '2026-07-02T08:00:00.000Z',
+            archivedAt: '2026-07-03T08:00:00.000Z',
+            hotels: [
+                { hotelId: 'h1', name: 'Lighthouse Inn', price: 165 },
+                { hotelId: 'h3', name: 'Harbor Lodge', price: 120 }
+            ]
+        },
+        {
+            timestamp: '2026-07-01T08:00:00.000Z',
+            archivedAt: '2026-07-02T08:00:00.000Z',
+            hotels: [
+                { hotelId: 'h1', name: 'Lighthouse Inn', price: 150 },
+                { hotelId: 'h3', name: 'Harbor Lodge', price: 120 }
+            ]
+        }
+    ]);
+});
+
+test('rebuildSnapshots works from a deleted date and without events', () => {
+    const events = [
+        { hotelId: 'h1', name: 'Lighthouse Inn', oldPrice: 150, newPrice: 165,
+            observedAt: '2026-07-02T08:00:00.000Z', previousObservedAt: null }
+    ];
+
+    assert.deepStrictEqual(rebuildSnapshots(null, events), [
+        { timestamp: null, archivedAt: '2026-07-02T08:00:00.000Z', hotels: [{ hotelId: 'h1', name: 'Lighthouse Inn', price: 150 }] }
+    ]);
+    assert.deepStrictEqual(rebuildSnapshots({ hotels: [{ name: 'Lighthouse Inn', price: 150 }] }, []), []);
+});
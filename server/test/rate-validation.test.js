@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { validateRateHotels } = require('../server');
+
+test('validateRateHotels accepts hotels with a name and a price', () => {
+    assert.deepStrictEqual(validateRateHotels([
+        { hotelId: 'h1', name: 'Lighthouse Inn', price: 150, priceWithTax: 171.5, rating: 4.4, reviewCount: 310 },
+        { name: 'Harbor Lodge', price: 120, deal: null, someNewField: 'kept as is' }
+    ]), []);
+    assert.deepStrictEqual(validateRateHotels([]), []);
+});
+
+test('validateRateHotels needs a list of objects', () => {
+    assert.deepStrictEqual(validateRateHotels({ name: 'Lighthouse Inn' }), ['hotels must be a list']);
+    assert.deepStrictEqual(validateRateHotels([null, ['Lighthouse Inn']]), [
+        'hotels[0] must be an object',
+        'hotels[1] must be an object'
+    ]);
+});
+
+test('validateRateHotels reports every bad field with its hotel', () => {
+    const problems = validateRateHotels([
+        { name: '', price: 150 },
+        { name: 'Bridge View', price: '$200', rating: 7 },
+        { name: 'Harbor Lodge', price: -5, reviewCount: 1.5 }
+    ]);
+
+    assert.deepStrictEqual(problems, [
+        'hotels[0].name must be text of 1-200 characters',
+        'hotels[1].price must be a positive number up to 100000 (got "$200")',
+        'hotels[1].rating must be a number from 0 to 5',
+        'hotels[2].price must be a positive number up to 100000 (got -5)',
+        'hotels[2].reviewCount must be a whole number'
+    ]);
+});
+
+test('validateRateHotels refuses repeated hotels and too many hotels', () => {
+    assert.deepStrictEqual(validateRateHotels([
+        { name: 'Lighthouse Inn', price: 150 },
+        { name: 'lighthouse inn', price: 155 },
+        { hotelId: 'h2', name: 'Bridge View', price: 200 },
+        { hotelId: 'h2', name: 'Bridge View Suites', price: 210 }
+    ]), ['hotels[1] repeats lighthouse inn', 'hotels[3] repeats Bridge View Suites']);
+
+    const tooMany = Array.from({ length: 301 }, (_, index) => ({ name: `Hotel ${index}`, price: 100 }));
+    assert.deepStrictEqual(validateRateHotels(tooMany), ['hotels has 301 entries (at most 300)']);
+});
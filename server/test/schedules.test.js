@@ -0,0 +1,26 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { computeNextRun } = require('../server');
+
+test('computeNextRun adds the interval', () => {
+    const schedule = { cadence: { type: 'interval', hours: 6 } };
+    assert.strictEqual(computeNextRun(schedule, new Date('2026-07-01T10:15:00Z')).toISOString(), '2026-07-01T16:15:00.000Z');
+});
+
+test('computeNextRun runs daily at the wall-clock time of the timezone', () => {
+    const schedule = { timezone: 'America/Detroit', cadence: { type: 'daily', time: '03:00' } };
+
+    // 03:00 EDT is 07:00 UTC: later the same day, else the next day
+    assert.strictEqual(computeNextRun(schedule, new Date('2026-07-01T05:00:00Z')).toISOString(), '2026-07-01T07:00:00.000Z');
+    assert.strictEqual(computeNextRun(schedule, new Date('2026-07-01T07:00:00Z')).toISOString(), '2026-07-02T07:00:00.000Z');
+    // The timezone's date counts, not UTC's: 23:30 EDT on Jul 1 is already Jul 2 in UTC
+    assert.strictEqual(computeNextRun(schedule, new Date('2026-07-02T03:30:00Z')).toISOString(), '2026-07-02T07:00:00.000Z');
+});
+
+test('computeNextRun keeps the wall-clock time across DST changes', () => {
+    const schedule = { timezone: 'America/Detroit', cadence: { type: 'daily', time: '03:00' } };
+
+    // Clocks go forward on Mar 8, 2026 and back on Nov 1, 2026
+    assert.strictEqual(computeNextRun(schedule, new Date('2026-03-07T09:00:00Z')).toISOString(), '2026-03-08T07:00:00.000Z');
+    assert.strictEqual(computeNextRun(schedule, new Date('2026-10-31T08:00:00Z')).toISOString(), '2026-11-01T08:00:00.000Z');
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The dashboard's API module is a browser script: evaluate it and take the object it defines
+const API = vm.runInNewContext(`${fs.readFileSync(path.join(__dirname, '../../js/api.js'), 'utf8')}\nAPI;`, {});
+
+const rates = (timestamp, price = 150) => ({ timestamp, hotels: [{ name: 'Lighthouse Inn', price }] });
+
+test('mergeSyncDates keeps the newer shop of each date', () => {
+    const dates = {
+        '2026-07-01': rates('2026-06-01T08:00:00.000Z', 150),
+        '2026-07-02': rates('2026-06-03T08:00:00.000Z', 160)
+    };
+    const server = {
+        timestamps: { '2026-07-01': '2026-06-02T08:00:00.000Z', '2026-07-02': '2026-06-02T08:00:00.000Z' },
+        dates: {
+            '2026-07-01': rates('2026-06-02T08:00:00.000Z', 155),
+            '2026-07-02': rates('2026-06-02T08:00:00.000Z', 140)
+        }
+    };
+
+    const { synced, toPush, counts } = API.mergeSyncDates(dates, server, {});
+
+    assert.strictEqual(dates['2026-07-01'].hotels[0].price, 155);
+    assert.strictEqual(dates['2026-07-02'].hotels[0].price, 160);
+    assert.deepStrictEqual(Object.keys(toPush), ['2026-07-02']);
+    assert.deepStrictEqual({ ...synced }, { '2026-07-01': '2026-06-02T08:00:00.000Z' });
+    assert.deepStrictEqual({ ...counts }, { pulled: 1, removed: 0, unchanged: 0 });
+});
+
+test('mergeSyncDates leaves dates unchanged on the server alone (incremental sync)', () => {
+    const dates = { '2026-07-01': rates('2026-06-02T08:00:00.000Z') };
+    const server = { timestamps: { '2026-07-01': '2026-06-02T08:00:00.000Z' }, dates: {} };
+
+    const { synced, toPush, counts } = API.mergeSyncDates(dates, server, { '2026-07-01': '2026-06-02T08:00:00.000Z' });
+
+    assert.deepStrictEqual({ ...synced }, { '2026-07-01': '2026-06-02T08:00:00.000Z' });
+    assert.deepStrictEqual({ ...toPush }, {});
+    assert.deepStrictEqual({ ...counts }, { pulled: 0, removed: 0, unchanged: 1 });
+});
+
+test('mergeSyncDates removes dates deleted on the server and pushes dates it lacks', () => {
+    const dates = {
+        '2026-07-01': rates('2026-06-02T08:00:00.000Z'),
+        '2026-07-02': rates('2026-06-05T08:00:00.000Z'),
+        '2026-07-03': rates('2026-06-02T08:00:00.000Z')
+    };
+    const server = { timestamps: {}, dates: {} };
+    const previouslySynced = {
+        '2026-07-01': '2026-06-02T08:00:00.000Z',
+        '2026-07-02': '2026-06-02T08:00:00.000Z'
+    };
+
+    const { toPush, counts } = API.mergeSyncDates(dates, server, previouslySynced);
+
+    // 07-01 was deleted on the server, 07-02 was shopped again here since, 07-03 was never synced
+    assert.deepStrictEqual(Object.keys(dates), ['2026-07-02', '2026-07-03']);
+    assert.deepStrictEqual(Object.keys(toPush), ['2026-07-02', '2026-07-03']);
+    assert.strictEqual(counts.removed, 1);
+});
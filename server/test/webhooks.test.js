@@ -0,0 +1,21 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { checkWebhookUrl, webhookLookup } = require('../server');
+
+test('checkWebhookUrl refuses loopback, private and link-local hosts', async () => {
+    for (const url of ['http://127.0.0.1/hook', 'http://localhost:8080/', 'http://[::1]/', 'http://10.1.2.3/',
+        'http://192.168.0.10/', 'http://169.254.169.254/latest/meta-data', 'http://0x7f000001/']) {
+        assert.match(await checkWebhookUrl(url), /is on a private network/, url);
+    }
+    assert.strictEqual(await checkWebhookUrl('https://8.8.8.8/hook'), null);
+    assert.strictEqual(await checkWebhookUrl('not a url'), 'webhookUrl must be an http(s) URL');
+});
+
+test('webhookLookup refuses private addresses at connection time', async () => {
+    const lookup = (hostname, options) => new Promise((resolve, reject) => {
+        webhookLookup(hostname, options, (error, ...result) => error ? reject(error) : resolve(result));
+    });
+
+    await assert.rejects(lookup('localhost', {}), /localhost is on a private network/);
+    await assert.rejects(lookup('localhost', { all: true }), /is on a private network/);
+});